@@ -0,0 +1,200 @@
+/**
+ * Shared tool registry
+ * Single source of tool definitions and dispatch for both the MCP stdio
+ * server (src/index.js) and the HTTP chat server (frontend/server.js)
+ */
+
+import { fileTools, handleFileTool } from "./tools/filesystem.js";
+import { bashTools, handleBashTool } from "./tools/bash.js";
+import { gitTools, handleGitTool } from "./tools/git.js";
+import { searchTools, handleSearchTool } from "./tools/search.js";
+import { editTools, handleEditTool } from "./tools/edit.js";
+import { webTools, handleWebTool } from "./tools/web.js";
+import { notebookTools, handleNotebookTool } from "./tools/notebook.js";
+import { mediaTools, handleMediaTool } from "./tools/media.js";
+import { taskTools, handleTaskTool } from "./tools/tasks.js";
+import { memoryTools, handleMemoryTool } from "./tools/memory.js";
+import { thinkingTools, handleThinkingTool } from "./tools/thinking.js";
+import { planningTools, handlePlanningTool } from "./tools/planning.js";
+import { interactionTools, handleInteractionTool } from "./tools/interaction.js";
+import { contextTools, handleContextTool } from "./tools/context.js";
+import { comfyuiTools, handleComfyuiTool } from "./tools/comfyui.js";
+import { skillsTools, handleSkillsTool } from "./tools/skills.js";
+import { githubBlogTools, handleGithubBlogTool } from "./tools/github-blog.js";
+import { utilityTools, handleUtilityTool } from "./tools/utility.js";
+import { changeTools, handleChangeTool } from "./tools/changes.js";
+import { symbolTools, handleSymbolTool } from "./tools/symbols.js";
+import { reviewTools, handleReviewTool } from "./tools/review.js";
+
+// Each tool module exports its definitions and the handler that serves them
+const toolModules = [
+  [fileTools, handleFileTool],
+  [bashTools, handleBashTool],
+  [gitTools, handleGitTool],
+  [searchTools, handleSearchTool],
+  [editTools, handleEditTool],
+  [webTools, handleWebTool],
+  [notebookTools, handleNotebookTool],
+  [mediaTools, handleMediaTool],
+  [taskTools, handleTaskTool],
+  [memoryTools, handleMemoryTool],
+  [thinkingTools, handleThinkingTool],
+  [planningTools, handlePlanningTool],
+  [interactionTools, handleInteractionTool],
+  [contextTools, handleContextTool],
+  [comfyuiTools, handleComfyuiTool],
+  [skillsTools, handleSkillsTool],
+  [githubBlogTools, handleGithubBlogTool],
+  [utilityTools, handleUtilityTool],
+  [changeTools, handleChangeTool],
+  [symbolTools, handleSymbolTool],
+  [reviewTools, handleReviewTool],
+];
+
+// Combine all tools
+export const allTools = toolModules.flatMap(([tools]) => tools);
+
+// Tool name -> handler
+const handlers = new Map();
+for (const [tools, handler] of toolModules) {
+  for (const tool of tools) {
+    handlers.set(tool.name, handler);
+  }
+}
+
+// Common tool name aliases - models often hallucinate shorter names
+export const TOOL_ALIASES = {
+  edit: "edit_file",
+  read: "read_file",
+  write: "write_file",
+  search: "grep_search",
+  grep: "grep_search",
+  glob: "glob_search",
+  find: "find_definition",
+  run: "execute_command",
+  exec: "execute_command",
+  bash: "execute_command",
+  shell: "execute_command",
+  list: "list_directory",
+  ls: "list_directory",
+  delete: "delete_file",
+  rm: "delete_file",
+  move: "move_file",
+  mv: "move_file",
+  copy: "copy_file",
+  cp: "copy_file",
+  mkdir: "create_directory",
+  fetch_url: "web_fetch",
+};
+
+// Common parameter name aliases - models use different param names
+export function normalizeArgs(toolName, args) {
+  const normalized = { ...args };
+
+  // file_path aliases
+  if (!normalized.file_path && (normalized.path || normalized.filepath || normalized.filename || normalized.file)) {
+    normalized.file_path = normalized.path || normalized.filepath || normalized.filename || normalized.file;
+  }
+
+  // edit_file: pattern/replacement -> old_string/new_string
+  if (toolName === "edit_file") {
+    if (!normalized.old_string && (normalized.pattern || normalized.search || normalized.find || normalized.original)) {
+      normalized.old_string = normalized.pattern || normalized.search || normalized.find || normalized.original;
+    }
+    if (!normalized.new_string && (normalized.replacement || normalized.replace || normalized.new_text || normalized.with)) {
+      normalized.new_string = normalized.replacement || normalized.replace || normalized.new_text || normalized.with;
+    }
+  }
+
+  // write_file: text -> content
+  if (toolName === "write_file") {
+    if (!normalized.content && normalized.text) {
+      normalized.content = normalized.text;
+    }
+  }
+
+  // execute_command: cmd -> command
+  if (toolName === "execute_command") {
+    if (!normalized.command && (normalized.cmd || normalized.shell_command || normalized.script)) {
+      normalized.command = normalized.cmd || normalized.shell_command || normalized.script;
+    }
+  }
+
+  // grep_search: regex/search -> pattern
+  if (toolName === "grep_search") {
+    if (!normalized.pattern && (normalized.regex || normalized.search || normalized.query || normalized.text)) {
+      normalized.pattern = normalized.regex || normalized.search || normalized.query || normalized.text;
+    }
+  }
+
+  // Symbol tools: file_path -> file, col -> column
+  if (toolName === "list_symbols" || toolName === "go_to_definition" || toolName === "find_references") {
+    if (!normalized.file && normalized.file_path) {
+      normalized.file = normalized.file_path;
+    }
+    if (!normalized.column && normalized.col) {
+      normalized.column = normalized.col;
+    }
+  }
+
+  // apply_patch: diff/content -> patch
+  if (toolName === "apply_patch") {
+    if (!normalized.patch && (normalized.diff || normalized.content)) {
+      normalized.patch = normalized.diff || normalized.content;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Resolve a tool name alias to the registered tool name
+ * @param {string} name - Tool name as requested by the model
+ * @returns {string} - Registered tool name (unchanged if not an alias)
+ */
+export function resolveToolName(name) {
+  if (TOOL_ALIASES[name]) {
+    const resolvedName = TOOL_ALIASES[name];
+    console.error(`Tool alias: "${name}" -> "${resolvedName}"`);
+    return resolvedName;
+  }
+  return name;
+}
+
+/**
+ * Check whether a tool (or alias) is registered
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasTool(name) {
+  return handlers.has(TOOL_ALIASES[name] || name);
+}
+
+/**
+ * Run a tool by name with alias resolution and argument normalization
+ * @param {string} name - Tool name or alias
+ * @param {object} args - Tool arguments
+ * @param {object} context - Transport hooks passed through to the handler (onProgress, signal)
+ * @returns {Promise<{content: Array, isError?: boolean}>} - MCP tool result
+ */
+export async function callTool(name, args = {}, context = {}) {
+  name = resolveToolName(name);
+  args = normalizeArgs(name, args || {});
+
+  const handler = handlers.get(name);
+  if (!handler) {
+    return {
+      content: [{ type: "text", text: `Unknown tool: ${name}` }],
+      isError: true,
+    };
+  }
+
+  try {
+    return await handler(name, args, context);
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true,
+    };
+  }
+}
@@ -1,16 +1,61 @@
 import { spawn } from "child_process";
+import { EventEmitter } from "events";
 import { platform } from "os";
 import { getWorkingDir } from "../utils/paths.js";
+import { evaluateCommand } from "../utils/command-policy.js";
+import {
+  processTree,
+  listeningPorts,
+  portsFromOutput,
+  isPortOpen,
+  probeUrl,
+  killTree,
+} from "../utils/processes.js";
 
 // Track running processes
 const sessions = new Map();
 let sessionCounter = 0;
 
+// Background session limits (see list_sessions)
+const MAX_SESSIONS = parseInt(process.env.MAX_BACKGROUND_SESSIONS, 10) || 10;
+const DEFAULT_IDLE_MINUTES = parseFloat(process.env.SESSION_IDLE_MINUTES ?? "30");
+
+// How often idle sessions are swept and readiness conditions are polled
+const IDLE_SWEEP_INTERVAL = 30000;
+const READY_POLL_INTERVAL = 500;
+
+// Foreground commands currently running, for streaming and cancellation
+const runningCommands = new Map();
+let commandCounter = 0;
+
+// Emits "start", "output", and "exit" events for running commands
+// (consumed by the SSE endpoint in frontend/server.js)
+export const commandEvents = new EventEmitter();
+commandEvents.setMaxListeners(0);
+
+// Output kept per stream: the first HEAD_CHARS and the last TAIL_CHARS characters
+const HEAD_CHARS = 8000;
+const TAIL_CHARS = 12000;
+
+// How often streamed output is flushed to progress callbacks
+const PROGRESS_INTERVAL = 250;
+
+// Commands held back by a "confirm" policy rule until the user decides
+const pendingApprovals = new Map();
+let approvalCounter = 0;
+
+// Set by the MCP stdio transports, which have no /approvals endpoint: confirm
+// rules are then asked about through elicitation while the call waits
+let approvalElicitation = null;
+
+// How long an elicited approval waits before the command is refused
+const APPROVAL_TIMEOUT = (Number(process.env.QUESTION_TIMEOUT_SECONDS) || 300) * 1000;
+
 export const bashTools = [
   {
     name: "execute_command",
     description:
-      "Execute a shell command. Use this for running builds, tests, git commands, npm scripts, and any terminal operations. Commands run in the working directory.",
+      "Execute a shell command. Use this for running builds, tests, git commands, npm scripts, and any terminal operations. Commands run in the working directory. Commands are checked against the command policy: dangerous ones are blocked, and some (force pushes, rm -rf, publishing) wait for user approval. Output streams live to clients that support progress; very long output keeps its beginning and end.",
     inputSchema: {
       type: "object",
       properties: {
@@ -26,6 +71,10 @@ export const bashTools = [
           type: "number",
           description: "Timeout in milliseconds (default: 30000 = 30 seconds)",
         },
+        session_id: {
+          type: "string",
+          description: "Run inside a persistent shell session from execute_background (shell: true), keeping its cwd and environment",
+        },
       },
       required: ["command"],
     },
@@ -56,20 +105,43 @@ export const bashTools = [
   {
     name: "execute_background",
     description:
-      "Start a long-running command in the background (like dev servers). Returns a session ID to check output later.",
+      "Start a long-running command in the background (like dev servers, REPLs, or interactive prompts). Optionally waits until it is ready (log pattern, port, or URL). Returns a session ID for read_output, send_input, and wait_for_output. With shell: true, starts a persistent shell instead: run commands in it with execute_command (session_id), and cd / exported variables carry over between commands.",
     inputSchema: {
       type: "object",
       properties: {
         command: {
           type: "string",
-          description: "The command to run in background",
+          description: "The command to run in background (optional with shell: true, where it runs as the first command)",
         },
         cwd: {
           type: "string",
           description: "Working directory for the command",
         },
+        shell: {
+          type: "boolean",
+          description: "Start a persistent shell session that keeps cwd and environment between commands (default: false)",
+        },
+        ready_pattern: {
+          type: "string",
+          description: "Wait until the output matches this regex (e.g. 'ready in|listening on') before returning",
+        },
+        ready_port: {
+          type: "number",
+          description: "Wait until this local TCP port accepts connections before returning",
+        },
+        ready_url: {
+          type: "string",
+          description: "Wait until this URL answers with a non-5xx HTTP status before returning",
+        },
+        ready_timeout: {
+          type: "number",
+          description: "Maximum wait for the ready_* conditions in milliseconds (default: 60000)",
+        },
+        idle_timeout_minutes: {
+          type: "number",
+          description: "Kill the session after this many minutes without output or interaction (default: SESSION_IDLE_MINUTES or 30; 0 disables)",
+        },
       },
-      required: ["command"],
     },
   },
   {
@@ -86,9 +158,59 @@ export const bashTools = [
       required: ["session_id"],
     },
   },
+  {
+    name: "send_input",
+    description:
+      "Send text to a background session's stdin: answers to prompts (npm init), REPL lines (python -i, node), or debugger commands. A newline is appended unless newline is false. Programs that buffer output when not attached to a terminal may need flags such as python -u.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        session_id: {
+          type: "string",
+          description: "Session ID from execute_background",
+        },
+        text: {
+          type: "string",
+          description: "Text to send",
+        },
+        newline: {
+          type: "boolean",
+          description: "Append a newline (default: true)",
+        },
+        eof: {
+          type: "boolean",
+          description: "Close stdin after sending, for programs that read until end of input (default: false)",
+        },
+      },
+      required: ["session_id", "text"],
+    },
+  },
+  {
+    name: "wait_for_output",
+    description:
+      "Wait until a background session prints output matching a regex (e.g. a prompt like '>>> $' or 'Server listening'), exits, or times out. Without a pattern, waits for new output to settle. Returns the output received since the last read_output / wait_for_output.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        session_id: {
+          type: "string",
+          description: "Session ID from execute_background",
+        },
+        pattern: {
+          type: "string",
+          description: "Regular expression to wait for (multiline: ^ and $ match at line breaks)",
+        },
+        timeout: {
+          type: "number",
+          description: "Maximum wait in milliseconds (default: 30000)",
+        },
+      },
+      required: ["session_id"],
+    },
+  },
   {
     name: "kill_session",
-    description: "Kill a background command session.",
+    description: "Kill a background command session and every process it started.",
     inputSchema: {
       type: "object",
       properties: {
@@ -102,7 +224,8 @@ export const bashTools = [
   },
   {
     name: "list_sessions",
-    description: "List all active background command sessions.",
+    description:
+      "List background sessions with status, listening ports, readiness, idle time, and the session limits.",
     inputSchema: {
       type: "object",
       properties: {},
@@ -117,7 +240,91 @@ function getShell() {
   return { shell: "/bin/bash", shellFlag: "-c" };
 }
 
-async function runCommand(command, cwd, timeout = 30000) {
+/**
+ * Collect a stream's output, keeping its head and tail and dropping the middle
+ * once it grows past head + tail characters
+ */
+function createOutputBuffer(head = HEAD_CHARS, tail = TAIL_CHARS) {
+  let start = "";
+  let end = "";
+  let omitted = 0;
+
+  return {
+    push(text) {
+      if (start.length < head) {
+        const take = text.slice(0, head - start.length);
+        start += take;
+        text = text.slice(take.length);
+      }
+      if (!text) return;
+      end += text;
+      if (end.length > tail) {
+        omitted += end.length - tail;
+        end = end.slice(-tail);
+      }
+    },
+    toString() {
+      if (!omitted) return start + end;
+      return `${start}\n\n... [${omitted} characters omitted] ...\n\n${end}`;
+    },
+  };
+}
+
+/**
+ * Register a running foreground command: buffers its output, emits
+ * commandEvents, batches output for onOutput, and makes it cancellable
+ * @returns {{id: string, stdout: object, stderr: object, handleData: Function, finish: Function}}
+ */
+function trackCommand(command, cwd, pid, cancel, onOutput) {
+  const id = `cmd_${++commandCounter}`;
+  const stdout = createOutputBuffer();
+  const stderr = createOutputBuffer();
+  let pending = "";
+  let flushTimer = null;
+
+  const flush = () => {
+    flushTimer = null;
+    if (pending && onOutput) onOutput(pending);
+    pending = "";
+  };
+
+  runningCommands.set(id, { id, command, cwd, pid, startTime: new Date().toISOString(), cancel });
+  commandEvents.emit("start", { id, command, cwd, pid });
+
+  return {
+    id,
+    stdout,
+    stderr,
+    handleData(stream, text) {
+      (stream === "stderr" ? stderr : stdout).push(text);
+      commandEvents.emit("output", { id, stream, data: text });
+      if (onOutput) {
+        pending += text;
+        if (!flushTimer) flushTimer = setTimeout(flush, PROGRESS_INTERVAL);
+      }
+    },
+    finish(exit) {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+        flush();
+      }
+      runningCommands.delete(id);
+      commandEvents.emit("exit", { id, ...exit });
+    },
+  };
+}
+
+/**
+ * Run a shell command to completion, streaming its output as it arrives
+ * @param {string} command
+ * @param {string} cwd
+ * @param {number} timeout - Milliseconds before the process is killed
+ * @param {object} options
+ * @param {(text: string) => void} options.onOutput - Called with batches of new output
+ * @param {AbortSignal} options.signal - Aborting kills the process
+ * @returns {Promise<{id: string, exitCode: number|null, stdout: string, stderr: string, timedOut: boolean, cancelled: boolean}>}
+ */
+async function runCommand(command, cwd, timeout = 30000, { onOutput, signal } = {}) {
   return new Promise((resolve, reject) => {
     const { shell, shellFlag } = getShell();
 
@@ -138,125 +345,903 @@ async function runCommand(command, cwd, timeout = 30000) {
     const proc = spawn(shell, [shellFlag, processedCommand], {
       cwd: cwd || getWorkingDir(),
       env: process.env,
+      // Own process group so cancelling also stops child processes
+      detached: platform() !== "win32",
     });
 
-    let stdout = "";
-    let stderr = "";
-    const MAX_OUTPUT = 20000; // Limit to prevent WebSocket timeouts
+    let timedOut = false;
+    let cancelled = false;
+    const cancel = () => {
+      cancelled = true;
+      killTree(proc.pid);
+    };
+    const tracked = trackCommand(command, cwd, proc.pid, cancel, onOutput);
 
-    proc.stdout.on("data", (data) => {
-      if (stdout.length < MAX_OUTPUT) {
-        stdout += data.toString();
-      }
-    });
+    proc.stdout.on("data", (data) => tracked.handleData("stdout", data.toString()));
+    proc.stderr.on("data", (data) => tracked.handleData("stderr", data.toString()));
 
-    proc.stderr.on("data", (data) => {
-      if (stderr.length < MAX_OUTPUT) {
-        stderr += data.toString();
-      }
-    });
+    if (signal) {
+      if (signal.aborted) cancel();
+      else signal.addEventListener("abort", cancel, { once: true });
+    }
 
     const timer = setTimeout(() => {
-      proc.kill("SIGTERM");
-      reject(new Error(`Command timed out after ${timeout}ms`));
+      timedOut = true;
+      killTree(proc.pid);
     }, timeout);
 
-    proc.on("close", (code) => {
+    const cleanup = () => {
       clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", cancel);
+    };
+
+    proc.on("close", (code) => {
+      cleanup();
+      tracked.finish({ exitCode: code, timedOut, cancelled });
       resolve({
+        id: tracked.id,
         exitCode: code,
-        stdout: stdout.slice(0, MAX_OUTPUT),
-        stderr: stderr.slice(0, MAX_OUTPUT),
+        stdout: tracked.stdout.toString(),
+        stderr: tracked.stderr.toString(),
+        timedOut,
+        cancelled,
       });
     });
 
     proc.on("error", (err) => {
-      clearTimeout(timer);
+      cleanup();
+      tracked.finish({ exitCode: null, error: err.message });
       reject(err);
     });
   });
 }
 
-export async function handleBashTool(name, args) {
-  switch (name) {
-    case "execute_command":
-    case "run_shell_command": {
-      const cwd = args.cwd || getWorkingDir();
-      const result = await runCommand(
-        args.command,
-        cwd,
-        args.timeout || 30000
-      );
-
-      let output = `[Working directory: ${cwd}]\n\n`;
-      if (result.stdout) {
-        output += result.stdout;
+/**
+ * List foreground commands that are still running
+ * @returns {Array<{id: string, command: string, cwd: string, pid: number, startTime: string}>}
+ */
+export function listRunningCommands() {
+  return Array.from(runningCommands.values()).map(({ cancel, ...info }) => info);
+}
+
+/**
+ * Cancel a running foreground command
+ * @param {string} id - Command ID from the "start" event or listRunningCommands
+ * @returns {boolean} - Whether a running command was found
+ */
+export function cancelCommand(id) {
+  const running = runningCommands.get(id);
+  if (!running) return false;
+  running.cancel();
+  return true;
+}
+
+async function executeCommand(args, context = {}) {
+  const cwd = args.cwd || getWorkingDir();
+  const result = await runCommand(
+    args.command,
+    cwd,
+    args.timeout || 30000,
+    { onOutput: context.onProgress, signal: context.signal }
+  );
+
+  let output = `[Working directory: ${cwd}]\n\n`;
+  if (result.stdout) {
+    output += result.stdout;
+  }
+  if (result.stderr) {
+    output += (result.stdout ? "\n\n--- STDERR ---\n" : "") + result.stderr;
+  }
+  if (!result.stdout && !result.stderr) {
+    output += "(no output)";
+  }
+  if (result.timedOut) {
+    output += `\n\n[Timed out after ${args.timeout || 30000}ms - process killed]`;
+  } else if (result.cancelled) {
+    output += "\n\n[Cancelled - process killed]";
+  }
+  output += `\n\n[Exit code: ${result.exitCode}]`;
+
+  return {
+    content: [{ type: "text", text: output }],
+    structuredContent: {
+      command_id: result.id,
+      exit_code: result.exitCode,
+      timed_out: result.timedOut,
+      cancelled: result.cancelled,
+    },
+  };
+}
+
+// Background session output kept in memory (characters)
+const SESSION_OUTPUT_LIMIT = 50000;
+
+// wait_for_output without a pattern returns once output has been quiet this long
+const OUTPUT_SETTLE_MS = 500;
+
+// Append output to a background session and wake anyone waiting on it
+function appendSessionOutput(session, text) {
+  session.output += text;
+  session.received += text.length;
+  session.lastActivity = Date.now();
+  // Keep last 50KB of output
+  if (session.output.length > SESSION_OUTPUT_LIMIT) {
+    session.output = session.output.slice(-SESSION_OUTPUT_LIMIT);
+  }
+  session.events.emit("data", text);
+}
+
+// Output received since the session's read cursor (bounded by what is still buffered)
+function unreadOutput(session) {
+  const unread = Math.min(session.received - session.cursor, session.output.length);
+  return unread > 0 ? session.output.slice(-unread) : "";
+}
+
+/**
+ * Start a background session: a one-shot command, or a persistent shell
+ * (args.shell) that keeps its cwd and environment between commands
+ */
+async function startBackground(args) {
+  const limit = enforceSessionLimit();
+  if (limit) {
+    return limit;
+  }
+
+  // Validated before spawning: a throw after it would orphan the detached child
+  const ready = readyCondition(args);
+
+  const sessionId = `bg_${++sessionCounter}`;
+  const cwd = args.cwd || getWorkingDir();
+  let proc;
+
+  if (args.shell) {
+    // A shell reading commands from stdin; cmd.exe /q suppresses prompts and echo
+    proc =
+      platform() === "win32"
+        ? spawn("cmd.exe", ["/q", "/k"], { cwd, env: process.env })
+        : spawn("/bin/bash", [], { cwd, env: process.env, detached: true });
+  } else {
+    const { shell, shellFlag } = getShell();
+    proc = spawn(shell, [shellFlag, args.command], {
+      cwd: cwd,
+      env: process.env,
+      detached: true,
+    });
+  }
+
+  const session = {
+    id: sessionId,
+    command: args.shell ? "(shell)" : args.command,
+    cwd: cwd,
+    pid: proc.pid,
+    process: proc,
+    shell: Boolean(args.shell),
+    busy: false,
+    output: "",
+    received: 0,
+    cursor: 0,
+    events: new EventEmitter(),
+    startTime: new Date().toISOString(),
+    lastActivity: Date.now(),
+    idleMinutes: args.idle_timeout_minutes ?? DEFAULT_IDLE_MINUTES,
+    ports: [],
+    ready,
+  };
+
+  proc.stdout.on("data", (data) => appendSessionOutput(session, data.toString()));
+  proc.stderr.on("data", (data) => appendSessionOutput(session, data.toString()));
+  // Writes to a process that already exited must not crash the server
+  proc.stdin.on("error", () => {});
+
+  proc.on("close", (code) => {
+    session.exitCode = code;
+    session.endTime = new Date().toISOString();
+    session.events.emit("exit", code);
+  });
+
+  sessions.set(sessionId, session);
+  startIdleSweep();
+
+  if (args.shell) {
+    let text = `Shell session started: ${sessionId}\nPID: ${proc.pid}\nDirectory: ${cwd}\n\nRun commands in it with execute_command (session_id: "${sessionId}"); cd and exported variables persist between commands.`;
+    if (args.command) {
+      return executeInShell(session, { command: args.command, timeout: args.timeout }).then((result) => ({
+        ...result,
+        content: [{ type: "text", text: `${text}\n\n${result.content[0].text}` }],
+        structuredContent: { session_id: sessionId, ...result.structuredContent },
+      }));
+    }
+    return {
+      content: [{ type: "text", text }],
+      structuredContent: { session_id: sessionId, pid: proc.pid, shell: true },
+    };
+  }
+
+  let text = `Background session started: ${sessionId}\nPID: ${proc.pid}\nDirectory: ${cwd}\nCommand: ${args.command}`;
+  if (session.ready) {
+    await waitUntilReady(session, args.ready_timeout || 60000);
+    await refreshPorts(session);
+    text += `\n${formatReady(session.ready)}`;
+    if (session.ports.length > 0) text += `\nListening ports: ${session.ports.join(", ")}`;
+    if (session.ready.status !== "ready") {
+      text += `\n\n--- Output ---\n${session.output || "(no output yet)"}`;
+    }
+  }
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: { session_id: sessionId, pid: proc.pid, shell: false, ...describeSession(session) },
+    isError: session.ready && session.ready.status !== "ready" ? true : undefined,
+  };
+}
+
+// Readiness condition from execute_background arguments, or null when none was given
+function readyCondition(args) {
+  if (!args.ready_pattern && !args.ready_port && !args.ready_url) {
+    return null;
+  }
+  if (args.ready_pattern) {
+    try {
+      new RegExp(args.ready_pattern, "m");
+    } catch (e) {
+      throw new Error(`Invalid ready_pattern: ${e.message}`);
+    }
+  }
+  return {
+    status: "pending",
+    pattern: args.ready_pattern,
+    port: args.ready_port,
+    url: args.ready_url,
+  };
+}
+
+function formatReady(ready) {
+  const condition = [
+    ready.pattern && `output matching /${ready.pattern}/`,
+    ready.port && `port ${ready.port}`,
+    ready.url && ready.url,
+  ]
+    .filter(Boolean)
+    .join(" + ");
+  if (ready.status === "ready") return `Ready: ${condition} (after ${ready.elapsedMs}ms)`;
+  if (ready.status === "pending") return `Waiting for: ${condition}`;
+  return `Not ready: ${condition} - ${ready.reason}`;
+}
+
+/**
+ * Poll a session until every readiness condition it was started with holds,
+ * the process exits, or the timeout passes. Updates session.ready.
+ */
+async function waitUntilReady(session, timeout) {
+  const ready = session.ready;
+  const started = Date.now();
+  const pattern = ready.pattern ? new RegExp(ready.pattern, "m") : null;
+
+  while (true) {
+    const checks = [];
+    if (pattern) checks.push(pattern.test(session.output));
+    if (ready.port) checks.push(await isPortOpen(ready.port));
+    if (ready.url) {
+      const probe = await probeUrl(ready.url);
+      ready.httpStatus = probe.status;
+      checks.push(probe.ok);
+    }
+
+    if (checks.every(Boolean)) {
+      Object.assign(ready, { status: "ready", elapsedMs: Date.now() - started });
+      return;
+    }
+    if (session.exitCode !== undefined) {
+      Object.assign(ready, { status: "failed", reason: `process exited (${session.exitCode})` });
+      return;
+    }
+    if (Date.now() - started >= timeout) {
+      Object.assign(ready, { status: "timeout", reason: `not ready after ${timeout}ms (process still running)` });
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, READY_POLL_INTERVAL));
+  }
+}
+
+// Update the TCP ports a running session's process tree listens on
+async function refreshPorts(session) {
+  if (session.exitCode !== undefined) {
+    session.ports = [];
+    return;
+  }
+  try {
+    session.ports = await listeningPorts(await processTree(session.pid));
+  } catch {
+    // Keep the last known ports
+  }
+}
+
+// Fields shown by list_sessions and returned as structured content
+function describeSession(s) {
+  const idleMs = Date.now() - s.lastActivity;
+  return {
+    status: s.exitCode !== undefined ? "exited" : s.busy ? "running_command" : "running",
+    exit_code: s.exitCode ?? null,
+    end_reason: s.endReason || null,
+    ports: s.ports,
+    announced_ports: portsFromOutput(s.output),
+    ready: s.ready ? { status: s.ready.status, summary: formatReady(s.ready) } : null,
+    idle_seconds: Math.round(idleMs / 1000),
+    idle_timeout_minutes: s.idleMinutes || null,
+  };
+}
+
+/**
+ * Make room for a new session: drop the oldest exited sessions first, and
+ * refuse when MAX_SESSIONS are still running. Returns an error result or null.
+ */
+function enforceSessionLimit() {
+  const exited = Array.from(sessions.values()).filter((s) => s.exitCode !== undefined);
+  while (sessions.size >= MAX_SESSIONS && exited.length > 0) {
+    sessions.delete(exited.shift().id);
+  }
+  if (sessions.size < MAX_SESSIONS) {
+    return null;
+  }
+
+  const running = Array.from(sessions.values())
+    .map((s) => `  ${s.id}  ${s.command}  (idle ${Math.round((Date.now() - s.lastActivity) / 1000)}s)`)
+    .join("\n");
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Too many background sessions (limit ${MAX_SESSIONS}, set by MAX_BACKGROUND_SESSIONS). Kill one with kill_session first:\n${running}`,
+      },
+    ],
+    isError: true,
+  };
+}
+
+/**
+ * Kill a session's whole process tree, including children that left its process group
+ * @param {object} session
+ * @param {string} reason - Recorded as the session's end_reason
+ */
+async function killSession(session, reason) {
+  session.endReason = reason;
+  if (session.exitCode !== undefined) {
+    return;
+  }
+  const tree = await processTree(session.pid).catch(() => [session.pid]);
+  killTree(session.pid);
+  for (const pid of tree.slice(1)) {
+    try {
+      process.kill(pid, "SIGTERM");
+    } catch {
+      // Already gone (most exit with the process group)
+    }
+  }
+}
+
+let idleSweep = null;
+
+// Periodically kill sessions idle longer than their idle timeout
+function startIdleSweep() {
+  if (idleSweep) return;
+  idleSweep = setInterval(() => {
+    for (const session of sessions.values()) {
+      const limitMs = session.idleMinutes * 60000;
+      if (session.exitCode === undefined && !session.busy && limitMs > 0 && Date.now() - session.lastActivity > limitMs) {
+        killSession(session, `idle for more than ${session.idleMinutes} minutes`);
       }
-      if (result.stderr) {
-        output += (result.stdout ? "\n\n--- STDERR ---\n" : "") + result.stderr;
+    }
+  }, IDLE_SWEEP_INTERVAL);
+  // Never keep the server alive just for the sweep
+  idleSweep.unref();
+}
+
+// Kill every session and running command when the server exits
+function killAllProcesses() {
+  for (const session of sessions.values()) {
+    if (session.exitCode === undefined) {
+      killTree(session.pid, { sync: true });
+    }
+  }
+  for (const command of runningCommands.values()) {
+    killTree(command.pid, { sync: true });
+  }
+}
+
+process.on("exit", killAllProcesses);
+for (const [signal, code] of [["SIGINT", 130], ["SIGTERM", 143], ["SIGHUP", 129]]) {
+  process.once(signal, () => process.exit(code));
+}
+
+/**
+ * Run one command inside a persistent shell session and wait for it to finish.
+ * The command is followed by a marker line that reports its exit code and the
+ * shell's working directory, so completion is detected without closing the shell.
+ * @returns {Promise<{id: string, exitCode: number|null, stdout: string, stderr: string, cwd: string, timedOut: boolean, cancelled: boolean, shellExited: boolean}>}
+ */
+function runInShell(session, command, timeout = 30000, { onOutput, signal } = {}) {
+  return new Promise((resolve) => {
+    const nonce = Math.random().toString(36).slice(2, 10);
+    const marker = `__MCP_DONE_${nonce}__`;
+    // stdout's marker carries the exit code and cwd; stderr gets a bare marker
+    // so the command's stderr is known to be fully read too
+    const markerPattern = new RegExp(`\\r?\\n?${marker}(?: (-?\\d+) ([^\\r\\n]*))?\\r?\\n`);
+    const proc = session.process;
+
+    let timedOut = false;
+    let cancelled = false;
+    let done = false;
+    let exit = null;
+    const streams = {
+      stdout: { pending: "", finished: false },
+      stderr: { pending: "", finished: false },
+    };
+
+    // Stopping a command in a persistent shell means stopping the shell
+    const cancel = () => {
+      cancelled = true;
+      killTree(proc.pid);
+    };
+    const tracked = trackCommand(command, session.cwd, proc.pid, cancel, onOutput);
+    session.busy = true;
+
+    // Pass output through, holding back anything that might be the start of the marker
+    const watch = (name) => (data) => {
+      const stream = streams[name];
+      if (stream.finished) return;
+      stream.pending += data.toString();
+      const match = stream.pending.match(markerPattern);
+      if (match) {
+        if (match.index > 0) tracked.handleData(name, stream.pending.slice(0, match.index));
+        stream.pending = "";
+        stream.finished = true;
+        if (name === "stdout") exit = { code: parseInt(match[1], 10), cwd: match[2] };
+        if (streams.stdout.finished && streams.stderr.finished) finish(exit.code, exit.cwd);
+        return;
       }
-      if (!result.stdout && !result.stderr) {
-        output += "(no output)";
+      const markerAt = stream.pending.indexOf(marker);
+      const safe = Math.min(stream.pending.length - marker.length, markerAt === -1 ? Infinity : markerAt) - 2;
+      if (safe > 0) {
+        tracked.handleData(name, stream.pending.slice(0, safe));
+        stream.pending = stream.pending.slice(safe);
       }
-      output += `\n\n[Exit code: ${result.exitCode}]`;
+    };
+    const onStdout = watch("stdout");
+    const onStderr = watch("stderr");
+    const onExit = (code) => {
+      for (const [name, stream] of Object.entries(streams)) {
+        if (stream.pending) tracked.handleData(name, stream.pending);
+      }
+      finish(code, session.cwd, true);
+    };
 
-      return {
-        content: [{ type: "text", text: output }],
-      };
+    proc.stdout.on("data", onStdout);
+    proc.stderr.on("data", onStderr);
+    session.events.once("exit", onExit);
+
+    if (signal) {
+      if (signal.aborted) cancel();
+      else signal.addEventListener("abort", cancel, { once: true });
     }
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killTree(proc.pid);
+    }, timeout);
 
-    case "execute_background": {
-      const sessionId = `bg_${++sessionCounter}`;
-      const { shell, shellFlag } = getShell();
-      const cwd = args.cwd || getWorkingDir();
-
-      const proc = spawn(shell, [shellFlag, args.command], {
-        cwd: cwd,
-        env: process.env,
-        detached: true,
+    function finish(exitCode, cwd, shellExited = false) {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", cancel);
+      proc.stdout.off("data", onStdout);
+      proc.stderr.off("data", onStderr);
+      session.events.off("exit", onExit);
+      session.busy = false;
+      session.cwd = cwd || session.cwd;
+      session.lastActivity = Date.now();
+      // Marker lines are not part of the session's readable output
+      session.output = session.output.replace(new RegExp(markerPattern.source, "g"), "");
+      session.cursor = session.received;
+      tracked.finish({ exitCode, timedOut, cancelled });
+      resolve({
+        id: tracked.id,
+        exitCode,
+        stdout: tracked.stdout.toString(),
+        stderr: tracked.stderr.toString(),
+        cwd: session.cwd,
+        timedOut,
+        cancelled,
+        shellExited,
       });
+    }
 
-      const session = {
-        id: sessionId,
-        command: args.command,
-        cwd: cwd,
-        pid: proc.pid,
-        process: proc,
-        output: "",
-        startTime: new Date().toISOString(),
-      };
+    // Commands read stdin from the null device so they cannot swallow the marker line
+    const script =
+      platform() === "win32"
+        ? `(${command}) < NUL\r\necho ${marker} %errorlevel% %cd%\r\n1>&2 echo ${marker}\r\n`
+        : `{ ${command}\n} < /dev/null\nprintf '\\n${marker} %s %s\\n' "$?" "$PWD"; printf '\\n${marker}\\n' >&2\n`;
+    proc.stdin.write(script);
+  });
+}
 
-      proc.stdout.on("data", (data) => {
-        session.output += data.toString();
-        // Keep last 50KB of output
-        if (session.output.length > 50000) {
-          session.output = session.output.slice(-50000);
-        }
-      });
+// execute_command with a session_id: run in that persistent shell
+async function executeInShell(session, args, context = {}) {
+  if (session.exitCode !== undefined) {
+    return {
+      content: [{ type: "text", text: `Shell session has exited: ${session.id}. Start a new one with execute_background (shell: true).` }],
+      isError: true,
+    };
+  }
+  if (session.busy) {
+    return {
+      content: [{ type: "text", text: `Shell session ${session.id} is still running a command. Use wait_for_output or kill_session.` }],
+      isError: true,
+    };
+  }
 
-      proc.stderr.on("data", (data) => {
-        session.output += data.toString();
-        if (session.output.length > 50000) {
-          session.output = session.output.slice(-50000);
-        }
-      });
+  const result = await runInShell(session, args.command, args.timeout || 30000, {
+    onOutput: context.onProgress,
+    signal: context.signal,
+  });
 
-      proc.on("close", (code) => {
-        session.exitCode = code;
-        session.endTime = new Date().toISOString();
-      });
+  let output = `[Session: ${session.id}] [Working directory: ${result.cwd}]\n\n`;
+  if (result.stdout) {
+    output += result.stdout;
+  }
+  if (result.stderr) {
+    output += (result.stdout ? "\n\n--- STDERR ---\n" : "") + result.stderr;
+  }
+  if (!result.stdout && !result.stderr) {
+    output += "(no output)";
+  }
+  if (result.timedOut) {
+    output += `\n\n[Timed out after ${args.timeout || 30000}ms - shell session killed]`;
+  } else if (result.cancelled) {
+    output += "\n\n[Cancelled - shell session killed]";
+  } else if (result.shellExited) {
+    output += "\n\n[Shell exited]";
+  }
+  output += `\n\n[Exit code: ${result.exitCode}]`;
 
-      sessions.set(sessionId, session);
+  return {
+    content: [{ type: "text", text: output }],
+    structuredContent: {
+      session_id: session.id,
+      command_id: result.id,
+      exit_code: result.exitCode,
+      cwd: result.cwd,
+      timed_out: result.timedOut,
+      cancelled: result.cancelled,
+    },
+  };
+}
 
-      return {
+function getSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new Error(`Session not found: ${sessionId}`);
+  }
+  return session;
+}
+
+// Write to a session's stdin (answers to prompts, REPL input, ...)
+function sendInput(args) {
+  const session = getSession(args.session_id);
+  if (session.exitCode !== undefined) {
+    return {
+      content: [{ type: "text", text: `Session has exited (${session.exitCode}): ${session.id}` }],
+      isError: true,
+    };
+  }
+
+  const eol = platform() === "win32" ? "\r\n" : "\n";
+  const text = (args.text || "") + (args.newline === false ? "" : eol);
+  session.process.stdin.write(text);
+  if (args.eof) {
+    session.process.stdin.end();
+  }
+  session.lastActivity = Date.now();
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Sent ${text.length} characters to ${session.id}${args.eof ? " and closed stdin" : ""}. Use wait_for_output to read the response.`,
+      },
+    ],
+    structuredContent: { session_id: session.id, sent: text.length },
+  };
+}
+
+/**
+ * Wait until a session prints output matching a pattern (or, without a
+ * pattern, until new output arrives and settles). Returns the output received
+ * since the last wait_for_output / read_output call.
+ */
+function waitForOutput(args) {
+  const session = getSession(args.session_id);
+  const timeout = args.timeout || 30000;
+  let pattern = null;
+  if (args.pattern) {
+    try {
+      pattern = new RegExp(args.pattern, "m");
+    } catch (e) {
+      throw new Error(`Invalid pattern: ${e.message}`);
+    }
+  }
+
+  return new Promise((resolve) => {
+    let settleTimer = null;
+    let timer = null;
+
+    const done = (status) => {
+      clearTimeout(timer);
+      clearTimeout(settleTimer);
+      session.events.off("data", check);
+      session.events.off("exit", onExit);
+
+      const output = unreadOutput(session);
+      session.cursor = session.received;
+      session.lastActivity = Date.now();
+      const match = pattern ? output.match(pattern) : null;
+
+      const labels = {
+        matched: `Pattern matched: ${args.pattern}`,
+        settled: "Output settled",
+        exited: `Process exited (${session.exitCode})`,
+        timeout: `Timed out after ${timeout}ms${pattern ? ` waiting for ${args.pattern}` : ""}`,
+      };
+      resolve({
         content: [
           {
             type: "text",
-            text: `Background session started: ${sessionId}\nPID: ${proc.pid}\nDirectory: ${cwd}\nCommand: ${args.command}`,
+            text: `Session: ${session.id}\n${labels[status]}\n\n--- Output ---\n${output || "(no new output)"}`,
           },
         ],
-      };
+        structuredContent: {
+          session_id: session.id,
+          status,
+          matched: status === "matched",
+          match: match ? match[0] : null,
+          output,
+          exit_code: session.exitCode ?? null,
+        },
+      });
+    };
+
+    function check() {
+      if (pattern) {
+        if (pattern.test(unreadOutput(session))) done("matched");
+        return;
+      }
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => done("settled"), OUTPUT_SETTLE_MS);
+    }
+    function onExit() {
+      done(pattern && pattern.test(unreadOutput(session)) ? "matched" : "exited");
+    }
+
+    timer = setTimeout(() => done("timeout"), timeout);
+    session.events.on("data", check);
+    session.events.once("exit", onExit);
+
+    // Output that already arrived counts
+    if (pattern ? pattern.test(unreadOutput(session)) : unreadOutput(session)) {
+      check();
     }
+    if (session.exitCode !== undefined) {
+      onExit();
+    }
+  });
+}
+
+// Run a command-executing tool once the policy has allowed it
+function runApproved(name, args, context = {}) {
+  switch (name) {
+    case "execute_background":
+      return startBackground(args);
+    case "send_input":
+      return sendInput(args);
+    default:
+      return args.session_id
+        ? executeInShell(getSession(args.session_id), args, context)
+        : executeCommand(args, context);
+  }
+}
+
+/**
+ * Check a command against the command policy before it runs.
+ * Returns a tool result for blocked or confirm-required commands, or null
+ * when the command may run straight away. With approval elicitation set, a
+ * confirm-required command waits for the user's answer and returns null if
+ * they approve it.
+ * @param {string} name - Tool making the call
+ * @param {object} args - Tool arguments
+ * @param {object} options - For tools other than the command tools
+ * @param {string} options.command - Command line to check (default: command)
+ * @param {() => Promise<object>} options.run - Runs the call once approved
+ */
+export async function applyCommandPolicy(name, args, { command = args.command, run } = {}) {
+  const decision = await evaluateCommand(command);
+  const { rule } = decision;
+
+  if (decision.action === "deny") {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Command blocked by policy.\nCommand: ${command}\nRule: ${rule.pattern} (${rule.source})\nReason: ${rule.reason || "Denied by workspace policy"}`,
+        },
+      ],
+      structuredContent: {
+        status: "blocked",
+        command,
+        rule: rule.pattern,
+        source: rule.source,
+        reason: rule.reason || "Denied by workspace policy",
+      },
+      isError: true,
+    };
+  }
+
+  if (decision.action === "confirm") {
+    const approval = {
+      id: `approval_${++approvalCounter}`,
+      tool: name,
+      args,
+      run,
+      command,
+      cwd: args.cwd || getWorkingDir(),
+      rule: rule.pattern,
+      source: rule.source,
+      reason: rule.reason || "Requires confirmation by workspace policy",
+      created: new Date().toISOString(),
+    };
+    if (approvalElicitation) {
+      return await elicitApproval(approval);
+    }
+    pendingApprovals.set(approval.id, approval);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Command needs user approval before it runs.\nApproval ID: ${approval.id}\nCommand: ${approval.command}\nRule: ${approval.rule} (${approval.source})\nReason: ${approval.reason}\n\nThe command has NOT been run. Wait for the user to approve or reject it.`,
+        },
+      ],
+      structuredContent: {
+        status: "pending_approval",
+        approval_id: approval.id,
+        tool: name,
+        command: approval.command,
+        cwd: approval.cwd,
+        rule: approval.rule,
+        source: approval.source,
+        reason: approval.reason,
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Ask for command approvals through MCP elicitation instead of holding them
+ * for the /approvals endpoint
+ * @param {((params: object, options: {timeout: number}) => Promise<{action: string, content?: object}>)|null} elicit
+ *   - Sends an elicitation/create request; should throw when the client can't answer one
+ */
+export function setApprovalElicitation(elicit) {
+  approvalElicitation = elicit;
+}
+
+// Ask the user about a confirm-required command. Returns null when approved
+// (the caller runs it), otherwise a result saying it was not run.
+async function elicitApproval(approval) {
+  const notRun = (status, why) => ({
+    content: [{ type: "text", text: `${why}\nCommand: ${approval.command}\nIt was not run.` }],
+    structuredContent: { status, command: approval.command, rule: approval.rule, source: approval.source, reason: approval.reason },
+    isError: true,
+  });
+
+  let result;
+  try {
+    result = await approvalElicitation(
+      {
+        message: `Allow this command?\n\n${approval.command}\n\nReason: ${approval.reason}\nRule: ${approval.rule} (${approval.source})`,
+        requestedSchema: {
+          type: "object",
+          properties: {
+            approve: { type: "boolean", title: "Run the command", default: false },
+          },
+          required: ["approve"],
+        },
+      },
+      { timeout: APPROVAL_TIMEOUT }
+    );
+  } catch (error) {
+    return notRun("not_approved", `Command needs user approval, which could not be obtained (${error.message}).`);
+  }
+
+  if (result?.action === "accept" && result.content?.approve === true) {
+    return null;
+  }
+  return notRun("rejected", "User rejected the command.");
+}
+
+/**
+ * List commands waiting for user approval
+ * @returns {Array<object>}
+ */
+export function listPendingApprovals() {
+  return Array.from(pendingApprovals.values()).map(({ args, run, ...approval }) => approval);
+}
+
+/**
+ * Approve or reject a pending command. Approved commands run immediately.
+ * @param {string} id - Approval ID
+ * @param {boolean} approve - Whether the user approved the command
+ * @returns {Promise<{content: Array, isError?: boolean}>} - The command's tool result
+ */
+export async function resolveApproval(id, approve) {
+  const approval = pendingApprovals.get(id);
+  if (!approval) {
+    return {
+      content: [{ type: "text", text: `Approval not found: ${id}` }],
+      isError: true,
+    };
+  }
+  pendingApprovals.delete(id);
+
+  if (!approve) {
+    return {
+      content: [{ type: "text", text: `User rejected the command: ${approval.command}\nIt was not run.` }],
+      structuredContent: { status: "rejected", command: approval.command },
+      isError: true,
+    };
+  }
+
+  return approval.run ? await approval.run() : await runApproved(approval.tool, approval.args);
+}
+
+/**
+ * @param {string} name
+ * @param {object} args
+ * @param {object} context - Optional per-call hooks from the transport
+ * @param {(text: string) => void} context.onProgress - Receives streamed command output
+ * @param {AbortSignal} context.signal - Cancels a running command
+ */
+export async function handleBashTool(name, args, context = {}) {
+  switch (name) {
+    case "execute_command":
+    case "run_shell_command":
+    case "execute_background": {
+      // A persistent shell may start empty
+      if (args.command) {
+        const blocked = await applyCommandPolicy(name, args);
+        if (blocked) {
+          return blocked;
+        }
+      } else if (!args.shell) {
+        throw new Error("command is required");
+      }
+      return await runApproved(name, args, context);
+    }
+
+    case "send_input": {
+      // Any session may be running a shell (execute_background "bash", a
+      // REPL's system()), so every input is checked like a command
+      if (args.text) {
+        const blocked = await applyCommandPolicy(name, { ...args, command: args.text });
+        if (blocked) {
+          return blocked;
+        }
+      }
+      return sendInput(args);
+    }
+
+    case "wait_for_output":
+      return await waitForOutput(args);
 
     case "read_output": {
       const session = sessions.get(args.session_id);
@@ -268,12 +1253,20 @@ export async function handleBashTool(name, args) {
       }
 
       let status = session.exitCode !== undefined ? `Exited (${session.exitCode})` : "Running";
+      if (session.endReason) status += ` - ${session.endReason}`;
+      session.cursor = session.received;
+      session.lastActivity = Date.now();
+      await refreshPorts(session);
+
+      let details = "";
+      if (session.ports.length > 0) details += `\nPorts: ${session.ports.join(", ")}`;
+      if (session.ready) details += `\n${formatReady(session.ready)}`;
 
       return {
         content: [
           {
             type: "text",
-            text: `Session: ${session.id}\nStatus: ${status}\nDirectory: ${session.cwd}\nCommand: ${session.command}\n\n--- Output ---\n${session.output || "(no output yet)"}`,
+            text: `Session: ${session.id}\nStatus: ${status}\nDirectory: ${session.cwd}\nCommand: ${session.command}${details}\n\n--- Output ---\n${session.output || "(no output yet)"}`,
           },
         ],
       };
@@ -288,20 +1281,11 @@ export async function handleBashTool(name, args) {
         };
       }
 
-      try {
-        if (platform() === "win32") {
-          spawn("taskkill", ["/pid", session.pid.toString(), "/f", "/t"]);
-        } else {
-          process.kill(-session.pid, "SIGTERM");
-        }
-      } catch (e) {
-        // Process may have already exited
-      }
-
+      await killSession(session, "killed by kill_session");
       sessions.delete(args.session_id);
 
       return {
-        content: [{ type: "text", text: `Session killed: ${args.session_id}` }],
+        content: [{ type: "text", text: `Session killed: ${args.session_id} (process tree of PID ${session.pid})` }],
       };
     }
 
@@ -312,17 +1296,30 @@ export async function handleBashTool(name, args) {
         };
       }
 
+      await Promise.all(Array.from(sessions.values()).map(refreshPorts));
       const list = Array.from(sessions.values()).map((s) => ({
         id: s.id,
         command: s.command,
         cwd: s.cwd,
         pid: s.pid,
-        status: s.exitCode !== undefined ? `Exited (${s.exitCode})` : "Running",
+        type: s.shell ? "shell" : "command",
         startTime: s.startTime,
+        ...describeSession(s),
       }));
+      const limits = {
+        max_sessions: MAX_SESSIONS,
+        running: list.filter((s) => s.status !== "exited").length,
+        default_idle_timeout_minutes: DEFAULT_IDLE_MINUTES || null,
+      };
 
       return {
-        content: [{ type: "text", text: JSON.stringify(list, null, 2) }],
+        content: [
+          {
+            type: "text",
+            text: `Sessions: ${limits.running} running (limit ${MAX_SESSIONS}, idle timeout ${DEFAULT_IDLE_MINUTES ? `${DEFAULT_IDLE_MINUTES} min` : "off"})\n\n${JSON.stringify(list, null, 2)}`,
+          },
+        ],
+        structuredContent: { sessions: list, limits },
       };
     }
 
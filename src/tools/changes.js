@@ -0,0 +1,146 @@
+/**
+ * Change journal tools
+ * Undo, redo, and review file changes made by tools in this session
+ */
+
+import { listChanges, undoLastChange, redoLastChange, revertChanges } from "../utils/journal.js";
+
+export const changeTools = [
+  {
+    name: "undo_last_change",
+    description:
+      "Undo the most recent file change made by a tool (edit_file, write_file, replace_lines, move_file, delete_file, ...). Restores the files exactly as they were before.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+  {
+    name: "redo_last_change",
+    description: "Re-apply the most recently undone file change.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+  {
+    name: "list_changes",
+    description:
+      "List file changes made by tools in this session, with change IDs for revert_changes.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+  {
+    name: "revert_changes",
+    description:
+      "Undo every file change made at or after a point in this session, newest first.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        since: {
+          type: "string",
+          description: "Change ID from list_changes, or an ISO timestamp",
+        },
+      },
+      required: ["since"],
+    },
+  },
+];
+
+function formatEntry(entry) {
+  return `#${entry.id} ${entry.tool} (${entry.timestamp})\n${entry.before.map((s) => `  ${s.path}`).join("\n")}`;
+}
+
+export async function handleChangeTool(name, args) {
+  switch (name) {
+    case "undo_last_change": {
+      const entry = await undoLastChange();
+      if (!entry) {
+        return {
+          content: [{ type: "text", text: "No changes to undo" }],
+        };
+      }
+      if (entry.failed) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Could not undo change ${formatEntry(entry)}\n${entry.failed}\n\nIt is skipped from now on; undo again to continue with earlier changes.`,
+            },
+          ],
+          structuredContent: { undone: [], failed: [{ id: entry.id, reason: entry.failed }] },
+          isError: true,
+        };
+      }
+      return {
+        content: [{ type: "text", text: `Undid change ${formatEntry(entry)}` }],
+        structuredContent: { undone: [entry.id] },
+      };
+    }
+
+    case "redo_last_change": {
+      const entry = await redoLastChange();
+      if (!entry) {
+        return {
+          content: [{ type: "text", text: "No undone changes to redo" }],
+        };
+      }
+      return {
+        content: [{ type: "text", text: `Redid change ${formatEntry(entry)}` }],
+        structuredContent: { redone: [entry.id] },
+      };
+    }
+
+    case "list_changes": {
+      const changes = listChanges();
+      if (changes.length === 0) {
+        return {
+          content: [{ type: "text", text: "No changes recorded in this session" }],
+          structuredContent: { changes },
+        };
+      }
+
+      let output = "Changes this session (oldest first):\n\n";
+      changes.forEach((c) => {
+        output += `#${c.id} ${c.tool}${c.undone ? " [undone]" : ""}${c.failed ? " [undo failed]" : ""} - ${c.timestamp}\n`;
+        c.paths.forEach((p) => {
+          output += `    ${p}\n`;
+        });
+      });
+
+      return {
+        content: [{ type: "text", text: output }],
+        structuredContent: { changes },
+      };
+    }
+
+    case "revert_changes": {
+      const attempted = await revertChanges(args.since);
+      if (attempted.length === 0) {
+        return {
+          content: [{ type: "text", text: `No changes to revert since ${args.since}` }],
+        };
+      }
+      const reverted = attempted.filter((e) => !e.failed);
+      const failed = attempted.filter((e) => e.failed);
+
+      let text = `Reverted ${reverted.length} change(s):\n\n${reverted.map(formatEntry).join("\n")}`;
+      if (failed.length > 0) {
+        text += `\n\nCould not undo ${failed.length} change(s), skipped from now on:\n\n`;
+        text += failed.map((e) => `${formatEntry(e)}\n  ${e.failed}`).join("\n");
+      }
+      return {
+        content: [{ type: "text", text }],
+        structuredContent: {
+          undone: reverted.map((e) => e.id),
+          ...(failed.length > 0 && { failed: failed.map((e) => ({ id: e.id, reason: e.failed })) }),
+        },
+      };
+    }
+
+    default:
+      throw new Error(`Unknown change tool: ${name}`);
+  }
+}
@@ -6,7 +6,8 @@
 import fs from "fs/promises";
 import path from "path";
 import http from "http";
-import { resolvePath, getWorkingDir } from "../utils/paths.js";
+import { resolvePath, resolveWritablePath, getWorkingDir } from "../utils/paths.js";
+import { recordChange } from "../utils/journal.js";
 
 // Default ComfyUI server
 const COMFY_HOST = process.env.COMFY_HOST || "127.0.0.1";
@@ -650,7 +651,8 @@ async function loadWorkflow(filePath) {
 
 // Helper: Save workflow JSON
 async function saveWorkflow(filePath, workflow) {
-  const resolved = resolvePath(filePath);
+  const resolved = resolveWritablePath(filePath);
+  await recordChange("comfyui", [resolved]);
   await fs.writeFile(resolved, JSON.stringify(workflow, null, 2));
 }
 
@@ -1,24 +1,42 @@
 /**
  * Context and conversation management tools
  * Summarization, compression, and context tracking
+ *
+ * The conversation log is persisted per workspace and session by
+ * src/utils/conversation-log.js and compacted automatically.
  */
 
-import fs from "fs/promises";
 import path from "path";
 import os from "os";
 
+import {
+  appendEntry,
+  sessionContext,
+  compactLog,
+  saveSnapshot,
+  startSession,
+  searchLog,
+  getByLinks,
+  entryLink,
+} from "../utils/conversation-log.js";
+import { createStore } from "../utils/storage.js";
+
 const CONTEXT_DIR = path.join(os.homedir(), ".lmstudio-mcp-memory");
 const SUMMARIES_FILE = path.join(CONTEXT_DIR, "summaries.json");
 
-// In-memory conversation tracking
-let conversationLog = [];
-let summaries = [];
+// Schema 1: {checkpoints: {name: checkpoint}, history: [...]}
+const summaryStore = createStore({
+  file: SUMMARIES_FILE,
+  version: 1,
+  defaults: () => ({ checkpoints: {}, history: [] }),
+  migrations: { 0: (raw) => ({ checkpoints: {}, history: [], ...raw }) },
+});
 
 export const contextTools = [
   {
     name: "conversation_log",
     description:
-      "Log an important point from the conversation for later summarization. Use this to track key decisions, findings, or actions taken.",
+      "Log an important point from the conversation for later summarization. Use this to track key decisions, findings, or actions taken. The log is saved per workspace and session, searchable with conversation_search, and older entries are summarized automatically once it grows large.",
     inputSchema: {
       type: "object",
       properties: {
@@ -61,7 +79,44 @@ export const contextTools = [
         },
         clear_log: {
           type: "boolean",
-          description: "Clear the log after summarizing (default: false)",
+          description: "Compact the log after summarizing: entries are replaced by an LLM or extractive summary in the context but stay searchable (default: false)",
+        },
+      },
+    },
+  },
+  {
+    name: "conversation_search",
+    description:
+      "Full-text search of the conversation log, including entries already summarized away and earlier sessions. Also fetches entries by link (e.g. the [#12] citations in a summary).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Words or phrase to search for",
+        },
+        ids: {
+          type: "array",
+          items: { type: "string" },
+          description: "Entry links to fetch instead of searching: \"#12\", \"#3-#9\", \"S2\" (a summary), or \"<session>#12\"",
+        },
+        scope: {
+          type: "string",
+          enum: ["session", "workspace", "all"],
+          description: "Search this session, every session in this workspace, or every workspace (default: workspace)",
+        },
+        type: {
+          type: "string",
+          enum: ["decision", "action", "finding", "requirement", "question", "answer"],
+          description: "Only entries of this type",
+        },
+        since: {
+          type: "string",
+          description: "Only entries after this ISO date or time",
+        },
+        limit: {
+          type: "number",
+          description: "Maximum results (default: 10)",
         },
       },
     },
@@ -124,7 +179,7 @@ export const contextTools = [
   {
     name: "batch_tools",
     description:
-      "Execute multiple tool calls in sequence. Use this to run several operations together. Returns results from all tools.",
+      "Execute multiple tool calls in one step. Each entry is {name, args} for any available tool. Returns a table with each call's status and timing, followed by every result. Set parallel to run independent read-only calls (read_file, grep_search, git_status, ...) at the same time. Questions (ask_user, confirm, ...) are asked in order and the batch waits for each answer.",
     inputSchema: {
       type: "object",
       properties: {
@@ -147,166 +202,301 @@ export const contextTools = [
           type: "boolean",
           description: "Stop execution if any tool fails (default: true)",
         },
+        parallel: {
+          type: "boolean",
+          description: "Run consecutive read-only calls concurrently (default: false). Calls that modify anything still run one at a time, in order.",
+        },
       },
       required: ["tools"],
     },
   },
 ];
 
-async function ensureDir() {
-  await fs.mkdir(CONTEXT_DIR, { recursive: true });
+// Tools with no side effects, safe to run concurrently in batch_tools parallel mode
+const READ_ONLY_TOOLS = new Set([
+  "read_file", "read_files", "list_directory", "list_dir", "file_info", "get_working_directory",
+  "glob_search", "grep_search", "find_definition", "semantic_search", "repo_map",
+  "workspace_symbols", "list_symbols", "go_to_definition", "find_references",
+  "git_status", "git_diff", "git_log", "git_blame", "git_show", "git_conflicts", "git_prepare_commit",
+  "web_search", "web_fetch", "wikipedia",
+  "notebook_read", "read_image", "read_pdf",
+  "task_list", "conversation_search", "memory_recall", "memory_list", "scratchpad_read", "scratchpad_list",
+  "plan_status", "plan_history", "list_skills", "load_skill",
+  "comfy_read_workflow", "comfy_list_nodes", "comfy_find_node", "comfy_get_prompts",
+  "comfy_analyze_workflow", "comfy_api_status", "comfy_api_history",
+  "get_current_time", "calculator",
+]);
+
+// Accept the entry shapes models produce: {name, args}, {tool, arguments}, args as a JSON string
+function normalizeBatchEntry(entry) {
+  const name = entry?.name || entry?.tool || entry?.tool_name;
+  let args = entry?.args ?? entry?.arguments ?? entry?.parameters ?? {};
+  if (typeof args === "string") {
+    try {
+      args = JSON.parse(args);
+    } catch {
+      args = {};
+    }
+  }
+  return { name, args };
+}
+
+async function runBatchCall(index, entry, callTool, canonicalName, context) {
+  const { name, args } = normalizeBatchEntry(entry);
+  const started = Date.now();
+
+  let response;
+  if (!name) {
+    response = { content: [{ type: "text", text: "Missing tool name" }], isError: true };
+  } else if (canonicalName(name) === "batch_tools") {
+    response = { content: [{ type: "text", text: "batch_tools cannot be nested" }], isError: true };
+  } else {
+    response = await callTool(name, args, context);
+  }
+
+  const output = (response.content || [])
+    .filter((c) => c.type === "text")
+    .map((c) => c.text)
+    .join("\n");
+
+  return {
+    index,
+    name: name || "(none)",
+    status: response.isError ? "error" : "ok",
+    ms: Date.now() - started,
+    output,
+  };
 }
 
-async function loadSummaries() {
-  try {
-    const data = await fs.readFile(SUMMARIES_FILE, "utf-8");
-    return JSON.parse(data);
-  } catch {
-    return { checkpoints: {}, history: [] };
+// Nested calls get the batch's context, so cancelling the batch cancels them
+// and their progress reaches the client
+async function runBatch(args, context = {}) {
+  // Imported lazily: the registry imports this module
+  const { callTool, TOOL_ALIASES } = await import("../registry.js");
+  const canonicalName = (name) => TOOL_ALIASES[name] || name;
+
+  const calls = Array.isArray(args.tools) ? args.tools : [];
+  const stopOnError = args.stop_on_error !== false;
+  const results = [];
+  let stopped = false;
+
+  for (let i = 0; i < calls.length && !stopped; ) {
+    // Group consecutive read-only calls when running in parallel mode
+    let end = i + 1;
+    if (args.parallel) {
+      const isReadOnly = (entry) => READ_ONLY_TOOLS.has(canonicalName(normalizeBatchEntry(entry).name));
+      if (isReadOnly(calls[i])) {
+        while (end < calls.length && isReadOnly(calls[end])) end++;
+      }
+    }
+
+    const group = calls.slice(i, end).map((entry, k) => runBatchCall(i + k, entry, callTool, canonicalName, context));
+    const groupResults = await Promise.all(group);
+    results.push(...groupResults);
+
+    if ((stopOnError && groupResults.some((r) => r.status === "error")) || context.signal?.aborted) {
+      stopped = true;
+    }
+    i = end;
+  }
+
+  for (let i = results.length; i < calls.length; i++) {
+    results.push({ index: i, name: normalizeBatchEntry(calls[i]).name || "(none)", status: "skipped", ms: 0, output: "" });
+  }
+
+  return results;
+}
+
+// Log entries grouped by type, each with its link
+function groupedSummary(entries, args) {
+  const byType = {};
+  for (const entry of entries) {
+    if (!byType[entry.type]) byType[entry.type] = [];
+    byType[entry.type].push(entry);
+  }
+
+  const item = (e) => `${e.content} [#${e.id}]`;
+
+  let summary = "Conversation Summary\n";
+  summary += "═".repeat(50) + "\n\n";
+
+  if (args.focus) {
+    summary += `Focus: ${args.focus}\n\n`;
+  }
+
+  // Decisions
+  if ((args.include_decisions !== false) && byType.decision) {
+    summary += "Decisions Made:\n";
+    byType.decision.forEach((e) => {
+      summary += `  • ${item(e)}\n`;
+    });
+    summary += "\n";
+  }
+
+  // Actions
+  if ((args.include_actions !== false) && byType.action) {
+    summary += "Actions Taken:\n";
+    byType.action.forEach((e) => {
+      summary += `  • ${item(e)}\n`;
+    });
+    summary += "\n";
+  }
+
+  // Findings
+  if (byType.finding) {
+    summary += "Key Findings:\n";
+    byType.finding.forEach((e) => {
+      summary += `  • ${item(e)}\n`;
+    });
+    summary += "\n";
+  }
+
+  // Requirements
+  if (byType.requirement) {
+    summary += "Requirements:\n";
+    byType.requirement.forEach((e) => {
+      summary += `  • ${item(e)}\n`;
+    });
+    summary += "\n";
+  }
+
+  // Q&A
+  if (byType.question || byType.answer) {
+    summary += "Questions & Answers:\n";
+    (byType.question || []).forEach((e) => {
+      summary += `  Q: ${item(e)}\n`;
+    });
+    (byType.answer || []).forEach((e) => {
+      summary += `  A: ${item(e)}\n`;
+    });
+    summary += "\n";
   }
+
+  summary += `Total entries: ${entries.length}`;
+  return summary;
 }
 
-async function saveSummaries(data) {
-  await ensureDir();
-  await fs.writeFile(SUMMARIES_FILE, JSON.stringify(data, null, 2));
+function describeMethod(summary) {
+  if (summary.method === "llm") return `LLM summary, ${summary.model}`;
+  if (summary.method === "extractive") return "extractive summary";
+  return "grouped summary";
 }
 
-export async function handleContextTool(name, args) {
+export async function handleContextTool(name, args, context = {}) {
   switch (name) {
     case "conversation_log": {
-      const entry = {
+      const entry = await appendEntry({
         content: args.entry,
         type: args.type || "finding",
         importance: args.importance || "medium",
-        timestamp: new Date().toISOString(),
-      };
-
-      conversationLog.push(entry);
+      });
 
       return {
         content: [
           {
             type: "text",
-            text: `Logged [${entry.type}]: ${entry.content}`,
+            text: `Logged #${entry.id} [${entry.type}]: ${entry.content}`,
           },
         ],
       };
     }
 
     case "conversation_summarize": {
-      if (conversationLog.length === 0) {
+      const { entries } = await sessionContext();
+      if (entries.length === 0) {
         return {
           content: [{ type: "text", text: "No conversation entries to summarize." }],
         };
       }
 
-      // Group by type
-      const byType = {};
-      for (const entry of conversationLog) {
-        if (!byType[entry.type]) byType[entry.type] = [];
-        byType[entry.type].push(entry);
-      }
-
-      let summary = "Conversation Summary\n";
-      summary += "═".repeat(50) + "\n\n";
+      let summary = groupedSummary(entries, args);
 
-      if (args.focus) {
-        summary += `Focus: ${args.focus}\n\n`;
+      // Clear if requested: the entries leave the context but stay searchable
+      if (args.clear_log) {
+        const compacted = await compactLog({ all: true });
+        summary += `\n\n(Log compacted into ${compacted.id} with ${describeMethod(compacted)}; entries #${compacted.from}-#${compacted.to} remain searchable)`;
+      } else {
+        await saveSnapshot(summary, entries);
       }
 
-      // Decisions
-      if ((args.include_decisions !== false) && byType.decision) {
-        summary += "Decisions Made:\n";
-        byType.decision.forEach((e) => {
-          summary += `  • ${e.content}\n`;
-        });
-        summary += "\n";
-      }
+      return {
+        content: [{ type: "text", text: summary }],
+      };
+    }
 
-      // Actions
-      if ((args.include_actions !== false) && byType.action) {
-        summary += "Actions Taken:\n";
-        byType.action.forEach((e) => {
-          summary += `  • ${e.content}\n`;
-        });
-        summary += "\n";
+    case "conversation_search": {
+      if (!args.query && !args.ids?.length) {
+        return {
+          content: [{ type: "text", text: "Provide a query or ids to fetch" }],
+          isError: true,
+        };
       }
 
-      // Findings
-      if (byType.finding) {
-        summary += "Key Findings:\n";
-        byType.finding.forEach((e) => {
-          summary += `  • ${e.content}\n`;
-        });
-        summary += "\n";
-      }
+      const { results, missing = [], searched } = args.ids?.length
+        ? await getByLinks(args.ids)
+        : await searchLog(args.query, {
+            scope: args.scope || "workspace",
+            type: args.type,
+            since: args.since,
+            limit: args.limit || 10,
+          });
+
+      let output = args.ids?.length
+        ? `Conversation entries: ${args.ids.join(", ")}\n`
+        : `Conversation search: "${args.query}" (${args.scope || "workspace"})\n`;
+      output += "═".repeat(50) + "\n\n";
 
-      // Requirements
-      if (byType.requirement) {
-        summary += "Requirements:\n";
-        byType.requirement.forEach((e) => {
-          summary += `  • ${e.content}\n`;
-        });
-        summary += "\n";
+      if (results.length === 0) {
+        output += args.ids?.length ? "Nothing found for those links." : `No matches in ${searched.records} entries from ${searched.sessions} session(s).`;
       }
 
-      // Q&A
-      if (byType.question || byType.answer) {
-        summary += "Questions & Answers:\n";
-        (byType.question || []).forEach((e) => {
-          summary += `  Q: ${e.content}\n`;
-        });
-        (byType.answer || []).forEach((e) => {
-          summary += `  A: ${e.content}\n`;
-        });
-        summary += "\n";
+      for (const r of results) {
+        const score = r.score !== undefined ? ` (score ${r.score})` : "";
+        if (r.kind === "summary") {
+          output += `${r.link} summary of #${r.from}-#${r.to}, ${r.timestamp}${score}\n${r.text}\n\n`;
+        } else {
+          const where = r.summarized_in ? `, summarized in ${r.summarized_in}` : "";
+          output += `${r.link} [${r.type}] ${r.timestamp}${score}${where}\n${r.content}\n\n`;
+        }
       }
 
-      summary += `Total entries: ${conversationLog.length}`;
-
-      // Store summary
-      summaries.push({
-        summary,
-        timestamp: new Date().toISOString(),
-        entryCount: conversationLog.length,
-      });
-
-      // Clear if requested
-      if (args.clear_log) {
-        conversationLog = [];
-        summary += "\n\n(Log cleared)";
+      if (missing.length > 0) {
+        output += `Not found: ${missing.join(", ")}\n`;
       }
 
       return {
-        content: [{ type: "text", text: summary }],
+        content: [{ type: "text", text: output.trimEnd() }],
+        structuredContent: { results, ...(missing.length > 0 && { missing }) },
       };
     }
 
     case "conversation_checkpoint": {
-      const data = await loadSummaries();
-
-      data.checkpoints[args.name] = {
-        log: [...conversationLog],
-        summaries: [...summaries],
-        state: args.state || {},
-        notes: args.notes,
-        created: new Date().toISOString(),
-      };
-
-      await saveSummaries(data);
+      const context = await sessionContext();
+
+      await summaryStore.update((data) => {
+        data.checkpoints[args.name] = {
+          session: context.session,
+          // Every entry, so the links in compacting summaries still resolve after a restore
+          log: context.history,
+          summaries: context.summaries,
+          state: args.state || {},
+          notes: args.notes,
+          created: new Date().toISOString(),
+        };
+      });
 
       return {
         content: [
           {
             type: "text",
-            text: `Checkpoint saved: "${args.name}"\nEntries: ${conversationLog.length}\nSummaries: ${summaries.length}`,
+            text: `Checkpoint saved: "${args.name}"\nEntries: ${context.history.length}\nSummaries: ${context.summaries.length}`,
           },
         ],
       };
     }
 
     case "conversation_restore": {
-      const data = await loadSummaries();
+      const data = await summaryStore.read();
       const checkpoint = data.checkpoints[args.name];
 
       if (!checkpoint) {
@@ -316,13 +506,14 @@ export async function handleContextTool(name, args) {
         };
       }
 
-      conversationLog = checkpoint.log || [];
-      summaries = checkpoint.summaries || [];
+      // The restored log continues in a new session; the current one stays searchable
+      const session = await startSession({ entries: checkpoint.log || [], summaries: checkpoint.summaries || [] });
 
       let output = `Restored checkpoint: "${args.name}"\n`;
       output += `Created: ${checkpoint.created}\n`;
-      output += `Entries: ${conversationLog.length}\n`;
-      output += `Summaries: ${summaries.length}\n`;
+      output += `Entries: ${(checkpoint.log || []).length}\n`;
+      output += `Summaries: ${(checkpoint.summaries || []).length}\n`;
+      output += `Session: ${session}\n`;
 
       if (checkpoint.notes) {
         output += `\nNotes: ${checkpoint.notes}`;
@@ -334,28 +525,35 @@ export async function handleContextTool(name, args) {
     }
 
     case "conversation_context": {
+      const { session, entries, summaries } = await sessionContext();
+
       let output = "Current Conversation Context\n";
-      output += "═".repeat(50) + "\n\n";
+      output += "═".repeat(50) + "\n";
+      output += `Session: ${session}\n\n`;
 
       if (args.include_summaries !== false && summaries.length > 0) {
         output += "Previous Summaries:\n";
         output += "─".repeat(40) + "\n";
-        summaries.forEach((s, i) => {
-          output += `[${i + 1}] ${s.timestamp}\n`;
-          output += s.summary + "\n\n";
+        summaries.forEach((s) => {
+          const range = s.from !== null && s.from !== undefined ? ` covers #${s.from}-#${s.to}` : "";
+          output += `[${s.id}] ${s.timestamp}${range} (${describeMethod(s)})\n`;
+          output += s.text + "\n\n";
         });
+        if (summaries.some((s) => s.compacts)) {
+          output += "Use conversation_search with ids (e.g. \"#3-#9\") to read summarized entries.\n\n";
+        }
       }
 
-      if (args.include_log !== false && conversationLog.length > 0) {
+      if (args.include_log !== false && entries.length > 0) {
         output += "Current Log:\n";
         output += "─".repeat(40) + "\n";
-        conversationLog.forEach((e) => {
+        entries.forEach((e) => {
           const imp = e.importance === "high" ? "❗" : e.importance === "low" ? "  " : " ";
-          output += `${imp}[${e.type}] ${e.content}\n`;
+          output += `${imp}${entryLink(session, e.id)} [${e.type}] ${e.content}\n`;
         });
       }
 
-      if (conversationLog.length === 0 && summaries.length === 0) {
+      if (entries.length === 0 && summaries.length === 0) {
         output += "(No context logged yet)";
       }
 
@@ -365,22 +563,34 @@ export async function handleContextTool(name, args) {
     }
 
     case "batch_tools": {
-      // This is a meta-tool - it returns instructions for the model
-      // The actual execution would need to be handled by the caller
+      const started = Date.now();
+      const results = await runBatch(args, context);
+      const failed = results.filter((r) => r.status === "error").length;
+      const skipped = results.filter((r) => r.status === "skipped").length;
+
       let output = `Batch Execution: ${args.description || "Multiple tools"}\n`;
       output += "═".repeat(50) + "\n\n";
 
-      output += "Tools to execute:\n";
-      args.tools.forEach((tool, i) => {
-        output += `${i + 1}. ${tool.name}\n`;
-        output += `   Args: ${JSON.stringify(tool.args)}\n`;
+      output += "| # | Tool | Status | Time |\n";
+      output += "|---|------|--------|------|\n";
+      results.forEach((r) => {
+        output += `| ${r.index + 1} | ${r.name} | ${r.status} | ${r.ms}ms |\n`;
       });
 
-      output += `\nStop on error: ${args.stop_on_error !== false}\n`;
-      output += "\nNote: Execute each tool in sequence and collect results.";
+      output += `\n${results.length - failed - skipped} succeeded, ${failed} failed, ${skipped} skipped`;
+      output += ` in ${Date.now() - started}ms${args.parallel ? " (parallel)" : ""}\n`;
+
+      results
+        .filter((r) => r.status !== "skipped")
+        .forEach((r) => {
+          output += `\n--- ${r.index + 1}. ${r.name} (${r.status}) ---\n${r.output || "(no output)"}\n`;
+        });
 
       return {
         content: [{ type: "text", text: output }],
+        structuredContent: { results },
+        // Only an error when nothing in the batch succeeded
+        isError: failed > 0 && failed === results.length - skipped,
       };
     }
 
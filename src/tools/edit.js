@@ -1,11 +1,47 @@
 import fs from "fs/promises";
-import { resolvePath } from "../utils/paths.js";
+import path from "path";
+import { resolveWritablePath, relativePath } from "../utils/paths.js";
+import { recordChange } from "../utils/journal.js";
+import { unifiedDiff, truncateDiff } from "../utils/diff.js";
+import { parsePatch, applyHunks } from "../utils/patch.js";
+import { findMatches, replaceRanges, DEFAULT_SIMILARITY_THRESHOLD, MIN_CLOSEST_SIMILARITY } from "../utils/match.js";
+import {
+  readTextFile,
+  writeTextFile,
+  defaultFormat,
+  adaptText,
+  splitLines,
+  joinLines,
+  normalizeText,
+  finishText,
+  describeFormat,
+} from "../utils/text-file.js";
+
+// Shared by every edit tool: preview the change without writing
+const dryRunProperty = {
+  type: "boolean",
+  description: "Return a unified diff of the change without writing the file (default: false)",
+};
+
+// Shared by the single-file edit tools: the file's format is kept unless this asks otherwise
+const normalizeProperty = {
+  type: "object",
+  description: "Convert the whole file while editing. By default line endings, encoding, BOM, final newline, and indentation are kept as they are.",
+  properties: {
+    line_endings: { type: "string", enum: ["lf", "crlf"], description: "Line ending style" },
+    encoding: { type: "string", enum: ["utf-8", "utf-16le", "utf-16be", "latin1"], description: "Text encoding" },
+    bom: { type: "boolean", description: "Write a byte order mark" },
+    final_newline: { type: "boolean", description: "End the file with a newline" },
+    indent: { type: "string", enum: ["tabs", "spaces"], description: "Leading indentation style" },
+    indent_size: { type: "number", description: "Spaces per level when indent is spaces (default: detected, else 4)" },
+  },
+};
 
 export const editTools = [
   {
     name: "edit_file",
     description:
-      "Make a precise edit to a file by replacing an exact string with new content. You must provide the exact text to replace, including whitespace and indentation. Use read_file first to see the current content.",
+      "Make a precise edit to a file by replacing an exact string with new content. Provide the exact text to replace, including whitespace and indentation; use read_file first to see the current content. If there is no exact match, line-ending differences, indentation differences, and then a close similarity match are tried, and the response says which one matched.",
     inputSchema: {
       type: "object",
       properties: {
@@ -25,10 +61,36 @@ export const editTools = [
           type: "boolean",
           description: "Replace all occurrences (default: false, replaces first only)",
         },
+        similarity_threshold: {
+          type: "number",
+          description: `Minimum similarity (0-1) for the fuzzy fallback when old_string is not found exactly (default: ${DEFAULT_SIMILARITY_THRESHOLD})`,
+        },
+        dry_run: dryRunProperty,
+        normalize: normalizeProperty,
       },
       required: ["file_path", "old_string", "new_string"],
     },
   },
+  {
+    name: "apply_patch",
+    description:
+      "Apply a unified diff (or git diff) to one or more files. Supports creating, deleting, and renaming files. Context is matched fuzzily, so small whitespace or line-number drift is fine. All-or-nothing: if any hunk fails, no file is changed and the failing hunks are reported.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        patch: {
+          type: "string",
+          description: "Unified diff text with ---/+++ file headers and @@ hunks",
+        },
+        fuzz: {
+          type: "number",
+          description: "Context lines that may be ignored at each end of a hunk when it does not match exactly (default: 2, 0 for exact context)",
+        },
+        dry_run: dryRunProperty,
+      },
+      required: ["patch"],
+    },
+  },
   {
     name: "insert_at_line",
     description: "Insert content at a specific line number in a file.",
@@ -47,6 +109,8 @@ export const editTools = [
           type: "string",
           description: "Content to insert",
         },
+        dry_run: dryRunProperty,
+        normalize: normalizeProperty,
       },
       required: ["file_path", "line", "content"],
     },
@@ -73,6 +137,8 @@ export const editTools = [
           type: "string",
           description: "New content to replace the lines with",
         },
+        dry_run: dryRunProperty,
+        normalize: normalizeProperty,
       },
       required: ["file_path", "start_line", "end_line", "content"],
     },
@@ -91,6 +157,8 @@ export const editTools = [
           type: "string",
           description: "Content to append",
         },
+        dry_run: dryRunProperty,
+        normalize: normalizeProperty,
       },
       required: ["file_path", "content"],
     },
@@ -109,65 +177,356 @@ export const editTools = [
           type: "string",
           description: "Content to prepend",
         },
+        dry_run: dryRunProperty,
+        normalize: normalizeProperty,
       },
       required: ["file_path", "content"],
     },
   },
 ];
 
+// Structured form of a file's format, for tool results
+function formatInfo(format) {
+  return {
+    encoding: format.encoding,
+    bom: format.bom,
+    line_endings: format.mixedEol ? "mixed" : { "\r\n": "crlf", "\n": "lf", "\r": "cr" }[format.eol],
+    final_newline: format.finalNewline,
+    indent: format.indent.type ? `${format.indent.type}s` : null,
+    indent_size: format.indent.type === "space" ? format.indent.size : undefined,
+  };
+}
+
+// Plain LF, UTF-8 files go unremarked; anything else is called out so it's clear it was kept
+function isPlainFormat(format) {
+  return format.eol === "\n" && !format.mixedEol && format.encoding === "utf-8" && !format.bom;
+}
+
+/**
+ * Write an edited file, or only preview it when args.dry_run is set.
+ * Either way the response carries a unified diff of the change.
+ * The file is written back in the format it was read in - encoding, BOM,
+ * line endings, and final newline - unless args.normalize asks otherwise.
+ * @param {string} tool - Name of the edit tool
+ * @param {string} filePath - Resolved file path
+ * @param {{content: string, format: object}} file - Content and format before the edit, from readTextFile
+ * @param {string} newContent - Content after the edit
+ * @param {object} args - Tool arguments
+ * @param {string} summary - Success message
+ * @param {object} options - `detail` is appended to the summary; other fields go into structuredContent
+ */
+async function applyEdit(tool, filePath, file, newContent, args, summary, { detail = "", ...extra } = {}) {
+  const normalized = normalizeText(newContent, file.format, args.normalize);
+  const format = normalized.format;
+  const finalContent = finishText(normalized.content, format);
+
+  const label = relativePath(filePath);
+  const { diff, additions, deletions } = unifiedDiff(file.content, finalContent, {
+    fromFile: `a/${label}`,
+    toFile: `b/${label}`,
+  });
+  const stats = `+${additions} -${deletions}`;
+  if (normalized.changes.length > 0) {
+    detail += ` [normalized: ${normalized.changes.join(", ")}]`;
+  } else if (!isPlainFormat(format)) {
+    detail += ` [kept ${describeFormat(format)}]`;
+  }
+  const structured = { file: filePath, diff, additions, deletions, format: formatInfo(format), ...extra };
+  if (normalized.changes.length > 0) structured.normalized = normalized.changes;
+
+  if (args.dry_run) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Dry run - ${filePath} was not modified${detail} (${stats})\n\n${diff || "(no changes)"}`,
+        },
+      ],
+      structuredContent: { ...structured, dry_run: true },
+    };
+  }
+
+  await recordChange(tool, [filePath]);
+  await writeTextFile(filePath, finalContent, format);
+
+  return {
+    content: [{ type: "text", text: `${summary}${detail} (${stats})\n\n${truncateDiff(diff) || "(no changes)"}` }],
+    structuredContent: structured,
+  };
+}
+
+const MATCH_TIERS = {
+  exact: "exact",
+  "line-endings": "line endings normalized",
+  indentation: "indentation-insensitive",
+  similarity: "similarity",
+};
+
+// Explain a failed edit_file match, showing the closest region (when it is similar enough) so the model can retry
+function matchNotFound(filePath, oldString, found) {
+  let text = "Error: The string to replace was not found in the file (tried exact, line-ending-normalized, indentation-insensitive, and similarity matching).";
+  const closest = found && found.score >= MIN_CLOSEST_SIMILARITY ? found : null;
+
+  if (closest) {
+    const numbered = closest.text
+      .split("\n")
+      .map((line, i) => `${String(closest.startLine + i).padStart(6)}\t${line}`)
+      .join("\n");
+    const { diff } = unifiedDiff(`${closest.text}\n`, `${oldString.replace(/\r\n/g, "\n").replace(/\n$/, "")}\n`, {
+      fromFile: `${relativePath(filePath)} (lines ${closest.startLine}-${closest.endLine})`,
+      toFile: "old_string",
+    });
+    text += `\n\nClosest match: lines ${closest.startLine}-${closest.endLine} (${Math.round(closest.score * 100)}% similar):\n${numbered}`;
+    text += `\n\nDifference between the file and your old_string:\n${truncateDiff(diff, 40)}`;
+    text += "\n\nRetry with old_string copied exactly from the lines above.";
+  } else {
+    text += `\n\nNothing similar was found${found?.score > 0 ? ` (the closest region is only ${Math.round(found.score * 100)}% similar)` : ""}.`;
+    text += " Make sure you're using the exact text including whitespace and indentation. Use read_file first to see the current content.";
+  }
+
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: { closest },
+    isError: true,
+  };
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await readTextFile(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+function formatHunkResult(r) {
+  if (r.status === "rejected") {
+    return `    hunk ${r.hunk}: REJECTED - ${r.reason}`;
+  }
+  const notes = [];
+  if (r.offset) notes.push(`offset ${r.offset > 0 ? "+" : ""}${r.offset}`);
+  if (r.fuzz) notes.push(`fuzz ${r.fuzz}`);
+  if (r.whitespace) notes.push("ignoring whitespace");
+  return `    hunk ${r.hunk}: applied at line ${r.line}${notes.length ? ` (${notes.join(", ")})` : ""}`;
+}
+
+// Write a checked patch plan, marking each file once it has been touched
+async function writePlanned(planned) {
+  for (const p of planned) {
+    p.touched = true;
+    if (p.type === "delete") {
+      await fs.rm(p.oldPath);
+      continue;
+    }
+    await fs.mkdir(path.dirname(p.newPath), { recursive: true });
+    await writeTextFile(p.newPath, p.after, p.format);
+    if (p.type === "rename") {
+      await fs.rm(p.oldPath);
+    }
+  }
+}
+
+// Put back every touched file from its planned content; returns the paths that could not be restored
+async function rollBack(planned) {
+  const unrestored = [];
+  for (const p of planned.filter((p) => p.touched).reverse()) {
+    try {
+      if (p.type === "create" || p.type === "rename") {
+        await fs.rm(p.newPath, { force: true });
+      }
+      if (p.type !== "create") {
+        await writeTextFile(p.oldPath, p.before, p.format);
+      }
+    } catch {
+      unrestored.push(relativePath(p.newPath || p.oldPath));
+    }
+  }
+  return unrestored;
+}
+
+/**
+ * Apply a multi-file patch. Every file is patched in memory first and
+ * nothing is written unless all hunks of all files apply.
+ */
+async function applyPatch(args) {
+  const filePatches = parsePatch(args.patch);
+  if (filePatches.length === 0) {
+    return {
+      content: [{ type: "text", text: "Error: No file changes found in patch. Expected ---/+++ file headers followed by @@ hunks." }],
+      isError: true,
+    };
+  }
+
+  const fuzz = args.fuzz ?? 2;
+  const planned = [];
+  const report = [];
+  let failed = false;
+
+  for (const fp of filePatches) {
+    const label = fp.type === "rename" ? `${fp.oldPath} -> ${fp.newPath}` : fp.newPath || fp.oldPath;
+    const entry = { type: fp.type, file: label, hunks: [] };
+    report.push(entry);
+
+    try {
+      if (fp.binary) throw new Error("binary patches are not supported");
+
+      const oldPath = fp.oldPath ? resolveWritablePath(fp.oldPath) : null;
+      const newPath = fp.newPath ? resolveWritablePath(fp.newPath) : null;
+      const existing = oldPath ? await readIfExists(oldPath) : { content: "", format: defaultFormat() };
+
+      if (fp.type === "create" && (await readIfExists(newPath)) !== null) {
+        throw new Error("file already exists");
+      }
+      if (fp.type !== "create" && existing === null) {
+        throw new Error("file not found");
+      }
+      if (fp.type === "rename" && (await readIfExists(newPath)) !== null) {
+        throw new Error(`rename target already exists: ${fp.newPath}`);
+      }
+
+      // Hunks set the final newline themselves; encoding, BOM, and line endings are kept
+      const { content: before, format } = existing;
+      const { content: after, results } = applyHunks(before, fp.hunks, fuzz);
+      entry.hunks = results;
+      if (results.some((r) => r.status === "rejected")) {
+        failed = true;
+        continue;
+      }
+      if (fp.type === "delete" && after.trim() !== "" && fp.hunks.length > 0) {
+        throw new Error("delete patch does not remove the whole file");
+      }
+
+      planned.push({ ...fp, oldPath, newPath, before, after, format });
+    } catch (error) {
+      entry.error = error.message;
+      failed = true;
+    }
+  }
+
+  const codes = { modify: "M", create: "A", delete: "D", rename: "R" };
+  const hunkCount = report.reduce((n, e) => n + e.hunks.length, 0);
+  const applied = report.reduce((n, e) => n + e.hunks.filter((h) => h.status === "applied").length, 0);
+  const details = report
+    .map((e) => [`  ${codes[e.type]} ${e.file}${e.error ? ` - ERROR: ${e.error}` : ""}`, ...e.hunks.map(formatHunkResult)].join("\n"))
+    .join("\n");
+
+  if (failed) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Patch NOT applied - no files were changed. ${applied}/${hunkCount} hunk(s) matched.\n\n${details}\n\nUse read_file to check the current content, then fix the rejected hunks' context lines.`,
+        },
+      ],
+      structuredContent: { applied: false, files: report },
+      isError: true,
+    };
+  }
+
+  // Diffs of the final result, for the response and the chat UI
+  const diffs = planned.map((p) => {
+    const from = p.oldPath ? `a/${relativePath(p.oldPath)}` : "/dev/null";
+    const to = p.type === "delete" ? "/dev/null" : `b/${relativePath(p.newPath)}`;
+    return unifiedDiff(p.before, p.type === "delete" ? "" : p.after, { fromFile: from, toFile: to });
+  });
+  const diff = diffs.map((d) => d.diff).filter(Boolean).join("\n");
+  const additions = diffs.reduce((n, d) => n + d.additions, 0);
+  const deletions = diffs.reduce((n, d) => n + d.deletions, 0);
+  const summary = `${planned.length} file(s), ${applied}/${hunkCount} hunk(s), +${additions} -${deletions}`;
+  const structuredContent = {
+    applied: !args.dry_run,
+    file: planned.map((p) => p.newPath || p.oldPath).join(", "),
+    files: report,
+    diff,
+    additions,
+    deletions,
+  };
+
+  if (args.dry_run) {
+    return {
+      content: [{ type: "text", text: `Dry run - patch applies cleanly (${summary}). No files were changed.\n\n${details}\n\n${diff}` }],
+      structuredContent: { ...structuredContent, dry_run: true },
+    };
+  }
+
+  await recordChange("apply_patch", planned.flatMap((p) => [p.oldPath, p.newPath].filter(Boolean)));
+  try {
+    await writePlanned(planned);
+  } catch (error) {
+    const unrestored = await rollBack(planned);
+    const outcome = unrestored.length === 0
+      ? "Files already written were restored, so no files were changed."
+      : `Some files could not be restored: ${unrestored.join(", ")}. Use undo_last_change or read_file to check them.`;
+    return {
+      content: [{ type: "text", text: `Patch NOT applied - writing failed: ${error.message}\n${outcome}\n\n${details}` }],
+      structuredContent: { applied: false, files: report, error: error.message, ...(unrestored.length > 0 && { unrestored }) },
+      isError: true,
+    };
+  }
+
+  return {
+    content: [{ type: "text", text: `Patch applied (${summary})\n\n${details}\n\n${truncateDiff(diff)}` }],
+    structuredContent,
+  };
+}
+
 export async function handleEditTool(name, args) {
   switch (name) {
     case "edit_file": {
-      const filePath = resolvePath(args.file_path);
-      const content = await fs.readFile(filePath, "utf-8");
+      const filePath = resolveWritablePath(args.file_path);
+      const file = await readTextFile(filePath);
+      const { content } = file;
+
+      if (!args.old_string) {
+        return {
+          content: [{ type: "text", text: "Error: old_string is empty. Use insert_at_line, prepend_to_file, or append_to_file to add new text." }],
+          isError: true,
+        };
+      }
 
-      // Check if old_string exists
-      if (!content.includes(args.old_string)) {
+      const match = findMatches(content, args.old_string, adaptText(args.new_string, file.format), {
+        threshold: args.similarity_threshold ?? DEFAULT_SIMILARITY_THRESHOLD,
+      });
+      if (!match.tier) {
+        return matchNotFound(filePath, args.old_string, match.closest);
+      }
+
+      // Check if old_string is unique (when not replacing all)
+      if (!args.replace_all && match.ranges.length > 1) {
         return {
           content: [
             {
               type: "text",
-              text: `Error: The string to replace was not found in the file.\n\nMake sure you're using the exact text including whitespace and indentation. Use read_file first to see the current content.`,
+              text: `Error: The string to replace appears ${match.ranges.length} times (lines ${match.ranges.map((r) => r.startLine).join(", ")}). Provide more context to make it unique, or set replace_all to true.`,
             },
           ],
           isError: true,
         };
       }
 
-      // Check if old_string is unique (when not replacing all)
-      if (!args.replace_all) {
-        const count = content.split(args.old_string).length - 1;
-        if (count > 1) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `Error: The string to replace appears ${count} times. Provide more context to make it unique, or set replace_all to true.`,
-              },
-            ],
-            isError: true,
-          };
-        }
-      }
-
-      let newContent;
-      if (args.replace_all) {
-        newContent = content.split(args.old_string).join(args.new_string);
-      } else {
-        newContent = content.replace(args.old_string, args.new_string);
-      }
+      const ranges = args.replace_all ? match.ranges : match.ranges.slice(0, 1);
+      const newContent = replaceRanges(content, ranges);
+      const lineInfo = ranges.length === 1
+        ? `lines ${ranges[0].startLine}-${ranges[0].endLine}`
+        : `${ranges.length} locations`;
+      const similarityInfo = match.score !== undefined ? `, ${Math.round(match.score * 100)}% similar` : "";
 
-      await fs.writeFile(filePath, newContent, "utf-8");
+      return await applyEdit(name, filePath, file, newContent, args, `File edited: ${filePath}`, {
+        detail: ` [match: ${MATCH_TIERS[match.tier]}${similarityInfo}, ${lineInfo}]`,
+        match_tier: match.tier,
+        match_score: match.score,
+      });
+    }
 
-      return {
-        content: [{ type: "text", text: `File edited: ${filePath}` }],
-      };
+    case "apply_patch": {
+      return await applyPatch(args);
     }
 
     case "insert_at_line": {
-      const filePath = resolvePath(args.file_path);
-      const content = await fs.readFile(filePath, "utf-8");
-      const lines = content.split("\n");
+      const filePath = resolveWritablePath(args.file_path);
+      const file = await readTextFile(filePath);
+      const lines = splitLines(file.content);
       const insertIndex = args.line - 1;
 
       if (insertIndex < 0 || insertIndex > lines.length) {
@@ -177,22 +536,17 @@ export async function handleEditTool(name, args) {
         };
       }
 
-      const newLines = args.content.split("\n");
+      const newLines = adaptText(args.content, file.format).split(file.format.eol).map((text) => ({ text }));
       lines.splice(insertIndex, 0, ...newLines);
 
-      await fs.writeFile(filePath, lines.join("\n"), "utf-8");
-
-      return {
-        content: [
-          { type: "text", text: `Inserted ${newLines.length} line(s) at line ${args.line}` },
-        ],
-      };
+      return await applyEdit(name, filePath, file, joinLines(lines, file.format), args,
+        `Inserted ${newLines.length} line(s) at line ${args.line}`);
     }
 
     case "replace_lines": {
-      const filePath = resolvePath(args.file_path);
-      const content = await fs.readFile(filePath, "utf-8");
-      const lines = content.split("\n");
+      const filePath = resolveWritablePath(args.file_path);
+      const file = await readTextFile(filePath);
+      const lines = splitLines(file.content);
       const start = args.start_line - 1;
       const end = args.end_line;
 
@@ -203,45 +557,33 @@ export async function handleEditTool(name, args) {
         };
       }
 
-      const newLines = args.content.split("\n");
+      // The last replaced line keeps its ending, so the line after it is untouched
+      const lastEol = lines[end - 1].eol;
+      const newLines = adaptText(args.content, file.format).split(file.format.eol).map((text) => ({ text }));
+      newLines[newLines.length - 1].eol = lastEol;
       lines.splice(start, end - start, ...newLines);
 
-      await fs.writeFile(filePath, lines.join("\n"), "utf-8");
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Replaced lines ${args.start_line}-${args.end_line} with ${newLines.length} line(s)`,
-          },
-        ],
-      };
+      return await applyEdit(name, filePath, file, joinLines(lines, file.format), args,
+        `Replaced lines ${args.start_line}-${args.end_line} with ${newLines.length} line(s)`);
     }
 
     case "append_to_file": {
-      const filePath = resolvePath(args.file_path);
-      const content = await fs.readFile(filePath, "utf-8");
-      const newContent = content.endsWith("\n")
-        ? content + args.content
-        : content + "\n" + args.content;
-
-      await fs.writeFile(filePath, newContent, "utf-8");
+      const filePath = resolveWritablePath(args.file_path);
+      const file = await readTextFile(filePath);
+      const { content, format } = file;
+      const newContent = /[\r\n]$/.test(content)
+        ? content + adaptText(args.content, format)
+        : content + format.eol + adaptText(args.content, format);
 
-      return {
-        content: [{ type: "text", text: `Content appended to: ${filePath}` }],
-      };
+      return await applyEdit(name, filePath, file, newContent, args, `Content appended to: ${filePath}`);
     }
 
     case "prepend_to_file": {
-      const filePath = resolvePath(args.file_path);
-      const content = await fs.readFile(filePath, "utf-8");
-      const newContent = args.content + "\n" + content;
-
-      await fs.writeFile(filePath, newContent, "utf-8");
+      const filePath = resolveWritablePath(args.file_path);
+      const file = await readTextFile(filePath);
+      const newContent = adaptText(args.content, file.format) + file.format.eol + file.content;
 
-      return {
-        content: [{ type: "text", text: `Content prepended to: ${filePath}` }],
-      };
+      return await applyEdit(name, filePath, file, newContent, args, `Content prepended to: ${filePath}`);
     }
 
     default:
@@ -1,12 +1,17 @@
 import fs from "fs/promises";
+import { createReadStream } from "fs";
 import path from "path";
-import { resolvePath, getWorkingDir } from "../utils/paths.js";
+import { StringDecoder } from "string_decoder";
+import { resolvePath, resolveWritablePath, getWorkingDir, setWorkingDir, getSandboxPolicy } from "../utils/paths.js";
+import { recordChange, discardChange } from "../utils/journal.js";
+import { detectEncoding, decode, normalizeEncoding, hexDump } from "../utils/encoding.js";
+import { readTextFile, writeTextFile, defaultFormat, describeFormat } from "../utils/text-file.js";
 
 export const fileTools = [
   {
     name: "read_file",
     description:
-      "Read the contents of a file. Returns the file content with line numbers. Default limit is 500 lines to prevent timeouts. Use offset/limit for large files.",
+      "Read the contents of a file. Returns the file content with line numbers. Default limit is 500 lines to prevent timeouts. Use offset/limit for large files, start_pattern/end_pattern to read a section (e.g. one function), or byte_offset/byte_length for raw bytes. Detects UTF-16 and latin1 text; binary files get a hex preview.",
     inputSchema: {
       type: "object",
       properties: {
@@ -22,10 +27,74 @@ export const fileTools = [
           type: "number",
           description: "Maximum number of lines to read (default: 500)",
         },
+        start_pattern: {
+          type: "string",
+          description: "Regex: start at the first line (from offset) that matches",
+        },
+        end_pattern: {
+          type: "string",
+          description: "Regex: stop at the first line after the start that matches (inclusive)",
+        },
+        byte_offset: {
+          type: "number",
+          description: "Read raw bytes starting here (0-indexed) instead of lines",
+        },
+        byte_length: {
+          type: "number",
+          description: "Number of bytes to read with byte_offset (default: 4096)",
+        },
+        encoding: {
+          type: "string",
+          description: "Override detection: utf-8, utf-16le, utf-16be, or latin1",
+        },
+        format: {
+          type: "string",
+          enum: ["auto", "text", "hex"],
+          description: "auto (default): text, or a hex dump for binary files; hex: always a hex dump",
+        },
       },
       required: ["file_path"],
     },
   },
+  {
+    name: "read_files",
+    description:
+      "Read several files in one call under a shared character budget. Each entry is a path or an object with the same options as read_file (offset, limit, start_pattern, end_pattern, ...). Use instead of many read_file calls.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        files: {
+          type: "array",
+          items: {
+            anyOf: [
+              { type: "string" },
+              {
+                type: "object",
+                properties: {
+                  file_path: { type: "string" },
+                  offset: { type: "number" },
+                  limit: { type: "number" },
+                  start_pattern: { type: "string" },
+                  end_pattern: { type: "string" },
+                  byte_offset: { type: "number" },
+                  byte_length: { type: "number" },
+                  encoding: { type: "string" },
+                  format: { type: "string" },
+                },
+                required: ["file_path"],
+              },
+            ],
+          },
+          description: "Files to read: paths, or objects with file_path and read_file options",
+        },
+        max_chars: {
+          type: "number",
+          description: "Total characters across all files (default: 60000); split fairly, so small files are shown whole",
+        },
+      },
+      required: ["files"],
+    },
+  },
   {
     name: "write_file",
     description:
@@ -174,6 +243,20 @@ export const fileTools = [
       properties: {},
     },
   },
+  {
+    name: "set_working_directory",
+    description: "Change the working directory used for relative paths, commands, and git operations.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description: "Directory to switch to",
+        },
+      },
+      required: ["path"],
+    },
+  },
 ];
 
 // Helper to get path from various parameter names Qwen3 might use
@@ -184,6 +267,217 @@ function getPath(args, ...names) {
   return null;
 }
 
+// Default line window; larger reads risk LM Studio WebSocket timeouts
+const DEFAULT_LINE_LIMIT = 500;
+
+// Characters returned by one read_file call, and shared by a read_files call
+const MAX_READ_CHARS = 100000;
+const DEFAULT_READ_FILES_CHARS = 60000;
+const READ_FILES_NOTE_CHARS = 150;
+
+// A smaller share of a read_files budget isn't worth reading; the file is listed instead
+const READ_FILES_MIN_SHARE = 200;
+const READ_FILES_SKIPPED_NOTE = "(not read: max_chars used up; read it separately or raise max_chars)";
+
+// Bytes inspected to detect the encoding
+const DETECT_BYTES = 64 * 1024;
+
+// Above this size the total line count is not computed (the scan stops at the window)
+const COUNT_LINES_MAX_BYTES = 10 * 1024 * 1024;
+
+const DEFAULT_BYTE_LENGTH = 4096;
+const BINARY_PREVIEW_BYTES = 256;
+
+function compileAnchor(pattern, name) {
+  try {
+    return new RegExp(pattern);
+  } catch (e) {
+    throw new Error(`Invalid ${name}: ${e.message}`);
+  }
+}
+
+async function readBytes(filePath, position, length) {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Stream a file's lines in the given encoding without loading it whole
+async function* streamLines(filePath, encoding, skipBytes) {
+  const stream = createReadStream(filePath, { start: skipBytes, highWaterMark: 64 * 1024 });
+  const decoder = new StringDecoder(encoding === "utf-8" ? "utf8" : encoding === "latin1" ? "latin1" : "utf16le");
+  let partial = "";
+  let carry = null;
+  try {
+    for await (let chunk of stream) {
+      if (encoding === "utf-16be") {
+        // Byte-swap to little endian, keeping an odd trailing byte for the next chunk
+        if (carry) chunk = Buffer.concat([carry, chunk]);
+        const even = chunk.length - (chunk.length % 2);
+        carry = even < chunk.length ? chunk.subarray(even) : null;
+        chunk = Buffer.from(chunk.subarray(0, even)).swap16();
+      }
+      const parts = (partial + decoder.write(chunk)).split("\n");
+      partial = parts.pop();
+      yield* parts;
+    }
+    const rest = partial + decoder.end();
+    if (rest) yield rest;
+  } finally {
+    stream.destroy();
+  }
+}
+
+function formatEncoding(info) {
+  return `${info.encoding}${info.bom ? " with BOM" : ""}`;
+}
+
+/**
+ * Read part of a file: a line window (by number or regex anchors), or a byte range
+ * @param {string} filePath - Resolved path
+ * @param {object} args - read_file options
+ * @param {number} maxChars - Character budget for the returned text
+ * @returns {Promise<{text: string, info: object}>}
+ */
+async function readSection(filePath, args, maxChars) {
+  const stat = await fs.stat(filePath);
+  if (stat.isDirectory()) {
+    throw new Error(`${filePath} is a directory; use list_directory`);
+  }
+  const head = await readBytes(filePath, 0, Math.min(stat.size, DETECT_BYTES));
+  const detected = detectEncoding(head, { partial: stat.size > head.length });
+  const format = args.format || "auto";
+  const info = { file: filePath, size: stat.size, binary: detected.binary };
+  if (detected.type) info.type = detected.type;
+
+  if (args.encoding) {
+    detected.encoding = normalizeEncoding(args.encoding);
+    detected.binary = false;
+    info.binary = false;
+  }
+
+  // Raw bytes: explicit range, forced hex, or a binary file
+  const byteMode = args.byte_offset !== undefined || args.byte_length !== undefined;
+  if (byteMode || format === "hex" || detected.binary) {
+    const start = Math.max(0, args.byte_offset || 0);
+    const defaultLength = byteMode ? DEFAULT_BYTE_LENGTH : BINARY_PREVIEW_BYTES;
+    const bytes = await readBytes(filePath, start, Math.max(0, Math.min(args.byte_length || defaultLength, stat.size - start)));
+    const end = start + bytes.length;
+    info.byte_range = [start, end];
+
+    if (detected.binary || format === "hex") {
+      // Each 16-byte row is about 68 characters
+      const rows = Math.max(1, Math.floor(maxChars / 70));
+      const shown = bytes.subarray(0, rows * 16);
+      info.truncated = shown.length < bytes.length || end < stat.size;
+      let text = detected.binary
+        ? `Binary file${detected.type ? ` (${detected.type})` : ""}, ${stat.size} bytes. Bytes ${start}-${start + shown.length} as hex:\n\n`
+        : `Bytes ${start}-${start + shown.length} of ${stat.size} as hex:\n\n`;
+      text += hexDump(shown, start);
+      if (!byteMode && detected.binary) {
+        const hint = /image/.test(detected.type || "") ? "read_image to view it, or " : /PDF/.test(detected.type || "") ? "read_pdf to extract its text, or " : "";
+        text += `\n\n--- Use ${hint}byte_offset/byte_length to read other bytes ---`;
+      }
+      return { text, info };
+    }
+
+    info.encoding = detected.encoding;
+    info.bom = detected.bom;
+    let text = decode(bytes, detected.encoding);
+    info.truncated = text.length > maxChars || end < stat.size;
+    if (text.length > maxChars) text = text.slice(0, maxChars);
+    return { text: `[Bytes ${start}-${end} of ${stat.size}, ${formatEncoding(info)}]\n${text}`, info };
+  }
+
+  info.encoding = detected.encoding;
+  info.bom = detected.bom;
+  const startAnchor = args.start_pattern ? compileAnchor(args.start_pattern, "start_pattern") : null;
+  const endAnchor = args.end_pattern ? compileAnchor(args.end_pattern, "end_pattern") : null;
+  const offset = Math.max(1, args.offset || args.start || 1);
+  const limit = args.limit || args.lines || args.count || DEFAULT_LINE_LIMIT;
+  const countAll = stat.size <= COUNT_LINES_MAX_BYTES;
+  const bomLength = detected.bom ? (detected.encoding === "utf-8" ? 3 : 2) : 0;
+
+  const out = [];
+  let chars = 0;
+  let lineNo = 0;
+  let startLine = null;
+  let endLine = null;
+  let stopReason = null;
+  let nextLine = null;
+  for await (let line of streamLines(filePath, detected.encoding, bomLength)) {
+    lineNo++;
+    if (stopReason) {
+      if (nextLine === null) nextLine = lineNo;
+      if (!countAll) break;
+      continue;
+    }
+    line = line.replace(/\r$/, "");
+    if (startLine === null) {
+      if (lineNo < offset || (startAnchor && !startAnchor.test(line))) continue;
+      startLine = lineNo;
+    }
+
+    const numbered = `${String(lineNo).padStart(6)}\t${line}`;
+    if (chars + numbered.length + 1 > maxChars) {
+      // Always show something, even when a single line is over budget
+      if (out.length === 0) {
+        out.push(`${numbered.slice(0, Math.max(0, maxChars - 40))} ... [line truncated]`);
+        endLine = lineNo;
+        info.line_truncated = true;
+      }
+      stopReason = "chars";
+      continue;
+    }
+    out.push(numbered);
+    chars += numbered.length + 1;
+    endLine = lineNo;
+    if (endAnchor && lineNo > startLine && endAnchor.test(line)) {
+      stopReason = "end_pattern";
+    } else if (out.length >= limit) {
+      stopReason = "limit";
+    }
+  }
+  // A trailing newline does not start another line
+  const totalLines = countAll ? lineNo : null;
+
+  if (lineNo === 0) {
+    info.total_lines = 0;
+    return { text: "--- File is empty ---", info };
+  }
+  if (startLine === null) {
+    if (startAnchor) {
+      throw new Error(`start_pattern /${args.start_pattern}/ not found${offset > 1 ? ` after line ${offset}` : ""} in ${filePath}`);
+    }
+    info.total_lines = totalLines;
+    return { text: `--- File has ${lineNo} lines; offset ${offset} is past the end ---`, info };
+  }
+
+  Object.assign(info, { start_line: startLine, end_line: endLine, total_lines: totalLines });
+  info.truncated = (nextLine !== null && stopReason !== "end_pattern") || Boolean(info.line_truncated);
+  if (endAnchor && stopReason !== "end_pattern") info.end_pattern_found = false;
+
+  let text = out.join("\n");
+  if (detected.encoding !== "utf-8" || detected.bom) {
+    text = `[Encoding: ${formatEncoding(info)}]\n${text}`;
+  }
+  if (info.truncated) {
+    const of = totalLines ? ` of ${totalLines} total` : ` (file is ${stat.size} bytes)`;
+    text += `\n\n--- Showing lines ${startLine}-${endLine}${of}${stopReason === "chars" ? ", character limit reached" : ""} ---`;
+    text += info.line_truncated
+      ? `\n--- Line ${endLine} is too long to show whole; use byte_offset/byte_length to read it in parts ---`
+      : `\n--- Use offset=${endLine + 1} to read more ---`;
+  } else if (info.end_pattern_found === false) {
+    text += `\n\n--- end_pattern /${args.end_pattern}/ not found; showing lines ${startLine}-${endLine} ---`;
+  }
+  return { text, info };
+}
+
 export async function handleFileTool(name, args) {
   switch (name) {
     case "read_file": {
@@ -193,27 +487,77 @@ export async function handleFileTool(name, args) {
         throw new Error('Missing required parameter: file_path');
       }
       const filePath = resolvePath(inputPath);
-      const content = await fs.readFile(filePath, "utf-8");
-      const lines = content.split("\n");
-      const offset = (args.offset || args.start || 1) - 1;
-      // Default limit to 500 lines to prevent WebSocket timeouts in LM Studio
-      const limit = args.limit || args.lines || args.count || Math.min(500, lines.length);
-      const selectedLines = lines.slice(offset, offset + limit);
-      const totalLines = lines.length;
-
-      const numberedLines = selectedLines
-        .map((line, i) => `${String(offset + i + 1).padStart(6)}\t${line}`)
-        .join("\n");
+      const { text, info } = await readSection(filePath, args, MAX_READ_CHARS);
+      return {
+        content: [{ type: "text", text }],
+        structuredContent: info,
+      };
+    }
 
-      // Add info about truncation if file is large
-      let result = numberedLines;
-      if (totalLines > offset + limit) {
-        result += `\n\n--- Showing lines ${offset + 1}-${offset + selectedLines.length} of ${totalLines} total ---`;
-        result += `\n--- Use offset and limit parameters to read more ---`;
+    case "read_files": {
+      const entries = (args.files || args.paths || []).map((f) => (typeof f === "string" ? { file_path: f } : f));
+      if (entries.length === 0) {
+        throw new Error('Missing required parameter: files');
       }
+      const budget = args.max_chars || DEFAULT_READ_FILES_CHARS;
+
+      // First pass: what each file needs, up to the whole budget
+      const reads = await Promise.all(
+        entries.map(async (entry) => {
+          const inputPath = getPath(entry, 'file_path', 'path', 'filepath', 'file');
+          try {
+            if (!inputPath) throw new Error('Missing file_path');
+            const filePath = resolvePath(inputPath);
+            return { inputPath, filePath, entry, ...(await readSection(filePath, entry, budget)) };
+          } catch (e) {
+            return { inputPath, error: e.message };
+          }
+        })
+      );
+
+      // Fair shares: files that need less than an equal split keep all of it,
+      // and what they leave over is split among the rest. Once the budget is
+      // used up, the remaining (larger) files are only listed.
+      const ok = reads.filter((r) => !r.error).sort((a, b) => a.text.length - b.text.length);
+      // Every file is at least listed; a file that is read has headers and
+      // "read more" notes instead, which come out of the budget too
+      const listed = (r) => r.inputPath.length + READ_FILES_SKIPPED_NOTE.length + 10;
+      let remaining = budget - reads.reduce((n, r) => n + listed(r), 0);
+      ok.forEach((r, i) => {
+        const overhead = READ_FILES_NOTE_CHARS - listed(r);
+        r.share = Math.max(0, Math.floor(remaining / (ok.length - i)) - overhead);
+        if (r.text.length > r.share && r.share < READ_FILES_MIN_SHARE) {
+          r.skipped = true;
+          return;
+        }
+        remaining -= Math.min(r.text.length, r.share) + overhead;
+      });
+      await Promise.all(
+        ok.filter((r) => !r.skipped && r.text.length > r.share).map(async (r) => {
+          Object.assign(r, await readSection(r.filePath, r.entry, r.share));
+        })
+      );
 
+      const body = (r) => {
+        if (r.error) return `Error: ${r.error}`;
+        if (r.skipped) return READ_FILES_SKIPPED_NOTE;
+        return r.text;
+      };
+      let output = reads.map((r) => `==> ${r.inputPath} <==\n${body(r)}`).join("\n\n");
+      // Notes are estimated, so hold the cap exactly
+      if (output.length > budget) {
+        const marker = "\n[... cut at max_chars]";
+        output = output.slice(0, Math.max(0, budget - marker.length)) + marker;
+      }
       return {
-        content: [{ type: "text", text: result }],
+        content: [{ type: "text", text: output }],
+        structuredContent: {
+          files: reads.map((r) => {
+            if (r.error) return { file: r.inputPath, error: r.error };
+            return r.skipped ? { ...r.info, skipped: true } : r.info;
+          }),
+          max_chars: budget,
+        },
       };
     }
 
@@ -232,12 +576,26 @@ export async function handleFileTool(name, args) {
       if (typeof content === 'object') {
         content = JSON.stringify(content, null, 2);
       }
-      const filePath = resolvePath(inputPath);
+      const filePath = resolveWritablePath(inputPath);
       const dir = path.dirname(filePath);
+
+      // Overwriting a text file keeps its encoding, BOM, and line endings
+      let format = defaultFormat();
+      let kept = "";
+      const existing = await readTextFile(filePath).catch(() => null);
+      if (existing) {
+        format = existing.format;
+        content = String(content).replace(/\r\n|\r|\n/g, format.eol);
+        if (format.eol !== "\n" || format.encoding !== "utf-8" || format.bom) {
+          kept = ` [kept ${describeFormat({ ...format, mixedEol: false, finalNewline: true, indent: { type: null } })}]`;
+        }
+      }
+
+      await recordChange("write_file", [filePath]);
       await fs.mkdir(dir, { recursive: true });
-      await fs.writeFile(filePath, String(content), "utf-8");
+      await writeTextFile(filePath, String(content), format);
       return {
-        content: [{ type: "text", text: `File written: ${filePath}` }],
+        content: [{ type: "text", text: `File written: ${filePath}${kept}` }],
       };
     }
 
@@ -254,26 +612,39 @@ export async function handleFileTool(name, args) {
       };
     }
 
+    // rm, rename, and mkdir change nothing when they fail, so their journal entry is dropped
     case "create_directory": {
-      const dirPath = resolvePath(args.path);
-      await fs.mkdir(dirPath, { recursive: true });
+      const dirPath = resolveWritablePath(args.path);
+      const change = await recordChange("create_directory", [dirPath]);
+      await fs.mkdir(dirPath, { recursive: true }).catch((error) => {
+        discardChange(change);
+        throw error;
+      });
       return {
         content: [{ type: "text", text: `Directory created: ${dirPath}` }],
       };
     }
 
     case "delete_file": {
-      const targetPath = resolvePath(args.path);
-      await fs.rm(targetPath, { recursive: false });
+      const targetPath = resolveWritablePath(args.path);
+      const change = await recordChange("delete_file", [targetPath]);
+      await fs.rm(targetPath, { recursive: false }).catch((error) => {
+        discardChange(change);
+        throw error;
+      });
       return {
         content: [{ type: "text", text: `Deleted: ${targetPath}` }],
       };
     }
 
     case "move_file": {
-      const sourcePath = resolvePath(args.source);
-      const destPath = resolvePath(args.destination);
-      await fs.rename(sourcePath, destPath);
+      const sourcePath = resolveWritablePath(args.source);
+      const destPath = resolveWritablePath(args.destination);
+      const change = await recordChange("move_file", [sourcePath, destPath]);
+      await fs.rename(sourcePath, destPath).catch((error) => {
+        discardChange(change);
+        throw error;
+      });
       return {
         content: [
           { type: "text", text: `Moved: ${sourcePath} -> ${destPath}` },
@@ -283,7 +654,8 @@ export async function handleFileTool(name, args) {
 
     case "copy_file": {
       const sourcePath = resolvePath(args.source);
-      const destPath = resolvePath(args.destination);
+      const destPath = resolveWritablePath(args.destination);
+      await recordChange("copy_file", [destPath]);
       await fs.copyFile(sourcePath, destPath);
       return {
         content: [
@@ -308,8 +680,29 @@ export async function handleFileTool(name, args) {
     }
 
     case "get_working_directory": {
+      const policy = getSandboxPolicy();
+      let output = `Working directory: ${getWorkingDir()}\n`;
+      output += `Allowed roots: ${policy.allowedRoots.join(", ")}`;
+      if (policy.readOnlyRoots.length > 0) {
+        output += `\nRead-only roots: ${policy.readOnlyRoots.join(", ")}`;
+      }
+      return {
+        content: [{ type: "text", text: output }],
+      };
+    }
+
+    case "set_working_directory": {
+      const dirPath = resolvePath(args.path || args.directory, true);
+      const stat = await fs.stat(dirPath);
+      if (!stat.isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Not a directory: ${dirPath}` }],
+          isError: true,
+        };
+      }
+      const newDir = setWorkingDir(dirPath);
       return {
-        content: [{ type: "text", text: `Working directory: ${getWorkingDir()}` }],
+        content: [{ type: "text", text: `Working directory set to: ${newDir}` }],
       };
     }
 
@@ -1,5 +1,39 @@
-import { spawn } from "child_process";
-import { platform } from "os";
+import path from "path";
+import { getWorkingDir, resolvePath, resolveWritablePath } from "../utils/paths.js";
+import { recordChange } from "../utils/journal.js";
+import { unifiedDiff, truncateDiff } from "../utils/diff.js";
+import { readTextFile, writeTextFile, adaptText, splitLines, joinLines, finishText } from "../utils/text-file.js";
+import { parseConflicts, attachBases } from "../utils/conflicts.js";
+import { loadCommitConfig, categorize, addedLines, scanRisks, checkMessage, draftMessage } from "../utils/commit-check.js";
+import {
+  FIELD_SEP,
+  execGit,
+  runGit,
+  gitOutput,
+  revParse,
+  repoRoot,
+  operationInProgress,
+  conflictedFiles,
+  unmergedPaths,
+  conflictStages,
+  mergeDiff3,
+  commitsBetween,
+  parseBlame,
+  parseFileChanges,
+  parseWorktrees,
+  commandLine,
+} from "../utils/git.js";
+import { applyCommandPolicy } from "./bash.js";
+
+const cwdProperty = {
+  type: "string",
+  description: "Repository directory path",
+};
+
+// Longest file or diff git_show returns
+const MAX_SHOW_CHARS = 100000;
+const MAX_SHOW_DIFF_LINES = 400;
+const MAX_BLAME_LINES = 500;
 
 export const gitTools = [
   {
@@ -201,39 +235,1223 @@ export const gitTools = [
       required: ["url"],
     },
   },
+  {
+    name: "git_blame",
+    description: "Show who last changed each line of a file, with commit, author, date, and summary. Limit to a line range for large files.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        file: {
+          type: "string",
+          description: "File to blame",
+        },
+        start_line: {
+          type: "number",
+          description: "First line (1-indexed)",
+        },
+        end_line: {
+          type: "number",
+          description: "Last line (default: end of the file)",
+        },
+        rev: {
+          type: "string",
+          description: "Blame the file as of this revision (default: working tree)",
+        },
+        ignore_whitespace: {
+          type: "boolean",
+          description: "Ignore whitespace-only changes (-w)",
+        },
+      },
+      required: ["file"],
+    },
+  },
+  {
+    name: "git_show",
+    description: "Show a commit (metadata, changed files with line counts, and diff) or a file's content at a revision.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        rev: {
+          type: "string",
+          description: "Commit, branch, or tag (default: HEAD)",
+        },
+        file: {
+          type: "string",
+          description: "Show this file's content at rev instead of the commit",
+        },
+        patch: {
+          type: "boolean",
+          description: "Include the diff when showing a commit (default: true)",
+        },
+      },
+    },
+  },
+  {
+    name: "git_stash",
+    description: "Save uncommitted changes to the stash, restore them, or list, inspect, and drop stash entries.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        action: {
+          type: "string",
+          enum: ["push", "pop", "apply", "list", "show", "drop"],
+          description: "What to do (default: list)",
+        },
+        message: {
+          type: "string",
+          description: "Description for push",
+        },
+        include_untracked: {
+          type: "boolean",
+          description: "Also stash untracked files (push)",
+        },
+        paths: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only stash these paths (push)",
+        },
+        stash: {
+          type: ["number", "string"],
+          description: "Stash entry for pop/apply/show/drop, as an index or stash@{n} (default: 0, the latest)",
+        },
+      },
+    },
+  },
+  {
+    name: "git_merge",
+    description: "Merge a branch into the current branch, or abort/continue a merge stopped by conflicts. Reports fast-forward, merge commit, or the conflicted files.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        branch: {
+          type: "string",
+          description: "Branch or commit to merge (required to start)",
+        },
+        action: {
+          type: "string",
+          enum: ["start", "abort", "continue"],
+          description: "Start a merge, or abort/continue one in progress (default: start)",
+        },
+        message: {
+          type: "string",
+          description: "Merge commit message",
+        },
+        no_ff: {
+          type: "boolean",
+          description: "Always create a merge commit (--no-ff)",
+        },
+        ff_only: {
+          type: "boolean",
+          description: "Only fast-forward; fail otherwise (--ff-only)",
+        },
+        squash: {
+          type: "boolean",
+          description: "Stage the combined changes without committing (--squash)",
+        },
+      },
+    },
+  },
+  {
+    name: "git_rebase",
+    description: "Rebase the current branch onto another (non-interactive), or continue/skip/abort a rebase stopped by conflicts. Reports progress and conflicted files.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        upstream: {
+          type: "string",
+          description: "Branch or commit to rebase onto (required to start)",
+        },
+        onto: {
+          type: "string",
+          description: "Replay commits after upstream onto this base instead (--onto)",
+        },
+        action: {
+          type: "string",
+          enum: ["start", "continue", "skip", "abort"],
+          description: "Start a rebase, or continue/skip/abort one in progress (default: start)",
+        },
+        autostash: {
+          type: "boolean",
+          description: "Stash uncommitted changes before and restore them after (--autostash)",
+        },
+      },
+    },
+  },
+  {
+    name: "git_tag",
+    description: "List, create, or delete tags.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        action: {
+          type: "string",
+          enum: ["list", "create", "delete"],
+          description: "What to do (default: list)",
+        },
+        name: {
+          type: "string",
+          description: "Tag name (create/delete)",
+        },
+        target: {
+          type: "string",
+          description: "Commit to tag (default: HEAD)",
+        },
+        message: {
+          type: "string",
+          description: "Create an annotated tag with this message",
+        },
+        force: {
+          type: "boolean",
+          description: "Replace an existing tag",
+        },
+        pattern: {
+          type: "string",
+          description: "Glob to filter the list, e.g. v1.*",
+        },
+        count: {
+          type: "number",
+          description: "Maximum tags to list, newest first (default: 50)",
+        },
+      },
+    },
+  },
+  {
+    name: "git_reset",
+    description: "Move the current branch to another commit (soft, mixed, or hard), or unstage files. A hard reset discards uncommitted changes: it is checked against the command policy (user approval by default) and the discarded files are saved to the change journal so undo_last_change can restore them.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        target: {
+          type: "string",
+          description: "Commit to reset to (default: HEAD)",
+        },
+        mode: {
+          type: "string",
+          enum: ["soft", "mixed", "hard"],
+          description: "soft keeps changes staged, mixed keeps them unstaged, hard discards them (default: mixed)",
+        },
+        files: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only unstage these files (the branch does not move)",
+        },
+      },
+    },
+  },
+  {
+    name: "git_cherry_pick",
+    description: "Apply the changes from existing commits onto the current branch, or continue/skip/abort a cherry-pick stopped by conflicts.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        commits: {
+          type: "array",
+          items: { type: "string" },
+          description: "Commits or ranges to apply, oldest first (required to start)",
+        },
+        action: {
+          type: "string",
+          enum: ["start", "continue", "skip", "abort"],
+          description: "Start, or continue/skip/abort one in progress (default: start)",
+        },
+        no_commit: {
+          type: "boolean",
+          description: "Apply the changes without committing (--no-commit)",
+        },
+        mainline: {
+          type: "number",
+          description: "Parent number to diff against when picking a merge commit (-m)",
+        },
+      },
+    },
+  },
+  {
+    name: "git_worktree",
+    description: "List, add, remove, or prune linked working trees, so another branch can be checked out in a separate directory.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        action: {
+          type: "string",
+          enum: ["list", "add", "remove", "prune"],
+          description: "What to do (default: list)",
+        },
+        path: {
+          type: "string",
+          description: "Worktree directory (add/remove)",
+        },
+        branch: {
+          type: "string",
+          description: "Existing branch or commit to check out (add)",
+        },
+        new_branch: {
+          type: "string",
+          description: "Create this branch for the new worktree (add, -b)",
+        },
+        detach: {
+          type: "boolean",
+          description: "Check out a detached HEAD (add)",
+        },
+        force: {
+          type: "boolean",
+          description: "Remove even with uncommitted changes, or add a branch checked out elsewhere",
+        },
+      },
+    },
+  },
+  {
+    name: "git_conflicts",
+    description: "List files with merge conflicts after a merge, rebase, cherry-pick, pull, or stash pop. Each conflict hunk is parsed into ours/base/theirs with line ranges, so conflicts can be resolved with resolve_conflict without reading raw <<<<<<< markers.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        file: {
+          type: "string",
+          description: "Only show this file",
+        },
+        max_lines: {
+          type: "number",
+          description: "Lines shown per side of each hunk in the text output (default: 30; structuredContent has everything)",
+        },
+      },
+    },
+  },
+  {
+    name: "resolve_conflict",
+    description: "Resolve a conflict hunk by keeping ours, theirs, both (ours then theirs), base, or custom content. Hunk numbers come from the latest git_conflicts or resolve_conflict result. When no conflicts remain in the file it is staged. For modify/delete conflicts (no hunks), ours/theirs keeps or deletes the file.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        file: {
+          type: "string",
+          description: "Conflicted file",
+        },
+        hunk: {
+          type: "number",
+          description: "Hunk number (1-indexed). Omit with choice to resolve every hunk in the file the same way.",
+        },
+        choice: {
+          type: "string",
+          enum: ["ours", "theirs", "both", "base"],
+          description: "Which side to keep",
+        },
+        content: {
+          type: "string",
+          description: "Custom replacement for the whole hunk, instead of choice",
+        },
+      },
+      required: ["file"],
+    },
+  },
+  {
+    name: "git_prepare_commit",
+    description: "Check staged changes before git_commit: groups staged files by kind (source, test, docs, config, ...), flags secrets, large binaries, debug statements, and conflict markers in the added lines, checks a commit message against the repository's convention (Conventional Commits by default, configurable in .qwen3-mcp.json), and drafts a message. Read-only.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        cwd: cwdProperty,
+        message: {
+          type: "string",
+          description: "Proposed commit message to check (omit to only get a draft)",
+        },
+        convention: {
+          type: "string",
+          enum: ["conventional", "none"],
+          description: "Override the configured message convention",
+        },
+      },
+    },
+  },
 ];
 
-async function runGit(args, cwd) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn("git", args, {
-      cwd: cwd || process.cwd(),
-      env: process.env,
+function gitResult(text, structuredContent) {
+  return { content: [{ type: "text", text }], structuredContent };
+}
+
+const short = (sha) => (sha ? sha.slice(0, 8) : null);
+
+/**
+ * Run a command that changes history or discards work through the command
+ * policy first, so workspace deny/confirm rules apply to the git tools as
+ * they do to execute_command. Confirmed calls run once the user approves.
+ */
+async function withPolicy(name, args, gitArgs, run) {
+  // Approved calls run outside handleGitTool, so report failures the same way here
+  const guarded = () => run().catch((error) => ({
+    content: [{ type: "text", text: `Git error: ${error.message}` }],
+    isError: true,
+  }));
+  const held = await applyCommandPolicy(name, args, { command: commandLine(gitArgs), run: guarded });
+  return held || (await guarded());
+}
+
+/**
+ * Run a merge, rebase, or cherry-pick step and collect where it left the repository
+ * @returns {Promise<{stdout: string, before: string|null, after: string|null, state: object|null, conflicts: string[], commits: object[]}>}
+ * @throws When git fails without stopping part-way (bad revision, dirty tree, ...)
+ */
+async function runOperation(gitArgs, cwd) {
+  const before = await revParse("HEAD", cwd);
+  const { code, stdout, stderr } = await execGit(gitArgs, cwd);
+  const [after, state, conflicts] = await Promise.all([revParse("HEAD", cwd), operationInProgress(cwd), conflictedFiles(cwd)]);
+  if (code !== 0 && !state && conflicts.length === 0) {
+    throw new Error(stderr.trim() || stdout.trim() || `Git exited with code ${code}`);
+  }
+  return {
+    code,
+    output: `${stdout}${stderr}`.trim(),
+    before,
+    after,
+    state,
+    conflicts,
+    commits: await commitsBetween(before, after, cwd),
+  };
+}
+
+// Commit an operation is stopped at, from REBASE_HEAD or CHERRY_PICK_HEAD
+async function stoppedAt(ref, cwd) {
+  const { code, stdout } = await execGit(["log", "-1", "--format=%h%x1f%s", ref], cwd);
+  if (code !== 0) return null;
+  const [commit, subject] = stdout.trim().split(FIELD_SEP);
+  return { commit, subject };
+}
+
+/**
+ * Tool result for a merge/rebase/cherry-pick step
+ * @param {string} tool - Tool to continue with
+ * @param {string} label - e.g. "Merge of feature"
+ * @param {object} op - From runOperation
+ * @param {object} extra - Added to structuredContent
+ */
+function operationReport(tool, label, op, extra = {}) {
+  const structured = {
+    head: op.after,
+    previous_head: op.before,
+    commits: op.commits,
+    conflicts: op.conflicts,
+    ...(op.state?.progress && { progress: op.state.progress }),
+    ...extra,
+  };
+  const lines = [];
+
+  if (op.state || op.conflicts.length > 0) {
+    structured.status = op.conflicts.length > 0 ? "conflicts" : "stopped";
+    const progress = op.state?.progress ? ` at step ${op.state.progress.current}/${op.state.progress.total}` : "";
+    const at = extra.stopped_at ? ` (applying ${extra.stopped_at.commit} ${extra.stopped_at.subject})` : "";
+    if (op.conflicts.length > 0) {
+      lines.push(`${label} stopped${progress}${at} with conflicts in ${op.conflicts.length} file(s):`);
+      lines.push(...op.conflicts.map((f) => `  CONFLICT ${f}`));
+      lines.push("", `Inspect them with git_conflicts and resolve with resolve_conflict (which stages each file once resolved), then call ${tool} with action "continue" (or "abort" to go back).`);
+    } else {
+      lines.push(`${label} stopped${progress}${at}:`, op.output, "", `Call ${tool} with action "continue", "skip", or "abort".`);
+    }
+    return gitResult(lines.join("\n"), structured);
+  }
+
+  structured.status = extra.status || (op.before === op.after ? "up_to_date" : "completed");
+  if (structured.status === "aborted") structured.commits = op.commits = [];
+  if (structured.status === "up_to_date") {
+    lines.push(`${label}: already up to date (HEAD ${short(op.after)})`);
+  } else if (op.before === op.after) {
+    lines.push(`${label}: ${structured.status.replace(/_/g, " ")} (HEAD ${short(op.after)})`);
+  } else {
+    lines.push(`${label}: ${structured.status.replace(/_/g, " ")} - HEAD ${short(op.before)} -> ${short(op.after)}`);
+  }
+  if (op.commits.length > 0) {
+    lines.push(`${op.commits.length} new commit(s) on the branch:`);
+    lines.push(...op.commits.slice(0, 20).map((c) => `  ${c.commit} ${c.subject}`));
+    if (op.commits.length > 20) lines.push(`  ... ${op.commits.length - 20} more`);
+  }
+  return gitResult(lines.join("\n"), structured);
+}
+
+// A revision, branch, or tag name from the caller. One starting with "-" would be read as an option.
+function revisionArg(value, label) {
+  const rev = String(value);
+  if (rev.startsWith("-")) throw new Error(`${label} must not start with "-": ${rev}`);
+  return rev;
+}
+
+async function gitBlame(args) {
+  const blameArgs = ["blame", "--porcelain"];
+  if (args.ignore_whitespace) blameArgs.push("-w");
+  if (args.start_line || args.end_line) {
+    blameArgs.push("-L", `${args.start_line || 1},${args.end_line || ""}`);
+  }
+  if (args.rev) blameArgs.push(revisionArg(args.rev, "rev"));
+  blameArgs.push("--", args.file);
+
+  const { lines, commits } = parseBlame(await gitOutput(blameArgs, args.cwd));
+  const truncated = lines.length > MAX_BLAME_LINES;
+  const shown = lines.slice(0, MAX_BLAME_LINES);
+  const info = (sha) => {
+    const c = commits.get(sha);
+    const uncommitted = /^0+$/.test(sha);
+    return {
+      commit: uncommitted ? null : short(sha),
+      author: uncommitted ? "Not committed" : c.author,
+      email: c["author-mail"]?.replace(/^<|>$/g, ""),
+      date: new Date(Number(c["author-time"]) * 1000).toISOString().slice(0, 10),
+      summary: c.summary,
+    };
+  };
+
+  const entries = shown.map((l) => ({ line: l.line, ...info(l.sha), content: l.content }));
+  const authorWidth = Math.min(20, Math.max(...entries.map((e) => e.author.length), 6));
+  const lineWidth = String(entries.at(-1)?.line || 1).length;
+  const text = entries.map((e) =>
+    `${(e.commit || "--------").padEnd(8)} ${e.author.slice(0, authorWidth).padEnd(authorWidth)} ${e.date} ${String(e.line).padStart(lineWidth)}| ${e.content}`);
+
+  // One summary line per commit, most lines first
+  const counts = new Map();
+  for (const l of shown) counts.set(l.sha, (counts.get(l.sha) || 0) + 1);
+  const summary = [...counts].sort((a, b) => b[1] - a[1]).map(([sha, n]) => ({ ...info(sha), lines: n }));
+
+  const range = entries.length ? `lines ${entries[0].line}-${entries.at(-1).line}` : "no lines";
+  let out = `${args.file}${args.rev ? ` @ ${args.rev}` : ""}, ${range} (${summary.length} commit(s))\n\n${text.join("\n")}`;
+  if (truncated) out += `\n... ${lines.length - MAX_BLAME_LINES} more lines; use start_line/end_line to see them`;
+  out += `\n\nCommits:\n${summary.map((c) => `  ${c.commit || "--------"} ${c.date} ${c.author} - ${c.summary || ""} (${c.lines} line(s))`).join("\n")}`;
+
+  return gitResult(out, { file: args.file, rev: args.rev || null, lines: entries, commits: summary, truncated });
+}
+
+async function gitShow(args) {
+  const rev = revisionArg(args.rev || "HEAD", "rev");
+
+  if (args.file) {
+    // "./" makes git resolve the path from cwd instead of the repository root
+    const file = path.isAbsolute(args.file)
+      ? path.relative(await repoRoot(args.cwd), args.file)
+      : `./${args.file.replace(/^\.\//, "")}`;
+    const [content, commit] = await Promise.all([
+      gitOutput(["show", `${rev}:${file.replace(/\\/g, "/")}`], args.cwd),
+      revParse(rev, args.cwd),
+    ]);
+    if (content.includes("\0")) {
+      return gitResult(`${args.file} at ${short(commit)} is a binary file (${content.length} bytes)`, {
+        rev, commit, file: args.file, binary: true, size: content.length,
+      });
+    }
+    const truncated = content.length > MAX_SHOW_CHARS;
+    const lineCount = content.split("\n").length - (content.endsWith("\n") ? 1 : 0);
+    let text = `${args.file} at ${short(commit)} (${lineCount} lines)\n\n${content.slice(0, MAX_SHOW_CHARS)}`;
+    if (truncated) text += `\n... truncated at ${MAX_SHOW_CHARS} characters`;
+    return gitResult(text, { rev, commit, file: args.file, lines: lineCount, truncated });
+  }
+
+  const fields = ["%H", "%P", "%an", "%ae", "%aI", "%cn", "%cI", "%D", "%s", "%b"];
+  const meta = await gitOutput(["show", "-s", `--format=${fields.join("%x1f")}`, rev], args.cwd);
+  const values = meta.split(FIELD_SEP);
+  if (values.length < fields.length) throw new Error(`Unexpected git show output for ${rev}`);
+  const [sha, parents, author, email, date, committer, committed, refs, subject, body] = values;
+
+  // Merge commits are shown against their first parent
+  const diffArgs = ["show", "--format=", "-M", "-m", "--first-parent", rev];
+  const [numstat, nameStatus, patch] = await Promise.all([
+    gitOutput([...diffArgs, "--numstat"], args.cwd),
+    gitOutput([...diffArgs, "--name-status"], args.cwd),
+    args.patch === false ? "" : gitOutput([...diffArgs, "--patch"], args.cwd),
+  ]);
+  const files = parseFileChanges(numstat, nameStatus);
+  const additions = files.reduce((n, f) => n + (f.additions || 0), 0);
+  const deletions = files.reduce((n, f) => n + (f.deletions || 0), 0);
+  const diff = patch.trim();
+
+  const header = [`commit ${sha}`];
+  const parentList = parents.trim().split(" ").filter(Boolean);
+  if (parentList.length > 1) header.push(`Merge:  ${parentList.map(short).join(" ")}`);
+  header.push(`Author: ${author} <${email}>`, `Date:   ${date}`);
+  if (committer !== author) header.push(`Commit: ${committer} (${committed})`);
+  if (refs.trim()) header.push(`Refs:   ${refs.trim()}`);
+  header.push("", `    ${subject}`);
+  if (body.trim()) header.push("", ...body.trim().split("\n").map((l) => `    ${l}`));
+  header.push("", `${files.length} file(s) changed, +${additions} -${deletions}`);
+  header.push(...files.map((f) => {
+    const counts = f.additions === null ? "binary" : `+${f.additions} -${f.deletions}`;
+    return `  ${f.status}  ${f.old_path ? `${f.old_path} -> ` : ""}${f.path} (${counts})`;
+  }));
+
+  const text = diff ? `${header.join("\n")}\n\n${truncateDiff(diff, MAX_SHOW_DIFF_LINES)}` : header.join("\n");
+  return gitResult(text, {
+    commit: sha,
+    parents: parentList,
+    author,
+    email,
+    date,
+    committer,
+    committed,
+    refs: refs.trim() ? refs.trim().split(", ") : [],
+    subject,
+    body: body.trim(),
+    files,
+    additions,
+    deletions,
+    ...(diff && { diff: diff.slice(0, MAX_SHOW_CHARS) }),
+  });
+}
+
+// Stash entry from an index (2), "2", or "stash@{2}"
+function stashRef(stash) {
+  if (stash === undefined || stash === null || stash === "") return "stash@{0}";
+  return /^\d+$/.test(String(stash)) ? `stash@{${stash}}` : revisionArg(stash, "stash");
+}
+
+async function listStashes(cwd) {
+  const output = await gitOutput(["stash", "list", "--format=%gd%x1f%h%x1f%cI%x1f%gs"], cwd);
+  return output.split("\n").filter(Boolean).map((line) => {
+    const [ref, commit, date, subject] = line.split(FIELD_SEP);
+    const parsed = subject.match(/^(?:WIP on|On) ([^:]+): (.*)$/);
+    return {
+      ref,
+      index: Number(ref.match(/\{(\d+)\}/)?.[1]),
+      commit,
+      date,
+      branch: parsed ? parsed[1] : null,
+      message: parsed ? parsed[2] : subject,
+    };
+  });
+}
+
+async function stashFiles(ref, cwd) {
+  const [numstat, nameStatus] = await Promise.all([
+    gitOutput(["stash", "show", "--numstat", ref], cwd),
+    gitOutput(["stash", "show", "--name-status", ref], cwd),
+  ]);
+  return parseFileChanges(numstat, nameStatus);
+}
+
+async function gitStash(name, args) {
+  const action = args.action || "list";
+  const ref = stashRef(args.stash);
+  const fileList = (files) => files.map((f) => `  ${f.status}  ${f.path}${f.additions === null ? "" : ` (+${f.additions} -${f.deletions})`}`).join("\n");
+
+  switch (action) {
+    case "list": {
+      const stashes = await listStashes(args.cwd);
+      const text = stashes.length
+        ? stashes.map((s) => `${s.ref}  ${s.date.slice(0, 16).replace("T", " ")}  ${s.branch || "-"}  ${s.message}`).join("\n")
+        : "No stash entries.";
+      return gitResult(text, { action, stashes });
+    }
+
+    case "show": {
+      const [files, stashes] = await Promise.all([stashFiles(ref, args.cwd), listStashes(args.cwd)]);
+      const entry = stashes.find((s) => s.ref === ref) || { ref };
+      return gitResult(`${ref}: ${entry.message || ""}\n${files.length} file(s):\n${fileList(files)}`, { action, stash: entry, files });
+    }
+
+    case "push": {
+      const pushArgs = ["stash", "push"];
+      if (args.include_untracked) pushArgs.push("--include-untracked");
+      if (args.message) pushArgs.push("-m", args.message);
+      if (args.paths?.length) pushArgs.push("--", ...args.paths);
+      return withPolicy(name, args, pushArgs, async () => {
+        const output = await gitOutput(pushArgs, args.cwd);
+        if (/No local changes to save/i.test(output)) {
+          return gitResult("No local changes to save.", { action, status: "nothing_to_stash" });
+        }
+        const [stash] = await listStashes(args.cwd);
+        const files = await stashFiles(stash.ref, args.cwd);
+        return gitResult(`Saved ${stash.ref}: ${stash.message}\n${files.length} file(s) stashed:\n${fileList(files)}`, {
+          action, status: "stashed", stash, files,
+        });
+      });
+    }
+
+    case "pop":
+    case "apply": {
+      const stashArgs = ["stash", action, ref];
+      return withPolicy(name, args, stashArgs, async () => {
+        const files = await stashFiles(ref, args.cwd);
+        const { code, stdout, stderr } = await execGit(stashArgs, args.cwd);
+        const conflicts = await conflictedFiles(args.cwd);
+        if (code !== 0 && conflicts.length === 0) {
+          throw new Error(stderr.trim() || stdout.trim());
+        }
+        if (conflicts.length > 0) {
+          const kept = action === "pop" ? ` ${ref} was kept; drop it with git_stash action "drop" once resolved.` : "";
+          return gitResult(
+            `Applied ${ref} with conflicts in ${conflicts.length} file(s):\n${conflicts.map((f) => `  CONFLICT ${f}`).join("\n")}\n\nInspect them with git_conflicts and resolve with resolve_conflict.${kept}`,
+            { action, status: "conflicts", stash: ref, files, conflicts },
+          );
+        }
+        const verb = action === "pop" ? "Restored and dropped" : "Applied";
+        return gitResult(`${verb} ${ref}\n${files.length} file(s):\n${fileList(files)}`, { action, status: "applied", stash: ref, files, conflicts: [] });
+      });
+    }
+
+    case "drop": {
+      const dropArgs = ["stash", "drop", ref];
+      return withPolicy(name, args, dropArgs, async () => {
+        const output = await gitOutput(dropArgs, args.cwd);
+        const commit = output.match(/\(([0-9a-f]+)\)/)?.[1] || null;
+        return gitResult(`Dropped ${ref}${commit ? ` (${commit})` : ""}`, { action, status: "dropped", stash: ref, commit });
+      });
+    }
+
+    default:
+      throw new Error(`Unknown stash action: ${action}`);
+  }
+}
+
+async function gitMerge(name, args) {
+  const action = args.action || "start";
+  if (action === "abort" || action === "continue") {
+    const mergeArgs = ["merge", `--${action}`];
+    return withPolicy(name, args, mergeArgs, async () => {
+      const op = await runOperation(mergeArgs, args.cwd);
+      return operationReport(name, `Merge ${action}`, op, { action, ...(action === "abort" && { status: "aborted" }) });
+    });
+  }
+
+  if (!args.branch) throw new Error("branch is required to start a merge");
+  const mergeArgs = ["merge"];
+  if (args.no_ff) mergeArgs.push("--no-ff");
+  if (args.ff_only) mergeArgs.push("--ff-only");
+  if (args.squash) mergeArgs.push("--squash");
+  mergeArgs.push(...(args.message ? ["-m", args.message] : ["--no-edit"]), revisionArg(args.branch, "branch"));
+
+  return withPolicy(name, args, mergeArgs, async () => {
+    const op = await runOperation(mergeArgs, args.cwd);
+    let status;
+    if (!op.state && op.conflicts.length === 0) {
+      if (args.squash) status = /Already up to date/i.test(op.output) ? "up_to_date" : "squashed";
+      else if (/Fast-forward/.test(op.output)) status = "fast_forward";
+      else if (op.before !== op.after) status = "merged";
+    }
+    const report = operationReport(name, `Merge of ${args.branch}`, op, { action, branch: args.branch, ...(status && { status }) });
+    if (status === "squashed") {
+      report.content[0].text += "\nChanges are staged but not committed; review them and call git_commit.";
+    }
+    return report;
+  });
+}
+
+async function gitRebase(name, args) {
+  const action = args.action || "start";
+  let rebaseArgs;
+  if (action === "start") {
+    if (!args.upstream) throw new Error("upstream is required to start a rebase");
+    rebaseArgs = ["rebase"];
+    if (args.autostash) rebaseArgs.push("--autostash");
+    if (args.onto) rebaseArgs.push("--onto", revisionArg(args.onto, "onto"));
+    rebaseArgs.push(revisionArg(args.upstream, "upstream"));
+  } else {
+    rebaseArgs = ["rebase", `--${action}`];
+  }
+
+  return withPolicy(name, args, rebaseArgs, async () => {
+    const op = await runOperation(rebaseArgs, args.cwd);
+    const extra = { action };
+    if (op.state) {
+      const at = await stoppedAt("REBASE_HEAD", args.cwd);
+      if (at) extra.stopped_at = at;
+    } else if (action === "abort") {
+      extra.status = "aborted";
+    } else if (op.before !== op.after) {
+      extra.status = "rebased";
+      // Commits replayed on top of the new base (a continued rebase reports those since it stopped)
+      if (action === "start") {
+        op.commits = await commitsBetween(await revParse(args.onto || args.upstream, args.cwd), op.after, args.cwd);
+      }
+    }
+    const label = action === "start" ? `Rebase onto ${args.onto || args.upstream}` : `Rebase ${action}`;
+    return operationReport(name, label, op, extra);
+  });
+}
+
+async function gitCherryPick(name, args) {
+  const action = args.action || "start";
+  let pickArgs;
+  if (action === "start") {
+    const commits = Array.isArray(args.commits) ? args.commits : [args.commits].filter(Boolean);
+    if (commits.length === 0) throw new Error("commits is required to start a cherry-pick");
+    pickArgs = ["cherry-pick"];
+    if (args.no_commit) pickArgs.push("--no-commit");
+    if (args.mainline) pickArgs.push("-m", String(args.mainline));
+    pickArgs.push(...commits.map((c) => revisionArg(c, "commits")));
+  } else {
+    pickArgs = ["cherry-pick", `--${action}`];
+  }
+
+  return withPolicy(name, args, pickArgs, async () => {
+    const op = await runOperation(pickArgs, args.cwd);
+    const extra = { action };
+    if (op.state) {
+      const at = await stoppedAt("CHERRY_PICK_HEAD", args.cwd);
+      if (at) extra.stopped_at = at;
+    } else if (action === "abort") {
+      extra.status = "aborted";
+    } else if (args.no_commit) {
+      extra.status = "applied_uncommitted";
+    } else if (op.before !== op.after) {
+      extra.status = "picked";
+    }
+    return operationReport(name, action === "start" ? "Cherry-pick" : `Cherry-pick ${action}`, op, extra);
+  });
+}
+
+async function gitTag(name, args) {
+  const action = args.action || "list";
+
+  if (action === "list") {
+    const format = "%(refname:short)%1f%(objecttype)%1f%(objectname:short)%1f%(*objectname:short)%1f%(creatordate:iso-strict)%1f%(contents:subject)";
+    const output = await gitOutput(["tag", "-l", "--sort=-creatordate", `--format=${format}`, ...(args.pattern ? [revisionArg(args.pattern, "pattern")] : [])], args.cwd);
+    const all = output.split("\n").filter(Boolean).map((line) => {
+      const [tag, type, object, peeled, date, subject] = line.split(FIELD_SEP);
+      const annotated = type === "tag";
+      return { name: tag, commit: annotated ? peeled : object, annotated, date, ...(annotated && { message: subject }) };
     });
+    const tags = all.slice(0, args.count || 50);
+    const text = tags.length
+      ? tags.map((t) => `${t.name.padEnd(20)} ${t.commit}  ${t.date.slice(0, 10)}${t.annotated ? `  ${t.message}` : ""}`).join("\n")
+        + (all.length > tags.length ? `\n... ${all.length - tags.length} more` : "")
+      : "No tags.";
+    return gitResult(text, { action, tags, total: all.length });
+  }
 
-    let stdout = "";
-    let stderr = "";
+  if (!args.name) throw new Error(`name is required to ${action} a tag`);
+  revisionArg(args.name, "name");
 
-    proc.stdout.on("data", (data) => {
-      stdout += data.toString();
+  if (action === "create") {
+    const tagArgs = ["tag"];
+    if (args.force) tagArgs.push("-f");
+    if (args.message) tagArgs.push("-a", "-m", args.message);
+    tagArgs.push(args.name);
+    if (args.target) tagArgs.push(revisionArg(args.target, "target"));
+    return withPolicy(name, args, tagArgs, async () => {
+      await gitOutput(tagArgs, args.cwd);
+      const commit = await revParse(args.name, args.cwd);
+      const kind = args.message ? "annotated tag" : "tag";
+      return gitResult(`Created ${kind} ${args.name} at ${short(commit)}`, {
+        action, status: "created", name: args.name, commit, annotated: Boolean(args.message),
+      });
     });
+  }
 
-    proc.stderr.on("data", (data) => {
-      stderr += data.toString();
+  if (action === "delete") {
+    const tagArgs = ["tag", "-d", args.name];
+    return withPolicy(name, args, tagArgs, async () => {
+      const output = await gitOutput(tagArgs, args.cwd);
+      const was = output.match(/\(was ([0-9a-f]+)\)/)?.[1] || null;
+      return gitResult(`Deleted tag ${args.name}${was ? ` (was ${was})` : ""}`, { action, status: "deleted", name: args.name, was });
     });
+  }
 
-    proc.on("close", (code) => {
-      if (code === 0) {
-        resolve(stdout || stderr || "(success, no output)");
-      } else {
-        reject(new Error(stderr || stdout || `Git exited with code ${code}`));
-      }
+  throw new Error(`Unknown tag action: ${action}`);
+}
+
+async function gitReset(name, args) {
+  const target = revisionArg(args.target || "HEAD", "target");
+
+  if (args.files?.length) {
+    const resetArgs = ["reset", "-q", target, "--", ...args.files];
+    return withPolicy(name, args, resetArgs, async () => {
+      await gitOutput(resetArgs, args.cwd);
+      return gitResult(`Unstaged ${args.files.length} path(s): ${args.files.join(", ")}`, { status: "unstaged", files: args.files });
+    });
+  }
+
+  const mode = args.mode || "mixed";
+  if (!["soft", "mixed", "hard"].includes(mode)) throw new Error(`Unknown reset mode: ${mode}`);
+  const resetArgs = ["reset", `--${mode}`, target];
+
+  return withPolicy(name, args, resetArgs, async () => {
+    const [before, targetCommit] = await Promise.all([revParse("HEAD", args.cwd), revParse(target, args.cwd)]);
+    if (!targetCommit) throw new Error(`Unknown revision: ${target}`);
+
+    // A hard reset overwrites every file that differs from the target; keep them for undo_last_change
+    let discarded = [];
+    if (mode === "hard") {
+      const root = await repoRoot(args.cwd);
+      discarded = (await gitOutput(["diff", "--name-only", "-z", targetCommit], args.cwd)).split("\0").filter(Boolean);
+      if (discarded.length > 0) await recordChange(name, discarded.map((f) => path.join(root, f)));
+    }
+
+    await gitOutput(["reset", "-q", ...resetArgs.slice(1)], args.cwd);
+    const after = await revParse("HEAD", args.cwd);
+    const removed = await commitsBetween(after, before, args.cwd);
+    const changedFlag = { soft: ["--cached"], mixed: [], hard: null }[mode];
+    const pending = changedFlag
+      ? (await gitOutput(["diff", "--name-only", ...changedFlag], args.cwd)).split("\n").filter(Boolean)
+      : [];
+
+    const lines = [`Reset to ${short(after)} (${mode})`];
+    if (before !== after) lines.push(`Previous HEAD: ${short(before)} - git_reset with target "${before}" goes back to it`);
+    if (removed.length > 0) {
+      lines.push(`${removed.length} commit(s) no longer on the branch:`, ...removed.slice(0, 20).map((c) => `  ${c.commit} ${c.subject}`));
+    }
+    if (mode === "soft" && pending.length) lines.push(`${pending.length} file(s) staged`);
+    if (mode === "mixed" && pending.length) lines.push(`${pending.length} file(s) with unstaged changes`);
+    if (discarded.length) lines.push(`Discarded changes to ${discarded.length} file(s); undo_last_change restores them`);
+
+    return gitResult(lines.join("\n"), {
+      status: "reset",
+      mode,
+      target,
+      head: after,
+      previous_head: before,
+      removed_commits: removed,
+      ...(mode === "hard" ? { discarded } : { [mode === "soft" ? "staged" : "unstaged"]: pending }),
     });
+  });
+}
+
+async function gitWorktree(name, args) {
+  const action = args.action || "list";
+  const list = async () => parseWorktrees(await gitOutput(["worktree", "list", "--porcelain"], args.cwd));
+  const describe = (w) => {
+    const flags = ["bare", "detached", "locked", "prunable"].filter((f) => w[f]);
+    return `${w.path}  ${w.branch ? `[${w.branch}]` : ""} ${short(w.head) || ""}${flags.length ? ` (${flags.join(", ")})` : ""}`.replace(/ +/g, " ");
+  };
+  // Worktree paths are relative to the repository directory and subject to the workspace sandbox
+  const worktreePath = () => {
+    if (!args.path) throw new Error(`path is required to ${action} a worktree`);
+    return resolveWritablePath(path.resolve(args.cwd || getWorkingDir(), args.path));
+  };
+
+  switch (action) {
+    case "list": {
+      const worktrees = await list();
+      return gitResult(worktrees.map(describe).join("\n"), { action, worktrees });
+    }
 
-    proc.on("error", reject);
+    case "add": {
+      const target = worktreePath();
+      const addArgs = ["worktree", "add"];
+      if (args.force) addArgs.push("--force");
+      if (args.new_branch) addArgs.push("-b", args.new_branch);
+      if (args.detach) addArgs.push("--detach");
+      addArgs.push(target);
+      if (args.branch) addArgs.push(revisionArg(args.branch, "branch"));
+      return withPolicy(name, args, addArgs, async () => {
+        await gitOutput(addArgs, args.cwd);
+        const worktree = (await list()).find((w) => path.resolve(w.path) === target) || { path: target };
+        return gitResult(`Added worktree ${describe(worktree)}`, { action, status: "added", worktree });
+      });
+    }
+
+    case "remove": {
+      const target = worktreePath();
+      const removeArgs = ["worktree", "remove"];
+      if (args.force) removeArgs.push("--force");
+      removeArgs.push(target);
+      return withPolicy(name, args, removeArgs, async () => {
+        await gitOutput(removeArgs, args.cwd);
+        return gitResult(`Removed worktree ${target}`, { action, status: "removed", path: target });
+      });
+    }
+
+    case "prune": {
+      const pruneArgs = ["worktree", "prune", "-v"];
+      return withPolicy(name, args, pruneArgs, async () => {
+        const { stdout, stderr } = await execGit(pruneArgs, args.cwd);
+        const pruned = `${stdout}${stderr}`.split("\n").filter((l) => l.startsWith("Removing ")).map((l) => l.replace(/^Removing /, ""));
+        return gitResult(pruned.length ? `Pruned ${pruned.length} worktree(s):\n${pruned.map((p) => `  ${p}`).join("\n")}` : "Nothing to prune.", {
+          action, status: "pruned", pruned,
+        });
+      });
+    }
+
+    default:
+      throw new Error(`Unknown worktree action: ${action}`);
+  }
+}
+
+// What to do once a file's conflicts are resolved, given the operation in progress
+async function nextStep(cwd) {
+  const remaining = await unmergedPaths(cwd);
+  if (remaining.length > 0) {
+    return { remaining, hint: `${remaining.length} conflicted file(s) left: ${remaining.map((e) => e.path).join(", ")}` };
+  }
+  const state = await operationInProgress(cwd);
+  const tool = { merge: "git_merge", rebase: "git_rebase", "cherry-pick": "git_cherry_pick" }[state?.operation];
+  const hint = tool
+    ? `All conflicts resolved. Call ${tool} with action "continue".`
+    : state?.operation === "revert" ? "All conflicts resolved. Call git_commit to finish the revert." : "All conflicts resolved.";
+  return { remaining, hint };
+}
+
+// Conflicts in one unmerged file, with base sections filled in from the index when the markers lack them
+async function fileConflicts(entry, root) {
+  const absPath = path.join(root, entry.path);
+  let hunks = [];
+  let exists = true;
+  try {
+    hunks = parseConflicts((await readTextFile(absPath)).content);
+  } catch (error) {
+    if (error.code !== "ENOENT" && !/binary file/.test(error.message)) throw error;
+    exists = error.code !== "ENOENT";
+  }
+  if (hunks.some((h) => !h.base)) {
+    const diff3 = await mergeDiff3(await conflictStages(entry.path, root), root);
+    if (diff3) attachBases(hunks, parseConflicts(diff3));
+  }
+  return { ...entry, exists, hunks };
+}
+
+function formatHunk(hunk, maxLines) {
+  const section = (name, s) => {
+    if (!s) return [];
+    const where = s.start_line ? (s.line_count ? `lines ${s.start_line}-${s.end_line}` : "empty") : `${s.line_count} line(s), from the index${s.approximate ? ", approximate" : ""}`;
+    const lines = s.text === "" && s.line_count === 0 ? [] : s.text.split("\n");
+    const shown = lines.slice(0, maxLines).map((l) => `      | ${l}`);
+    if (lines.length > maxLines) shown.push(`      ... ${lines.length - maxLines} more line(s)`);
+    return [`    ${name}${s.label ? ` (${s.label})` : ""}, ${where}:`, ...shown];
+  };
+  return [
+    `  hunk ${hunk.index}, lines ${hunk.start_line}-${hunk.end_line}`,
+    ...section("ours", hunk.ours),
+    ...section("base", hunk.base),
+    ...section("theirs", hunk.theirs),
+  ].join("\n");
+}
+
+async function gitConflicts(args) {
+  const root = await repoRoot(args.cwd);
+  let entries = await unmergedPaths(args.cwd);
+  if (args.file) {
+    const wanted = path.relative(root, path.resolve(args.cwd || getWorkingDir(), args.file)).replace(/\\/g, "/");
+    entries = entries.filter((e) => e.path === wanted);
+  }
+  const state = await operationInProgress(args.cwd);
+  if (entries.length === 0) {
+    return gitResult(args.file ? `${args.file} has no conflicts.` : "No conflicted files.", {
+      operation: state?.operation || null, files: [],
+    });
+  }
+
+  const files = [];
+  for (const entry of entries) files.push(await fileConflicts(entry, root));
+  const maxLines = args.max_lines || 30;
+  const during = state ? ` (${state.operation} in progress${state.progress ? `, step ${state.progress.current}/${state.progress.total}` : ""})` : "";
+  const blocks = files.map((f) => {
+    if (f.hunks.length > 0) return `${f.path} - ${f.type}, ${f.hunks.length} hunk(s)\n${f.hunks.map((h) => formatHunk(h, maxLines)).join("\n")}`;
+    const how = f.exists ? "no conflict markers; choose ours or theirs for the whole file" : "file deleted on one side; ours/theirs keeps or deletes it";
+    return `${f.path} - ${f.type} (${how})`;
+  });
+  const hunkCount = files.reduce((n, f) => n + f.hunks.length, 0);
+
+  return gitResult(
+    `${files.length} conflicted file(s), ${hunkCount} hunk(s)${during}\n\n${blocks.join("\n\n")}\n\nResolve with resolve_conflict (file, hunk, choice or content).`,
+    { operation: state?.operation || null, ...(state?.progress && { progress: state.progress }), files },
+  );
+}
+
+// Keep or delete a whole file: for modify/delete conflicts and files without markers
+async function resolveWholeFile(entry, absPath, choice, root) {
+  if (!["ours", "theirs"].includes(choice)) {
+    throw new Error(`${entry.path} has no conflict hunks (${entry.type}); use choice "ours" or "theirs"`);
+  }
+  const deletedBy = { DU: "ours", UD: "theirs", DD: choice }[entry.code];
+  await recordChange("resolve_conflict", [absPath]);
+  if (deletedBy === choice) {
+    await gitOutput(["rm", "-q", "--", entry.path], root);
+    return `Deleted ${entry.path} (${choice}) and staged the deletion`;
+  }
+  if (!deletedBy) await gitOutput(["checkout", `--${choice}`, "--", entry.path], root);
+  await gitOutput(["add", "--", entry.path], root);
+  return `Kept ${choice === "ours" ? "our" : "their"} version of ${entry.path} and staged it`;
+}
+
+async function resolveConflict(args) {
+  if (!args.choice && args.content === undefined) throw new Error("Provide choice (ours, theirs, both, base) or content");
+  const root = await repoRoot(args.cwd);
+  const absPath = resolveWritablePath(path.resolve(args.cwd || getWorkingDir(), args.file));
+  const relPath = path.relative(root, absPath).replace(/\\/g, "/");
+  const entry = (await unmergedPaths(args.cwd)).find((e) => e.path === relPath);
+
+  let file = null;
+  try {
+    file = await readTextFile(absPath);
+  } catch (error) {
+    if (error.code !== "ENOENT" && !/binary file/.test(error.message)) throw error;
+  }
+  const hunks = file ? parseConflicts(file.content) : [];
+
+  if (hunks.length === 0) {
+    if (!entry) throw new Error(`${args.file} has no conflicts`);
+    const text = await resolveWholeFile(entry, absPath, args.choice, root);
+    const next = await nextStep(args.cwd);
+    return gitResult(`${text}\n${next.hint}`, {
+      file: relPath, type: entry.type, choice: args.choice, staged: true, remaining_hunks: 0, remaining_files: next.remaining.map((e) => e.path),
+    });
+  }
+
+  let targets = hunks;
+  if (args.hunk !== undefined) {
+    const hunk = hunks[args.hunk - 1];
+    if (!hunk) throw new Error(`${args.file} has ${hunks.length} conflict hunk(s); there is no hunk ${args.hunk}`);
+    targets = [hunk];
+  } else if (args.content !== undefined && hunks.length > 1) {
+    throw new Error(`${args.file} has ${hunks.length} conflict hunks; give the hunk number for custom content`);
+  }
+  if (args.choice === "base" && targets.some((h) => !h.base)) {
+    const diff3 = await mergeDiff3(await conflictStages(relPath, root), root);
+    if (diff3) attachBases(hunks, parseConflicts(diff3));
+  }
+
+  const { format } = file;
+  const lines = splitLines(file.content);
+  const take = (section) => lines.slice(section.start_line - 1, section.end_line).map((l) => ({ ...l }));
+  const fromText = (text) => (text === "" ? [] : adaptText(text, format).split(format.eol).map((t) => ({ text: t })));
+
+  // Replace from the bottom up so earlier hunks' line numbers stay valid
+  for (const hunk of [...targets].reverse()) {
+    let replacement;
+    if (args.content !== undefined) {
+      replacement = fromText(args.content);
+    } else if (args.choice === "ours") {
+      replacement = take(hunk.ours);
+    } else if (args.choice === "theirs") {
+      replacement = take(hunk.theirs);
+    } else if (args.choice === "both") {
+      replacement = [...take(hunk.ours), ...take(hunk.theirs)];
+    } else if (args.choice === "base") {
+      if (!hunk.base) throw new Error(`No base version is available for hunk ${hunk.index}; choose another side or give content`);
+      replacement = hunk.base.start_line ? take(hunk.base) : fromText(hunk.base.text);
+    } else {
+      throw new Error(`Unknown choice: ${args.choice}`);
+    }
+    // The last line takes the >>>>>>> marker's line ending, so the following line is unchanged
+    if (replacement.length > 0) replacement[replacement.length - 1].eol = lines[hunk.end_line - 1].eol;
+    lines.splice(hunk.start_line - 1, hunk.end_line - hunk.start_line + 1, ...replacement);
+  }
+
+  const newContent = finishText(joinLines(lines, format), format);
+  await recordChange("resolve_conflict", [absPath]);
+  await writeTextFile(absPath, newContent, format);
+
+  const remaining = parseConflicts(newContent);
+  let staged = false;
+  if (remaining.length === 0 && entry) {
+    await gitOutput(["add", "--", relPath], root);
+    staged = true;
+  }
+  const next = await nextStep(args.cwd);
+  const { diff } = unifiedDiff(file.content, newContent, { fromFile: `a/${relPath}`, toFile: `b/${relPath}` });
+  const how = args.content !== undefined ? "custom content" : args.choice;
+  const which = targets.length === 1 ? `hunk ${targets[0].index}` : `${targets.length} hunks`;
+  const status = remaining.length > 0
+    ? `${remaining.length} hunk(s) left in ${relPath} (renumbered: ${remaining.map((h) => `${h.index} at line ${h.start_line}`).join(", ")})`
+    : `${relPath} has no conflicts left${staged ? " and was staged" : ""}. ${next.hint}`;
+
+  return gitResult(`Resolved ${which} of ${relPath} with ${how}\n${status}\n\n${truncateDiff(diff)}`, {
+    file: relPath,
+    resolved: targets.map((h) => h.index),
+    choice: args.choice || null,
+    remaining_hunks: remaining.length,
+    hunks: remaining,
+    staged,
+    remaining_files: next.remaining.map((e) => e.path),
+    diff,
+  });
+}
+
+// Sizes of staged blobs, from one cat-file call
+async function stagedSizes(paths, root) {
+  if (paths.length === 0) return new Map();
+  const { stdout } = await execGit(["cat-file", "--batch-check=%(objectsize)"], root, { input: paths.map((p) => `:${p}\n`).join("") });
+  const sizes = stdout.split("\n");
+  return new Map(paths.map((p, i) => [p, Number(sizes[i]) || 0]));
+}
+
+async function prepareCommit(args) {
+  const root = await repoRoot(args.cwd);
+  const config = await loadCommitConfig([root, getWorkingDir()]);
+  if (args.convention) config.convention = args.convention;
+
+  const diffArgs = ["-c", "core.quotePath=false", "diff", "--cached", "-M", "--no-color", "--no-ext-diff"];
+  const [numstat, nameStatus, diff] = await Promise.all([
+    gitOutput([...diffArgs, "--numstat"], root),
+    gitOutput([...diffArgs, "--name-status"], root),
+    gitOutput([...diffArgs, "-U0"], root),
+  ]);
+  const changes = parseFileChanges(numstat, nameStatus);
+  if (changes.length === 0) {
+    const unstaged = (await gitOutput(["status", "--porcelain"], root)).split("\n").filter(Boolean).length;
+    return gitResult(
+      `Nothing staged.${unstaged ? ` ${unstaged} changed or untracked file(s) - stage them with git_add first.` : ""}`,
+      { files: [], findings: [], ready: false },
+    );
+  }
+
+  const sizes = await stagedSizes(changes.filter((c) => c.status !== "D").map((c) => c.path), root);
+  const files = changes.map((c) => ({
+    ...c,
+    category: categorize(c.path),
+    binary: c.additions === null,
+    size: sizes.get(c.path) || 0,
+  }));
+  const findings = scanRisks(files, addedLines(diff), config);
+  const check = args.message ? checkMessage(args.message, config) : null;
+  const draft = draftMessage(files, config);
+
+  const groups = {};
+  for (const f of files) (groups[f.category] ||= []).push(f.path);
+  const additions = files.reduce((n, f) => n + (f.additions || 0), 0);
+  const deletions = files.reduce((n, f) => n + (f.deletions || 0), 0);
+  const errors = findings.filter((f) => f.severity === "error").length;
+
+  const lines = [`Staged: ${files.length} file(s), +${additions} -${deletions}`, ""];
+  for (const [category, paths] of Object.entries(groups)) {
+    lines.push(`${category} (${paths.length})`);
+    for (const f of files.filter((x) => x.category === category)) {
+      const stat = f.binary ? `binary, ${Math.round(f.size / 1024)} KB` : `+${f.additions} -${f.deletions}`;
+      lines.push(`  ${f.status}  ${f.old_path ? `${f.old_path} -> ` : ""}${f.path}  ${stat}`);
+    }
+  }
+  if (findings.length > 0) {
+    lines.push("", `Warnings (${errors} error(s), ${findings.length - errors} warning(s))`);
+    for (const f of findings) {
+      lines.push(`  ${f.severity.padEnd(7)} ${f.kind.padEnd(15)} ${f.file}${f.line ? `:${f.line}` : ""}  ${f.message}`);
+    }
+  }
+  if (check) {
+    const problems = [...check.errors.map((e) => `  ✗ ${e}`), ...check.warnings.map((w) => `  ! ${w}`)];
+    lines.push("", `Message (${config.convention}): ${check.valid ? "OK" : "does not follow the convention"}`, ...problems);
+  }
+  lines.push("", `Draft message (${draft.reason}):`, ...draft.message.split("\n").map((l) => `  ${l}`));
+
+  const ready = errors === 0 && (!check || check.valid);
+  lines.push("", ready
+    ? `Ready to commit${check ? "" : " once the message is written"} - use git_commit.`
+    : "Not ready to commit: fix the errors above first.");
+
+  return gitResult(lines.join("\n"), {
+    files,
+    groups,
+    stats: { files: files.length, additions, deletions },
+    findings,
+    ...(check && { message_check: check }),
+    draft,
+    convention: config,
+    ready,
   });
 }
 
 export async function handleGitTool(name, args) {
+  try {
+    // cwd is checked against the sandbox like any other path before git runs there
+    if (args.cwd) args = { ...args, cwd: resolvePath(args.cwd) };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Git error: ${error.message}` }],
+      isError: true,
+    };
+  }
+
   try {
     let result;
 
@@ -305,10 +1523,46 @@ export async function handleGitTool(name, args) {
       case "git_clone": {
         const cloneArgs = ["clone", args.url];
         if (args.directory) cloneArgs.push(args.directory);
-        result = await runGit(cloneArgs, process.cwd());
+        result = await runGit(cloneArgs, getWorkingDir());
         break;
       }
 
+      case "git_blame":
+        return await gitBlame(args);
+
+      case "git_show":
+        return await gitShow(args);
+
+      case "git_stash":
+        return await gitStash(name, args);
+
+      case "git_merge":
+        return await gitMerge(name, args);
+
+      case "git_rebase":
+        return await gitRebase(name, args);
+
+      case "git_tag":
+        return await gitTag(name, args);
+
+      case "git_reset":
+        return await gitReset(name, args);
+
+      case "git_cherry_pick":
+        return await gitCherryPick(name, args);
+
+      case "git_worktree":
+        return await gitWorktree(name, args);
+
+      case "git_conflicts":
+        return await gitConflicts(args);
+
+      case "resolve_conflict":
+        return await resolveConflict(args);
+
+      case "git_prepare_commit":
+        return await prepareCommit(args);
+
       default:
         throw new Error(`Unknown git tool: ${name}`);
     }
@@ -317,8 +1571,13 @@ export async function handleGitTool(name, args) {
       content: [{ type: "text", text: result }],
     };
   } catch (error) {
+    // A pull that stops on conflicts fails like any other; point at the conflict tools
+    const conflicts = name === "git_pull" ? await conflictedFiles(args.cwd).catch(() => []) : [];
+    const hint = conflicts.length > 0
+      ? `\n\n${conflicts.length} conflicted file(s): ${conflicts.join(", ")}. Inspect them with git_conflicts and resolve with resolve_conflict.`
+      : "";
     return {
-      content: [{ type: "text", text: `Git error: ${error.message}` }],
+      content: [{ type: "text", text: `Git error: ${error.message}${hint}` }],
       isError: true,
     };
   }
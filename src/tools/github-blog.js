@@ -1,6 +1,6 @@
 import fs from "fs/promises";
 import path from "path";
-import { resolvePath } from "../utils/paths.js";
+import { resolvePath, resolveWritablePath } from "../utils/paths.js";
 import { spawn } from "child_process";
 import { platform } from "os";
 
@@ -401,6 +401,11 @@ function runCommand(command, cwd) {
   });
 }
 
+// Every file the blog tools write is checked against the sandbox's write rules
+async function writeBlogFile(filePath, content) {
+  await fs.writeFile(resolveWritablePath(filePath), content);
+}
+
 function slugify(text) {
   return text
     .toLowerCase()
@@ -415,7 +420,7 @@ function getDateString() {
 export async function handleGithubBlogTool(name, args) {
   switch (name) {
     case "blog_init": {
-      const blogPath = resolvePath(args.path);
+      const blogPath = resolveWritablePath(args.path);
       const title = args.title;
       const description = args.description || "";
       const author = args.author || "";
@@ -469,7 +474,7 @@ exclude:
   - preview.html
   - _templates
 `;
-      await fs.writeFile(path.join(blogPath, "_config.yml"), config);
+      await writeBlogFile(path.join(blogPath, "_config.yml"), config);
 
       // Create navigation data file
       const defaultNav = args.nav_links || [
@@ -478,7 +483,7 @@ exclude:
         { title: "Categories", url: "/categories/" },
         { title: "About", url: "/about/" },
       ];
-      await fs.writeFile(
+      await writeBlogFile(
         path.join(blogPath, "_data", "navigation.yml"),
         defaultNav.map(n => `- title: "${n.title}"\n  url: "${n.url}"`).join("\n\n")
       );
@@ -525,7 +530,7 @@ exclude:
 </body>
 </html>
 `;
-      await fs.writeFile(path.join(blogPath, "_layouts", "default.html"), baseLayout);
+      await writeBlogFile(path.join(blogPath, "_layouts", "default.html"), baseLayout);
 
       // Create home layout (GitHub Pages compatible)
       const homeLayout = `---
@@ -561,7 +566,7 @@ layout: default
   </section>
 </div>
 `;
-      await fs.writeFile(path.join(blogPath, "_layouts", "home.html"), homeLayout);
+      await writeBlogFile(path.join(blogPath, "_layouts", "home.html"), homeLayout);
 
       // Create post layout
       const postLayout = `---
@@ -605,7 +610,7 @@ layout: default
   </nav>
 </article>
 `;
-      await fs.writeFile(path.join(blogPath, "_layouts", "post.html"), postLayout);
+      await writeBlogFile(path.join(blogPath, "_layouts", "post.html"), postLayout);
 
       // Create page layout
       const pageLayout = `---
@@ -620,7 +625,7 @@ layout: default
   </div>
 </article>
 `;
-      await fs.writeFile(path.join(blogPath, "_layouts", "page.html"), pageLayout);
+      await writeBlogFile(path.join(blogPath, "_layouts", "page.html"), pageLayout);
 
       // Create category/tag layout (uses contains for GitHub Pages compatibility)
       const categoryLayout = `---
@@ -650,7 +655,7 @@ layout: default
   </div>
 </div>
 `;
-      await fs.writeFile(path.join(blogPath, "_layouts", "category.html"), categoryLayout);
+      await writeBlogFile(path.join(blogPath, "_layouts", "category.html"), categoryLayout);
 
       // Create CSS
       const css = `/* Modern Blog Styles */
@@ -974,7 +979,7 @@ body {
   color: var(--text-light);
 }
 `;
-      await fs.writeFile(path.join(blogPath, "assets", "css", "style.css"), css);
+      await writeBlogFile(path.join(blogPath, "assets", "css", "style.css"), css);
 
       // Create JS for mobile menu
       const js = `// Mobile menu toggle
@@ -989,7 +994,7 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 });
 `;
-      await fs.writeFile(path.join(blogPath, "assets", "js", "main.js"), js);
+      await writeBlogFile(path.join(blogPath, "assets", "js", "main.js"), js);
 
       // Create index.html (home page)
       const indexPage = `---
@@ -999,7 +1004,7 @@ title: Home
 
 ${description || `Welcome to ${title}!`}
 `;
-      await fs.writeFile(path.join(blogPath, "index.html"), indexPage);
+      await writeBlogFile(path.join(blogPath, "index.html"), indexPage);
 
       // Create blog listing page (GitHub Pages compatible - no paginator)
       const blogPage = `---
@@ -1032,7 +1037,7 @@ permalink: /blog/
   <p>No posts yet.</p>
 {% endif %}
 `;
-      await fs.writeFile(path.join(blogPath, "blog.html"), blogPage);
+      await writeBlogFile(path.join(blogPath, "blog.html"), blogPage);
 
       // Create categories page - all tags on one page, no extra files needed
       const categoriesPage = `---
@@ -1076,7 +1081,7 @@ permalink: /categories/
   </section>
 {% endfor %}
 `;
-      await fs.writeFile(path.join(blogPath, "categories.html"), categoriesPage);
+      await writeBlogFile(path.join(blogPath, "categories.html"), categoriesPage);
 
       // Create about page
       const aboutPage = `---
@@ -1087,7 +1092,7 @@ permalink: /about/
 
 ${description || `About ${title}.`}
 `;
-      await fs.writeFile(path.join(blogPath, "about.md"), aboutPage);
+      await writeBlogFile(path.join(blogPath, "about.md"), aboutPage);
 
       // Create Gemfile
       const gemfile = `source "https://rubygems.org"
@@ -1100,7 +1105,7 @@ group :jekyll_plugins do
   gem "jekyll-paginate"
 end
 `;
-      await fs.writeFile(path.join(blogPath, "Gemfile"), gemfile);
+      await writeBlogFile(path.join(blogPath, "Gemfile"), gemfile);
 
       // Create .gitignore
       const gitignore = `_site/
@@ -1110,7 +1115,7 @@ end
 vendor/
 .bundle/
 `;
-      await fs.writeFile(path.join(blogPath, ".gitignore"), gitignore);
+      await writeBlogFile(path.join(blogPath, ".gitignore"), gitignore);
 
       // Create README
       const readme = `# ${title}
@@ -1151,7 +1156,7 @@ Use the \`blog_category_create\` tool.
 
 Push to GitHub and enable GitHub Pages in repository settings.
 `;
-      await fs.writeFile(path.join(blogPath, "README.md"), readme);
+      await writeBlogFile(path.join(blogPath, "README.md"), readme);
 
       // Initialize git
       await runCommand("git init", blogPath);
@@ -1197,7 +1202,7 @@ Next steps:
     }
 
     case "blog_post_create": {
-      const blogPath = resolvePath(args.blog_path);
+      const blogPath = resolveWritablePath(args.blog_path);
       const title = args.title;
       const content = args.content;
       const category = args.category || "";
@@ -1224,7 +1229,7 @@ ${content}
 `;
 
       await fs.mkdir(path.join(blogPath, folder), { recursive: true });
-      await fs.writeFile(filePath, frontmatter);
+      await writeBlogFile(filePath, frontmatter);
 
       // Tags auto-update on categories page - no need to create category files
       // If user wants a dedicated category page with description, use blog_category_create
@@ -1248,7 +1253,7 @@ Note: Tags will auto-appear on the Categories page after deploy.`
     }
 
     case "blog_page_create": {
-      const blogPath = resolvePath(args.blog_path);
+      const blogPath = resolveWritablePath(args.blog_path);
       const title = args.title;
       const content = args.content;
       const permalink = args.permalink || `/${slugify(title)}/`;
@@ -1266,7 +1271,7 @@ permalink: ${permalink}
 ${content}
 `;
 
-      await fs.writeFile(filePath, pageContent);
+      await writeBlogFile(filePath, pageContent);
 
       // Add to navigation if requested
       if (addToNav) {
@@ -1275,7 +1280,7 @@ ${content}
           let navContent = await fs.readFile(navPath, "utf-8");
           if (!navContent.includes(permalink)) {
             navContent += `\n- title: "${title}"\n  url: "${permalink}"`;
-            await fs.writeFile(navPath, navContent);
+            await writeBlogFile(navPath, navContent);
           }
         } catch {
           // Navigation file doesn't exist
@@ -1370,7 +1375,7 @@ No separate category files needed.`
     }
 
     case "blog_nav_update": {
-      const blogPath = resolvePath(args.blog_path);
+      const blogPath = resolveWritablePath(args.blog_path);
       const links = args.links || [];
 
       const navContent = links
@@ -1378,7 +1383,7 @@ No separate category files needed.`
         .join("\n\n");
 
       await fs.mkdir(path.join(blogPath, "_data"), { recursive: true });
-      await fs.writeFile(path.join(blogPath, "_data", "navigation.yml"), navContent);
+      await writeBlogFile(path.join(blogPath, "_data", "navigation.yml"), navContent);
 
       return {
         content: [{
@@ -1389,7 +1394,7 @@ No separate category files needed.`
     }
 
     case "blog_deploy": {
-      const blogPath = resolvePath(args.blog_path);
+      const blogPath = resolveWritablePath(args.blog_path);
       const message = args.commit_message || "Update blog";
 
       await runCommand("git add -A", blogPath);
@@ -1417,7 +1422,7 @@ Your site should be live shortly.`
     }
 
     case "blog_config": {
-      const blogPath = resolvePath(args.blog_path);
+      const blogPath = resolveWritablePath(args.blog_path);
       const configPath = path.join(blogPath, "_config.yml");
 
       let config;
@@ -1435,13 +1440,13 @@ Your site should be live shortly.`
       if (args.author) config = config.replace(/^author:.*/m, `author: "${args.author}"`);
       if (args.url) config = config.replace(/^url:.*/m, `url: "${args.url}"`);
 
-      await fs.writeFile(configPath, config);
+      await writeBlogFile(configPath, config);
 
       return { content: [{ type: "text", text: `Config updated.` }] };
     }
 
     case "blog_theme": {
-      const blogPath = resolvePath(args.blog_path);
+      const blogPath = resolveWritablePath(args.blog_path);
       const cssPath = path.join(blogPath, "assets", "css", "style.css");
 
       // Get colors from preset or custom values
@@ -1758,7 +1763,7 @@ a { color: var(--primary-color); }
 `;
 
       await fs.mkdir(path.join(blogPath, "assets", "css"), { recursive: true });
-      await fs.writeFile(cssPath, css);
+      await writeBlogFile(cssPath, css);
 
       return {
         content: [{
@@ -1800,7 +1805,7 @@ CSS written to: ${cssPath}`
     }
 
     case "blog_jekyll_theme": {
-      const blogPath = resolvePath(args.blog_path);
+      const blogPath = resolveWritablePath(args.blog_path);
       const themeName = args.theme;
       const configPath = path.join(blogPath, "_config.yml");
 
@@ -1833,7 +1838,7 @@ CSS written to: ${cssPath}`
       lines.splice(1, 0, themeLines);
       config = lines.join("\n");
 
-      await fs.writeFile(configPath, config);
+      await writeBlogFile(configPath, config);
 
       // Update Gemfile to include jekyll-remote-theme
       const gemfilePath = path.join(blogPath, "Gemfile");
@@ -1844,7 +1849,7 @@ CSS written to: ${cssPath}`
             /group :jekyll_plugins do/,
             `group :jekyll_plugins do\n  gem "jekyll-remote-theme"`
           );
-          await fs.writeFile(gemfilePath, gemfile);
+          await writeBlogFile(gemfilePath, gemfile);
         }
       } catch {
         // Gemfile might not exist
@@ -1,8 +1,27 @@
 /**
  * User interaction tools
  * Ask questions, get confirmation, present choices
+ *
+ * Questions wait for a real answer: through MCP elicitation when the client
+ * supports it (stdio modes), or through the chat UI's pending-question queue
+ * (HTTP mode). Both are reached through context.elicit, which takes an
+ * elicitation request ({message, requestedSchema}) and resolves with
+ * {action: "accept"|"decline"|"cancel", content}.
  */
 
+import { EventEmitter } from "events";
+
+// Seconds a question waits before its default answer is used
+const DEFAULT_TIMEOUT_SECONDS = Number(process.env.QUESTION_TIMEOUT_SECONDS) || 300;
+
+// JSON-RPC "request timed out", raised by the MCP SDK and by the chat queue alike
+const REQUEST_TIMEOUT = -32001;
+
+const timeoutProperty = {
+  type: "number",
+  description: `Seconds to wait for an answer before using the default (default: ${DEFAULT_TIMEOUT_SECONDS})`,
+};
+
 export const interactionTools = [
   {
     name: "ask_user",
@@ -28,6 +47,7 @@ export const interactionTools = [
           type: "string",
           description: "Default value if user doesn't provide one",
         },
+        timeout_seconds: timeoutProperty,
       },
       required: ["question"],
     },
@@ -35,7 +55,7 @@ export const interactionTools = [
   {
     name: "confirm",
     description:
-      "Ask the user to confirm an action before proceeding. Use this for destructive or irreversible operations.",
+      "Ask the user to confirm an action before proceeding and wait for the answer. Use this for destructive or irreversible operations. Unanswered confirmations count as \"no\".",
     inputSchema: {
       type: "object",
       properties: {
@@ -52,6 +72,7 @@ export const interactionTools = [
           items: { type: "string" },
           description: "Alternative actions the user could choose instead",
         },
+        timeout_seconds: timeoutProperty,
       },
       required: ["action"],
     },
@@ -59,7 +80,7 @@ export const interactionTools = [
   {
     name: "present_choices",
     description:
-      "Present multiple options to the user and let them choose. Use when there are multiple valid approaches.",
+      "Present multiple options to the user and wait for their choice. Use when there are multiple valid approaches. If the user doesn't answer in time, the recommended choice is used.",
     inputSchema: {
       type: "object",
       properties: {
@@ -83,6 +104,7 @@ export const interactionTools = [
           type: "boolean",
           description: "Allow user to provide a custom answer",
         },
+        timeout_seconds: timeoutProperty,
       },
       required: ["prompt", "choices"],
     },
@@ -110,7 +132,7 @@ export const interactionTools = [
   {
     name: "request_input",
     description:
-      "Request specific input from the user (like a file path, API key, or configuration value).",
+      "Request specific input from the user (like a file path, URL, or configuration value) and wait for it. Don't use it for passwords or API keys; ask the user to set those in the environment instead.",
     inputSchema: {
       type: "object",
       properties: {
@@ -134,13 +156,248 @@ export const interactionTools = [
           type: "boolean",
           description: "Whether this input is required",
         },
+        default: {
+          type: "string",
+          description: "Value to use if the user doesn't provide one",
+        },
+        timeout_seconds: timeoutProperty,
       },
       required: ["field"],
     },
   },
 ];
 
-export async function handleInteractionTool(name, args) {
+// ═══════════════════════════════════════════════════════════════
+// PENDING QUESTIONS (HTTP mode)
+// ═══════════════════════════════════════════════════════════════
+
+// Questions waiting for an answer in the chat UI, keyed by id
+const pendingQuestions = new Map();
+let questionCounter = 0;
+
+// "question" when one is asked, "closed" when it is answered, dismissed, or expires
+export const questionEvents = new EventEmitter();
+
+/**
+ * Ask through the chat UI's question queue. Takes and returns the same shapes
+ * as MCP elicitation, so it can be passed to tools as context.elicit.
+ * @param {{message: string, requestedSchema: object}} params
+ * @param {object} options
+ * @param {number} options.timeout - Milliseconds before the question expires
+ * @param {AbortSignal} options.signal - Withdraws the question
+ * @param {string} options.tool - Tool asking, for display
+ * @returns {Promise<{action: "accept"|"decline"|"cancel", content?: object}>}
+ * @throws With code -32001 when the question expires unanswered
+ */
+export function askInChat(params, { timeout = DEFAULT_TIMEOUT_SECONDS * 1000, signal, tool } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = `question_${++questionCounter}`;
+    const question = {
+      id,
+      tool,
+      message: params.message,
+      requestedSchema: params.requestedSchema,
+      asked_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + timeout).toISOString(),
+    };
+
+    const close = (reason) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      pendingQuestions.delete(id);
+      questionEvents.emit("closed", { id, reason });
+    };
+    const timer = setTimeout(() => {
+      close("timeout");
+      reject(Object.assign(new Error(`No answer within ${Math.round(timeout / 1000)}s`), { code: REQUEST_TIMEOUT }));
+    }, timeout);
+    const onAbort = () => {
+      close("cancel");
+      resolve({ action: "cancel" });
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    pendingQuestions.set(id, {
+      ...question,
+      settle: (result) => {
+        close(result.action);
+        resolve(result);
+      },
+    });
+    questionEvents.emit("question", question);
+  });
+}
+
+/**
+ * List questions waiting for an answer in the chat UI
+ * @returns {object[]}
+ */
+export function listPendingQuestions() {
+  return Array.from(pendingQuestions.values()).map(({ settle, ...question }) => question);
+}
+
+/**
+ * Answer, decline, or dismiss a pending question
+ * @param {string} id - Question ID
+ * @param {{action?: "accept"|"decline"|"cancel", content?: object}} answer
+ * @returns {boolean} - false when the question is no longer pending
+ */
+export function answerQuestion(id, { action = "accept", content = {} } = {}) {
+  const question = pendingQuestions.get(id);
+  if (!question) return false;
+  question.settle(action === "accept" ? { action, content } : { action });
+  return true;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// QUESTIONS
+// ═══════════════════════════════════════════════════════════════
+
+// Elicitation request, default answer, and how to report the answer, per tool
+const questions = {
+  ask_user(args) {
+    const options = args.options?.length ? args.options : null;
+    return {
+      message: [args.context, args.question].filter(Boolean).join("\n\n"),
+      properties: {
+        answer: {
+          type: "string",
+          title: "Answer",
+          ...(options && { enum: options }),
+          ...(args.default !== undefined && { default: args.default }),
+        },
+      },
+      required: ["answer"],
+      defaults: args.default !== undefined ? { answer: args.default } : null,
+      report: ({ answer }) => ({ text: `User answered: ${answer}`, answer }),
+    };
+  },
+
+  confirm(args) {
+    const alternatives = args.alternatives?.length ? args.alternatives : null;
+    return {
+      message: [`Confirm: ${args.action}`, args.consequences && `Consequences: ${args.consequences}`].filter(Boolean).join("\n\n"),
+      properties: {
+        confirmed: { type: "boolean", title: "Proceed?", default: false },
+        ...(alternatives && { alternative: { type: "string", title: "Or instead", enum: alternatives } }),
+      },
+      required: ["confirmed"],
+      // Silence is not consent
+      defaults: { confirmed: false },
+      report: ({ confirmed, alternative }) => {
+        if (alternative) return { text: `User chose an alternative instead: ${alternative}`, answer: { confirmed: false, alternative } };
+        return confirmed
+          ? { text: `User confirmed: ${args.action}`, answer: { confirmed: true } }
+          : { text: `User did not confirm. Do not proceed with: ${args.action}`, answer: { confirmed: false } };
+      },
+    };
+  },
+
+  present_choices(args) {
+    const labels = args.choices.map((c) => c.label);
+    const recommended = args.choices.find((c) => c.recommended)?.label;
+    const details = args.choices
+      .filter((c) => c.description)
+      .map((c) => `• ${c.label}${c.recommended ? " (recommended)" : ""}: ${c.description}`);
+    return {
+      message: [args.prompt, details.join("\n")].filter(Boolean).join("\n\n"),
+      properties: {
+        choice: { type: "string", title: "Choice", enum: labels, ...(recommended && { default: recommended }) },
+        ...(args.allow_custom && { custom: { type: "string", title: "Or your own answer" } }),
+      },
+      required: args.allow_custom ? [] : ["choice"],
+      defaults: recommended ? { choice: recommended } : null,
+      report: ({ choice, custom }) => (custom
+        ? { text: `User gave their own answer: ${custom}`, answer: { custom } }
+        : { text: `User chose: ${choice}`, answer: { choice } }),
+    };
+  },
+
+  request_input(args) {
+    const numeric = /\b(number|integer|int|port|count)\b/i.test(args.format || "");
+    const format = [[/url|uri|link/i, "uri"], [/e-?mail/i, "email"], [/date/i, "date"]].find(([re]) => re.test(args.format || ""))?.[1];
+    const hints = [args.description, args.format && `Format: ${args.format}`, args.example && `Example: ${args.example}`].filter(Boolean);
+    return {
+      message: `Please provide: ${args.field}${hints.length ? `\n\n${hints.join("\n")}` : ""}`,
+      properties: {
+        value: {
+          type: numeric ? "number" : "string",
+          title: args.field,
+          ...(hints.length && { description: hints.join(". ") }),
+          ...(format && !numeric && { format }),
+          ...(args.default !== undefined && { default: numeric ? Number(args.default) : args.default }),
+        },
+      },
+      required: args.required === false ? [] : ["value"],
+      defaults: args.default !== undefined ? { value: numeric ? Number(args.default) : args.default } : null,
+      report: ({ value }) => (value === undefined || value === ""
+        ? { text: `User left ${args.field} empty`, answer: null }
+        : { text: `User provided ${args.field}: ${value}`, answer: value }),
+    };
+  },
+};
+
+// Form answers arrive as strings from some clients; match them to the schema
+function coerce(properties, content = {}) {
+  const result = {};
+  for (const [key, value] of Object.entries(content)) {
+    const type = properties[key]?.type;
+    if (type === "boolean" && typeof value === "string") result[key] = /^(true|yes|on|1)$/i.test(value);
+    else if (type === "number" && typeof value === "string" && value.trim() !== "") result[key] = Number(value);
+    else if (value !== "" || type === "string") result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Ask the question for an interaction tool and wait for the answer
+ * @returns {Promise<object>} - Tool result
+ */
+async function ask(name, args, context) {
+  const question = questions[name](args);
+  const timeoutSeconds = args.timeout_seconds || DEFAULT_TIMEOUT_SECONDS;
+  const params = {
+    message: question.message,
+    requestedSchema: { type: "object", properties: question.properties, required: question.required },
+  };
+
+  let result;
+  try {
+    result = await context.elicit(params, { timeout: timeoutSeconds * 1000, signal: context.signal, tool: name });
+  } catch (error) {
+    if (error.code !== REQUEST_TIMEOUT) {
+      return unanswered(name, args, `The question could not be shown (${error.message}).`);
+    }
+    if (!question.defaults) {
+      return {
+        content: [{ type: "text", text: `No answer within ${timeoutSeconds}s and there is no default. Ask again later or continue without it.` }],
+        structuredContent: { status: "timeout", answer: null },
+      };
+    }
+    const report = question.report(question.defaults);
+    return {
+      content: [{ type: "text", text: `No answer within ${timeoutSeconds}s; using the default. ${report.text}` }],
+      structuredContent: { status: "timeout", answer: report.answer, defaulted: true },
+    };
+  }
+
+  if (result.action !== "accept") {
+    const text = result.action === "decline" ? "User declined to answer." : "User dismissed the question without answering.";
+    return {
+      content: [{ type: "text", text: name === "confirm" ? `${text} Do not proceed with: ${args.action}` : text }],
+      structuredContent: { status: result.action === "decline" ? "declined" : "cancelled", answer: null },
+    };
+  }
+
+  const report = question.report({ ...question.defaults, ...coerce(question.properties, result.content) });
+  return {
+    content: [{ type: "text", text: report.text }],
+    structuredContent: { status: "answered", answer: report.answer },
+  };
+}
+
+// Prompt text for clients that can't ask the user, so the model asks in its reply instead
+function formatPrompt(name, args) {
   switch (name) {
     case "ask_user": {
       let prompt = `\n${"═".repeat(50)}\n`;
@@ -164,12 +421,7 @@ export async function handleInteractionTool(name, args) {
         prompt += `\nDefault: ${args.default}\n`;
       }
 
-      prompt += "\n" + "─".repeat(50);
-      prompt += "\n[Waiting for user response...]\n";
-
-      return {
-        content: [{ type: "text", text: prompt }],
-      };
+      return prompt;
     }
 
     case "confirm": {
@@ -185,17 +437,13 @@ export async function handleInteractionTool(name, args) {
 
       if (args.alternatives && args.alternatives.length > 0) {
         prompt += "\nAlternatives:\n";
-        args.alternatives.forEach((alt, i) => {
+        args.alternatives.forEach((alt) => {
           prompt += `  • ${alt}\n`;
         });
       }
 
       prompt += "\nPlease confirm: [yes/no]\n";
-      prompt += "─".repeat(50) + "\n";
-
-      return {
-        content: [{ type: "text", text: prompt }],
-      };
+      return prompt;
     }
 
     case "present_choices": {
@@ -219,31 +467,7 @@ export async function handleInteractionTool(name, args) {
       }
 
       prompt += "Enter your choice (number or description):\n";
-      prompt += "─".repeat(50) + "\n";
-
-      return {
-        content: [{ type: "text", text: prompt }],
-      };
-    }
-
-    case "notify_user": {
-      const icons = {
-        info: "ℹ️",
-        success: "✅",
-        warning: "⚠️",
-        error: "❌",
-      };
-
-      const icon = icons[args.type] || icons.info;
-
-      return {
-        content: [
-          {
-            type: "text",
-            text: `\n${icon} ${args.message}\n`,
-          },
-        ],
-      };
+      return prompt;
     }
 
     case "request_input": {
@@ -270,10 +494,50 @@ export async function handleInteractionTool(name, args) {
       }
 
       prompt += "\nPlease provide the value:\n";
-      prompt += "─".repeat(50) + "\n";
+      return prompt;
+    }
+  }
+}
+
+function unanswered(name, args, reason) {
+  let prompt = formatPrompt(name, args);
+  prompt += "─".repeat(50) + "\n";
+  prompt += `${reason} Ask the user this in your reply and wait for their answer before continuing.\n`;
+  return {
+    content: [{ type: "text", text: prompt }],
+    structuredContent: { status: "unavailable", answer: null },
+  };
+}
+
+export async function handleInteractionTool(name, args, context = {}) {
+  switch (name) {
+    case "ask_user":
+    case "confirm":
+    case "present_choices":
+    case "request_input": {
+      if (!context.elicit) {
+        return unanswered(name, args, "This client can't show questions, so the user has not seen it.");
+      }
+      return await ask(name, args, context);
+    }
+
+    case "notify_user": {
+      const icons = {
+        info: "ℹ️",
+        success: "✅",
+        warning: "⚠️",
+        error: "❌",
+      };
+
+      const icon = icons[args.type] || icons.info;
 
       return {
-        content: [{ type: "text", text: prompt }],
+        content: [
+          {
+            type: "text",
+            text: `\n${icon} ${args.message}\n`,
+          },
+        ],
       };
     }
 
@@ -1,6 +1,7 @@
 import fs from "fs/promises";
 import path from "path";
 import { spawn } from "child_process";
+import { resolvePath, resolveWritablePath } from "../utils/paths.js";
 
 export const mediaTools = [
   {
@@ -173,7 +174,7 @@ function runCommand(cmd, args) {
 export async function handleMediaTool(name, args) {
   switch (name) {
     case "read_image": {
-      const filePath = args.file_path;
+      const filePath = resolvePath(args.file_path);
       const ext = path.extname(filePath);
       const mimeType = getImageMimeType(ext);
 
@@ -205,7 +206,7 @@ export async function handleMediaTool(name, args) {
     }
 
     case "read_pdf": {
-      const text = await extractPdfText(args.file_path);
+      const text = await extractPdfText(resolvePath(args.file_path));
 
       return {
         content: [
@@ -218,7 +219,7 @@ export async function handleMediaTool(name, args) {
     }
 
     case "take_screenshot": {
-      const outputPath = args.output_path;
+      const outputPath = resolveWritablePath(args.output_path);
       const platform = process.platform;
 
       try {
@@ -2,15 +2,49 @@ import fs from "fs/promises";
 import path from "path";
 import os from "os";
 
+import { resolvePath, resolveWritablePath } from "../utils/paths.js";
+import { recordChange } from "../utils/journal.js";
+import { createStore, readTextFile, writeTextFile, appendTextFile } from "../utils/storage.js";
+import {
+  namespaceFor,
+  defaultNamespaces,
+  parseTtl,
+  isExpired,
+  loadMemories,
+  updateMemories,
+  findDuplicate,
+  rankMemories,
+  exportMemories,
+  parseMemories,
+} from "../utils/memory-store.js";
+
 const MEMORY_DIR = path.join(os.homedir(), ".lmstudio-mcp-memory");
-const NOTES_FILE = path.join(MEMORY_DIR, "notes.json");
 const CONTEXT_FILE = path.join(MEMORY_DIR, "context.json");
 
+// Schema 1: {project: {summary, key_points, next_steps, saved}}
+const contextStore = createStore({
+  file: CONTEXT_FILE,
+  version: 1,
+  defaults: () => ({}),
+  migrations: { 0: (raw) => raw || {} },
+});
+
+const scopeProperty = {
+  type: "string",
+  enum: ["global", "workspace", "skill"],
+  description: "Namespace: global, the current workspace, or a skill's (needs skill)",
+};
+
+const skillProperty = {
+  type: "string",
+  description: "Skill name, for scope \"skill\"",
+};
+
 export const memoryTools = [
   {
     name: "memory_store",
     description:
-      "Store a piece of information in persistent memory. Use this to remember important context, decisions, or facts across sessions.",
+      "Store a piece of information in persistent memory. Use this to remember important context, decisions, or facts across sessions. Memories belong to the current workspace unless scope says otherwise; a value nearly identical to an existing memory is merged into it.",
     inputSchema: {
       type: "object",
       properties: {
@@ -27,6 +61,20 @@ export const memoryTools = [
           items: { type: "string" },
           description: "Optional tags for organization",
         },
+        scope: { ...scopeProperty, description: `${scopeProperty.description} (default: workspace)` },
+        skill: skillProperty,
+        ttl: {
+          type: "string",
+          description: "Forget after this long: seconds or e.g. \"30m\", \"12h\", \"7d\" (default: never)",
+        },
+        pinned: {
+          type: "boolean",
+          description: "Pinned memories never expire and rank higher in recall",
+        },
+        dedupe: {
+          type: "boolean",
+          description: "Merge into a near-identical memory under another key (default: true)",
+        },
       },
       required: ["key", "value"],
     },
@@ -34,7 +82,7 @@ export const memoryTools = [
   {
     name: "memory_recall",
     description:
-      "Recall information from persistent memory by key or search.",
+      "Recall information from persistent memory by key or ranked search. Searches the current workspace, the named skill, and global memories unless scope is given; results include relevance scores.",
     inputSchema: {
       type: "object",
       properties: {
@@ -44,18 +92,33 @@ export const memoryTools = [
         },
         search: {
           type: "string",
-          description: "Search term to find in keys, values, or tags",
+          description: "What to look for; ranked by keyword (BM25) and, when an embeddings server is running, meaning",
         },
         tag: {
           type: "string",
           description: "Filter by tag",
         },
+        scope: {
+          type: "string",
+          enum: ["global", "workspace", "skill", "all"],
+          description: "Only this namespace, or all namespaces",
+        },
+        skill: skillProperty,
+        limit: {
+          type: "number",
+          description: "Maximum results (default: 10)",
+        },
+        ranking: {
+          type: "string",
+          enum: ["hybrid", "bm25"],
+          description: "hybrid (default) adds embedding similarity when available; bm25 is keyword-only",
+        },
       },
     },
   },
   {
     name: "memory_list",
-    description: "List all stored memories with their keys and tags.",
+    description: "List stored memories with their keys, tags, namespace, and expiry.",
     inputSchema: {
       type: "object",
       properties: {
@@ -63,6 +126,12 @@ export const memoryTools = [
           type: "string",
           description: "Filter by tag",
         },
+        scope: {
+          type: "string",
+          enum: ["global", "workspace", "skill", "all"],
+          description: "Only this namespace, or all namespaces (default: current workspace, skill, and global)",
+        },
+        skill: skillProperty,
       },
     },
   },
@@ -76,10 +145,88 @@ export const memoryTools = [
           type: "string",
           description: "Key of the memory to delete",
         },
+        scope: scopeProperty,
+        skill: skillProperty,
       },
       required: ["key"],
     },
   },
+  {
+    name: "memory_pin",
+    description: "Pin or unpin a memory. Pinned memories never expire and rank higher in recall.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        key: {
+          type: "string",
+          description: "Key of the memory",
+        },
+        pinned: {
+          type: "boolean",
+          description: "false to unpin (default: true)",
+        },
+        scope: scopeProperty,
+        skill: skillProperty,
+      },
+      required: ["key"],
+    },
+  },
+  {
+    name: "memory_export",
+    description: "Export memories as JSON or markdown, returned as text and optionally written to a file.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        format: {
+          type: "string",
+          enum: ["json", "markdown"],
+          description: "Export format (default: json)",
+        },
+        scope: {
+          type: "string",
+          enum: ["global", "workspace", "skill", "all"],
+          description: "Namespace to export (default: all)",
+        },
+        skill: skillProperty,
+        output_path: {
+          type: "string",
+          description: "Also write the export to this file",
+        },
+      },
+    },
+  },
+  {
+    name: "memory_import",
+    description: "Import memories from a JSON or markdown export (or a version 1 notes.json). Near-identical values are merged as in memory_store.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description: "File to import",
+        },
+        content: {
+          type: "string",
+          description: "Export text to import, instead of path",
+        },
+        format: {
+          type: "string",
+          enum: ["auto", "json", "markdown"],
+          description: "Input format (default: auto)",
+        },
+        scope: {
+          ...scopeProperty,
+          description: "Put every imported memory in this namespace instead of the one it was exported from",
+        },
+        skill: skillProperty,
+        on_conflict: {
+          type: "string",
+          enum: ["newer", "skip", "overwrite"],
+          description: "When a key already exists: keep the more recently updated one (default), keep the existing one, or replace it",
+        },
+      },
+    },
+  },
   {
     name: "scratchpad_write",
     description:
@@ -173,46 +320,122 @@ async function ensureDir() {
   await fs.mkdir(MEMORY_DIR, { recursive: true });
 }
 
-async function loadJson(file, defaultValue = {}) {
-  try {
-    const data = await fs.readFile(file, "utf-8");
-    return JSON.parse(data);
-  } catch {
-    return defaultValue;
+// Namespaces a call reads: one scope, every namespace (null), or the defaults
+function selectNamespaces(args) {
+  if (args.scope === "all") return null;
+  if (args.scope) return [namespaceFor(args.scope, args.skill)];
+  return defaultNamespaces(args.skill);
+}
+
+function inNamespaces(memory, namespaces) {
+  return !namespaces || namespaces.includes(memory.namespace);
+}
+
+// "workspace" for the current workspace, otherwise the namespace itself
+function namespaceLabel(namespace) {
+  return namespace === namespaceFor("workspace") ? "workspace" : namespace;
+}
+
+// A live memory by key, from the first namespace that has it
+function findMemory(memories, key, namespaces) {
+  for (const namespace of namespaces || [...new Set(memories.map((m) => m.namespace))]) {
+    const memory = memories.find((m) => m.namespace === namespace && m.key === key && !isExpired(m));
+    if (memory) return memory;
   }
+  return null;
 }
 
-async function saveJson(file, data) {
-  await ensureDir();
-  await fs.writeFile(file, JSON.stringify(data, null, 2));
+/**
+ * Add a memory to the list in place: replaces the same key, merges into a
+ * near-identical value under another key, or adds it
+ * @returns {{action: "stored"|"updated"|"merged"|"skipped", memory: object, similarity?: number}}
+ */
+function putMemory(memories, incoming, { dedupe = true, onConflict = "overwrite" } = {}) {
+  const index = memories.findIndex((m) => m.namespace === incoming.namespace && m.key === incoming.key);
+  const existing = index === -1 ? null : memories[index];
+
+  if (existing && !isExpired(existing)) {
+    if (onConflict === "skip" || (onConflict === "newer" && existing.updated >= incoming.updated)) {
+      return { action: "skipped", memory: existing };
+    }
+    memories[index] = { ...incoming, created: existing.created };
+    return { action: "updated", memory: memories[index] };
+  }
+
+  const duplicate = dedupe ? findDuplicate(memories, incoming.namespace, incoming.key, incoming.value) : null;
+  if (duplicate) {
+    const target = duplicate.memory;
+    Object.assign(target, {
+      value: incoming.updated >= target.updated ? incoming.value : target.value,
+      tags: [...new Set([...target.tags, ...incoming.tags])],
+      pinned: target.pinned || incoming.pinned,
+      // The longer-lived of the two
+      expires: target.expires && incoming.expires ? (target.expires > incoming.expires ? target.expires : incoming.expires) : null,
+      updated: incoming.updated > target.updated ? incoming.updated : target.updated,
+    });
+    return { action: "merged", memory: target, similarity: duplicate.similarity };
+  }
+
+  if (existing) memories.splice(index, 1);
+  memories.push(incoming);
+  return { action: "stored", memory: incoming };
+}
+
+function formatMeta(memory) {
+  const parts = [namespaceLabel(memory.namespace)];
+  if (memory.tags.length > 0) parts.push(`tags: ${memory.tags.join(", ")}`);
+  if (memory.pinned) parts.push("pinned");
+  if (memory.expires) parts.push(`expires ${memory.expires}`);
+  return parts.join(" · ");
 }
 
-export async function handleMemoryTool(name, args) {
+export async function handleMemoryTool(name, args, context = {}) {
   await ensureDir();
 
   switch (name) {
     case "memory_store": {
-      const notes = await loadJson(NOTES_FILE, {});
+      const now = new Date().toISOString();
+
+      let expires = null;
+      if (args.ttl !== undefined && args.ttl !== null && args.ttl !== "") {
+        try {
+          expires = new Date(Date.now() + parseTtl(Number(args.ttl) || args.ttl)).toISOString();
+        } catch (e) {
+          return { content: [{ type: "text", text: e.message }], isError: true };
+        }
+      }
 
-      notes[args.key] = {
+      const incoming = {
+        namespace: namespaceFor(args.scope || "workspace", args.skill),
+        key: args.key,
         value: args.value,
         tags: args.tags || [],
-        created: notes[args.key]?.created || new Date().toISOString(),
-        updated: new Date().toISOString(),
+        pinned: Boolean(args.pinned),
+        expires,
+        created: now,
+        updated: now,
       };
+      const { action, memory, similarity } = await updateMemories((memories) =>
+        putMemory(memories, incoming, { dedupe: args.dedupe !== false })
+      );
 
-      await saveJson(NOTES_FILE, notes);
+      const where = namespaceLabel(memory.namespace);
+      const text = action === "merged"
+        ? `Merged into existing memory "${memory.key}" (${where}, ${Math.round(similarity * 100)}% similar) instead of storing "${args.key}"`
+        : `Stored memory: "${memory.key}" (${where})${memory.expires ? `, expires ${memory.expires}` : ""}${memory.pinned ? ", pinned" : ""}`;
 
       return {
-        content: [{ type: "text", text: `Stored memory: "${args.key}"` }],
+        content: [{ type: "text", text }],
+        structuredContent: { action, memory },
       };
     }
 
     case "memory_recall": {
-      const notes = await loadJson(NOTES_FILE, {});
+      const memories = (await loadMemories()).filter((m) => !isExpired(m));
+      const namespaces = selectNamespaces(args);
 
       if (args.key) {
-        const note = notes[args.key];
+        const note = findMemory(memories, args.key, namespaces);
         if (!note) {
           return {
             content: [{ type: "text", text: `Memory not found: "${args.key}"` }],
@@ -222,54 +445,67 @@ export async function handleMemoryTool(name, args) {
           content: [
             {
               type: "text",
-              text: `[${args.key}]\nTags: ${note.tags.join(", ") || "none"}\nUpdated: ${note.updated}\n\n${note.value}`,
+              text: `[${note.key}] ${formatMeta(note)}\nUpdated: ${note.updated}\n\n${note.value}`,
             },
           ],
+          structuredContent: { memory: note },
         };
       }
 
-      // Search
-      const results = [];
-      const searchLower = (args.search || "").toLowerCase();
       const tagFilter = args.tag?.toLowerCase();
+      const candidates = memories.filter((m) =>
+        inNamespaces(m, namespaces) && (!tagFilter || m.tags.some((t) => t.toLowerCase() === tagFilter)));
 
-      for (const [key, note] of Object.entries(notes)) {
-        const matchesSearch =
-          !searchLower ||
-          key.toLowerCase().includes(searchLower) ||
-          note.value.toLowerCase().includes(searchLower) ||
-          note.tags.some((t) => t.toLowerCase().includes(searchLower));
+      // SYSTEM_PROMPT.md has long documented this parameter as query
+      const search = args.search ?? args.query;
 
-        const matchesTag =
-          !tagFilter || note.tags.some((t) => t.toLowerCase() === tagFilter);
-
-        if (matchesSearch && matchesTag) {
-          results.push({ key, ...note });
-        }
+      let results;
+      let ranking = null;
+      if (search) {
+        ranking = await rankMemories(candidates, search, { ranking: args.ranking || "hybrid", signal: context.signal });
+        results = ranking.results;
+      } else {
+        // No query: pinned first, then most recently updated
+        results = candidates
+          .sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.updated.localeCompare(a.updated))
+          .map((memory) => ({ memory }));
       }
+      results = results.slice(0, args.limit || 10);
 
       if (results.length === 0) {
         return {
           content: [{ type: "text", text: "No matching memories found" }],
+          structuredContent: { results: [] },
         };
       }
 
-      let output = `Found ${results.length} memories:\n\n`;
+      let output = `Found ${results.length} memories`;
+      if (ranking) {
+        output += ` (${ranking.backend}${ranking.fallback_reason ? `; embeddings unavailable: ${ranking.fallback_reason}` : ""})`;
+      }
+      output += ":\n\n";
       for (const r of results) {
-        output += `[${r.key}] (${r.tags.join(", ") || "no tags"})\n`;
-        output += r.value.slice(0, 200) + (r.value.length > 200 ? "..." : "") + "\n\n";
+        const score = r.score !== undefined ? ` score ${r.score}` : "";
+        output += `[${r.memory.key}]${score} (${formatMeta(r.memory)})\n`;
+        output += r.memory.value.slice(0, 200) + (r.memory.value.length > 200 ? "..." : "") + "\n\n";
       }
 
       return {
         content: [{ type: "text", text: output.trim() }],
+        structuredContent: {
+          results: results.map(({ memory, ...scores }) => ({ ...memory, ...scores })),
+          ...(ranking && { backend: ranking.backend }),
+        },
       };
     }
 
     case "memory_list": {
-      const notes = await loadJson(NOTES_FILE, {});
-      const keys = Object.keys(notes);
+      const namespaces = selectNamespaces(args);
+      const memories = (await loadMemories())
+        .filter((m) => !isExpired(m) && inNamespaces(m, namespaces))
+        .filter((m) => !args.tag || m.tags.includes(args.tag));
 
-      if (keys.length === 0) {
+      if (memories.length === 0) {
         return {
           content: [{ type: "text", text: "No stored memories" }],
         };
@@ -277,14 +513,20 @@ export async function handleMemoryTool(name, args) {
 
       let output = "Stored memories:\n" + "─".repeat(40) + "\n";
 
-      for (const key of keys.sort()) {
-        const note = notes[key];
-        if (args.tag && !note.tags.includes(args.tag)) continue;
-        output += `• ${key}`;
-        if (note.tags.length > 0) {
-          output += ` [${note.tags.join(", ")}]`;
+      const order = [...new Set([...(namespaces || []), ...memories.map((m) => m.namespace).sort()])];
+      for (const namespace of order) {
+        const inNamespace = memories.filter((m) => m.namespace === namespace).sort((a, b) => a.key.localeCompare(b.key));
+        if (inNamespace.length === 0) continue;
+        output += `\n${namespaceLabel(namespace)}:\n`;
+        for (const note of inNamespace) {
+          output += `• ${note.key}`;
+          if (note.pinned) output += " 📌";
+          if (note.tags.length > 0) {
+            output += ` [${note.tags.join(", ")}]`;
+          }
+          if (note.expires) output += ` (expires ${note.expires})`;
+          output += "\n";
         }
-        output += "\n";
       }
 
       return {
@@ -293,20 +535,98 @@ export async function handleMemoryTool(name, args) {
     }
 
     case "memory_delete": {
-      const notes = await loadJson(NOTES_FILE, {});
+      const note = await updateMemories((memories) => {
+        const found = findMemory(memories, args.key, args.scope ? selectNamespaces(args) : defaultNamespaces(args.skill));
+        if (found) memories.splice(memories.indexOf(found), 1);
+        return found;
+      });
+
+      if (!note) {
+        return {
+          content: [{ type: "text", text: `Memory not found: "${args.key}"` }],
+          isError: true,
+        };
+      }
+
+      return {
+        content: [{ type: "text", text: `Deleted memory: "${args.key}" (${namespaceLabel(note.namespace)})` }],
+      };
+    }
+
+    case "memory_pin": {
+      const note = await updateMemories((memories) => {
+        const found = findMemory(memories, args.key, args.scope ? selectNamespaces(args) : defaultNamespaces(args.skill));
+        if (found) found.pinned = args.pinned !== false;
+        return found;
+      });
 
-      if (!notes[args.key]) {
+      if (!note) {
         return {
           content: [{ type: "text", text: `Memory not found: "${args.key}"` }],
           isError: true,
         };
       }
 
-      delete notes[args.key];
-      await saveJson(NOTES_FILE, notes);
+      const expiry = !note.pinned && note.expires ? `; expires ${note.expires}` : "";
+      return {
+        content: [{ type: "text", text: `${note.pinned ? "Pinned" : "Unpinned"} memory: "${note.key}" (${namespaceLabel(note.namespace)})${expiry}` }],
+      };
+    }
+
+    case "memory_export": {
+      const format = args.format || "json";
+      const namespaces = selectNamespaces({ ...args, scope: args.scope || "all" });
+      const memories = (await loadMemories()).filter((m) => !isExpired(m) && inNamespaces(m, namespaces));
+      const text = exportMemories(memories, format);
+
+      let written = null;
+      if (args.output_path) {
+        written = resolveWritablePath(args.output_path);
+        await recordChange("memory_export", [written]);
+        await fs.mkdir(path.dirname(written), { recursive: true });
+        await fs.writeFile(written, text.endsWith("\n") ? text : `${text}\n`, "utf-8");
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Exported ${memories.length} memories as ${format}${written ? ` to ${written}` : ""}\n\n${text}`,
+          },
+        ],
+      };
+    }
+
+    case "memory_import": {
+      if (!args.path && !args.file_path && !args.content) {
+        return { content: [{ type: "text", text: "Provide path or content to import" }], isError: true };
+      }
+
+      let incoming;
+      try {
+        const text = args.content ?? await fs.readFile(resolvePath(args.path || args.file_path, true), "utf-8");
+        incoming = parseMemories(text, args.format || "auto");
+      } catch (e) {
+        return { content: [{ type: "text", text: `Import error: ${e.message}` }], isError: true };
+      }
+
+      const target = args.scope ? namespaceFor(args.scope, args.skill) : null;
+      const counts = { stored: 0, updated: 0, merged: 0, skipped: 0, expired: 0 };
+      await updateMemories((memories) => {
+        for (const memory of incoming) {
+          if (target) memory.namespace = target;
+          if (isExpired(memory)) {
+            counts.expired++;
+            continue;
+          }
+          counts[putMemory(memories, memory, { onConflict: args.on_conflict || "newer" }).action]++;
+        }
+      });
 
+      const summary = Object.entries(counts).filter(([, n]) => n > 0).map(([k, n]) => `${n} ${k}`).join(", ");
       return {
-        content: [{ type: "text", text: `Deleted memory: "${args.key}"` }],
+        content: [{ type: "text", text: `Imported ${incoming.length} memories${summary ? `: ${summary}` : ""}` }],
+        structuredContent: counts,
       };
     }
 
@@ -315,15 +635,9 @@ export async function handleMemoryTool(name, args) {
       const padFile = path.join(MEMORY_DIR, `scratchpad_${padName}.txt`);
 
       if (args.append) {
-        let existing = "";
-        try {
-          existing = await fs.readFile(padFile, "utf-8");
-        } catch {
-          // File doesn't exist yet
-        }
-        await fs.writeFile(padFile, existing + args.content);
+        await appendTextFile(padFile, args.content);
       } else {
-        await fs.writeFile(padFile, args.content);
+        await writeTextFile(padFile, args.content);
       }
 
       return {
@@ -335,16 +649,16 @@ export async function handleMemoryTool(name, args) {
       const padName = args.name || "default";
       const padFile = path.join(MEMORY_DIR, `scratchpad_${padName}.txt`);
 
-      try {
-        const content = await fs.readFile(padFile, "utf-8");
-        return {
-          content: [{ type: "text", text: `Scratchpad [${padName}]:\n${"─".repeat(40)}\n${content}` }],
-        };
-      } catch {
+      const content = await readTextFile(padFile);
+      if (content === null) {
         return {
           content: [{ type: "text", text: `Scratchpad "${padName}" is empty or doesn't exist` }],
         };
       }
+
+      return {
+        content: [{ type: "text", text: `Scratchpad [${padName}]:\n${"─".repeat(40)}\n${content}` }],
+      };
     }
 
     case "scratchpad_list": {
@@ -365,16 +679,14 @@ export async function handleMemoryTool(name, args) {
     }
 
     case "context_save": {
-      const contexts = await loadJson(CONTEXT_FILE, {});
-
-      contexts[args.project] = {
-        summary: args.summary,
-        key_points: args.key_points || [],
-        next_steps: args.next_steps || [],
-        saved: new Date().toISOString(),
-      };
-
-      await saveJson(CONTEXT_FILE, contexts);
+      await contextStore.update((contexts) => {
+        contexts[args.project] = {
+          summary: args.summary,
+          key_points: args.key_points || [],
+          next_steps: args.next_steps || [],
+          saved: new Date().toISOString(),
+        };
+      });
 
       return {
         content: [{ type: "text", text: `Saved context for project: ${args.project}` }],
@@ -382,7 +694,7 @@ export async function handleMemoryTool(name, args) {
     }
 
     case "context_load": {
-      const contexts = await loadJson(CONTEXT_FILE, {});
+      const contexts = await contextStore.read();
       const ctx = contexts[args.project];
 
       if (!ctx) {
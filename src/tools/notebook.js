@@ -1,4 +1,6 @@
 import fs from "fs/promises";
+import { resolvePath, resolveWritablePath } from "../utils/paths.js";
+import { recordChange } from "../utils/journal.js";
 
 export const notebookTools = [
   {
@@ -173,7 +175,8 @@ function formatCell(cell, index) {
 export async function handleNotebookTool(name, args) {
   switch (name) {
     case "notebook_read": {
-      const content = await fs.readFile(args.file_path, "utf-8");
+      const filePath = resolvePath(args.file_path);
+      const content = await fs.readFile(filePath, "utf-8");
       const notebook = JSON.parse(content);
 
       let output = `Notebook: ${args.file_path}\n`;
@@ -193,7 +196,8 @@ export async function handleNotebookTool(name, args) {
     }
 
     case "notebook_edit_cell": {
-      const content = await fs.readFile(args.file_path, "utf-8");
+      const filePath = resolveWritablePath(args.file_path);
+      const content = await fs.readFile(filePath, "utf-8");
       const notebook = JSON.parse(content);
 
       if (!notebook.cells || args.cell_index >= notebook.cells.length) {
@@ -205,7 +209,8 @@ export async function handleNotebookTool(name, args) {
 
       if (args.delete) {
         notebook.cells.splice(args.cell_index, 1);
-        await fs.writeFile(args.file_path, JSON.stringify(notebook, null, 2));
+        await recordChange("notebook_edit_cell", [filePath]);
+        await fs.writeFile(filePath, JSON.stringify(notebook, null, 2));
         return {
           content: [{ type: "text", text: `Deleted cell ${args.cell_index}` }],
         };
@@ -235,7 +240,8 @@ export async function handleNotebookTool(name, args) {
         }
       }
 
-      await fs.writeFile(args.file_path, JSON.stringify(notebook, null, 2));
+      await recordChange("notebook_edit_cell", [filePath]);
+      await fs.writeFile(filePath, JSON.stringify(notebook, null, 2));
 
       return {
         content: [{ type: "text", text: `Updated cell ${args.cell_index}` }],
@@ -243,7 +249,8 @@ export async function handleNotebookTool(name, args) {
     }
 
     case "notebook_insert_cell": {
-      const content = await fs.readFile(args.file_path, "utf-8");
+      const filePath = resolveWritablePath(args.file_path);
+      const content = await fs.readFile(filePath, "utf-8");
       const notebook = JSON.parse(content);
 
       if (!notebook.cells) {
@@ -257,7 +264,8 @@ export async function handleNotebookTool(name, args) {
 
       notebook.cells.splice(index, 0, newCell);
 
-      await fs.writeFile(args.file_path, JSON.stringify(notebook, null, 2));
+      await recordChange("notebook_insert_cell", [filePath]);
+      await fs.writeFile(filePath, JSON.stringify(notebook, null, 2));
 
       return {
         content: [{ type: "text", text: `Inserted cell at index ${index}` }],
@@ -265,6 +273,7 @@ export async function handleNotebookTool(name, args) {
     }
 
     case "notebook_create": {
+      const filePath = resolveWritablePath(args.file_path);
       const notebook = createEmptyNotebook(args.kernel);
 
       if (args.cells) {
@@ -273,7 +282,8 @@ export async function handleNotebookTool(name, args) {
         }
       }
 
-      await fs.writeFile(args.file_path, JSON.stringify(notebook, null, 2));
+      await recordChange("notebook_create", [filePath]);
+      await fs.writeFile(filePath, JSON.stringify(notebook, null, 2));
 
       return {
         content: [{ type: "text", text: `Created notebook: ${args.file_path}` }],
@@ -3,12 +3,23 @@
  * Multi-step planning with approval workflow
  */
 
-import fs from "fs/promises";
 import path from "path";
 import os from "os";
 
+import { createStore } from "../utils/storage.js";
+
 const PLANS_FILE = path.join(os.homedir(), ".lmstudio-mcp-plans.json");
 
+// Schema 1: {history: [completed plans, newest first]}
+const planStore = createStore({
+  file: PLANS_FILE,
+  version: 1,
+  defaults: () => ({ history: [] }),
+  migrations: {
+    0: (raw) => ({ history: Array.isArray(raw?.history) ? raw.history : [] }),
+  },
+});
+
 let currentPlan = null;
 
 export const planningTools = [
@@ -169,16 +180,7 @@ export const planningTools = [
 ];
 
 async function loadPlans() {
-  try {
-    const data = await fs.readFile(PLANS_FILE, "utf-8");
-    return JSON.parse(data);
-  } catch {
-    return { history: [] };
-  }
-}
-
-async function savePlans(data) {
-  await fs.writeFile(PLANS_FILE, JSON.stringify(data, null, 2));
+  return planStore.read();
 }
 
 function formatPlan(plan) {
@@ -400,11 +402,12 @@ export async function handlePlanningTool(name, args) {
       currentPlan.summary = args.summary;
 
       if (args.save !== false) {
-        const data = await loadPlans();
-        data.history.unshift(currentPlan);
-        // Keep last 20 plans
-        data.history = data.history.slice(0, 20);
-        await savePlans(data);
+        const plan = currentPlan;
+        await planStore.update((data) => {
+          data.history.unshift(plan);
+          // Keep last 20 plans
+          data.history = data.history.slice(0, 20);
+        });
       }
 
       const finalPlan = currentPlan;
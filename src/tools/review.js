@@ -0,0 +1,297 @@
+/**
+ * Code review tools
+ * Turn a git range or the working-tree diff into a review skeleton with a
+ * skill's checklist, and export the finished review as markdown or SARIF
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { resolvePath, resolveWritablePath } from "../utils/paths.js";
+import { recordChange } from "../utils/journal.js";
+import { gitOutput, revParse, repoRoot } from "../utils/git.js";
+import { SEVERITIES, reviewFiles, fileRisk, extractChecklist, normalizeFindings, reviewToMarkdown, reviewToSarif } from "../utils/review.js";
+import { SKILLS_DIR, skillInstructionFile } from "./skills.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// git's well-known empty tree, for diffs against a root commit or an empty repository
+const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+const MAX_REVIEWS = 20;
+const MAX_CHECKLIST_ITEMS = 60;
+
+// Review skeletons by ID, so exports can check findings against the diff
+const reviews = new Map();
+let reviewCounter = 0;
+
+export const reviewTools = [
+  {
+    name: "review_changes",
+    description: "Start a code review of a git range or the working-tree diff: returns each changed file's hunks with line numbers and context, a risk level per file, and the checklist from a review skill (code-review or differential-review). Fill in findings (file, line, severity, category, message) and call again with action \"export\" to get the review as markdown or SARIF.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        action: {
+          type: "string",
+          enum: ["start", "export"],
+          description: "start (default) builds the review skeleton; export renders finished findings",
+        },
+        cwd: {
+          type: "string",
+          description: "Repository directory path",
+        },
+        range: {
+          type: "string",
+          description: "Commits to review: 'main..HEAD', 'v1.2...feature', or one commit ('HEAD', a hash). Omit to review uncommitted changes.",
+        },
+        staged: {
+          type: "boolean",
+          description: "Without range: review only staged changes (default: staged and unstaged)",
+        },
+        files: {
+          type: "array",
+          items: { type: "string" },
+          description: "Limit the review to these paths",
+        },
+        skill: {
+          type: "string",
+          description: "Skill whose checklist to attach (default: code-review; differential-review for security-focused reviews)",
+        },
+        context_lines: {
+          type: "number",
+          description: "Unchanged lines around each change (default: 3)",
+        },
+        max_lines: {
+          type: "number",
+          description: "Diff lines shown in the text output (default: 800; structuredContent has every hunk)",
+        },
+        review_id: {
+          type: "string",
+          description: "For export: ID from the start call, to check findings against the diff",
+        },
+        findings: {
+          type: "array",
+          description: "For export: review findings",
+          items: {
+            type: "object",
+            properties: {
+              file: { type: "string" },
+              line: { type: "number" },
+              end_line: { type: "number" },
+              severity: { type: "string", enum: SEVERITIES },
+              category: { type: "string", description: "Checklist category, e.g. Security Review" },
+              title: { type: "string" },
+              message: { type: "string" },
+              suggestion: { type: "string" },
+            },
+            required: ["message"],
+          },
+        },
+        summary: {
+          type: "string",
+          description: "For export: overall assessment",
+        },
+        verdict: {
+          type: "string",
+          enum: ["approve", "request_changes", "comment"],
+          description: "For export: review outcome",
+        },
+        praise: {
+          type: "array",
+          items: { type: "string" },
+          description: "For export: things done well",
+        },
+        format: {
+          type: "string",
+          enum: ["markdown", "sarif"],
+          description: "For export: output format (default: markdown)",
+        },
+        output_path: {
+          type: "string",
+          description: "For export: also write the review to this file",
+        },
+      },
+    },
+  },
+];
+
+// git diff arguments and a description of what they compare
+async function diffTarget(args, cwd) {
+  const base = ["-c", "core.quotePath=false", "diff", "--no-color", "--no-ext-diff", "-M", `-U${args.context_lines ?? 3}`];
+  const paths = args.files?.length ? ["--", ...args.files] : [];
+  if (args.range) {
+    if (args.range.startsWith("-")) throw new Error(`Invalid range: ${args.range}`);
+    if (args.range.includes("..")) return { gitArgs: [...base, args.range, ...paths], label: args.range };
+    const commit = await revParse(args.range, cwd);
+    if (!commit) throw new Error(`Unknown revision: ${args.range}`);
+    const parent = await revParse(`${args.range}^`, cwd);
+    return { gitArgs: [...base, parent || EMPTY_TREE, commit, ...paths], label: `${args.range} (${commit.slice(0, 8)})` };
+  }
+  if (args.staged) return { gitArgs: [...base, "--cached", ...paths], label: "staged changes" };
+  const head = await revParse("HEAD", cwd);
+  return { gitArgs: [...base, head || EMPTY_TREE, ...paths], label: "uncommitted changes" };
+}
+
+async function loadChecklist(skillName) {
+  const file = await skillInstructionFile(skillName);
+  if (!file) throw new Error(`Skill not found: ${skillName}. Use list_skills to see installed skills.`);
+  let groups = extractChecklist(await fs.readFile(file, "utf-8"));
+  let count = 0;
+  groups = groups.map((g) => ({ ...g, items: g.items.filter(() => ++count <= MAX_CHECKLIST_ITEMS) })).filter((g) => g.items.length > 0);
+
+  // Other markdown next to the instructions (methodology, patterns, ...) for deeper reviews
+  const dir = path.dirname(file);
+  const references = (await fs.readdir(dir))
+    .filter((f) => f.endsWith(".md") && path.join(dir, f) !== file)
+    .map((f) => path.join(dir, f));
+  return { name: skillName, file, checklist: groups, references };
+}
+
+const RISK_ORDER = { high: 0, medium: 1, low: 2 };
+
+function formatHunk(hunk) {
+  const lines = hunk.lines.map((l) => `${String(l.new_line ?? "").padStart(6)} ${l.op === " " ? " " : l.op} ${l.text}`);
+  return [hunk.header, ...lines].join("\n");
+}
+
+async function startReview(args) {
+  if (args.cwd) args = { ...args, cwd: resolvePath(args.cwd) };
+  const root = await repoRoot(args.cwd);
+  const skill = await loadChecklist(args.skill || "code-review");
+  const { gitArgs, label } = await diffTarget(args, args.cwd);
+  const files = reviewFiles(await gitOutput(gitArgs, args.cwd))
+    .map((f) => ({ ...f, ...fileRisk(f) }))
+    .sort((a, b) => RISK_ORDER[a.risk] - RISK_ORDER[b.risk]);
+
+  if (files.length === 0) {
+    const untracked = args.range ? [] : (await gitOutput(["ls-files", "--others", "--exclude-standard"], root)).split("\n").filter(Boolean);
+    const hint = untracked.length ? ` ${untracked.length} untracked file(s) are not included; stage them with git_add to review them.` : "";
+    return { content: [{ type: "text", text: `No changes to review in ${label}.${hint}` }], structuredContent: { files: [] } };
+  }
+
+  const id = `review-${++reviewCounter}`;
+  const review = { id, range: label, skill: skill.name, checklist: skill.checklist, files };
+  reviews.set(id, review);
+  if (reviews.size > MAX_REVIEWS) reviews.delete(reviews.keys().next().value);
+
+  const additions = files.reduce((n, f) => n + f.additions, 0);
+  const deletions = files.reduce((n, f) => n + f.deletions, 0);
+  const out = [
+    `Review ${id}: ${label} - ${files.length} file(s), +${additions} -${deletions}`,
+    `Checklist: ${skill.name} (${path.relative(SKILLS_DIR, skill.file)})`,
+    "",
+    "Checklist",
+    ...skill.checklist.flatMap((g) => [`  ${g.category}`, ...g.items.map((item) => `    - ${item}`)]),
+  ];
+  if (skill.references.length) out.push("", `More guidance (read_file): ${skill.references.join(", ")}`);
+
+  out.push("", "Files (highest risk first)");
+  for (const f of files) {
+    out.push(`  ${f.risk.padEnd(6)} ${f.status.padEnd(8)} ${f.old_path ? `${f.old_path} -> ` : ""}${f.path}  +${f.additions} -${f.deletions}  (${f.reasons.join(", ")})`);
+  }
+
+  let budget = args.max_lines || 800;
+  const omitted = [];
+  for (const f of files) {
+    const size = f.hunks.reduce((n, h) => n + h.lines.length + 1, 0);
+    if (f.binary || f.hunks.length === 0) continue;
+    if (size > budget) {
+      omitted.push(f.path);
+      continue;
+    }
+    budget -= size;
+    out.push("", `─── ${f.path} (${f.status}, risk ${f.risk})`, ...f.hunks.map(formatHunk));
+  }
+  if (omitted.length) out.push("", `Hunks not shown (over max_lines): ${omitted.join(", ")}. Call again with files to review them.`);
+
+  out.push(
+    "",
+    `Line numbers are in the new version of each file. Record findings as {file, line, severity (${SEVERITIES.join("|")}), category, message, suggestion},`,
+    `then call review_changes with action "export", review_id "${id}", findings, summary, and format "markdown" or "sarif".`,
+  );
+
+  return {
+    content: [{ type: "text", text: out.join("\n") }],
+    structuredContent: {
+      review_id: id,
+      range: label,
+      skill: { name: skill.name, file: skill.file, references: skill.references },
+      checklist: skill.checklist,
+      files,
+      severities: SEVERITIES,
+      // The export call's arguments, to be filled in
+      skeleton: {
+        action: "export",
+        review_id: id,
+        summary: "",
+        verdict: "comment",
+        findings: [{ file: files[0].path, line: files[0].hunks[0]?.new_start ?? null, severity: "medium", category: skill.checklist[0]?.category || "general", message: "", suggestion: "" }],
+      },
+    },
+  };
+}
+
+let toolVersion;
+async function producer() {
+  if (!toolVersion) {
+    const pkg = JSON.parse(await fs.readFile(path.join(__dirname, "..", "..", "package.json"), "utf-8"));
+    toolVersion = { name: `${pkg.name} review_changes`, version: pkg.version };
+  }
+  return toolVersion;
+}
+
+async function exportReview(args) {
+  const stored = args.review_id ? reviews.get(args.review_id) : null;
+  if (args.review_id && !stored) throw new Error(`Unknown review_id: ${args.review_id} (reviews are kept for this session only)`);
+  const { findings, notes } = normalizeFindings(args.findings, stored);
+  const review = {
+    title: stored ? `Code Review: ${stored.range}` : "Code Review",
+    range: stored?.range,
+    skill: stored?.skill,
+    summary: args.summary,
+    verdict: args.verdict,
+    praise: args.praise,
+    findings,
+    files: stored?.files,
+  };
+
+  const format = args.format || "markdown";
+  const text = format === "sarif"
+    ? JSON.stringify(reviewToSarif(review, await producer()), null, 2)
+    : reviewToMarkdown(review);
+
+  let written = null;
+  if (args.output_path) {
+    written = resolveWritablePath(args.output_path);
+    await recordChange("review_changes", [written]);
+    await fs.mkdir(path.dirname(written), { recursive: true });
+    await fs.writeFile(written, text.endsWith("\n") ? text : `${text}\n`, "utf-8");
+  }
+
+  const counts = SEVERITIES.map((s) => [s, findings.filter((f) => f.severity === s).length]).filter(([, n]) => n > 0);
+  const header = [
+    `Exported ${findings.length} finding(s) as ${format}${counts.length ? ` (${counts.map(([s, n]) => `${n} ${s}`).join(", ")})` : ""}${written ? ` to ${written}` : ""}`,
+    ...notes.map((n) => `Note: ${n}`),
+  ].join("\n");
+
+  return {
+    content: [{ type: "text", text: `${header}\n\n${text}` }],
+    structuredContent: { format, ...(written && { path: written }), findings, notes },
+  };
+}
+
+export async function handleReviewTool(name, args) {
+  try {
+    switch (name) {
+      case "review_changes":
+        return args.action === "export" ? await exportReview(args) : await startReview(args);
+      default:
+        throw new Error(`Unknown review tool: ${name}`);
+    }
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Review error: ${error.message}` }],
+      isError: true,
+    };
+  }
+}
@@ -1,7 +1,11 @@
 import fs from "fs/promises";
 import path from "path";
 import { glob } from "glob";
-import { resolvePath, getWorkingDir } from "../utils/paths.js";
+import { minimatch } from "minimatch";
+import { resolvePath, getWorkingDir, isPathAllowed } from "../utils/paths.js";
+import { compilePattern, searchFiles } from "../utils/grep.js";
+import { getSymbolIndex, allSymbols } from "../utils/symbol-index.js";
+import { updateSemanticIndex, rankChunks } from "../utils/semantic-index.js";
 
 export const searchTools = [
   {
@@ -31,13 +35,13 @@ export const searchTools = [
   {
     name: "grep_search",
     description:
-      "Search for a pattern in files. Returns matching lines with file paths and line numbers. Supports regex.",
+      "Search file contents with a regex, like ripgrep. Respects .gitignore, skips binary and hidden files, and reports every match with line numbers. output_mode 'files_with_matches' lists files, 'count' counts matching lines per file, 'content' (default) shows lines with optional context.",
     inputSchema: {
       type: "object",
       properties: {
         pattern: {
           type: "string",
-          description: "Search pattern (regex supported)",
+          description: "Search pattern (JavaScript regex)",
         },
         path: {
           type: "string",
@@ -45,19 +49,48 @@ export const searchTools = [
         },
         file_pattern: {
           type: "string",
-          description: "Glob pattern to filter files (e.g., '*.ts')",
+          description: "Glob pattern to filter files (e.g., '*.ts', 'src/**/*.js')",
+        },
+        output_mode: {
+          type: "string",
+          enum: ["content", "files_with_matches", "count"],
+          description: "What to return (default: content)",
         },
         case_insensitive: {
           type: "boolean",
           description: "Case insensitive search (default: false)",
         },
+        fixed_strings: {
+          type: "boolean",
+          description: "Treat the pattern as literal text, not a regex (default: false)",
+        },
+        multiline: {
+          type: "boolean",
+          description: "Let matches span lines; use \\n or [\\s\\S] in the pattern (default: false)",
+        },
         context: {
           type: "number",
-          description: "Lines of context around matches",
+          description: "Lines of context before and after each match (like rg -C)",
+        },
+        before_context: {
+          type: "number",
+          description: "Lines of context before each match (like rg -B)",
+        },
+        after_context: {
+          type: "number",
+          description: "Lines of context after each match (like rg -A)",
         },
         max_results: {
           type: "number",
-          description: "Maximum results to return (default: 100)",
+          description: "Maximum matching lines (content) or files (files_with_matches) to return (default: 100)",
+        },
+        include_ignored: {
+          type: "boolean",
+          description: "Also search files excluded by .gitignore and the default ignores (node_modules, dist, build)",
+        },
+        hidden: {
+          type: "boolean",
+          description: "Also search dotfiles and dot-directories (default: false)",
         },
       },
       required: ["pattern"],
@@ -66,7 +99,7 @@ export const searchTools = [
   {
     name: "find_definition",
     description:
-      "Search for function, class, or variable definitions in code. Looks for common patterns like 'function name', 'class Name', 'const name ='.",
+      "Search for function, class, or variable definitions in code. Uses the symbol index for supported languages and falls back to common patterns like 'function name', 'class Name', 'const name ='.",
     inputSchema: {
       type: "object",
       properties: {
@@ -86,69 +119,91 @@ export const searchTools = [
       required: ["name"],
     },
   },
+  {
+    name: "semantic_search",
+    description:
+      "Search code and docs by meaning, e.g. 'where are auth tokens refreshed' or 'retry logic for HTTP requests'. Use when you don't know the exact names to grep for. Returns ranked chunks with file and line ranges. Uses local embeddings (LM Studio) when available, keyword ranking (BM25) otherwise.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "What you are looking for, in natural language or keywords",
+        },
+        path: {
+          type: "string",
+          description: "Workspace root to index (default: working directory)",
+        },
+        file_pattern: {
+          type: "string",
+          description: "Only files matching this glob (e.g., '*.py', 'src/**/*.ts')",
+        },
+        limit: {
+          type: "number",
+          description: "Number of chunks to return (default: 8)",
+        },
+        backend: {
+          type: "string",
+          enum: ["auto", "embeddings", "bm25"],
+          description: "auto (default): embeddings combined with keyword ranking when the embeddings server is reachable, keywords alone otherwise",
+        },
+        reindex: {
+          type: "boolean",
+          description: "Rebuild the index from scratch",
+        },
+      },
+      required: ["query"],
+    },
+  },
 ];
 
-async function getFiles(dir, filePattern, ignore) {
-  const defaultIgnore = ["**/node_modules/**", "**/.git/**", "**/dist/**", "**/build/**"];
-  const ignorePatterns = ignore || defaultIgnore;
-
-  const baseDir = dir || getWorkingDir();
-  const pattern = filePattern
-    ? path.join(baseDir, "**", filePattern)
-    : path.join(baseDir, "**/*");
+// Lines of each chunk shown in semantic_search results
+const PREVIEW_LINES = 12;
 
-  const files = await glob(pattern, {
-    ignore: ignorePatterns,
-    nodir: true,
-    absolute: true,
-  });
+// Longest line shown in results; longer lines are cut around the first match
+const MAX_LINE_LENGTH = 300;
 
-  return files;
+// Paths inside the working directory are shown relative to it
+function displayPath(file) {
+  const rel = path.relative(getWorkingDir(), file);
+  return rel && !rel.startsWith("..") && !path.isAbsolute(rel) ? rel : file;
 }
 
-async function searchInFile(filePath, regex, context = 0, maxResults = 100) {
-  const results = [];
-
-  try {
-    const content = await fs.readFile(filePath, "utf-8");
-    const lines = content.split("\n");
-
-    for (let i = 0; i < lines.length && results.length < maxResults; i++) {
-      if (regex.test(lines[i])) {
-        const startLine = Math.max(0, i - context);
-        const endLine = Math.min(lines.length - 1, i + context);
-
-        let matchText = "";
-        for (let j = startLine; j <= endLine; j++) {
-          const prefix = j === i ? ">" : " ";
-          matchText += `${prefix} ${j + 1}: ${lines[j]}\n`;
-        }
+function clipLine(text, ranges) {
+  if (text.length <= MAX_LINE_LENGTH) return text;
+  const start = Math.max(0, (ranges?.[0]?.start || 0) - 40);
+  const end = start + MAX_LINE_LENGTH;
+  return `${start > 0 ? "..." : ""}${text.slice(start, end)}${end < text.length ? "..." : ""}`;
+}
 
-        results.push({
-          file: filePath,
-          line: i + 1,
-          match: lines[i].trim(),
-          context: context > 0 ? matchText.trim() : undefined,
-        });
-      }
+// rg-style output: "file:12: match", "file-13- context", and "--" between
+// non-adjacent groups when context is shown
+function formatContent(files, withContext) {
+  const out = [];
+  for (const f of files) {
+    const name = displayPath(f.file);
+    let prev = null;
+    if (withContext && out.length > 0) out.push("--");
+    for (const l of f.lines) {
+      if (withContext && prev !== null && l.line > prev + 1) out.push("--");
+      const sep = l.match ? ":" : "-";
+      out.push(`${name}${sep}${l.line}${sep} ${clipLine(l.text, l.ranges)}`);
+      prev = l.line;
     }
-  } catch (e) {
-    // Skip files that can't be read (binary, permissions, etc.)
   }
-
-  return results;
+  return out.join("\n");
 }
 
-export async function handleSearchTool(name, args) {
+export async function handleSearchTool(name, args, context = {}) {
   switch (name) {
     case "glob_search": {
       const baseDir = resolvePath(args.cwd || ".");
       const defaultIgnore = ["**/node_modules/**", "**/.git/**"];
-      const files = await glob(args.pattern, {
+      const files = (await glob(args.pattern, {
         cwd: baseDir,
         ignore: args.ignore || defaultIgnore,
         nodir: true,
-      });
+      })).filter((file) => isPathAllowed(path.join(baseDir, file)));
 
       if (files.length === 0) {
         return {
@@ -165,52 +220,64 @@ export async function handleSearchTool(name, args) {
     }
 
     case "grep_search": {
-      const flags = args.case_insensitive ? "gi" : "g";
-      const regex = new RegExp(args.pattern, flags);
-      const searchPath = resolvePath(args.path || ".");
+      const regex = compilePattern(args.pattern, {
+        caseInsensitive: args.case_insensitive,
+        multiline: args.multiline,
+        fixedStrings: args.fixed_strings,
+      });
+      const mode = args.output_mode || "content";
       const maxResults = args.max_results || 100;
+      const context = args.context || 0;
+      const before = args.before_context ?? context;
+      const after = args.after_context ?? context;
+
+      const result = await searchFiles({
+        root: resolvePath(args.path || "."),
+        regex,
+        multiline: args.multiline,
+        before,
+        after,
+        outputMode: mode,
+        maxResults,
+        filePattern: args.file_pattern,
+        includeIgnored: args.include_ignored,
+        hidden: args.hidden,
+      });
 
-      // Check if it's a file or directory
-      const stat = await fs.stat(searchPath);
-      let files;
-
-      if (stat.isFile()) {
-        files = [searchPath];
-      } else {
-        files = await getFiles(searchPath, args.file_pattern);
-      }
-
-      const allResults = [];
-
-      for (const file of files) {
-        if (allResults.length >= maxResults) break;
-
-        const remaining = maxResults - allResults.length;
-        const results = await searchInFile(file, regex, args.context || 0, remaining);
-        allResults.push(...results);
-      }
+      const totalMatches = result.files.reduce((n, f) => n + f.count, 0);
+      const structuredContent = {
+        mode,
+        files: result.files.map((f) => ({ file: displayPath(f.file), count: f.count, lines: mode === "content" ? f.lines : undefined })),
+        total_matches: totalMatches,
+        files_searched: result.searched,
+        binary_skipped: result.binary,
+        truncated: result.truncated,
+      };
 
-      if (allResults.length === 0) {
+      if (result.files.length === 0) {
         return {
-          content: [{ type: "text", text: "No matches found" }],
+          content: [{ type: "text", text: `No matches found (${result.searched} files searched)` }],
+          structuredContent,
         };
       }
 
-      let output = "";
-      for (const r of allResults) {
-        if (r.context) {
-          output += `\n${r.file}:\n${r.context}\n`;
-        } else {
-          output += `${r.file}:${r.line}: ${r.match}\n`;
-        }
+      let output;
+      if (mode === "files_with_matches") {
+        output = result.files.map((f) => displayPath(f.file)).join("\n");
+      } else if (mode === "count") {
+        output = result.files.map((f) => `${displayPath(f.file)}:${f.count}`).join("\n");
+        output += `\n\n${totalMatches} matching lines in ${result.files.length} files`;
+      } else {
+        output = formatContent(result.files, before > 0 || after > 0);
       }
 
-      if (allResults.length >= maxResults) {
-        output += `\n(Results limited to ${maxResults})`;
+      if (result.truncated) {
+        output += `\n\n(Results limited to ${maxResults}${mode === "files_with_matches" ? " files" : " matching lines"})`;
       }
 
       return {
-        content: [{ type: "text", text: output.trim() }],
+        content: [{ type: "text", text: output }],
+        structuredContent,
       };
     }
 
@@ -218,6 +285,30 @@ export async function handleSearchTool(name, args) {
       const searchPath = resolvePath(args.path || ".");
       const defName = args.name;
 
+      // Indexed languages: exact definitions with kind and container
+      const searchStat = await fs.stat(searchPath);
+      if (searchStat.isDirectory()) {
+        const index = await getSymbolIndex(searchPath);
+        const defs = allSymbols(index).filter(
+          (s) => s.name === defName && (!args.file_pattern || minimatch(s.file.split(path.sep).join("/"), args.file_pattern, { matchBase: true }))
+        );
+        if (defs.length > 0) {
+          let output = `Definitions of '${defName}':\n\n`;
+          for (const def of defs.slice(0, 50)) {
+            const file = path.join(searchPath, def.file);
+            const lines = (await fs.readFile(file, "utf8")).split("\n");
+            output += `${displayPath(file)}:${def.line}  (${def.kind}${def.container ? ` in ${def.container}` : ""})\n`;
+            for (let n = Math.max(1, def.line - 2); n <= Math.min(lines.length, def.line + 2); n++) {
+              output += `${n === def.line ? ">" : " "} ${n}: ${lines[n - 1].replace(/\r$/, "")}\n`;
+            }
+            output += "\n";
+          }
+          return {
+            content: [{ type: "text", text: output.trim() }],
+          };
+        }
+      }
+
       // Common definition patterns
       const patterns = [
         `function\\s+${defName}\\s*\\(`,
@@ -235,34 +326,97 @@ export async function handleSearchTool(name, args) {
         `type\\s+${defName}\\s*=`,
       ];
 
-      const combinedPattern = patterns.join("|");
-      const regex = new RegExp(combinedPattern, "g");
+      const regex = compilePattern(patterns.join("|"));
+      const { files } = await searchFiles({
+        root: searchPath,
+        regex,
+        before: 2,
+        after: 2,
+        maxResults: 50,
+        filePattern: args.file_pattern,
+      });
 
-      const files = await getFiles(searchPath, args.file_pattern);
-      const results = [];
+      if (files.length === 0) {
+        return {
+          content: [{ type: "text", text: `No definition found for: ${defName}` }],
+        };
+      }
+
+      // One block per definition: its line plus two lines of context either side
+      let output = `Definitions of '${defName}':\n\n`;
+      for (const f of files) {
+        for (const def of f.lines.filter((l) => l.match)) {
+          output += `${displayPath(f.file)}:${def.line}\n`;
+          for (const l of f.lines.filter((c) => Math.abs(c.line - def.line) <= 2)) {
+            output += `${l.line === def.line ? ">" : " "} ${l.line}: ${l.text}\n`;
+          }
+          output += "\n";
+        }
+      }
+
+      return {
+        content: [{ type: "text", text: output.trim() }],
+      };
+    }
+
+    case "semantic_search": {
+      const root = resolvePath(args.path || ".");
+      const backend = args.backend || "auto";
+      const { index, stats, embeddingError } = await updateSemanticIndex(root, {
+        embed: backend !== "bm25",
+        force: args.reindex,
+        signal: context.signal,
+        onProgress: context.onProgress,
+      });
 
-      for (const file of files) {
-        if (results.length >= 50) break;
-        const fileResults = await searchInFile(file, regex, 2, 50 - results.length);
-        results.push(...fileResults);
+      const hasVectors = stats.chunks > 0 && !embeddingError;
+      if (backend === "embeddings" && !hasVectors) {
+        throw new Error(`Embeddings unavailable: ${embeddingError || "index is empty"}. Use backend "bm25" or start an embedding model in LM Studio.`);
+      }
+      let used = backend === "bm25" || !hasVectors ? "bm25" : backend === "embeddings" ? "embeddings" : "hybrid";
+      const rankOptions = { filePattern: args.file_pattern, limit: args.limit || 8, signal: context.signal };
+      let results;
+      let queryError = null;
+      try {
+        results = await rankChunks(index, args.query, { ...rankOptions, backend: used });
+      } catch (e) {
+        // The server went away between indexing and embedding the query
+        if (used !== "hybrid" || context.signal?.aborted) throw e;
+        queryError = e.message;
+        used = "bm25";
+        results = await rankChunks(index, args.query, { ...rankOptions, backend: used });
       }
 
+      const notes = [];
+      const fallbackReason = embeddingError || queryError;
+      if (fallbackReason && backend !== "bm25") notes.push(`Embeddings unavailable (${fallbackReason}); ranked by keywords only.`);
+      if (stats.pending > 0) notes.push(`${stats.pending} chunks are still waiting for embeddings; they are ranked by keywords until the next search.`);
+      const summary = `${stats.files} files, ${stats.chunks} chunks indexed (${stats.parsed} re-indexed${stats.embedded ? `, ${stats.embedded} embedded` : ""})`;
+
       if (results.length === 0) {
         return {
-          content: [{ type: "text", text: `No definition found for: ${defName}` }],
+          content: [{ type: "text", text: [`No matches for '${args.query}' (${summary})`, ...notes].join("\n") }],
+          structuredContent: { backend: used, results, index: stats },
         };
       }
 
-      let output = `Definitions of '${defName}':\n\n`;
+      let output = `Results for '${args.query}' [${used}] (${summary}):\n`;
       for (const r of results) {
-        output += `${r.file}:${r.line}\n`;
-        if (r.context) {
-          output += `${r.context}\n\n`;
+        const file = path.join(root, r.file);
+        const lines = (await fs.readFile(file, "utf8")).split("\n").slice(r.start_line - 1, r.end_line);
+        const shown = Math.min(lines.length, PREVIEW_LINES);
+        r.file = displayPath(file);
+        output += `\n${r.file}:${r.start_line}-${r.end_line}  score ${r.score}${r.similarity !== undefined ? `  similarity ${r.similarity}` : ""}\n`;
+        for (let i = 0; i < shown; i++) {
+          output += `  ${r.start_line + i}: ${clipLine(lines[i].replace(/\r$/, ""))}\n`;
         }
+        if (lines.length > shown) output += `  ... (${lines.length - shown} more lines)\n`;
       }
+      if (notes.length > 0) output += `\n${notes.join("\n")}`;
 
       return {
         content: [{ type: "text", text: output.trim() }],
+        structuredContent: { backend: used, results, index: stats },
       };
     }
 
@@ -3,8 +3,10 @@ import path from "path";
 import { exec } from "child_process";
 import https from "https";
 import http from "http";
+import { fileURLToPath } from "url";
 
-const SKILLS_DIR = path.join(process.cwd(), "skills");
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SKILLS_DIR = path.join(__dirname, "..", "..", "skills");
 
 export const skillsTools = [
   {
@@ -70,7 +72,7 @@ function fetchUrl(url) {
   });
 }
 
-async function listSkills() {
+export async function listSkills() {
   const skills = [];
   try {
     const entries = await fs.readdir(SKILLS_DIR, { withFileTypes: true });
@@ -103,7 +105,7 @@ async function listSkills() {
   return skills;
 }
 
-async function loadSkill(skillName) {
+export async function loadSkill(skillName) {
   const skillPath = path.join(SKILLS_DIR, skillName);
   const result = { name: skillName, instructions: "", files: [], dependencies: [] };
 
@@ -149,6 +151,24 @@ async function loadSkill(skillName) {
   }
 }
 
+/**
+ * Path of a skill's main instructions. Plugin-style skills keep SKILL.md in
+ * skills/<name>/ below a README.md at their root, so that is tried before README.md.
+ * @returns {Promise<string|null>}
+ */
+export async function skillInstructionFile(skillName) {
+  if (!skillName || /[\\/]|^\.\.?$/.test(skillName)) return null;
+  const skillPath = path.join(SKILLS_DIR, skillName);
+  const candidates = ["SKILL.md", "skill.md", path.join("skills", skillName, "SKILL.md"), "README.md", "readme.md", "instructions.md"];
+  for (const f of candidates) {
+    try {
+      await fs.access(path.join(skillPath, f));
+      return path.join(skillPath, f);
+    } catch {}
+  }
+  return null;
+}
+
 async function installSkillFromGithub(repoUrl) {
   let user, repoName, branch, subPath, skillName;
 
@@ -0,0 +1,472 @@
+/**
+ * Code navigation tools
+ * Repository map, symbol outline, workspace symbol search, go-to-definition,
+ * and references backed by a persistent, incrementally updated symbol index
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { resolvePath, getWorkingDir } from "../utils/paths.js";
+import { getSymbolIndex, getFileSymbols, allSymbols } from "../utils/symbol-index.js";
+import { languageOf } from "../utils/symbols.js";
+import { compilePattern, searchFiles } from "../utils/grep.js";
+import { getRepoMap } from "../utils/repo-map.js";
+
+export const symbolTools = [
+  {
+    name: "repo_map",
+    description:
+      "Overview of a codebase in one call: directory tree with file sizes, languages, frameworks, entry points (package.json, pyproject.toml, ...), and the exported symbols of each file, trimmed to a token budget. Use it first when starting work in an unfamiliar repository.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          description: "Repository root (default: working directory)",
+        },
+        max_tokens: {
+          type: "number",
+          description: "Approximate size of the map (default: 2000). Deeper directories and exports are dropped first to fit",
+        },
+        exports: {
+          type: "boolean",
+          description: "List exported symbols per file (default: true)",
+        },
+        refresh: {
+          type: "boolean",
+          description: "Rebuild instead of using the cached map",
+        },
+      },
+    },
+  },
+  {
+    name: "list_symbols",
+    description:
+      "Outline of a source file: classes, functions, methods, types, and fields with their kind, container, line, and signature. Supports JS/TS, Python, Go, Rust, Java/Kotlin, C#, and C/C++.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        file: {
+          type: "string",
+          description: "Source file path",
+        },
+      },
+      required: ["file"],
+    },
+  },
+  {
+    name: "workspace_symbols",
+    description:
+      "Search symbol definitions across the workspace by name (exact, prefix, substring, or camelCase initials like 'gSI' for getSymbolIndex). Faster and more precise than grep for finding where something is defined.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Symbol name or part of it",
+        },
+        kind: {
+          type: "string",
+          description: "Only this kind (function, method, class, interface, struct, enum, type, variable, ...)",
+        },
+        path: {
+          type: "string",
+          description: "Workspace root to index (default: working directory)",
+        },
+        limit: {
+          type: "number",
+          description: "Maximum results (default: 50)",
+        },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "go_to_definition",
+    description:
+      "Find the definition of the identifier at a position in a file. Returns candidate definitions ranked by how likely they are the target, with kind, container, and signature.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        file: {
+          type: "string",
+          description: "File containing the identifier",
+        },
+        line: {
+          type: "number",
+          description: "Line number (1-based)",
+        },
+        column: {
+          type: "number",
+          description: "Column of any character in the identifier (1-based). Omit to use the first identifier on the line that has a definition",
+        },
+        path: {
+          type: "string",
+          description: "Workspace root to index (default: working directory)",
+        },
+      },
+      required: ["file", "line"],
+    },
+  },
+  {
+    name: "find_references",
+    description:
+      "Find every usage of a symbol across the workspace, marking each as definition, import, or reference. Give a name, or a file + line (+ column) to use the identifier there.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Symbol name",
+        },
+        file: {
+          type: "string",
+          description: "File containing the symbol (with line) instead of name",
+        },
+        line: {
+          type: "number",
+          description: "Line number (1-based) in file",
+        },
+        column: {
+          type: "number",
+          description: "Column in line (1-based)",
+        },
+        path: {
+          type: "string",
+          description: "Directory to search (default: working directory)",
+        },
+        include_definitions: {
+          type: "boolean",
+          description: "Include definition sites (default: true)",
+        },
+        max_results: {
+          type: "number",
+          description: "Maximum usages to return (default: 200)",
+        },
+      },
+    },
+  },
+];
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/g;
+
+// Kinds most likely meant by a bare name vs. a member access (obj.name)
+const MEMBER_KINDS = new Set(["method", "property", "field", "constructor"]);
+
+function workspaceRoot(args) {
+  return resolvePath(args.path || getWorkingDir());
+}
+
+function displayPath(root, rel) {
+  const abs = path.join(root, rel);
+  const fromCwd = path.relative(getWorkingDir(), abs);
+  return fromCwd && !fromCwd.startsWith("..") && !path.isAbsolute(fromCwd) ? fromCwd : abs;
+}
+
+function formatSymbol(s) {
+  return `${s.kind} ${s.container ? `${s.container}.` : ""}${s.name}`;
+}
+
+// Identifier under a 1-based column, with what precedes it ("." for member access)
+function identifierAt(text, column) {
+  for (const m of text.matchAll(IDENTIFIER)) {
+    if (column >= m.index + 1 && column <= m.index + m[0].length + 1) {
+      const before = text.slice(0, m.index).trimEnd();
+      return { name: m[0], column: m.index + 1, member: /(\.|->|::|\?\.)$/.test(before) };
+    }
+  }
+  return null;
+}
+
+// The identifier a file + line (+ column) points at. Without a column it is the first
+// identifier on the line that has a definition, so keywords like "const" are passed over.
+function targetIdentifier(text, column, symbols) {
+  if (column) return identifierAt(text, column);
+  const defined = new Set(symbols.map((s) => s.name));
+  for (const m of text.matchAll(IDENTIFIER)) {
+    if (defined.has(m[0])) return identifierAt(text, m.index + 1);
+  }
+  return null;
+}
+
+/**
+ * Score how well a name matches a query: exact > prefix > substring > camelCase initials
+ * @returns {number} - 0 when it does not match
+ */
+function matchScore(name, query) {
+  const n = name.toLowerCase();
+  const q = query.toLowerCase();
+  if (name === query) return 100;
+  if (n === q) return 90;
+  if (n.startsWith(q)) return 70 - Math.min(20, name.length - query.length);
+  if (n.includes(q)) return 50 - Math.min(20, name.length - query.length);
+  const initials = name.replace(/[a-z0-9_$]+/g, "").toLowerCase();
+  const heads = (name[0] + initials).toLowerCase();
+  if (q.length > 1 && (heads.startsWith(q) || initials.startsWith(q))) return 30;
+  // Subsequence: every query character appears in order
+  let i = 0;
+  for (const ch of n) if (ch === q[i]) i++;
+  return i === q.length ? 10 : 0;
+}
+
+async function readLine(file, line) {
+  const content = await fs.readFile(file, "utf8");
+  return content.split("\n")[line - 1]?.replace(/\r$/, "") ?? null;
+}
+
+/**
+ * Rank definitions of `name` for a use site: same file and enclosing
+ * container first, then member vs. free-standing kinds, then nearby files
+ */
+function rankDefinitions(candidates, { rel, line, member, fileSymbols }) {
+  const enclosing = fileSymbols.filter((s) => s.line <= line && (s.endLine || s.line) >= line).map((s) => s.name);
+  return candidates
+    .map((c) => {
+      let score = 0;
+      if (c.file === rel) score += 40;
+      if (c.container && enclosing.includes(c.container)) score += 20;
+      if (member === MEMBER_KINDS.has(c.kind)) score += 15;
+      if (["class", "interface", "struct", "trait", "enum", "type", "function"].includes(c.kind)) score += 5;
+      if (path.dirname(c.file) === path.dirname(rel)) score += 10;
+      return { ...c, score };
+    })
+    .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+export async function handleSymbolTool(name, args) {
+  switch (name) {
+    case "repo_map": {
+      const root = workspaceRoot(args);
+      const { text, map, detail, cached } = await getRepoMap(root, {
+        maxTokens: args.max_tokens || 2000,
+        exports: args.exports !== false,
+        refresh: args.refresh,
+      });
+      const hidden = [];
+      if (detail.dirsExpanded < detail.dirs) hidden.push(`${detail.dirs - detail.dirsExpanded} directories collapsed`);
+      if (detail.exportFilesShown < detail.exportFiles) hidden.push(`exports omitted for ${detail.exportFiles - detail.exportFilesShown} files`);
+      const note = hidden.length > 0
+        ? `\n\n(${hidden.join(", ")} to fit ${args.max_tokens || 2000} tokens; raise max_tokens or call repo_map on a subdirectory for more.)`
+        : "";
+
+      return {
+        content: [{ type: "text", text: text + note }],
+        structuredContent: {
+          root,
+          files: map.files,
+          bytes: map.bytes,
+          languages: map.languages,
+          frameworks: map.frameworks,
+          entry_points: map.entryPoints,
+          detail: {
+            directories: detail.dirs,
+            directories_expanded: detail.dirsExpanded,
+            files_with_exports: detail.exportFiles,
+            exports_shown: detail.exportFilesShown,
+            truncated: detail.truncated,
+          },
+          cached,
+        },
+      };
+    }
+
+    case "list_symbols": {
+      if (!args.file) {
+        throw new Error("file is required");
+      }
+      const filePath = resolvePath(args.file);
+      if (!languageOf(filePath)) {
+        throw new Error(`Unsupported file type: ${path.extname(filePath) || filePath}`);
+      }
+      const symbols = await getFileSymbols(filePath, getWorkingDir());
+      if (symbols.length === 0) {
+        return {
+          content: [{ type: "text", text: `No symbols found in ${args.file}` }],
+          structuredContent: { file: args.file, symbols },
+        };
+      }
+
+      // Indent members under their container
+      const depth = new Map();
+      let output = `Symbols in ${args.file} (${languageOf(filePath)}):\n\n`;
+      for (const s of symbols) {
+        const level = s.container && depth.has(s.container) ? depth.get(s.container) + 1 : 0;
+        depth.set(s.name, level);
+        const range = s.endLine && s.endLine !== s.line ? `${s.line}-${s.endLine}` : `${s.line}`;
+        output += `${"  ".repeat(level)}${s.kind} ${s.name}  [${range}]  ${s.signature}\n`;
+      }
+
+      return {
+        content: [{ type: "text", text: output.trim() }],
+        structuredContent: { file: args.file, symbols },
+      };
+    }
+
+    case "workspace_symbols": {
+      const root = workspaceRoot(args);
+      const index = await getSymbolIndex(root);
+      const limit = args.limit || 50;
+
+      const results = allSymbols(index)
+        .filter((s) => !args.kind || s.kind === args.kind)
+        .map((s) => ({ ...s, score: matchScore(s.name, args.query) }))
+        .filter((s) => s.score > 0)
+        .sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.file.localeCompare(b.file));
+
+      const shown = results.slice(0, limit);
+      const summary = `${index.stats.files} files indexed, ${index.stats.parsed} re-parsed`;
+      if (shown.length === 0) {
+        return {
+          content: [{ type: "text", text: `No symbols matching '${args.query}' (${summary})` }],
+          structuredContent: { symbols: [], index: index.stats },
+        };
+      }
+
+      let output = `Symbols matching '${args.query}' (${summary}):\n\n`;
+      for (const s of shown) {
+        output += `${displayPath(root, s.file)}:${s.line}  ${formatSymbol(s)}\n    ${s.signature}\n`;
+      }
+      if (results.length > limit) {
+        output += `\n... and ${results.length - limit} more (raise limit or narrow the query)`;
+      }
+
+      return {
+        content: [{ type: "text", text: output.trim() }],
+        structuredContent: {
+          symbols: shown.map(({ score, ...s }) => ({ ...s, file: displayPath(root, s.file) })),
+          index: index.stats,
+        },
+      };
+    }
+
+    case "go_to_definition": {
+      if (!args.file) {
+        throw new Error("file is required");
+      }
+      const root = workspaceRoot(args);
+      const filePath = resolvePath(args.file);
+      const text = await readLine(filePath, args.line);
+      if (text === null) {
+        throw new Error(`Line ${args.line} is past the end of ${args.file}`);
+      }
+
+      const index = await getSymbolIndex(root);
+      const symbols = allSymbols(index);
+      const target = targetIdentifier(text, args.column, symbols);
+      if (!target) {
+        throw new Error(`No identifier at ${args.file}:${args.line}${args.column ? `:${args.column}` : ""}`);
+      }
+
+      const rel = path.relative(root, filePath);
+      const fileSymbols = await getFileSymbols(filePath, root);
+      const ranked = rankDefinitions(
+        symbols.filter((s) => s.name === target.name),
+        { rel, line: args.line, member: target.member, fileSymbols }
+      ).slice(0, 10);
+
+      if (ranked.length === 0) {
+        return {
+          content: [{ type: "text", text: `No definition found for '${target.name}' in the index. Try find_references or grep_search.` }],
+          structuredContent: { identifier: target.name, definitions: [] },
+        };
+      }
+
+      let output = `Definition of '${target.name}'${ranked.length > 1 ? ` (${ranked.length} candidates, best first)` : ""}:\n\n`;
+      for (const d of ranked) {
+        output += `${displayPath(root, d.file)}:${d.line}:${d.column}  ${formatSymbol(d)}\n    ${d.signature}\n`;
+      }
+
+      return {
+        content: [{ type: "text", text: output.trim() }],
+        structuredContent: {
+          identifier: target.name,
+          definitions: ranked.map(({ score, ...d }) => ({ ...d, file: displayPath(root, d.file) })),
+        },
+      };
+    }
+
+    case "find_references": {
+      const root = workspaceRoot(args);
+      let symbolName = args.name;
+      let index = null;
+      if (!symbolName) {
+        if (!args.file || !args.line) {
+          throw new Error("Provide name, or file and line");
+        }
+        const text = await readLine(resolvePath(args.file), args.line);
+        index = await getSymbolIndex(root);
+        const target = text !== null ? targetIdentifier(text, args.column, allSymbols(index)) : null;
+        if (!target) {
+          throw new Error(`No identifier at ${args.file}:${args.line}${args.column ? `:${args.column}` : ""}`);
+        }
+        symbolName = target.name;
+      }
+
+      const escaped = symbolName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const [symbolIndex, found] = await Promise.all([
+        index || getSymbolIndex(root),
+        searchFiles({
+          root,
+          regex: compilePattern(`(?<![\\w$])${escaped}(?![\\w$])`),
+          maxResults: args.max_results || 200,
+        }),
+      ]);
+
+      // Definition sites known to the index, keyed "file:line"
+      const definitions = new Set(
+        allSymbols(symbolIndex)
+          .filter((s) => s.name === symbolName)
+          .map((s) => `${path.join(root, s.file)}:${s.line}`)
+      );
+
+      const usages = [];
+      for (const f of found.files) {
+        for (const l of f.lines) {
+          const trimmed = l.text.trim();
+          // Commented-out mentions are not usages
+          if (/^(\/\/|#(?!include)|\*|\/\*|--)/.test(trimmed)) continue;
+          let kind = "reference";
+          if (definitions.has(`${f.file}:${l.line}`)) kind = "definition";
+          else if (/^\s*(import\b|from\s+\S+\s+import\b|use\s|#include\b|using\s)|\brequire\s*\(/.test(l.text)) kind = "import";
+          if (kind === "definition" && args.include_definitions === false) continue;
+          usages.push({
+            file: displayPath(root, path.relative(root, f.file)),
+            line: l.line,
+            column: l.ranges[0].start + 1,
+            kind,
+            text: trimmed.length > 200 ? `${trimmed.slice(0, 197)}...` : trimmed,
+          });
+        }
+      }
+
+      if (usages.length === 0) {
+        return {
+          content: [{ type: "text", text: `No references to '${symbolName}' found` }],
+          structuredContent: { name: symbolName, references: [] },
+        };
+      }
+
+      const counts = usages.reduce((c, u) => ({ ...c, [u.kind]: (c[u.kind] || 0) + 1 }), {});
+      let output = `References to '${symbolName}': ${Object.entries(counts).map(([k, n]) => `${n} ${k}${n === 1 ? "" : "s"}`).join(", ")}\n`;
+      let lastFile = null;
+      for (const u of usages) {
+        if (u.file !== lastFile) {
+          output += `\n${u.file}\n`;
+          lastFile = u.file;
+        }
+        output += `  ${u.line}:${u.column} [${u.kind}] ${u.text}\n`;
+      }
+      if (found.truncated) {
+        output += `\n(Results limited to ${args.max_results || 200})`;
+      }
+
+      return {
+        content: [{ type: "text", text: output.trim() }],
+        structuredContent: { name: symbolName, references: usages, truncated: found.truncated },
+      };
+    }
+
+    default:
+      throw new Error(`Unknown symbol tool: ${name}`);
+  }
+}
@@ -1,11 +1,22 @@
-import fs from "fs/promises";
 import path from "path";
 import os from "os";
 
+import { createStore, withFileLock } from "../utils/storage.js";
+
 // Store tasks in memory and persist to file
 let tasks = [];
 const TASKS_FILE = path.join(os.homedir(), ".lmstudio-mcp-tasks.json");
 
+// Schema 1: an array of tasks. Files written before versioning held the bare array.
+const taskStore = createStore({
+  file: TASKS_FILE,
+  version: 1,
+  defaults: () => [],
+  migrations: {
+    0: (raw) => (Array.isArray(raw) ? raw : []),
+  },
+});
+
 export const taskTools = [
   {
     name: "todo_write",
@@ -139,16 +150,11 @@ export const taskTools = [
 ];
 
 async function loadTasks() {
-  try {
-    const data = await fs.readFile(TASKS_FILE, "utf-8");
-    tasks = JSON.parse(data);
-  } catch {
-    tasks = [];
-  }
+  tasks = await taskStore.read();
 }
 
 async function saveTasks() {
-  await fs.writeFile(TASKS_FILE, JSON.stringify(tasks, null, 2));
+  await taskStore.write(tasks);
 }
 
 function formatTasks(taskList) {
@@ -183,7 +189,13 @@ function formatTasks(taskList) {
   return output;
 }
 
+// Each call reads, changes, and writes the task file under its lock, so the
+// MCP server and the HTTP server don't overwrite each other's changes
 export async function handleTaskTool(name, args) {
+  return withFileLock(TASKS_FILE, () => runTaskTool(name, args));
+}
+
+async function runTaskTool(name, args) {
   await loadTasks();
 
   switch (name) {
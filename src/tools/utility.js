@@ -0,0 +1,99 @@
+/**
+ * Utility tools
+ * Current time and a small math expression calculator
+ */
+
+export const utilityTools = [
+  {
+    name: "get_current_time",
+    description:
+      "Get the current date and time. Use this when the user asks what time it is, what day it is, or the current date.",
+    inputSchema: {
+      type: "object",
+      properties: {},
+    },
+  },
+  {
+    name: "calculator",
+    description:
+      "Evaluate a math expression. Supports + - * / ^, parentheses, and sqrt, sin, cos, tan, log, ln, abs, floor, ceil, round, pi, e.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        expression: {
+          type: "string",
+          description: "Math expression to evaluate (e.g., 'sqrt(16) + 2^3')",
+        },
+      },
+      required: ["expression"],
+    },
+  },
+];
+
+// Translate calculator syntax into a JavaScript expression, or null if it contains anything else
+function toJsExpression(expression) {
+  const expr = String(expression)
+    .replace(/\^/g, "**")
+    .replace(/sqrt/g, "Math.sqrt")
+    .replace(/sin/g, "Math.sin")
+    .replace(/cos/g, "Math.cos")
+    .replace(/tan/g, "Math.tan")
+    .replace(/log/g, "Math.log10")
+    .replace(/ln/g, "Math.log")
+    .replace(/abs/g, "Math.abs")
+    .replace(/floor/g, "Math.floor")
+    .replace(/ceil/g, "Math.ceil")
+    .replace(/round/g, "Math.round")
+    .replace(/pi/gi, "Math.PI")
+    .replace(/e(?![a-z])/gi, "Math.E");
+
+  if (!/^[0-9+\-*/().Math\s,sqrtincoablgflreudPIE]+$/.test(expr)) {
+    return null;
+  }
+  return expr;
+}
+
+export async function handleUtilityTool(name, args) {
+  switch (name) {
+    case "get_current_time": {
+      const now = new Date();
+      const options = {
+        weekday: "long", year: "numeric", month: "long", day: "numeric",
+        hour: "2-digit", minute: "2-digit", second: "2-digit", timeZoneName: "short",
+      };
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Current time: ${now.toLocaleDateString("en-US", options)}\nISO: ${now.toISOString()}\nUnix: ${Math.floor(now.getTime() / 1000)}`,
+          },
+        ],
+      };
+    }
+
+    case "calculator": {
+      const expr = toJsExpression(args.expression);
+      if (!expr) {
+        return {
+          content: [{ type: "text", text: `Invalid expression: ${args.expression}` }],
+          isError: true,
+        };
+      }
+
+      try {
+        const result = Function(`"use strict"; return (${expr});`)();
+        return {
+          content: [{ type: "text", text: `${args.expression} = ${result}` }],
+        };
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Calculation error: ${error.message}` }],
+          isError: true,
+        };
+      }
+    }
+
+    default:
+      throw new Error(`Unknown utility tool: ${name}`);
+  }
+}
@@ -73,6 +73,25 @@ export const webTools = [
       required: ["url"],
     },
   },
+  {
+    name: "wikipedia",
+    description:
+      "Look up a topic on Wikipedia and return the article summary. Falls back to a Wikipedia search when there is no exact article.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        topic: {
+          type: "string",
+          description: "The topic to look up (e.g., 'Albert Einstein', 'Python programming')",
+        },
+        search: {
+          type: "boolean",
+          description: "Search Wikipedia if there is no exact article (default: true)",
+        },
+      },
+      required: ["topic"],
+    },
+  },
   {
     name: "web_fetch_image",
     description:
@@ -254,7 +273,7 @@ async function duckduckgoSearch(query, maxResults = 10) {
   return results;
 }
 
-async function bingImageSearch(query, maxResults = 10) {
+export async function bingImageSearch(query, maxResults = 10) {
   const results = [];
 
   try {
@@ -322,6 +341,19 @@ async function bingImageSearch(query, maxResults = 10) {
   return results;
 }
 
+async function wikipediaSummary(title) {
+  const url = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(title.replace(/ /g, "_"))}`;
+  return JSON.parse(await httpRequest(url, { timeout: 15000, acceptType: "application/json" }));
+}
+
+function formatWikipediaSummary(data) {
+  let output = `Wikipedia: ${data.title}\n${"═".repeat(50)}\n\n${data.extract}`;
+  if (data.content_urls?.desktop?.page) {
+    output += `\n\nRead more: ${data.content_urls.desktop.page}`;
+  }
+  return output;
+}
+
 export async function handleWebTool(name, args) {
   switch (name) {
     case "web_search": {
@@ -418,6 +450,7 @@ export async function handleWebTool(name, args) {
 
         return {
           content: [{ type: "text", text: output.trim() }],
+          structuredContent: { images: results, downloaded },
         };
       } catch (error) {
         return {
@@ -448,6 +481,51 @@ export async function handleWebTool(name, args) {
       }
     }
 
+    case "wikipedia": {
+      const topic = args.topic || args.query;
+
+      try {
+        const data = await wikipediaSummary(topic);
+        if (data.extract && data.extract.length > 50) {
+          return {
+            content: [{ type: "text", text: formatWikipediaSummary(data) }],
+          };
+        }
+      } catch {}
+
+      if (args.search !== false) {
+        try {
+          const searchUrl = `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(topic)}&format=json&srlimit=5`;
+          const searchData = JSON.parse(await httpRequest(searchUrl, { timeout: 15000, acceptType: "application/json" }));
+          const hits = searchData.query?.search || [];
+
+          if (hits.length > 0) {
+            try {
+              const data = await wikipediaSummary(hits[0].title);
+              if (data.extract) {
+                return {
+                  content: [{ type: "text", text: formatWikipediaSummary(data) }],
+                };
+              }
+            } catch {}
+
+            let output = `Wikipedia search results for "${topic}":\n\n`;
+            for (const hit of hits) {
+              const snippet = decodeHtmlEntities(hit.snippet.replace(/<[^>]+>/g, ""));
+              output += `• ${hit.title}\n  https://en.wikipedia.org/wiki/${encodeURIComponent(hit.title.replace(/ /g, "_"))}\n  ${snippet}\n\n`;
+            }
+            return {
+              content: [{ type: "text", text: output.trim() }],
+            };
+          }
+        } catch {}
+      }
+
+      return {
+        content: [{ type: "text", text: `No Wikipedia article found for "${topic}".` }],
+      };
+    }
+
     case "web_fetch_image": {
       try {
         const { buffer, contentType } = await httpRequest(args.url, {
@@ -0,0 +1,466 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getWorkingDir } from './paths.js';
+
+// Per-workspace policy file, read from the working directory
+export const POLICY_FILE = '.qwen3-mcp.json';
+
+// The policy file itself, by name or at the end of any path
+const POLICY_PATH = `{${POLICY_FILE},*/${POLICY_FILE},*\\${POLICY_FILE}}`;
+
+/**
+ * Built-in command rules. Patterns are written like shell commands and are
+ * matched against parsed command words, not raw text:
+ *   - the first word is the command name, the rest must all appear among its arguments
+ *   - {a,b,c} matches any one alternative, * is a wildcard inside a word (\* is a literal star)
+ *   - "a | b" matches a pipeline where a's output feeds b
+ *   - output redirections are arguments written ">target", whatever the operator (>, >>, 2>, &>)
+ */
+const DEFAULT_RULES = [
+  {
+    action: 'deny',
+    pattern: `* {>${POLICY_FILE},>*/${POLICY_FILE},>*\\${POLICY_FILE}}`,
+    reason: 'Writes to the command policy file. Only the user may change the policy.',
+  },
+  {
+    action: 'deny',
+    pattern: `{tee,cp,mv,ln,rm,install,rsync,truncate,set-content,add-content,out-file,copy-item,move-item,remove-item,new-item} ${POLICY_PATH}`,
+    reason: 'Writes to, replaces or deletes the command policy file. Only the user may change the policy.',
+  },
+  {
+    action: 'deny',
+    pattern: `{sed,perl} {-i*,--in-place*} ${POLICY_PATH}`,
+    reason: 'Edits the command policy file in place. Only the user may change the policy.',
+  },
+  {
+    action: 'deny',
+    pattern: `dd {of=${POLICY_FILE},of=*/${POLICY_FILE},of=*\\${POLICY_FILE}}`,
+    reason: 'Writes to the command policy file. Only the user may change the policy.',
+  },
+  {
+    action: 'deny',
+    pattern: '{curl,wget,iwr,irm,invoke-webrequest,invoke-restmethod} | {sh,bash,zsh,dash,ksh,fish,python,python3,perl,ruby,node,pwsh,powershell,iex,invoke-expression}',
+    reason: 'Pipes a downloaded script straight into an interpreter. Download it, read it, then run it.',
+  },
+  {
+    action: 'deny',
+    pattern: 'rm {-r,-R,--recursive} {/,/\\*,~,~/,~/\\*,$HOME,--no-preserve-root}',
+    reason: 'Recursively deletes the filesystem root or the home directory.',
+  },
+  {
+    action: 'deny',
+    pattern: '{mkfs,mkfs.*,diskpart,format}',
+    reason: 'Formats a disk or partition.',
+  },
+  {
+    action: 'deny',
+    pattern: 'dd of=/dev/*',
+    reason: 'Writes raw data to a device.',
+  },
+  {
+    action: 'deny',
+    pattern: '{shutdown,reboot,halt,poweroff}',
+    reason: 'Shuts down or restarts the machine.',
+  },
+  {
+    action: 'confirm',
+    pattern: 'rm {-r,-R,--recursive} {-f,--force}',
+    reason: 'Recursively force-deletes files.',
+  },
+  {
+    action: 'confirm',
+    pattern: '{rmdir,rd,del} {/s,/S}',
+    reason: 'Recursively deletes files.',
+  },
+  {
+    action: 'confirm',
+    pattern: 'git push {--force,-f,--force-with-lease,--force-with-lease=*,--mirror,--delete,-d,+*}',
+    reason: 'Rewrites or deletes history on a remote.',
+  },
+  {
+    action: 'confirm',
+    pattern: 'git reset --hard',
+    reason: 'Discards uncommitted changes.',
+  },
+  {
+    action: 'confirm',
+    pattern: 'git clean {-f,--force}',
+    reason: 'Deletes untracked files.',
+  },
+  {
+    action: 'confirm',
+    pattern: 'git branch -D',
+    reason: 'Deletes a branch even if it is not merged.',
+  },
+  {
+    action: 'confirm',
+    pattern: '{npm,pnpm,yarn,bun,cargo,poetry,uv,vsce,ovsx} publish',
+    reason: 'Publishes a package to a public registry.',
+  },
+  {
+    action: 'confirm',
+    pattern: '{twine,gem} {upload,push}',
+    reason: 'Publishes a package to a public registry.',
+  },
+  {
+    action: 'confirm',
+    pattern: 'dotnet nuget push',
+    reason: 'Publishes a package to a public registry.',
+  },
+  {
+    action: 'confirm',
+    pattern: 'docker push',
+    reason: 'Publishes an image to a registry.',
+  },
+  {
+    action: 'confirm',
+    pattern: 'gh release create',
+    reason: 'Publishes a GitHub release.',
+  },
+];
+
+// Wrappers that run the next word as the real command, with their options that take a value
+// (short option letters, long option names), so "sudo -u root rm" is checked as rm
+const WRAPPERS = {
+  sudo: ['CDghpRrTtUu', ['chdir', 'chroot', 'close-from', 'command-timeout', 'group', 'host', 'other-user', 'prompt', 'role', 'type', 'user']],
+  doas: ['Cu', []],
+  env: ['CSu', ['chdir', 'split-string', 'unset']],
+  nohup: ['', []],
+  time: ['fo', ['format', 'output']],
+  command: ['', []],
+  exec: ['a', []],
+  nice: ['n', ['adjustment']],
+  xargs: ['aEdIiLlnPs', ['arg-file', 'delimiter', 'eof', 'max-args', 'max-chars', 'max-lines', 'max-procs', 'replace']],
+};
+
+// Index of the first word after a wrapper's options and their values
+function skipWrapperOptions(words, i, [short, long]) {
+  while (i < words.length && words[i].startsWith('-')) {
+    const w = words[i++];
+    if (w === '--') break;
+    if (w.startsWith('--')) {
+      if (!w.includes('=') && long.includes(w.slice(2))) i++;
+      continue;
+    }
+    // In a cluster like -Eu the first option that takes a value uses the rest of the word, or the next word
+    const at = [...w.slice(1)].findIndex((ch) => short.includes(ch));
+    if (at !== -1 && at === w.length - 2) i++;
+  }
+  return i;
+}
+
+// Shells whose -c / /c argument is itself a command line
+const SHELLS = {
+  sh: '-c', bash: '-c', zsh: '-c', dash: '-c', ksh: '-c',
+  cmd: '/c', powershell: '-command', pwsh: '-command',
+};
+
+/**
+ * Split a command line into pipelines of simple commands, honouring quotes.
+ * Command substitutions ($(...) and backticks) are returned as extra pipelines.
+ * @param {string} command - The shell command line
+ * @returns {Array<Array<{name: string, args: string[]}>>} - Pipelines, each a list of piped commands
+ */
+export function parseCommand(command) {
+  const pipelines = [];
+  const nested = [];
+  let pipeline = [];
+  let words = [];
+  let word = '';
+  let inWord = false;
+
+  const endWord = () => {
+    if (inWord) words.push(word);
+    word = '';
+    inWord = false;
+  };
+  const endCommand = () => {
+    endWord();
+    if (words.length > 0) pipeline.push(words);
+    words = [];
+  };
+  const endPipeline = () => {
+    endCommand();
+    if (pipeline.length > 0) pipelines.push(pipeline);
+    pipeline = [];
+  };
+
+  const src = String(command || '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (ch === "'") {
+      const end = src.indexOf("'", i + 1);
+      const stop = end === -1 ? src.length : end;
+      word += src.slice(i + 1, stop);
+      inWord = true;
+      i = stop;
+    } else if (ch === '"') {
+      inWord = true;
+      for (i++; i < src.length && src[i] !== '"'; i++) {
+        if (src[i] === '\\' && i + 1 < src.length) {
+          word += src[++i];
+        } else if (src[i] === '$' && src[i + 1] === '(') {
+          const end = closingParen(src, i + 1);
+          nested.push(src.slice(i + 2, end));
+          i = end;
+        } else {
+          word += src[i];
+        }
+      }
+    } else if (ch === '\\' && i + 1 < src.length && process.platform !== 'win32') {
+      word += src[++i];
+      inWord = true;
+    } else if (ch === '$' && src[i + 1] === '(') {
+      const end = closingParen(src, i + 1);
+      nested.push(src.slice(i + 2, end));
+      i = end;
+      inWord = true;
+    } else if (ch === '`') {
+      const end = src.indexOf('`', i + 1);
+      const stop = end === -1 ? src.length : end;
+      nested.push(src.slice(i + 1, stop));
+      i = stop;
+      inWord = true;
+    } else if (ch === '>' || (ch === '&' && src[i + 1] === '>')) {
+      // Keep redirection operators such as >>, >|, &> and 2>&1 in one word
+      word += ch;
+      inWord = true;
+      while (i + 1 < src.length && '>|&'.includes(src[i + 1])) word += src[++i];
+    } else if (ch === '|' && src[i + 1] !== '|') {
+      endCommand();
+      if (src[i + 1] === '&') i++;
+    } else if (ch === '|' || ch === '&' || ch === ';' || ch === '\n' || ch === '(' || ch === ')') {
+      endPipeline();
+      if (src[i + 1] === ch) i++;
+    } else if (/\s/.test(ch)) {
+      endWord();
+    } else {
+      word += ch;
+      inWord = true;
+    }
+  }
+  endPipeline();
+
+  const result = [];
+  for (const p of pipelines) {
+    const commands = p.map(toSimpleCommand).filter(Boolean);
+    if (commands.length > 0) result.push(commands);
+    // Commands run through "bash -c '...'" are checked too
+    for (const cmd of commands) {
+      if (cmd.script) result.push(...parseCommand(cmd.script));
+    }
+  }
+  for (const inner of nested) {
+    result.push(...parseCommand(inner));
+  }
+  return result;
+}
+
+function closingParen(src, open) {
+  let depth = 0;
+  for (let i = open; i < src.length; i++) {
+    if (src[i] === '(') depth++;
+    else if (src[i] === ')' && --depth === 0) return i;
+  }
+  return src.length;
+}
+
+// Output redirection: an operator (>, >>, >|, 2>, &>, >&) with its target attached or in the next word
+const REDIRECT = /^(?:\d*|&)>>?[|&]?(.*)$/;
+
+// Strip variable assignments and wrappers like sudo/env, and normalise the command name.
+// Redirections are moved to the end of the arguments as ">target" words.
+function toSimpleCommand(allWords) {
+  const words = [];
+  const redirects = [];
+  for (let k = 0; k < allWords.length; k++) {
+    const m = REDIRECT.exec(allWords[k]);
+    if (!m) {
+      words.push(allWords[k]);
+    } else if (m[1]) {
+      redirects.push(`>${m[1]}`);
+    } else if (k + 1 < allWords.length) {
+      redirects.push(`>${allWords[++k]}`);
+    }
+  }
+
+  let i = 0;
+  while (i < words.length) {
+    const w = words[i];
+    if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(w)) {
+      i++;
+    } else if (Object.hasOwn(WRAPPERS, commandName(w))) {
+      i = skipWrapperOptions(words, i + 1, WRAPPERS[commandName(w)]);
+    } else {
+      break;
+    }
+  }
+  if (i >= words.length) {
+    // A bare redirection such as "> file" still writes the file
+    return redirects.length > 0 ? { name: '', args: redirects } : null;
+  }
+
+  const name = commandName(words[i]);
+  const args = [...words.slice(i + 1), ...redirects];
+  const cmd = { name, args };
+
+  const scriptFlag = SHELLS[name];
+  if (scriptFlag) {
+    const at = args.findIndex((a) => a.toLowerCase() === scriptFlag);
+    if (at !== -1 && at + 1 < args.length) {
+      cmd.script = args.slice(at + 1).join(' ');
+    }
+  }
+  return cmd;
+}
+
+function commandName(word) {
+  return path.basename(word.replace(/\\/g, '/')).toLowerCase().replace(/\.(exe|cmd|bat)$/, '');
+}
+
+// Expand short flag clusters so "-rf" matches rules written as "-r -f"
+function argTokens(args) {
+  const tokens = new Set(args);
+  for (const a of args) {
+    if (/^-[A-Za-z]{2,}$/.test(a)) {
+      for (const ch of a.slice(1)) tokens.add(`-${ch}`);
+    }
+  }
+  return tokens;
+}
+
+// One rule word: {a,b} alternatives, each of which may contain * wildcards (\* is a literal star)
+function compileWord(word) {
+  const alternatives = /^\{.*\}$/.test(word) ? word.slice(1, -1).split(',') : [word];
+  const regexes = alternatives.map((alt) => {
+    let source = '';
+    for (let i = 0; i < alt.length; i++) {
+      if (alt[i] === '\\' && alt[i + 1] === '*') {
+        source += '\\*';
+        i++;
+      } else if (alt[i] === '*') {
+        source += '.*';
+      } else {
+        source += alt[i].replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${source}$`);
+  });
+  return (value) => regexes.some((re) => re.test(value));
+}
+
+/**
+ * Compile a rule pattern such as "git push --force" or "curl | sh"
+ * @param {string} pattern
+ * @returns {Array<{name: Function, args: Function[]}>} - One matcher per piped command
+ */
+function compilePattern(pattern) {
+  return pattern.split(/\s+\|\s+/).map((part) => {
+    const words = part.trim().split(/\s+/);
+    const args = [];
+    for (const w of words.slice(1)) {
+      // "-rf" in a rule means both -r and -f
+      if (/^-[A-Za-z]{2,}$/.test(w)) {
+        for (const ch of w.slice(1)) args.push(compileWord(`-${ch}`));
+      } else {
+        args.push(compileWord(w));
+      }
+    }
+    return { name: compileWord(words[0].toLowerCase()), args };
+  });
+}
+
+function commandMatches(matcher, cmd) {
+  if (!matcher.name(cmd.name)) return false;
+  const tokens = [...argTokens(cmd.args)];
+  return matcher.args.every((m) => tokens.some((t) => m(t)));
+}
+
+function ruleMatches(compiled, pipelines) {
+  for (const pipeline of pipelines) {
+    for (let start = 0; start + compiled.length <= pipeline.length; start++) {
+      if (compiled.every((m, k) => commandMatches(m, pipeline[start + k]))) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+function toRule(entry, action, source) {
+  const rule = typeof entry === 'string' ? { pattern: entry } : { ...entry };
+  rule.action = action;
+  rule.source = source;
+  rule.compiled = compilePattern(rule.pattern);
+  return rule;
+}
+
+const defaultRules = DEFAULT_RULES.map((r) => toRule(r, r.action, 'default'));
+
+// Warnings already printed, so a bad policy file is reported once rather than on every command
+const reportedWarnings = new Set();
+
+function warnOnce(message) {
+  if (reportedWarnings.has(message)) return;
+  reportedWarnings.add(message);
+  console.error(message);
+}
+
+/**
+ * Load the workspace's command rules from .qwen3-mcp.json:
+ *   { "commands": { "allow": [...], "deny": [...], "confirm": [...] } }
+ * Entries are pattern strings or { "pattern": "...", "reason": "..." } objects.
+ * Entries without a pattern are skipped with a warning on stderr.
+ * @param {string} workspace - Workspace directory
+ * @returns {Promise<object[]>}
+ */
+export async function loadWorkspaceRules(workspace = getWorkingDir()) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(path.join(workspace, POLICY_FILE), 'utf-8'));
+  } catch {
+    return [];
+  }
+
+  const commands = config.commands || {};
+  const rules = [];
+  for (const action of ['deny', 'confirm', 'allow']) {
+    const entries = commands[action] ?? [];
+    if (!Array.isArray(entries)) {
+      warnOnce(`${POLICY_FILE}: commands.${action} must be a list of rules; ignoring it`);
+      continue;
+    }
+    entries.forEach((entry, index) => {
+      const pattern = typeof entry === 'string' ? entry : entry?.pattern;
+      if (typeof pattern !== 'string' || !pattern.trim()) {
+        warnOnce(`${POLICY_FILE}: commands.${action}[${index}] has no pattern; skipping it`);
+        return;
+      }
+      rules.push(toRule(entry, action, 'workspace'));
+    });
+  }
+  return rules;
+}
+
+/**
+ * Decide whether a command may run.
+ * Deny rules always win; an allow rule overrides confirm rules.
+ * @param {string} command - The shell command line
+ * @returns {Promise<{action: "allow"|"deny"|"confirm", rule?: {pattern: string, source: string, reason?: string}}>}
+ */
+export async function evaluateCommand(command) {
+  const pipelines = parseCommand(command);
+  const rules = [...(await loadWorkspaceRules()), ...defaultRules];
+  const matched = rules.filter((r) => ruleMatches(r.compiled, pipelines));
+
+  const decide = (action) => {
+    const rule = matched.find((r) => r.action === action);
+    return rule && {
+      action,
+      rule: { pattern: rule.pattern, source: rule.source, reason: rule.reason },
+    };
+  };
+
+  return decide('deny') || decide('allow') || decide('confirm') || { action: 'allow' };
+}
@@ -0,0 +1,294 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { POLICY_FILE } from './command-policy.js';
+
+// Checks for git_prepare_commit: what kind of change each staged file is,
+// risky content in the added lines, commit message conventions, and a draft
+// message built from the staged changes.
+
+export const CONVENTIONAL_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+
+export const DEFAULT_COMMIT_CONFIG = {
+  convention: 'conventional',
+  types: CONVENTIONAL_TYPES,
+  scopes: [],
+  require_scope: false,
+  max_subject_length: 72,
+  max_body_line_length: 100,
+  max_file_kb: 1024,
+  max_binary_kb: 256,
+};
+
+/**
+ * Commit settings from the "commits" section of .qwen3-mcp.json in the
+ * repository (or workspace), over the defaults:
+ *   { "commits": { "convention": "conventional"|"none", "types": [...], "scopes": [...],
+ *     "require_scope": false, "pattern": "^regex$", "max_subject_length": 72, ... } }
+ * @param {string[]} dirs - Directories to look in, first match wins
+ * @returns {Promise<object>}
+ */
+export async function loadCommitConfig(dirs) {
+  for (const dir of dirs) {
+    try {
+      const config = JSON.parse(await fs.readFile(path.join(dir, POLICY_FILE), 'utf-8'));
+      if (config.commits) return { ...DEFAULT_COMMIT_CONFIG, ...config.commits, source: path.join(dir, POLICY_FILE) };
+    } catch {
+      // Missing or unreadable config: keep looking, then use the defaults
+    }
+  }
+  return { ...DEFAULT_COMMIT_CONFIG, source: 'default' };
+}
+
+// First match wins, so specific categories come before "source"
+const CATEGORIES = [
+  ['test', /(^|\/)(tests?|__tests__|spec|specs)\/|\.(test|spec)\.[cm]?[jt]sx?$|_test\.(go|py)$|(^|\/)test_[^/]*\.py$|Tests?\.(java|kt|cs)$/],
+  ['docs', /\.(md|mdx|rst|adoc|txt)$|(^|\/)docs?\/|(^|\/)(LICENSE|NOTICE|AUTHORS)(\.|$)/i],
+  ['ci', /^\.github\/|^\.gitlab-ci|^\.circleci\/|(^|\/)Jenkinsfile$|azure-pipelines|\.travis\.yml$/],
+  ['deps', /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb|Cargo\.lock|poetry\.lock|uv\.lock|Pipfile\.lock|go\.sum|Gemfile\.lock|composer\.lock)$/],
+  ['build', /(^|\/)(package\.json|pyproject\.toml|setup\.(py|cfg)|requirements[^/]*\.txt|Cargo\.toml|go\.mod|Gemfile|pom\.xml|[^/]*\.gradle(\.kts)?|Makefile|CMakeLists\.txt|Dockerfile[^/]*|docker-compose[^/]*\.ya?ml|tsconfig[^/]*\.json|(webpack|vite|rollup|esbuild|babel)\.config\.[cm]?[jt]s)$/],
+  ['config', /(^|\/)\.[^/]+$|\.(json|ya?ml|toml|ini|cfg|conf|env\.example)$/],
+  ['assets', /\.(png|jpe?g|gif|webp|svg|ico|bmp|mp3|mp4|wav|ogg|webm|woff2?|ttf|otf|eot|pdf|zip|gz|tar)$/i],
+];
+
+/**
+ * Kind of file, for grouping: test, docs, ci, deps, build, config, assets, or source
+ * @param {string} file - Repository-relative path
+ */
+export function categorize(file) {
+  return CATEGORIES.find(([, pattern]) => pattern.test(file))?.[0] || 'source';
+}
+
+/**
+ * Added lines per file from a unified diff (best with -U0)
+ * @param {string} diff
+ * @returns {Map<string, {line: number, text: string}[]>}
+ */
+export function addedLines(diff) {
+  const files = new Map();
+  let current = null;
+  let line = 0;
+  let previous = '';
+
+  for (const raw of diff.split('\n')) {
+    if (raw.startsWith('diff --git ')) {
+      current = null;
+    } else if (raw.startsWith('+++ ') && previous.startsWith('--- ')) {
+      const target = raw.slice(4);
+      current = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (current && !files.has(current)) files.set(current, []);
+    } else if (raw.startsWith('@@')) {
+      line = Number(raw.match(/\+(\d+)/)?.[1] || 0);
+    } else if (current && raw.startsWith('+')) {
+      files.get(current).push({ line, text: raw.slice(1) });
+      line++;
+    } else if (current && raw.startsWith(' ')) {
+      line++;
+    }
+    previous = raw;
+  }
+  return files;
+}
+
+const SECRET_PATTERNS = [
+  ['AWS access key', /\b(AKIA|ASIA)[0-9A-Z]{16}\b/],
+  ['private key', /-----BEGIN ([A-Z]+ )?PRIVATE KEY( BLOCK)?-----/],
+  ['GitHub token', /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{50,})\b/],
+  ['Slack token', /\bxox[abposr]-[A-Za-z0-9-]{10,}/],
+  ['OpenAI/Anthropic API key', /\bsk-(ant-)?[A-Za-z0-9_-]{20,}/],
+  ['Google API key', /\bAIza[0-9A-Za-z_-]{35}\b/],
+  ['Stripe key', /\b[rs]k_live_[0-9a-zA-Z]{16,}/],
+  ['JSON web token', /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/],
+  ['password in URL', /[a-z][a-z0-9+.-]*:\/\/[^/\s:@]+:[^/\s@]{3,}@/i],
+  ['hard-coded secret', /\b(api[_-]?key|secret|passw(or)?d|token|auth|credential)[\w-]*["']?\s*[:=]\s*["'][^"'\s]{8,}["']/i],
+];
+
+// Values that are clearly placeholders rather than real secrets
+const PLACEHOLDER = /x{4,}|\*{4,}|<[^>]+>|\$\{|\{\{|process\.env|os\.environ|example|changeme|your[_-]|dummy|placeholder|redacted|test/i;
+
+// Files that usually hold credentials and should not be committed
+const SENSITIVE_FILES = /(^|\/)(\.env(\.[^/]*)?|id_(rsa|dsa|ecdsa|ed25519)|[^/]*\.(pem|p12|pfx|key|keystore|jks)|credentials(\.json)?|\.npmrc|\.pypirc|\.netrc)$/;
+
+const DEBUG_PATTERNS = [
+  [/\.[cm]?[jt]sx?$|\.vue$|\.svelte$/, /\bconsole\.(log|debug|trace|dir)\s*\(|^\s*debugger\s*;?\s*$/],
+  [/\.py$/, /\b(i?pdb)\.set_trace\(|\bbreakpoint\(\)/],
+  [/\.rb$/, /\bbinding\.(pry|irb)\b|^\s*byebug\b/],
+  [/\.php$/, /\b(var_dump|print_r|dd|dump)\s*\(/],
+  [/\.rs$/, /\bdbg!\s*\(/],
+  [/\.(java|kt)$/, /System\.(out|err)\.print|\.printStackTrace\(\)/],
+  [/\.go$/, /\bspew\.Dump\(|\bpretty\.Print/],
+];
+
+// Explicit markers that a line was never meant to be committed
+const DO_NOT_COMMIT = /\b(DO NOT COMMIT|DONOTCOMMIT|NOCOMMIT|DO-NOT-MERGE)\b/i;
+
+const CONFLICT_MARKER = /^(<{7}|>{7})( |$)|^={7}$|^\|{7}( |$)/;
+
+const redact = (value) => `${value.slice(0, 4)}…(${value.length} chars)`;
+
+/**
+ * Look for risky content in the staged changes
+ * @param {object[]} files - Staged files: {path, status, binary, size}
+ * @param {Map<string, object[]>} added - From addedLines
+ * @param {object} config - From loadCommitConfig
+ * @returns {{severity: 'error'|'warning'|'info', kind: string, file: string, line?: number, message: string}[]}
+ */
+export function scanRisks(files, added, config) {
+  const findings = [];
+  const add = (severity, kind, file, message, line) => findings.push({ severity, kind, file, ...(line && { line }), message });
+
+  for (const f of files) {
+    if (f.status === 'D') continue;
+    const category = categorize(f.path);
+
+    if (SENSITIVE_FILES.test(f.path) && !/\.example$|\.sample$|\.template$/.test(f.path)) {
+      add('error', 'secret', f.path, 'File usually holds credentials; keep it out of git (add it to .gitignore)');
+    }
+    const kb = Math.round((f.size || 0) / 1024);
+    if (f.binary && kb > config.max_binary_kb) {
+      add('warning', 'large-binary', f.path, `Binary file of ${kb} KB (limit ${config.max_binary_kb} KB); consider Git LFS or leaving it out`);
+    } else if (kb > config.max_file_kb) {
+      add('warning', 'large-file', f.path, `File is ${kb} KB (limit ${config.max_file_kb} KB)`);
+    }
+
+    const debug = ['test', 'docs'].includes(category) ? null : DEBUG_PATTERNS.find(([ext]) => ext.test(f.path))?.[1];
+    for (const { line, text } of added.get(f.path) || []) {
+      if (CONFLICT_MARKER.test(text)) {
+        add('error', 'conflict-marker', f.path, 'Unresolved conflict marker', line);
+        continue;
+      }
+      if (DO_NOT_COMMIT.test(text)) {
+        add('error', 'do-not-commit', f.path, `Marked "${text.match(DO_NOT_COMMIT)[0]}"`, line);
+      }
+      if (category !== 'deps') {
+        for (const [name, pattern] of SECRET_PATTERNS) {
+          const match = text.match(pattern);
+          if (match && !PLACEHOLDER.test(match[0])) {
+            add('error', 'secret', f.path, `Possible ${name}: ${redact(match[0])}`, line);
+            break;
+          }
+        }
+      }
+      if (debug?.test(text)) {
+        add('warning', 'debug', f.path, `Debug statement: ${text.trim().slice(0, 80)}`, line);
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Check a commit message against the configured convention
+ * @param {string} message
+ * @param {object} config - From loadCommitConfig
+ * @returns {{valid: boolean, errors: string[], warnings: string[], parsed?: {type: string, scope: string|null, breaking: boolean, description: string}}}
+ */
+export function checkMessage(message, config) {
+  const errors = [];
+  const warnings = [];
+  const lines = String(message || '').replace(/\r\n/g, '\n').trim().split('\n');
+  const header = lines[0] || '';
+  let parsed;
+
+  if (!header.trim()) {
+    return { valid: false, errors: ['Message is empty'], warnings };
+  }
+  if (header.length > config.max_subject_length) {
+    errors.push(`Subject is ${header.length} characters (max ${config.max_subject_length})`);
+  }
+  if (/\.\s*$/.test(header)) warnings.push('Subject ends with a period');
+  if (lines.length > 1 && lines[1].trim() !== '') errors.push('Separate the subject from the body with a blank line');
+  const longLines = lines.slice(2).filter((l) => l.length > config.max_body_line_length && !/^\S+:\/\/\S+$/.test(l.trim()));
+  if (longLines.length) warnings.push(`${longLines.length} body line(s) longer than ${config.max_body_line_length} characters`);
+  if (/^(fixup|squash|amend)!/.test(header)) warnings.push('fixup!/squash! commit; squash it before merging');
+  if (/^\s*wip\b/i.test(header)) warnings.push('Work-in-progress commit');
+
+  if (config.convention === 'conventional') {
+    const match = header.match(/^(\w+)(?:\(([^()]+)\))?(!)?: (.+)$/);
+    if (!match) {
+      errors.push('Subject must be "type(scope): description" (Conventional Commits)');
+    } else {
+      const [, type, scope = null, bang, description] = match;
+      const breaking = Boolean(bang) || lines.some((l) => /^BREAKING[ -]CHANGE: /.test(l));
+      parsed = { type, scope, breaking, description };
+      if (!config.types.includes(type)) errors.push(`Type "${type}" is not one of: ${config.types.join(', ')}`);
+      if (!scope && config.require_scope) errors.push('A scope is required, e.g. feat(parser): ...');
+      if (scope && config.scopes.length && !config.scopes.includes(scope)) {
+        errors.push(`Scope "${scope}" is not one of: ${config.scopes.join(', ')}`);
+      }
+      if (/^[A-Z][a-z]/.test(description)) warnings.push('Start the description in lower case');
+    }
+  }
+  if (config.pattern && !new RegExp(config.pattern).test(header)) {
+    errors.push(`Subject does not match the configured pattern ${config.pattern}`);
+  }
+
+  return { valid: errors.length === 0, errors, warnings, ...(parsed && { parsed }) };
+}
+
+// Directory names that say nothing about what changed
+const GENERIC_DIRS = new Set(['src', 'lib', 'app', 'source', 'pkg', 'internal', 'cmd', 'packages', 'apps', 'modules']);
+
+function scopeOf(file) {
+  const dirs = file.split('/').slice(0, -1).filter((d) => !GENERIC_DIRS.has(d) && !d.startsWith('.'));
+  return dirs[0] || null;
+}
+
+const VERBS = { A: 'add', D: 'remove', R: 'rename', M: 'update', C: 'copy', T: 'update' };
+
+function listNames(names, max) {
+  if (names.length <= max) return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names[0];
+  return `${names.length} files`;
+}
+
+/**
+ * Draft a commit message from the staged files. The type and scope are
+ * inferred from the kinds of files and directories touched; the description
+ * only names what changed, so it should be refined to say why.
+ * @param {object[]} files - {path, status, old_path?, additions, deletions}
+ * @param {object} config
+ * @returns {{message: string, type: string|null, scope: string|null, reason: string}}
+ */
+export function draftMessage(files, config) {
+  const categories = new Set(files.map((f) => categorize(f.path)));
+  const source = files.filter((f) => categorize(f.path) === 'source');
+  const sum = (list, key) => list.reduce((n, f) => n + (f[key] || 0), 0);
+
+  let type;
+  let reason;
+  if (source.length === 0 && categories.size === 1) {
+    const only = [...categories][0];
+    type = { test: 'test', docs: 'docs', ci: 'ci', deps: 'build', build: 'build', config: 'chore', assets: 'chore' }[only];
+    reason = `only ${only} files changed`;
+  } else if (source.some((f) => f.status === 'A')) {
+    type = 'feat';
+    reason = 'new source files';
+  } else if (sum(source, 'deletions') > sum(source, 'additions') * 2) {
+    type = 'refactor';
+    reason = 'mostly removed code';
+  } else {
+    type = 'fix';
+    reason = 'changes to existing source files; use feat if this adds behavior';
+  }
+
+  const scoped = (source.length ? source : files).map((f) => scopeOf(f.path));
+  let scope = scoped.every((s) => s && s === scoped[0]) ? scoped[0] : null;
+  if (type === 'build' && categories.has('deps') && categories.size === 1) scope = 'deps';
+  if (scope && config.scopes.length && !config.scopes.includes(scope)) scope = null;
+  if (config.convention !== 'conventional' || !config.types.includes(type)) type = null;
+
+  // Subject: one verb for all files when they share a status
+  const main = source.length ? source : files;
+  const statuses = new Set(main.map((f) => f.status));
+  const verb = statuses.size === 1 ? VERBS[[...statuses][0]] || 'update' : 'update';
+  const prefix = type ? `${type}${scope ? `(${scope})` : ''}: ` : '';
+  const names = main.map((f) => path.posix.basename(f.path));
+  let description = `${verb} ${listNames(names, 3)}`;
+  if (prefix.length + description.length > config.max_subject_length) description = `${verb} ${main.length} files${scope ? ` in ${scope}` : ''}`;
+
+  const lines = [`${prefix}${description}`];
+  if (files.length > 1) {
+    lines.push('', ...files.slice(0, 15).map((f) => `- ${VERBS[f.status] || 'update'} ${f.old_path ? `${f.old_path} -> ` : ''}${f.path}`));
+    if (files.length > 15) lines.push(`- and ${files.length - 15} more files`);
+  }
+  return { message: lines.join('\n'), type, scope, reason };
+}
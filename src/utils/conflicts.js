@@ -0,0 +1,90 @@
+// Merge-conflict markers: parsing <<<<<<< / ||||||| / ======= / >>>>>>> hunks
+
+const MARKER_SIZE = 7;
+
+function isMarker(line, char) {
+  const marker = char.repeat(MARKER_SIZE);
+  return line.startsWith(marker) && (line.length === MARKER_SIZE || /\s/.test(line[MARKER_SIZE]));
+}
+
+function openSection(line, lineNumber) {
+  return { label: line.slice(MARKER_SIZE).trim(), lines: [], start_line: lineNumber + 1 };
+}
+
+function closeSection(section, lineNumber) {
+  const { lines, ...rest } = section;
+  return { ...rest, end_line: lineNumber - 1, line_count: lines.length, text: lines.join('\n') };
+}
+
+/**
+ * Find conflict hunks in file content
+ * @param {string} content
+ * @returns {{index: number, start_line: number, end_line: number, ours: object, base: object|null, theirs: object}[]}
+ *   Sections have {label, start_line, end_line, line_count, text}; lines are 1-indexed and
+ *   end_line is the >>>>>>> marker. Unterminated hunks are ignored.
+ */
+export function parseConflicts(content) {
+  const hunks = [];
+  let hunk = null;
+  let section = null;
+
+  content.split(/\r?\n|\r/).forEach((line, i) => {
+    const n = i + 1;
+    if (!hunk) {
+      if (isMarker(line, '<')) {
+        hunk = { start_line: n, ours: openSection(line, n), base: null };
+        section = 'ours';
+      }
+      return;
+    }
+    if (section === 'ours' && isMarker(line, '|')) {
+      hunk.ours = closeSection(hunk.ours, n);
+      hunk.base = openSection(line, n);
+      section = 'base';
+    } else if ((section === 'ours' || section === 'base') && /^={7}\s*$/.test(line)) {
+      hunk[section] = closeSection(hunk[section], n);
+      hunk.theirs = openSection(line, n);
+      section = 'theirs';
+    } else if (section === 'theirs' && isMarker(line, '>')) {
+      hunk.theirs = closeSection({ ...hunk.theirs, label: line.slice(MARKER_SIZE).trim() }, n);
+      hunks.push({ index: hunks.length + 1, start_line: hunk.start_line, end_line: n, ours: hunk.ours, base: hunk.base, theirs: hunk.theirs });
+      hunk = null;
+    } else {
+      hunk[section].lines.push(line);
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * Whether content contains a complete conflict hunk
+ * @param {string} content
+ */
+export function hasConflictMarkers(content) {
+  return content.includes('<'.repeat(MARKER_SIZE)) && parseConflicts(content).length > 0;
+}
+
+/**
+ * Fill in base sections for hunks written without them (the default
+ * "merge" conflict style), from a diff3-style merge of the same three
+ * versions. Hunks are paired by identical ours/theirs text, or failing that
+ * by a diff3 hunk that contains both; unmatched hunks keep base: null.
+ * @param {object[]} hunks - From parseConflicts, updated in place
+ * @param {object[]} diff3Hunks - parseConflicts of `git merge-file --diff3` output
+ */
+export function attachBases(hunks, diff3Hunks) {
+  const used = new Set();
+  const pick = (test) => diff3Hunks.find((d, i) => !used.has(i) && d.base && test(d));
+  for (const hunk of hunks) {
+    if (hunk.base) continue;
+    const match = pick((d) => d.ours.text === hunk.ours.text && d.theirs.text === hunk.theirs.text)
+      || pick((d) => d.ours.text.includes(hunk.ours.text) && d.theirs.text.includes(hunk.theirs.text));
+    if (!match) continue;
+    used.add(diff3Hunks.indexOf(match));
+    const exact = match.ours.text === hunk.ours.text && match.theirs.text === hunk.theirs.text;
+    // Reconstructed bases aren't in the file, so they have no line range
+    hunk.base = { label: null, line_count: match.base.line_count, text: match.base.text, reconstructed: true, ...(!exact && { approximate: true }) };
+  }
+  return hunks;
+}
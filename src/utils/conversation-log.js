@@ -0,0 +1,486 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+import { getWorkingDir } from './paths.js';
+import { tokenize } from './semantic-index.js';
+import { complete, llmEnabled, llmError } from './llm.js';
+
+// Persistent conversation log. Each workspace has a directory under
+// ~/.lmstudio-mcp-memory/conversations, and each server process writes one
+// session file there as JSON lines: a session header, then entry and summary
+// records. Entries are never rewritten; compaction appends a summary covering
+// the oldest uncompacted entries, which stay searchable by id.
+
+const LOG_DIR = path.join(os.homedir(), '.lmstudio-mcp-memory', 'conversations');
+
+// Characters of uncompacted entries before older ones are summarized
+const LOG_BUDGET = Number(process.env.CONVERSATION_LOG_BUDGET) || 8000;
+
+// Share of the budget kept as recent, uncompacted entries after compaction
+const KEEP_RECENT = 0.25;
+
+// Extractive summaries stop adding entries past this many characters
+const EXTRACT_CHARS = 1500;
+
+const TYPE_ORDER = ['decision', 'requirement', 'finding', 'action', 'question', 'answer'];
+const TYPE_HEADINGS = {
+  decision: 'Decisions',
+  requirement: 'Requirements',
+  finding: 'Findings',
+  action: 'Actions',
+  question: 'Questions',
+  answer: 'Answers',
+};
+const IMPORTANCE_RANK = { high: 0, medium: 1, low: 2 };
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// This process's session: start time plus pid, sortable by date
+let sessionId = `${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}-${process.pid}`;
+
+// Loaded session files, keyed by file path. Values are promises so parallel
+// calls on first use share one session object.
+const sessions = new Map();
+
+// Compaction running in the background after conversation_log, keyed by file path
+const compactions = new Map();
+
+function workspaceDir(root) {
+  const hash = crypto.createHash('sha1').update(root).digest('hex').slice(0, 16);
+  return path.join(LOG_DIR, hash);
+}
+
+function parseRecords(text) {
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A torn last line from a crash: skip it
+    }
+  }
+  return records;
+}
+
+function fromRecords(file, records) {
+  const header = records.find((r) => r.kind === 'session') || {};
+  return {
+    file,
+    session: header.session || path.basename(file, '.jsonl'),
+    root: header.root || null,
+    started: header.started || null,
+    // Logs written before entries were validated may hold records without text
+    entries: records.filter((r) => r.kind === 'entry').map((r) => ({ ...r, content: String(r.content ?? '') })),
+    summaries: records.filter((r) => r.kind === 'summary').map((r) => ({ ...r, text: String(r.text ?? '') })),
+  };
+}
+
+// The current session in the current workspace, created on first write
+function openSession() {
+  const root = getWorkingDir();
+  const file = path.join(workspaceDir(root), `${sessionId}.jsonl`);
+  if (!sessions.has(file)) {
+    const id = sessionId;
+    sessions.set(file, fs.readFile(file, 'utf8')
+      .then((text) => fromRecords(file, parseRecords(text)))
+      .catch(() => ({ file, session: id, root, started: null, entries: [], summaries: [] })));
+  }
+  return sessions.get(file);
+}
+
+// Writes to a session file run one at a time, so records land in the order they were made
+function append(session, records) {
+  const write = async () => {
+    await fs.mkdir(path.dirname(session.file), { recursive: true });
+    if (!session.started) {
+      session.started = new Date().toISOString();
+      records = [{ kind: 'session', session: session.session, root: session.root, started: session.started }, ...records];
+    }
+    await fs.appendFile(session.file, records.map((r) => `${JSON.stringify(r)}\n`).join(''));
+  };
+  const written = (session.writing || Promise.resolve()).then(write);
+  session.writing = written.catch(() => {});
+  return written;
+}
+
+// Add records to the session before writing them, so parallel calls never reuse
+// an id; they are taken out again if the write fails
+async function store(session, list, records) {
+  list.push(...records);
+  try {
+    await append(session, records);
+  } catch (e) {
+    for (const r of records) list.splice(list.indexOf(r), 1);
+    throw e;
+  }
+}
+
+// Entries after the last compacting summary
+function uncompacted(session) {
+  const covered = session.summaries.filter((s) => s.compacts).reduce((max, s) => Math.max(max, s.to), 0);
+  return session.entries.filter((e) => e.id > covered);
+}
+
+/**
+ * Link to an entry or summary: "#12" or "S2" in the current session,
+ * "<session>#12" or "<session>#S2" elsewhere
+ */
+export function entryLink(session, id) {
+  if (session !== sessionId) return `${session}#${id}`;
+  return typeof id === 'number' ? `#${id}` : id;
+}
+
+/**
+ * Current session id and workspace root
+ */
+export function currentSession() {
+  return { session: sessionId, root: getWorkingDir() };
+}
+
+/**
+ * Add an entry to the current session and start compacting in the background
+ * once uncompacted entries pass the size budget
+ * @param {{content: string, type: string, importance: string}} entry
+ * @returns {Promise<object>} - The stored entry with its id
+ * @throws When content is missing or empty; nothing is written
+ */
+export async function appendEntry({ content, type = 'finding', importance = 'medium' }) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('entry is required (the text to log)');
+  }
+  const session = await openSession();
+  const entry = {
+    kind: 'entry',
+    id: (session.entries.at(-1)?.id || 0) + 1,
+    type,
+    importance,
+    content,
+    timestamp: new Date().toISOString(),
+  };
+  await store(session, session.entries, [entry]);
+
+  const size = uncompacted(session).reduce((n, e) => n + e.content.length, 0);
+  if (size > LOG_BUDGET && !compactions.has(session.file)) {
+    const running = compactLog().catch(() => null).finally(() => compactions.delete(session.file));
+    compactions.set(session.file, running);
+  }
+  return entry;
+}
+
+/**
+ * Wait for a background compaction of the current session to finish
+ */
+export async function settleCompaction() {
+  const session = await openSession();
+  await compactions.get(session.file);
+}
+
+/**
+ * The current session's uncompacted entries and its summaries
+ * @returns {Promise<{session: string, root: string, entries: object[], summaries: object[], history: object[]}>}
+ *   history is every entry, including compacted ones
+ */
+export async function sessionContext() {
+  await settleCompaction();
+  const session = await openSession();
+  return {
+    session: session.session,
+    root: session.root,
+    entries: uncompacted(session),
+    summaries: session.summaries,
+    history: session.entries,
+  };
+}
+
+// Deterministic summary: per type, high-importance entries first, each with its link
+function extractiveSummary(entries) {
+  const lines = [];
+  let size = 0;
+  let omitted = [];
+  for (const type of [...TYPE_ORDER, ...new Set(entries.map((e) => e.type))].filter((t, i, all) => all.indexOf(t) === i)) {
+    const ofType = entries
+      .filter((e) => e.type === type)
+      .sort((a, b) => (IMPORTANCE_RANK[a.importance] ?? 1) - (IMPORTANCE_RANK[b.importance] ?? 1) || a.id - b.id);
+    if (ofType.length === 0) continue;
+
+    const picked = [];
+    for (const e of ofType) {
+      const text = e.content.length > 200 ? `${e.content.slice(0, 199)}…` : e.content;
+      if (size + text.length > EXTRACT_CHARS && picked.length > 0) {
+        omitted.push(e);
+        continue;
+      }
+      size += text.length;
+      picked.push(`- ${text} [#${e.id}]`);
+    }
+    lines.push(`${TYPE_HEADINGS[type] || type}:`, ...picked);
+  }
+  if (omitted.length > 0) {
+    omitted = omitted.sort((a, b) => a.id - b.id);
+    lines.push(`(${omitted.length} more: ${omitted.map((e) => `#${e.id}`).join(', ')})`);
+  }
+  return lines.join('\n');
+}
+
+async function llmSummary(entries, signal) {
+  const log = entries.map((e) => `[#${e.id}] (${e.type}, ${e.importance}) ${e.content}`).join('\n');
+  const { text, model } = await complete([
+    {
+      role: 'system',
+      content:
+        'You compact a coding session log. Summarize the entries in under 200 words as short bullet points grouped by decisions, requirements, findings, actions, and open questions. Keep file names, commands, and values exact. Cite the entries each point comes from as [#id]. Reply with the summary only.',
+    },
+    { role: 'user', content: log },
+  ], { maxTokens: 600, signal });
+  return { text, model };
+}
+
+/**
+ * Summarize the oldest uncompacted entries of the current session, with the
+ * local LLM when it is reachable and an extractive summary otherwise
+ * @param {object} options
+ * @param {boolean} options.all - Compact every uncompacted entry, not just those past the recent share of the budget
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<object|null>} - The stored summary, or null when there was nothing to compact
+ */
+export async function compactLog({ all = false, signal } = {}) {
+  const session = await openSession();
+  const pending = uncompacted(session);
+
+  let keep = 0;
+  if (!all) {
+    let size = 0;
+    for (let i = pending.length - 1; i >= 0; i--) {
+      size += pending[i].content.length;
+      if (size > LOG_BUDGET * KEEP_RECENT) break;
+      keep++;
+    }
+  }
+  const entries = pending.slice(0, pending.length - keep);
+  if (entries.length === 0) return null;
+
+  let summary;
+  if (llmEnabled()) {
+    try {
+      const { text, model } = await llmSummary(entries, signal);
+      summary = { text, method: 'llm', model };
+    } catch (e) {
+      if (signal?.aborted) throw e;
+    }
+  }
+  if (!summary) {
+    summary = { text: extractiveSummary(entries), method: 'extractive', ...(llmError() && { fallback_reason: llmError() }) };
+  }
+
+  const record = {
+    kind: 'summary',
+    id: `S${session.summaries.length + 1}`,
+    compacts: true,
+    from: entries[0].id,
+    to: entries.at(-1).id,
+    entry_count: entries.length,
+    ...summary,
+    timestamp: new Date().toISOString(),
+  };
+  await store(session, session.summaries, [record]);
+  return record;
+}
+
+/**
+ * Store a summary that doesn't compact any entries (conversation_summarize without clear_log)
+ * @returns {Promise<object>}
+ */
+export async function saveSnapshot(text, entries) {
+  const session = await openSession();
+  const record = {
+    kind: 'summary',
+    id: `S${session.summaries.length + 1}`,
+    compacts: false,
+    from: entries[0]?.id ?? null,
+    to: entries.at(-1)?.id ?? null,
+    entry_count: entries.length,
+    text,
+    method: 'grouped',
+    timestamp: new Date().toISOString(),
+  };
+  await store(session, session.summaries, [record]);
+  return record;
+}
+
+/**
+ * Start a new session seeded with entries and summaries (conversation_restore)
+ * @returns {Promise<string>} - The new session id
+ */
+export async function startSession({ entries = [], summaries = [] } = {}) {
+  sessionId = `${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}-${process.pid}-${crypto.randomBytes(2).toString('hex')}`;
+  const session = await openSession();
+  const records = [
+    ...entries.map((e, i) => ({ kind: 'entry', id: e.id ?? i + 1, type: e.type, importance: e.importance, content: e.content, timestamp: e.timestamp })),
+    ...summaries.map((s, i) => (s.kind === 'summary'
+      ? s
+      // Checkpoints from before the log was persisted held plain {summary, timestamp} objects
+      : { kind: 'summary', id: `S${i + 1}`, compacts: false, from: null, to: null, text: s.summary, method: 'grouped', timestamp: s.timestamp })),
+  ];
+  if (records.length > 0) {
+    session.entries.push(...records.filter((r) => r.kind === 'entry'));
+    session.summaries.push(...records.filter((r) => r.kind === 'summary'));
+    await append(session, records);
+  }
+  return sessionId;
+}
+
+// Session files in the current workspace, or in every workspace
+async function sessionFiles(scope) {
+  if (scope !== 'all') {
+    const dir = workspaceDir(getWorkingDir());
+    const names = await fs.readdir(dir).catch(() => []);
+    return names.filter((n) => n.endsWith('.jsonl')).map((n) => path.join(dir, n));
+  }
+  const files = [];
+  for (const ws of await fs.readdir(LOG_DIR).catch(() => [])) {
+    const names = await fs.readdir(path.join(LOG_DIR, ws)).catch(() => []);
+    files.push(...names.filter((n) => n.endsWith('.jsonl')).map((n) => path.join(LOG_DIR, ws, n)));
+  }
+  return files;
+}
+
+async function loadSessions(scope) {
+  if (scope === 'session') return [await openSession()];
+  const loaded = [];
+  for (const file of await sessionFiles(scope)) {
+    if (sessions.has(file)) {
+      loaded.push(await sessions.get(file));
+      continue;
+    }
+    try {
+      loaded.push(fromRecords(file, parseRecords(await fs.readFile(file, 'utf8'))));
+    } catch {
+      // Removed while listing
+    }
+  }
+  return loaded;
+}
+
+// "12", "#12", "<session>#12", or "S3" / "<session>#S3"
+function parseLink(link) {
+  const match = String(link).trim().match(/^(?:(.+)#)?#?(S?\d+)$/);
+  if (!match) return null;
+  return { session: match[1] || sessionId, id: /^S/.test(match[2]) ? match[2] : Number(match[2]) };
+}
+
+/**
+ * Full-text search over conversation entries and summaries, ranked with BM25
+ * @param {string} query
+ * @param {object} options
+ * @param {"session"|"workspace"|"all"} options.scope - Current session, every session in this workspace, or everywhere
+ * @param {string} options.type - Only entries of this type
+ * @param {string} options.since - ISO date; only newer records
+ * @param {number} options.limit
+ * @returns {Promise<{results: object[], searched: {sessions: number, records: number}}>}
+ */
+export async function searchLog(query, { scope = 'workspace', type, since, limit = 10 } = {}) {
+  await settleCompaction();
+  const loaded = await loadSessions(scope);
+
+  const docs = [];
+  for (const s of loaded) {
+    for (const r of [...s.entries, ...s.summaries]) {
+      if (type && r.type !== type) continue;
+      if (since && r.timestamp < since) continue;
+      const text = (r.kind === 'entry' ? r.content : r.text) ?? '';
+      const terms = {};
+      for (const t of tokenize(text)) terms[t] = (terms[t] || 0) + 1;
+      docs.push({ session: s, record: r, text, terms, length: Object.values(terms).reduce((a, b) => a + b, 0) });
+    }
+  }
+
+  const queryTerms = [...new Set(tokenize(query))];
+  const needle = query.trim().toLowerCase();
+  const df = new Map();
+  for (const d of docs) for (const t of Object.keys(d.terms)) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1);
+
+  const scored = [];
+  for (const d of docs) {
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = d.terms[term];
+      if (!tf) continue;
+      const n = df.get(term);
+      const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+      score += (idf * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * d.length) / avgLength));
+    }
+    // Exact phrase matches rank first; they also cover queries with no indexable terms
+    if (needle && d.text.toLowerCase().includes(needle)) score += queryTerms.length > 1 ? 2 : score > 0 ? 0.5 : 1;
+    if (score > 0) scored.push({ ...d, score });
+  }
+  scored.sort((a, b) => b.score - a.score || b.record.timestamp.localeCompare(a.record.timestamp));
+
+  return {
+    results: scored.slice(0, limit).map(({ session, record, score }) => toResult(session, record, score)),
+    searched: { sessions: loaded.length, records: docs.length },
+  };
+}
+
+function toResult(session, record, score) {
+  const covering = record.kind === 'entry'
+    ? session.summaries.find((s) => s.compacts && record.id >= s.from && record.id <= s.to)
+    : null;
+  return {
+    link: entryLink(session.session, record.id),
+    kind: record.kind,
+    session: session.session,
+    root: session.root,
+    id: record.id,
+    ...(record.kind === 'entry'
+      ? { type: record.type, importance: record.importance, content: record.content }
+      : { method: record.method, text: record.text, from: record.from, to: record.to }),
+    timestamp: record.timestamp,
+    ...(covering && { summarized_in: entryLink(session.session, covering.id) }),
+    ...(score !== undefined && { score: Number(score.toFixed(3)) }),
+  };
+}
+
+/**
+ * Fetch entries and summaries by link, e.g. the ones a summary cites
+ * @param {string[]} links - "#12", "12", "<session>#12", "S2", or ranges like "#3-#9"
+ * @returns {Promise<{results: object[], missing: string[]}>}
+ */
+export async function getByLinks(links) {
+  await settleCompaction();
+  const wanted = [];
+  for (const link of links) {
+    const range = String(link).match(/^(?:(.+)#)?#?(\d+)\s*[-–]\s*#?(\d+)$/);
+    if (range) {
+      for (let id = Number(range[2]); id <= Number(range[3]); id++) {
+        wanted.push({ link, session: range[1] || sessionId, id });
+      }
+    } else {
+      wanted.push({ link, ...parseLink(link) });
+    }
+  }
+
+  // The current workspace first: a session that changed workspace has a file in each
+  const current = await loadSessions('workspace');
+  const loaded = [...current, ...(await loadSessions('all')).filter((s) => !current.some((c) => c.file === s.file))];
+  const results = [];
+  const missing = [];
+  for (const w of wanted) {
+    let found = null;
+    for (const session of loaded.filter((s) => s.session === w.session)) {
+      const record = [...session.entries, ...session.summaries].find((r) => r.id === w.id);
+      if (record) {
+        found = toResult(session, record);
+        break;
+      }
+    }
+    if (found) results.push(found);
+    else if (!missing.includes(String(w.link))) missing.push(String(w.link));
+  }
+  return { results, missing };
+}
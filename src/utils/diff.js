@@ -0,0 +1,136 @@
+// Line-based unified diffs for edit previews
+
+// Above this many cells the LCS table is skipped and the changed region is
+// shown as one replacement, to keep memory bounded on large rewrites
+const MAX_LCS_CELLS = 4_000_000;
+
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Compute line operations between two line arrays
+ * @returns {Array<{op: " "|"-"|"+", line: string}>}
+ */
+function diffLines(a, b) {
+  // Common prefix and suffix are cheap and cover most single edits
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map((line) => ({ op: ' ', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    ops.push(...midA.map((line) => ({ op: '-', line })));
+    ops.push(...midB.map((line) => ({ op: '+', line })));
+  } else {
+    // LCS lengths of suffixes, then walk forward
+    const n = midA.length;
+    const m = midB.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) {
+        ops.push({ op: ' ', line: midA[i++] });
+        j++;
+      } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({ op: '-', line: midA[i++] });
+      } else {
+        ops.push({ op: '+', line: midB[j++] });
+      }
+    }
+  }
+
+  ops.push(...a.slice(endA).map((line) => ({ op: ' ', line })));
+  return ops;
+}
+
+/**
+ * Build a unified diff between two versions of a file
+ * @param {string} oldText - Original content
+ * @param {string} newText - New content
+ * @param {object} options
+ * @param {string} options.fromFile - Label for the original (default: "a")
+ * @param {string} options.toFile - Label for the new version (default: "b")
+ * @param {number} options.context - Unchanged lines around each change (default: 3)
+ * @returns {{diff: string, additions: number, deletions: number}} - Empty diff if nothing changed
+ */
+export function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (oldText === newText) return { diff: '', additions: 0, deletions: 0 };
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const additions = ops.filter((o) => o.op === '+').length;
+  const deletions = ops.filter((o) => o.op === '-').length;
+
+  // Group changes that are within 2*context lines of each other into hunks
+  const hunks = [];
+  let current = null;
+  ops.forEach((o, idx) => {
+    if (o.op === ' ') return;
+    const from = Math.max(0, idx - context);
+    const to = Math.min(ops.length, idx + context + 1);
+    if (current && from <= current.to) {
+      current.to = to;
+    } else {
+      current = { from, to };
+      hunks.push(current);
+    }
+  });
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  // Line numbers at each op index
+  let oldLine = 1;
+  let newLine = 1;
+  const positions = ops.map((o) => {
+    const pos = { oldLine, newLine };
+    if (o.op !== '+') oldLine++;
+    if (o.op !== '-') newLine++;
+    return pos;
+  });
+
+  for (const hunk of hunks) {
+    const slice = ops.slice(hunk.from, hunk.to);
+    const oldCount = slice.filter((o) => o.op !== '+').length;
+    const newCount = slice.filter((o) => o.op !== '-').length;
+    const { oldLine: oldStart, newLine: newStart } = positions[hunk.from];
+    out.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+    slice.forEach((o) => out.push(`${o.op}${o.line}`));
+  }
+
+  if (hunks.length === 0) {
+    out.push('\\ Only the trailing newline changed');
+  } else if (oldText && newText && oldText.endsWith('\n') !== newText.endsWith('\n')) {
+    out.push(`\\ No newline at end of ${newText.endsWith('\n') ? 'original' : 'new'} file`);
+  }
+
+  return { diff: out.join('\n'), additions, deletions };
+}
+
+/**
+ * Shorten a diff for inclusion in a tool response
+ * @param {string} diff - Unified diff
+ * @param {number} maxLines - Maximum lines to keep (default: 60)
+ * @returns {string}
+ */
+export function truncateDiff(diff, maxLines = 60) {
+  const lines = diff.split('\n');
+  if (lines.length <= maxLines) return diff;
+  return `${lines.slice(0, maxLines).join('\n')}\n... (${lines.length - maxLines} more diff lines)`;
+}
@@ -0,0 +1,155 @@
+// Embeddings from LM Studio or any OpenAI-compatible /v1/embeddings endpoint
+
+// Set EMBEDDINGS_URL=off to always use the keyword (BM25) fallback
+const EMBEDDINGS_URL = process.env.EMBEDDINGS_URL || 'http://localhost:1234/v1/embeddings';
+const EMBEDDINGS_MODEL = process.env.EMBEDDINGS_MODEL || '';
+const EMBEDDINGS_API_KEY = process.env.EMBEDDINGS_API_KEY || '';
+
+const BATCH_SIZE = 32;
+const REQUEST_TIMEOUT = 60000;
+
+// Don't retry an unreachable backend on every call
+const RETRY_AFTER = 60000;
+
+let resolvedModel = null;
+let unavailableUntil = 0;
+let lastError = null;
+
+function headers() {
+  return {
+    'Content-Type': 'application/json',
+    ...(EMBEDDINGS_API_KEY && { Authorization: `Bearer ${EMBEDDINGS_API_KEY}` }),
+  };
+}
+
+// Without EMBEDDINGS_MODEL, pick the first model the server lists whose id mentions embeddings
+async function resolveModel() {
+  if (EMBEDDINGS_MODEL) return EMBEDDINGS_MODEL;
+  if (resolvedModel) return resolvedModel;
+  const modelsUrl = EMBEDDINGS_URL.replace(/\/embeddings\/?$/, '/models');
+  const res = await fetch(modelsUrl, { headers: headers(), signal: AbortSignal.timeout(5000) });
+  if (!res.ok) throw new Error(`${modelsUrl} returned ${res.status}`);
+  const { data = [] } = await res.json();
+  const model = data.find((m) => /embed|\bbge\b|\be5\b|\bgte\b|minilm/i.test(m.id));
+  if (!model) throw new Error('No embedding model loaded (set EMBEDDINGS_MODEL or load one in LM Studio)');
+  resolvedModel = model.id;
+  return resolvedModel;
+}
+
+async function postBatch(model, input, signal) {
+  // Request timeout plus the caller's cancellation (AbortSignal.any needs Node 20)
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal.reason);
+  const timer = setTimeout(() => controller.abort(new Error('Embeddings request timed out')), REQUEST_TIMEOUT);
+  signal?.addEventListener('abort', abort, { once: true });
+  try {
+    const res = await fetch(EMBEDDINGS_URL, {
+      method: 'POST',
+      headers: headers(),
+      body: JSON.stringify({ model, input }),
+      signal: controller.signal,
+    });
+    if (!res.ok) {
+      throw new Error(`${EMBEDDINGS_URL} returned ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    }
+    return await res.json();
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+// Remember why the backend failed and skip it for a while; returns the error to throw
+function markUnavailable(e) {
+  // fetch reports network failures as "fetch failed" with the reason in cause
+  lastError = e.message === 'fetch failed' ? `Embeddings server not reachable at ${EMBEDDINGS_URL}` : e.message;
+  unavailableUntil = Date.now() + RETRY_AFTER;
+  return new Error(lastError);
+}
+
+function normalize(vector) {
+  const v = Float32Array.from(vector);
+  let norm = 0;
+  for (const x of v) norm += x * x;
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < v.length; i++) v[i] /= norm;
+  return v;
+}
+
+/**
+ * Whether the embeddings backend is configured and not known to be down
+ */
+export function embeddingsEnabled() {
+  return EMBEDDINGS_URL !== 'off' && Date.now() >= unavailableUntil;
+}
+
+/**
+ * Why embeddings were last unavailable, for reporting the fallback
+ * @returns {string|null}
+ */
+export function embeddingsError() {
+  return lastError;
+}
+
+/**
+ * The model embeddings are computed with
+ * @returns {Promise<string>}
+ * @throws Like embedTexts, and marks the backend unavailable the same way
+ */
+export async function embeddingModel() {
+  if (!embeddingsEnabled()) {
+    throw new Error(lastError || 'Embeddings disabled');
+  }
+  try {
+    return await resolveModel();
+  } catch (e) {
+    throw markUnavailable(e);
+  }
+}
+
+/**
+ * Embed texts in batches
+ * @param {string[]} texts
+ * @param {object} options
+ * @param {AbortSignal} options.signal
+ * @param {(done: number, total: number) => void} options.onBatch
+ * @returns {Promise<Float32Array[]>} - Unit-length vectors, one per text
+ * @throws When the backend is unreachable or returns an error; further calls
+ *   are skipped for a minute so callers can fall back quickly
+ */
+export async function embedTexts(texts, { signal, onBatch } = {}) {
+  if (!embeddingsEnabled()) {
+    throw new Error(lastError || 'Embeddings disabled');
+  }
+  try {
+    const model = await resolveModel();
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      signal?.throwIfAborted();
+      const batch = texts.slice(i, i + BATCH_SIZE);
+      const { data } = await postBatch(model, batch, signal);
+      if (!Array.isArray(data) || data.length !== batch.length) {
+        throw new Error('Embeddings response has the wrong number of vectors');
+      }
+      for (const item of data.sort((a, b) => a.index - b.index)) {
+        vectors.push(normalize(item.embedding));
+      }
+      onBatch?.(vectors.length, texts.length);
+    }
+    lastError = null;
+    return vectors;
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    throw markUnavailable(e);
+  }
+}
+
+/**
+ * Cosine similarity of two unit-length vectors
+ */
+export function cosine(a, b) {
+  let dot = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) dot += a[i] * b[i];
+  return dot;
+}
@@ -0,0 +1,184 @@
+// Text encoding detection, decoding, and binary previews for file tools
+
+// Bytes inspected when deciding whether a file is text
+const SNIFF_BYTES = 8192;
+
+export const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'latin1'];
+
+const BOMS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] },
+];
+
+// Magic numbers of common binary formats, for a friendlier description than "binary"
+const SIGNATURES = [
+  { type: 'PNG image', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { type: 'JPEG image', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'GIF image', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'WebP image', bytes: [0x52, 0x49, 0x46, 0x46], at8: [0x57, 0x45, 0x42, 0x50] },
+  { type: 'PDF document', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { type: 'ZIP archive (also docx/xlsx/jar)', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'gzip archive', bytes: [0x1f, 0x8b] },
+  { type: 'ELF executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { type: 'Windows executable', bytes: [0x4d, 0x5a] },
+  { type: 'WebAssembly module', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { type: 'SQLite database', bytes: [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65] },
+];
+
+const startsWith = (buffer, bytes, at = 0) => bytes.every((b, i) => buffer[at + i] === b);
+
+/**
+ * Byte order mark at the start of a buffer
+ * @returns {{encoding: string, length: number}|null}
+ */
+export function detectBom(buffer) {
+  const bom = BOMS.find((b) => startsWith(buffer, b.bytes));
+  return bom ? { encoding: bom.encoding, length: bom.bytes.length } : null;
+}
+
+// UTF-16 without a BOM: ASCII-heavy text has a zero in every other byte
+function guessUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) return null;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return 'utf-16le';
+  if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return 'utf-16be';
+  return null;
+}
+
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Work out how a file's bytes should be read
+ * @param {Buffer} buffer - The file, or a prefix of it
+ * @param {object} options
+ * @param {boolean} options.partial - The buffer is a prefix, so a multi-byte
+ *   character may be cut at its end
+ * @returns {{binary: boolean, encoding: string|null, bom: boolean, type?: string}}
+ */
+export function detectEncoding(buffer, { partial = false } = {}) {
+  const bom = detectBom(buffer);
+  if (bom) return { binary: false, encoding: bom.encoding, bom: true };
+
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  const signature = SIGNATURES.find((s) => startsWith(sample, s.bytes) && (!s.at8 || startsWith(sample, s.at8, 8)));
+  if (signature) return { binary: true, encoding: null, bom: false, type: signature.type };
+
+  if (sample.includes(0)) {
+    const utf16 = guessUtf16(sample);
+    return utf16 ? { binary: false, encoding: utf16, bom: false } : { binary: true, encoding: null, bom: false };
+  }
+
+  // Control characters other than tab, newlines, form feed, and escape
+  let control = 0;
+  for (const b of sample) {
+    if (b < 0x20 && b !== 0x09 && b !== 0x0a && b !== 0x0d && b !== 0x0c && b !== 0x1b) control++;
+  }
+  if (control > sample.length * 0.1) return { binary: true, encoding: null, bom: false };
+
+  // A prefix may end inside a multi-byte character; drop up to 3 trailing bytes
+  let check = buffer;
+  if (partial) {
+    let cut = check.length;
+    while (cut > check.length - 3 && cut > 0 && (check[cut - 1] & 0xc0) === 0x80) cut--;
+    if (cut > 0 && check[cut - 1] >= 0xc0) cut--;
+    check = check.subarray(0, cut);
+  }
+  return { binary: false, encoding: isValidUtf8(check) ? 'utf-8' : 'latin1', bom: false };
+}
+
+/**
+ * Decode bytes in a given encoding, without the BOM
+ * @param {Buffer} buffer
+ * @param {string} encoding - One of ENCODINGS
+ * @returns {string}
+ */
+export function decode(buffer, encoding) {
+  const bom = detectBom(buffer);
+  const body = bom && bom.encoding === encoding ? buffer.subarray(bom.length) : buffer;
+  switch (encoding) {
+    case 'utf-16le':
+      return body.toString('utf16le');
+    case 'utf-16be': {
+      const swapped = Buffer.from(body.subarray(0, body.length - (body.length % 2)));
+      return swapped.swap16().toString('utf16le');
+    }
+    case 'latin1':
+      return body.toString('latin1');
+    default:
+      return body.toString('utf8');
+  }
+}
+
+/**
+ * Encode text, adding a BOM if asked
+ * @param {string} text
+ * @param {string} encoding - One of ENCODINGS
+ * @param {boolean} bom
+ * @returns {Buffer}
+ */
+export function encode(text, encoding, bom = false) {
+  let body;
+  switch (encoding) {
+    case 'utf-16le':
+      body = Buffer.from(text, 'utf16le');
+      break;
+    case 'utf-16be':
+      body = Buffer.from(text, 'utf16le').swap16();
+      break;
+    case 'latin1':
+      body = Buffer.from(text, 'latin1');
+      break;
+    default:
+      body = Buffer.from(text, 'utf8');
+  }
+  const mark = bom ? BOMS.find((b) => b.encoding === encoding)?.bytes : null;
+  return mark ? Buffer.concat([Buffer.from(mark), body]) : body;
+}
+
+/**
+ * Normalize a user-supplied encoding name
+ * @param {string} name - e.g. "utf8", "UTF-16", "iso-8859-1"
+ * @returns {string}
+ */
+export function normalizeEncoding(name) {
+  const n = String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (n === 'utf8') return 'utf-8';
+  if (n === 'utf16' || n === 'utf16le' || n === 'ucs2') return 'utf-16le';
+  if (n === 'utf16be') return 'utf-16be';
+  if (['latin1', 'iso88591', 'binary', 'cp1252', 'windows1252'].includes(n)) return 'latin1';
+  throw new Error(`Unsupported encoding: ${name} (use ${ENCODINGS.join(', ')})`);
+}
+
+/**
+ * xxd-style hex dump: offset, 16 bytes in groups of two, and printable ASCII
+ * @param {Buffer} buffer
+ * @param {number} startOffset - File offset of the first byte
+ * @returns {string}
+ */
+export function hexDump(buffer, startOffset = 0) {
+  const lines = [];
+  for (let i = 0; i < buffer.length; i += 16) {
+    const row = buffer.subarray(i, i + 16);
+    const hex = [];
+    for (let j = 0; j < 16; j += 2) {
+      hex.push(j < row.length ? row.subarray(j, j + 2).toString('hex').padEnd(4) : '    ');
+    }
+    const ascii = [...row].map((b) => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('');
+    lines.push(`${(startOffset + i).toString(16).padStart(8, '0')}: ${hex.join(' ')}  ${ascii}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,313 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getWorkingDir } from './paths.js';
+
+// Running git and parsing its machine-readable output for the git tools
+
+// Field separator for --format strings (%x1f), unlikely to appear in messages
+export const FIELD_SEP = '\x1f';
+
+/**
+ * Run git and collect its output without treating a non-zero exit as an error
+ * @param {string[]} args
+ * @param {string} cwd - Repository directory (default: the working directory)
+ * @param {object} options
+ * @param {object} options.env - Extra environment variables
+ * @param {string} options.input - Text to write to git's stdin
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+export function execGit(args, cwd, { env, input } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', args, {
+      cwd: cwd || getWorkingDir(),
+      // Merges, rebases, and cherry-picks must never wait on an editor or a prompt
+      env: { ...process.env, GIT_EDITOR: 'true', GIT_TERMINAL_PROMPT: '0', ...env },
+    });
+
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    proc.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    proc.on('close', (code) => resolve({ code, stdout, stderr }));
+    proc.on('error', reject);
+    proc.stdin.end(input);
+  });
+}
+
+/**
+ * Run git, rejecting with its error output when it fails
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {Promise<string>} - stdout, or stderr when stdout is empty
+ */
+export async function runGit(args, cwd, options) {
+  const { code, stdout, stderr } = await execGit(args, cwd, options);
+  if (code !== 0) {
+    throw new Error(stderr.trim() || stdout.trim() || `Git exited with code ${code}`);
+  }
+  return stdout || stderr || '(success, no output)';
+}
+
+/**
+ * Run git for output that will be parsed
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {Promise<string>} - stdout, possibly empty
+ * @throws With git's error output when it fails
+ */
+export async function gitOutput(args, cwd, options) {
+  const { code, stdout, stderr } = await execGit(args, cwd, options);
+  if (code !== 0) {
+    throw new Error(stderr.trim() || stdout.trim() || `Git exited with code ${code}`);
+  }
+  return stdout;
+}
+
+/**
+ * Resolve a revision to a commit hash
+ * @returns {Promise<string|null>} - null when it doesn't exist (e.g. HEAD in an empty repo)
+ */
+export async function revParse(rev, cwd) {
+  const { code, stdout } = await execGit(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`], cwd);
+  return code === 0 ? stdout.trim() : null;
+}
+
+/**
+ * Top-level directory of the repository containing cwd
+ */
+export async function repoRoot(cwd) {
+  return (await runGit(['rev-parse', '--show-toplevel'], cwd)).trim();
+}
+
+/**
+ * Path of a file inside the .git directory (worktree-aware)
+ */
+async function gitPath(name, cwd) {
+  const resolved = (await runGit(['rev-parse', '--git-path', name], cwd)).trim();
+  return path.resolve(cwd || getWorkingDir(), resolved);
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Merge, rebase, cherry-pick, or revert that has stopped part-way
+ * @returns {Promise<{operation: string, progress?: {current: number, total: number}}|null>}
+ */
+export async function operationInProgress(cwd) {
+  for (const dir of ['rebase-merge', 'rebase-apply']) {
+    const dirPath = await gitPath(dir, cwd);
+    if (await exists(dirPath)) {
+      const counters = dir === 'rebase-merge' ? ['msgnum', 'end'] : ['next', 'last'];
+      const [current, total] = await Promise.all(counters.map((f) => readNumber(path.join(dirPath, f))));
+      return { operation: 'rebase', ...(total && { progress: { current, total } }) };
+    }
+  }
+  const heads = { MERGE_HEAD: 'merge', CHERRY_PICK_HEAD: 'cherry-pick', REVERT_HEAD: 'revert' };
+  for (const [head, operation] of Object.entries(heads)) {
+    if (await exists(await gitPath(head, cwd))) return { operation };
+  }
+  return null;
+}
+
+async function readNumber(filePath) {
+  try {
+    return Number((await fs.readFile(filePath, 'utf-8')).trim()) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Files with unresolved merge conflicts
+ * @returns {Promise<string[]>} - Paths relative to the repository root
+ */
+export async function conflictedFiles(cwd) {
+  const { stdout } = await execGit(['diff', '--name-only', '--diff-filter=U', '-z'], cwd);
+  return [...new Set(stdout.split('\0').filter(Boolean))];
+}
+
+// Unmerged status codes from `git status --porcelain`
+const UNMERGED = {
+  UU: 'both modified',
+  AA: 'both added',
+  DU: 'deleted by us',
+  UD: 'deleted by them',
+  AU: 'added by us',
+  UA: 'added by them',
+  DD: 'both deleted',
+};
+
+/**
+ * Unmerged paths with the kind of conflict
+ * @returns {Promise<{path: string, code: string, type: string}[]>} - Paths relative to the repository root
+ */
+export async function unmergedPaths(cwd) {
+  const output = await gitOutput(['status', '--porcelain=v1', '-z', '--untracked-files=no'], cwd);
+  const fields = output.split('\0');
+  const entries = [];
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    if (!field) continue;
+    const code = field.slice(0, 2);
+    // Renames and copies are followed by their source path
+    if (/^[RC]/.test(code)) i++;
+    if (UNMERGED[code]) entries.push({ path: field.slice(3), code, type: UNMERGED[code] });
+  }
+  return entries;
+}
+
+/**
+ * Base, ours, and theirs versions of an unmerged file from the index
+ * @param {string} file - Path relative to the repository root
+ * @returns {Promise<{base?: Buffer, ours?: Buffer, theirs?: Buffer}>} - Missing when that side deleted or lacked the file
+ */
+export async function conflictStages(file, cwd) {
+  const root = await repoRoot(cwd);
+  const listing = await gitOutput(['ls-files', '-u', '-z', '--', file], root);
+  const names = { 1: 'base', 2: 'ours', 3: 'theirs' };
+  const stages = {};
+  for (const entry of listing.split('\0').filter(Boolean)) {
+    const [, sha, stage] = entry.split('\t')[0].split(' ');
+    stages[names[stage]] = await blob(sha, root);
+  }
+  return stages;
+}
+
+function blob(sha, cwd) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', ['cat-file', 'blob', sha], { cwd });
+    const chunks = [];
+    proc.stdout.on('data', (chunk) => chunks.push(chunk));
+    proc.on('close', (code) => (code === 0 ? resolve(Buffer.concat(chunks)) : reject(new Error(`Cannot read blob ${sha}`))));
+    proc.on('error', reject);
+  });
+}
+
+/**
+ * Three-way merge of index stages with diff3-style markers, without touching the working tree
+ * @param {{base?: Buffer, ours?: Buffer, theirs?: Buffer}} stages
+ * @returns {Promise<string|null>} - Merged text with conflict markers, or null if a side is missing
+ */
+export async function mergeDiff3(stages, cwd) {
+  if (!stages.base || !stages.ours || !stages.theirs) return null;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'merge-'));
+  try {
+    const sides = ['ours', 'base', 'theirs'];
+    const files = sides.map((side) => path.join(dir, side));
+    await Promise.all(sides.map((side, i) => fs.writeFile(files[i], stages[side])));
+    // Exit code is the number of conflicts (capped at 127); higher codes are errors
+    const { code, stdout } = await execGit(['merge-file', '-p', '--diff3', '-L', 'ours', '-L', 'base', '-L', 'theirs', ...files], cwd);
+    return code >= 0 && code < 128 ? stdout : null;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Commits reachable from `to` but not `from`, oldest first
+ * @returns {Promise<{commit: string, subject: string}[]>}
+ */
+export async function commitsBetween(from, to, cwd) {
+  if (!from || !to || from === to) return [];
+  const { code, stdout } = await execGit(['log', '--reverse', `--format=%h${'%x1f'}%s`, `${from}..${to}`], cwd);
+  if (code !== 0) return [];
+  return stdout.split('\n').filter(Boolean).map((line) => {
+    const [commit, subject] = line.split(FIELD_SEP);
+    return { commit, subject };
+  });
+}
+
+/**
+ * Parse `git blame --porcelain`
+ * @param {string} output
+ * @returns {{lines: object[], commits: Map<string, object>}}
+ */
+export function parseBlame(output) {
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+
+  for (const line of output.split('\n')) {
+    if (line.startsWith('\t')) {
+      if (current) lines.push({ line: current.line, sha: current.sha, content: line.slice(1) });
+      continue;
+    }
+    const header = line.match(/^([0-9a-f]{40}) \d+ (\d+)/);
+    if (header) {
+      current = { sha: header[1], line: Number(header[2]) };
+      if (!commits.has(current.sha)) commits.set(current.sha, { sha: current.sha });
+      continue;
+    }
+    if (!current || !line) continue;
+    const space = line.indexOf(' ');
+    const key = space === -1 ? line : line.slice(0, space);
+    const value = space === -1 ? true : line.slice(space + 1);
+    commits.get(current.sha)[key] = value;
+  }
+  return { lines, commits };
+}
+
+/**
+ * Parse `--numstat` and `--name-status` output of the same diff into one list
+ * @param {string} numstat
+ * @param {string} nameStatus
+ * @returns {{status: string, path: string, old_path?: string, additions: number|null, deletions: number|null}[]}
+ */
+export function parseFileChanges(numstat, nameStatus) {
+  const stats = numstat.split('\n').filter(Boolean).map((line) => {
+    const [added, deleted] = line.split('\t');
+    // Binary files show "-" for both counts
+    return { additions: added === '-' ? null : Number(added), deletions: deleted === '-' ? null : Number(deleted) };
+  });
+  return nameStatus.split('\n').filter(Boolean).map((line, i) => {
+    const [code, first, second] = line.split('\t');
+    const status = code[0];
+    const change = second !== undefined
+      ? { status, path: second, old_path: first }
+      : { status, path: first };
+    return { ...change, ...(stats[i] || { additions: null, deletions: null }) };
+  });
+}
+
+/**
+ * Parse `git worktree list --porcelain`
+ * @returns {{path: string, head?: string, branch?: string, detached?: boolean, bare?: boolean, locked?: string|boolean, prunable?: string|boolean}[]}
+ */
+export function parseWorktrees(output) {
+  const worktrees = [];
+  for (const block of output.split(/\n\n+/)) {
+    const entry = {};
+    for (const line of block.split('\n').filter(Boolean)) {
+      const space = line.indexOf(' ');
+      const key = space === -1 ? line : line.slice(0, space);
+      const value = space === -1 ? true : line.slice(space + 1);
+      if (key === 'worktree') entry.path = value;
+      else if (key === 'HEAD') entry.head = value;
+      else if (key === 'branch') entry.branch = String(value).replace(/^refs\/heads\//, '');
+      else entry[key] = value;
+    }
+    if (entry.path) worktrees.push(entry);
+  }
+  return worktrees;
+}
+
+/**
+ * Quote arguments into a command line, for the command policy and messages
+ * @param {string[]} args
+ */
+export function commandLine(args) {
+  return ['git', ...args].map((a) => (/^[\w@%+=:,./~^{}-]+$/.test(a) ? a : `'${a.replace(/'/g, "'\\''")}'`)).join(' ');
+}
@@ -0,0 +1,405 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+import ignore from 'ignore';
+import { minimatch } from 'minimatch';
+import { isPathAllowed } from './paths.js';
+
+// Streaming, gitignore-aware file search used by grep_search and find_definition
+
+// Skipped even without a .gitignore (unless include_ignored)
+const DEFAULT_IGNORES = ['node_modules/', '.git/', 'dist/', 'build/'];
+
+// A NUL byte in the first block marks a file as binary
+const BINARY_SNIFF_BYTES = 8192;
+
+// Multiline search needs the whole file in memory; larger files are skipped
+const MAX_MULTILINE_BYTES = 16 * 1024 * 1024;
+
+const DEFAULT_CONCURRENCY = 8;
+
+async function loadIgnoreFile(dir, name) {
+  try {
+    return await fsp.readFile(path.join(dir, name), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Walk a directory tree depth-first in sorted order, yielding files that pass
+ * .gitignore rules (including nested .gitignore files), hidden-file and
+ * file-pattern filters, and the workspace sandbox.
+ * @param {string} root - Absolute directory
+ * @param {object} options
+ * @param {string} options.filePattern - Glob matched against the file name, or the relative path when it contains "/"
+ * @param {boolean} options.includeIgnored - Ignore .gitignore and the default ignores
+ * @param {boolean} options.hidden - Include dotfiles and dot-directories
+ */
+export async function* walkFiles(root, { filePattern, includeIgnored = false, hidden = false } = {}) {
+  // Stack of [baseDir, ignore instance] for the directories being walked
+  const rules = [];
+  if (!includeIgnored) {
+    const rootRules = ignore().add(DEFAULT_IGNORES);
+    const exclude = await loadIgnoreFile(root, path.join('.git', 'info', 'exclude'));
+    if (exclude) rootRules.add(exclude);
+    rules.push([root, rootRules]);
+  }
+
+  const isIgnored = (absPath, isDir) => {
+    for (const [base, ig] of rules) {
+      // path.relative normalizes separators (resolvePath returns forward slashes, also on Windows)
+      const rel = path.relative(base, absPath).split(path.sep).join('/');
+      if (!rel || rel === '..' || rel.startsWith('../') || path.isAbsolute(rel)) continue;
+      if (ig.ignores(isDir ? `${rel}/` : rel)) return true;
+    }
+    return false;
+  };
+
+  async function* walk(dir) {
+    let pushed = false;
+    if (!includeIgnored) {
+      const gitignore = await loadIgnoreFile(dir, '.gitignore');
+      if (gitignore) {
+        rules.push([dir, ignore().add(gitignore)]);
+        pushed = true;
+      }
+    }
+
+    let entries = [];
+    try {
+      entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch {
+      // Unreadable directory
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+      if (!hidden && entry.name.startsWith('.')) continue;
+      const full = path.join(dir, entry.name);
+      let isDir = entry.isDirectory();
+      let isFile = entry.isFile();
+      // Follow symlinked files, never symlinked directories (avoids cycles)
+      if (entry.isSymbolicLink()) {
+        const stat = await fsp.stat(full).catch(() => null);
+        isFile = Boolean(stat?.isFile());
+        isDir = false;
+      }
+      if (!isDir && !isFile) continue;
+      if (isIgnored(full, isDir)) continue;
+
+      if (isDir) {
+        yield* walk(full);
+      } else {
+        if (filePattern) {
+          const rel = path.relative(root, full).split(path.sep).join('/');
+          if (!minimatch(rel, filePattern, { matchBase: true, dot: true })) continue;
+        }
+        if (isPathAllowed(full)) yield full;
+      }
+    }
+
+    if (pushed) rules.pop();
+  }
+
+  yield* walk(root);
+}
+
+/**
+ * Compile a search pattern
+ * @param {string} pattern
+ * @param {object} options
+ * @param {boolean} options.caseInsensitive
+ * @param {boolean} options.multiline - Matches may span lines (^/$ match at line breaks)
+ * @param {boolean} options.fixedStrings - Treat the pattern as literal text
+ * @returns {RegExp} - Always global; use with matchAll, never .test
+ */
+export function compilePattern(pattern, { caseInsensitive = false, multiline = false, fixedStrings = false } = {}) {
+  const source = fixedStrings ? pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : pattern;
+  const flags = `g${caseInsensitive ? 'i' : ''}${multiline ? 'm' : ''}`;
+  try {
+    return new RegExp(source, flags);
+  } catch (e) {
+    throw new Error(`Invalid pattern: ${e.message}`);
+  }
+}
+
+// Column ranges of every match on a line (matchAll works on a copy, so the
+// shared regex's lastIndex is never involved)
+function findInLine(regex, text) {
+  const ranges = [];
+  for (const m of text.matchAll(regex)) {
+    if (m[0] === '' && ranges.length > 0) break;
+    ranges.push({ start: m.index, end: m.index + m[0].length });
+  }
+  return ranges;
+}
+
+/**
+ * Collects a file's output lines with rg-style before/after context
+ */
+function createCollector({ before, after, maxLines }) {
+  const lines = [];
+  const ring = [];
+  let afterLeft = 0;
+  let lastEmitted = 0;
+  let matchCount = 0;
+
+  const emit = (entry) => {
+    if (entry.line <= lastEmitted) return;
+    lines.push(entry);
+    lastEmitted = entry.line;
+  };
+
+  return {
+    lines,
+    get count() {
+      return matchCount;
+    },
+    get full() {
+      return matchCount >= maxLines && afterLeft === 0;
+    },
+    add(line, text, ranges) {
+      if (ranges) {
+        if (matchCount >= maxLines) return;
+        ring.forEach(emit);
+        ring.length = 0;
+        emit({ line, text, match: true, ranges });
+        matchCount++;
+        afterLeft = after;
+      } else if (afterLeft > 0) {
+        emit({ line, text, match: false });
+        afterLeft--;
+      } else if (before > 0) {
+        ring.push({ line, text, match: false });
+        if (ring.length > before) ring.shift();
+      }
+    },
+  };
+}
+
+/**
+ * Read a file as a stream, line by line, stopping early once the collector is full
+ * @returns {Promise<"binary"|"ok">}
+ */
+async function streamLines(filePath, onLine, shouldStop) {
+  const stream = fs.createReadStream(filePath, { highWaterMark: 64 * 1024 });
+  const decoder = new StringDecoder('utf8');
+  let partial = '';
+  let lineNo = 0;
+  let first = true;
+
+  try {
+    for await (const chunk of stream) {
+      if (first) {
+        first = false;
+        if (chunk.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return 'binary';
+      }
+      const text = partial + decoder.write(chunk);
+      const parts = text.split('\n');
+      partial = parts.pop();
+      for (const part of parts) {
+        onLine(++lineNo, part.replace(/\r$/, ''));
+        if (shouldStop()) return 'ok';
+      }
+    }
+    const rest = partial + decoder.end();
+    if (rest) onLine(++lineNo, rest.replace(/\r$/, ''));
+    return 'ok';
+  } finally {
+    stream.destroy();
+  }
+}
+
+async function searchFileLines(filePath, regex, collector) {
+  return streamLines(
+    filePath,
+    (line, text) => {
+      const ranges = findInLine(regex, text);
+      collector.add(line, text, ranges.length > 0 ? ranges : null);
+    },
+    () => collector.full
+  );
+}
+
+// Multiline: match against the whole file, then report each match's line span
+async function searchFileMultiline(filePath, regex, collector) {
+  const stat = await fsp.stat(filePath);
+  if (stat.size > MAX_MULTILINE_BYTES) return 'too_large';
+  const buffer = await fsp.readFile(filePath);
+  if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return 'binary';
+
+  const content = buffer.toString('utf8');
+  const lines = content.split('\n').map((l) => l.replace(/\r$/, ''));
+  const starts = [];
+  let offset = 0;
+  for (const l of content.split('\n')) {
+    starts.push(offset);
+    offset += l.length + 1;
+  }
+  const lineAt = (pos) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= pos) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  };
+
+  // Line index -> column ranges of matches that touch it
+  const hits = new Map();
+  for (const m of content.matchAll(regex)) {
+    if (m[0] === '') continue;
+    const end = m.index + m[0].length;
+    for (let i = lineAt(m.index); i <= lineAt(end - 1); i++) {
+      const from = Math.max(m.index, starts[i]) - starts[i];
+      const to = Math.min(end, starts[i] + lines[i].length) - starts[i];
+      if (!hits.has(i)) hits.set(i, []);
+      hits.get(i).push({ start: from, end: Math.max(from, to) });
+    }
+  }
+
+  for (let i = 0; i < lines.length && !collector.full; i++) {
+    if (i === lines.length - 1 && lines[i] === '') break;
+    collector.add(i + 1, lines[i], hits.get(i) || null);
+  }
+  return 'ok';
+}
+
+/**
+ * Search files for a pattern
+ * @param {object} options
+ * @param {string} options.root - Absolute file or directory
+ * @param {RegExp} options.regex - From compilePattern
+ * @param {boolean} options.multiline - Search whole files so matches can span lines
+ * @param {number} options.before - Context lines before each match
+ * @param {number} options.after - Context lines after each match
+ * @param {"content"|"files_with_matches"|"count"} options.outputMode
+ * @param {number} options.maxResults - Matching lines (content), files, or counted files to return
+ * @param {number} options.concurrency - Files read in parallel
+ * @returns {Promise<{files: Array<{file: string, count: number, lines: Array}>, searched: number, binary: number, skipped: number, truncated: boolean}>}
+ */
+export async function searchFiles({
+  root,
+  regex,
+  multiline = false,
+  before = 0,
+  after = 0,
+  outputMode = 'content',
+  maxResults = 100,
+  concurrency = DEFAULT_CONCURRENCY,
+  filePattern,
+  includeIgnored = false,
+  hidden = false,
+}) {
+  const stat = await fsp.stat(root);
+  const source = stat.isFile()
+    ? (async function* () {
+        yield root;
+      })()
+    : walkFiles(root, { filePattern, includeIgnored, hidden });
+
+  const found = [];
+  const stats = { searched: 0, binary: 0, skipped: 0 };
+  let totalLines = 0;
+  let truncated = false;
+
+  const limitReached = () => {
+    if (outputMode === 'content') return totalLines >= maxResults;
+    if (outputMode === 'files_with_matches') return found.length >= maxResults;
+    return false;
+  };
+
+  const searchOne = async (file) => {
+    // Content mode limits matching lines overall; the other modes only need to know a file matches
+    const maxLines =
+      outputMode === 'content' ? Math.max(1, maxResults - totalLines) : outputMode === 'files_with_matches' ? 1 : Infinity;
+    const collector = createCollector({
+      before: outputMode === 'content' ? before : 0,
+      after: outputMode === 'content' ? after : 0,
+      maxLines,
+    });
+
+    let status;
+    try {
+      status = multiline
+        ? await searchFileMultiline(file, regex, collector)
+        : await searchFileLines(file, regex, collector);
+    } catch {
+      status = 'unreadable';
+    }
+
+    stats.searched++;
+    if (status === 'binary') stats.binary++;
+    else if (status !== 'ok') stats.skipped++;
+    if (collector.count === 0) return;
+
+    if (limitReached()) {
+      truncated = true;
+      return;
+    }
+    if (outputMode === 'content' && totalLines + collector.count > maxResults) {
+      truncated = true;
+    }
+    totalLines += collector.count;
+    found.push({ file, count: collector.count, lines: outputMode === 'content' ? collector.lines : [] });
+  };
+
+  // Bounded pool: each worker pulls the next file from the shared walker
+  let walkerBusy = Promise.resolve();
+  const nextFile = () => {
+    const next = walkerBusy.then(() => source.next());
+    walkerBusy = next.catch(() => {});
+    return next;
+  };
+  const worker = async () => {
+    while (true) {
+      const { value, done } = await nextFile();
+      if (done) return;
+      if (limitReached()) {
+        truncated = true;
+        return;
+      }
+      await searchOne(value);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  await source.return?.();
+
+  // Parallel reads finish in any order; report in path order
+  found.sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : 0));
+  // Workers started with the budget left at the time, so together they can overshoot it
+  const files = trimToLimit(found, outputMode, maxResults);
+  return { files, ...stats, truncated: truncated || files !== found };
+}
+
+// Keep the first maxResults matching lines (content) or files (files_with_matches);
+// returns the same array when nothing had to be cut
+function trimToLimit(found, outputMode, maxResults) {
+  if (outputMode === 'files_with_matches') {
+    return found.length > maxResults ? found.slice(0, maxResults) : found;
+  }
+  if (outputMode !== 'content' || found.reduce((n, f) => n + f.count, 0) <= maxResults) {
+    return found;
+  }
+
+  const kept = [];
+  let left = maxResults;
+  for (const f of found) {
+    if (left <= 0) break;
+    if (f.count <= left) {
+      kept.push(f);
+      left -= f.count;
+      continue;
+    }
+    // Cut at the first match past the budget, keeping the context after the last kept match
+    let matches = 0;
+    const cut = f.lines.findIndex((l) => l.match && ++matches > left);
+    kept.push({ ...f, count: left, lines: f.lines.slice(0, cut) });
+    left = 0;
+  }
+  return kept;
+}
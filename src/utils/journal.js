@@ -0,0 +1,270 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Session-scoped change journal. Every file-mutating tool records the
+// before-state of the paths it is about to touch, so changes can be undone
+// (and redone) without git. Nothing is persisted across server restarts.
+
+// Oldest entries are dropped once snapshots exceed this many bytes
+const MAX_JOURNAL_BYTES = 50 * 1024 * 1024;
+
+// Directories with more than this are recorded without their contents, and
+// can't be removed by an undo
+const MAX_TREE_ENTRIES = 2000;
+const MAX_TREE_BYTES = 20 * 1024 * 1024;
+
+const entries = [];
+const redoStack = [];
+let changeCounter = 0;
+let journalBytes = 0;
+
+/**
+ * Read a directory's contents, or null when it is over the size limits
+ * @param {string} dirPath - Absolute path
+ * @returns {Promise<Array<{path: string, kind: "file"|"directory"|"symlink", data?: Buffer, target?: string}>|null>}
+ *   - Paths relative to dirPath, parents before children
+ */
+async function snapshotTree(dirPath) {
+  const tree = [];
+  let bytes = 0;
+  const pending = [''];
+  while (pending.length > 0) {
+    const rel = pending.shift();
+    for (const dirent of await fs.readdir(path.join(dirPath, rel), { withFileTypes: true })) {
+      const relPath = path.join(rel, dirent.name);
+      const absPath = path.join(dirPath, relPath);
+      if (dirent.isDirectory()) {
+        tree.push({ path: relPath, kind: 'directory' });
+        pending.push(relPath);
+      } else if (dirent.isSymbolicLink()) {
+        tree.push({ path: relPath, kind: 'symlink', target: await fs.readlink(absPath) });
+      } else {
+        const data = await fs.readFile(absPath);
+        bytes += data.length;
+        tree.push({ path: relPath, kind: 'file', data });
+      }
+      if (tree.length > MAX_TREE_ENTRIES || bytes > MAX_TREE_BYTES) return null;
+    }
+  }
+  return tree;
+}
+
+/**
+ * Capture the current state of a path
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<{path: string, kind: "file"|"directory"|"missing", data?: Buffer, tree?: Array|null}>}
+ *   - tree is null for a directory too large to record
+ */
+async function snapshot(filePath) {
+  try {
+    const stat = await fs.stat(filePath);
+    if (stat.isDirectory()) {
+      return { path: filePath, kind: 'directory', tree: await snapshotTree(filePath) };
+    }
+    return { path: filePath, kind: 'file', data: await fs.readFile(filePath) };
+  } catch {
+    return { path: filePath, kind: 'missing' };
+  }
+}
+
+function snapshotBytes(snapshots) {
+  let sum = 0;
+  for (const s of snapshots) {
+    if (s.data) sum += s.data.length;
+    for (const item of s.tree || []) {
+      if (item.data) sum += item.data.length;
+    }
+  }
+  return sum;
+}
+
+/**
+ * Put a path back into a previously captured state
+ * @param {{path: string, kind: string, data?: Buffer, tree?: Array|null}} state
+ * @param {{kind: string, tree?: Array|null}} current - The path's state now,
+ *   already saved in the journal by the caller
+ * @throws When a directory has to be removed but its contents weren't recorded
+ */
+async function restore(state, current) {
+  if (state.kind === 'file') {
+    await fs.mkdir(path.dirname(state.path), { recursive: true });
+    await fs.writeFile(state.path, state.data);
+  } else if (state.kind === 'directory') {
+    await fs.mkdir(state.path, { recursive: true });
+    for (const item of state.tree || []) {
+      const target = path.join(state.path, item.path);
+      if (item.kind === 'directory') {
+        await fs.mkdir(target, { recursive: true });
+      } else if (item.kind === 'symlink') {
+        await fs.rm(target, { force: true });
+        await fs.symlink(item.target, target);
+      } else {
+        await fs.writeFile(target, item.data);
+      }
+    }
+  } else if (current.kind === 'file') {
+    await fs.rm(state.path);
+  } else if (current.kind === 'directory') {
+    // Removing is safe only when the contents are in the journal; never delete files we couldn't save
+    if (current.tree) {
+      await fs.rm(state.path, { recursive: true });
+    } else {
+      await fs.rmdir(state.path).catch((error) => {
+        throw new Error(`Left ${state.path} in place: it is too large to record, so removing it could not be redone (${error.code})`);
+      });
+    }
+  }
+}
+
+function trimJournal() {
+  while (journalBytes > MAX_JOURNAL_BYTES && entries.length > 1) {
+    const dropped = entries.shift();
+    journalBytes -= dropped.bytes;
+  }
+}
+
+/**
+ * Record the before-state of paths a tool is about to modify.
+ * Call this after validation and immediately before writing.
+ * @param {string} tool - Name of the tool making the change
+ * @param {string[]} paths - Absolute paths that will be created, modified, or removed
+ * @returns {Promise<object>} - The journal entry
+ */
+export async function recordChange(tool, paths) {
+  const before = await Promise.all([...new Set(paths)].map(snapshot));
+  const entry = {
+    id: ++changeCounter,
+    tool,
+    timestamp: new Date().toISOString(),
+    before,
+    after: null,
+    undone: false,
+    bytes: snapshotBytes(before),
+  };
+
+  entries.push(entry);
+  journalBytes += entry.bytes;
+  // A new change invalidates anything that could have been redone (kept in case the change fails)
+  entry.clearedRedo = redoStack.splice(0);
+  trimJournal();
+  return entry;
+}
+
+/**
+ * Drop the entry of a change that failed before it modified anything, so the
+ * journal holds no entry that undoes nothing. What could be redone before it
+ * can be redone again.
+ * @param {object} entry - From recordChange, still the most recent entry
+ */
+export function discardChange(entry) {
+  const at = entries.lastIndexOf(entry);
+  if (at === -1) return;
+  entries.splice(at, 1);
+  journalBytes -= entry.bytes;
+  if (at === entries.length) redoStack.push(...entry.clearedRedo);
+}
+
+/**
+ * Undo a journal entry, saving the current state so it can be redone
+ * @param {object} entry
+ */
+async function undoEntry(entry) {
+  entry.after = await Promise.all(entry.before.map((s) => snapshot(s.path)));
+  const afterBytes = snapshotBytes(entry.after);
+  entry.bytes += afterBytes;
+  journalBytes += afterBytes;
+
+  // Restore in reverse so e.g. a move's destination is removed after its source is back
+  for (let i = entry.before.length - 1; i >= 0; i--) {
+    await restore(entry.before[i], entry.after[i]);
+  }
+  entry.undone = true;
+}
+
+// Undo an entry; one that can't be undone is marked failed and skipped from
+// then on, so it doesn't block undoing the changes before it
+async function tryUndoEntry(entry) {
+  try {
+    await undoEntry(entry);
+    redoStack.push(entry);
+  } catch (error) {
+    entry.failed = error.message;
+  }
+}
+
+/**
+ * Undo the most recent change that has not been undone (or failed to undo)
+ * @returns {Promise<object|null>} - The entry, with failed set to the reason if
+ *   it could not be undone, or null if there is nothing to undo
+ */
+export async function undoLastChange() {
+  const entry = [...entries].reverse().find((e) => !e.undone && !e.failed);
+  if (!entry) return null;
+  await tryUndoEntry(entry);
+  trimJournal();
+  return entry;
+}
+
+/**
+ * Re-apply the most recently undone change
+ * @returns {Promise<object|null>} - The redone entry, or null if there is nothing to redo
+ */
+export async function redoLastChange() {
+  const entry = redoStack.pop();
+  if (!entry) return null;
+
+  try {
+    for (let i = 0; i < entry.after.length; i++) {
+      await restore(entry.after[i], entry.before[i]);
+    }
+  } catch (error) {
+    // Keep it redoable so the redo can be retried once the problem is fixed
+    redoStack.push(entry);
+    throw error;
+  }
+  journalBytes -= snapshotBytes(entry.after);
+  entry.bytes = snapshotBytes(entry.before);
+  entry.after = null;
+  entry.undone = false;
+  return entry;
+}
+
+/**
+ * Undo every change made at or after a point in the session, newest first
+ * @param {number|string} since - Change ID, or an ISO timestamp
+ * @returns {Promise<object[]>} - The entries, with failed set on those that
+ *   could not be undone
+ */
+export async function revertChanges(since) {
+  const asId = Number(since);
+  const isId = Number.isInteger(asId) && String(since).trim() !== '';
+  const sinceTime = isId ? null : Date.parse(since);
+  if (!isId && Number.isNaN(sinceTime)) {
+    throw new Error(`Invalid "since" value: ${since}. Use a change ID from list_changes or an ISO timestamp.`);
+  }
+
+  const targets = entries
+    .filter((e) => !e.undone && !e.failed && (isId ? e.id >= asId : Date.parse(e.timestamp) >= sinceTime))
+    .reverse();
+
+  for (const entry of targets) {
+    await tryUndoEntry(entry);
+  }
+  trimJournal();
+  return targets;
+}
+
+/**
+ * List journal entries, oldest first
+ * @returns {Array<{id: number, tool: string, timestamp: string, paths: string[], undone: boolean, failed?: string}>}
+ */
+export function listChanges() {
+  return entries.map((e) => ({
+    id: e.id,
+    tool: e.tool,
+    timestamp: e.timestamp,
+    paths: e.before.map((s) => s.path),
+    undone: e.undone,
+    ...(e.failed && { failed: e.failed }),
+  }));
+}
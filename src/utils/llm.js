@@ -0,0 +1,101 @@
+// Chat completions from LM Studio or any OpenAI-compatible /v1/chat/completions endpoint
+
+// Set LLM_URL=off to always use the callers' non-LLM fallbacks
+const LLM_URL = process.env.LLM_URL || 'http://localhost:1234/v1/chat/completions';
+const LLM_MODEL = process.env.LLM_MODEL || '';
+const LLM_API_KEY = process.env.LLM_API_KEY || '';
+
+const REQUEST_TIMEOUT = 120000;
+
+// Don't retry an unreachable backend on every call
+const RETRY_AFTER = 60000;
+
+let resolvedModel = null;
+let unavailableUntil = 0;
+let lastError = null;
+
+function headers() {
+  return {
+    'Content-Type': 'application/json',
+    ...(LLM_API_KEY && { Authorization: `Bearer ${LLM_API_KEY}` }),
+  };
+}
+
+// Without LLM_MODEL, pick the first model the server lists that isn't an embedding model
+async function resolveModel() {
+  if (LLM_MODEL) return LLM_MODEL;
+  if (resolvedModel) return resolvedModel;
+  const modelsUrl = LLM_URL.replace(/\/chat\/completions\/?$/, '/models');
+  const res = await fetch(modelsUrl, { headers: headers(), signal: AbortSignal.timeout(5000) });
+  if (!res.ok) throw new Error(`${modelsUrl} returned ${res.status}`);
+  const { data = [] } = await res.json();
+  const model = data.find((m) => !/embed|\bbge\b|\be5\b|\bgte\b|minilm/i.test(m.id));
+  if (!model) throw new Error('No chat model loaded (set LLM_MODEL or load one in LM Studio)');
+  resolvedModel = model.id;
+  return resolvedModel;
+}
+
+/**
+ * Whether the LLM backend is configured and not known to be down
+ */
+export function llmEnabled() {
+  return LLM_URL !== 'off' && Date.now() >= unavailableUntil;
+}
+
+/**
+ * Why the LLM was last unavailable, for reporting the fallback
+ * @returns {string|null}
+ */
+export function llmError() {
+  return lastError;
+}
+
+/**
+ * Run a chat completion
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {object} options
+ * @param {number} options.maxTokens
+ * @param {number} options.temperature
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<{text: string, model: string}>}
+ * @throws When the backend is unreachable, errors, or returns no text; further
+ *   calls are skipped for a minute so callers can fall back quickly
+ */
+export async function complete(messages, { maxTokens = 1024, temperature = 0.2, signal } = {}) {
+  if (!llmEnabled()) {
+    throw new Error(lastError || 'LLM disabled');
+  }
+
+  // Request timeout plus the caller's cancellation (AbortSignal.any needs Node 20)
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal.reason);
+  const timer = setTimeout(() => controller.abort(new Error('LLM request timed out')), REQUEST_TIMEOUT);
+  signal?.addEventListener('abort', abort, { once: true });
+  try {
+    const model = await resolveModel();
+    const res = await fetch(LLM_URL, {
+      method: 'POST',
+      headers: headers(),
+      body: JSON.stringify({ model, messages, max_tokens: maxTokens, temperature, stream: false }),
+      signal: controller.signal,
+    });
+    if (!res.ok) {
+      throw new Error(`${LLM_URL} returned ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    }
+    const data = await res.json();
+    // Reasoning models may wrap their thinking in <think> tags ahead of the answer
+    const text = (data.choices?.[0]?.message?.content || '').replace(/<think>[\s\S]*?<\/think>/g, '').trim();
+    if (!text) throw new Error('LLM returned an empty response');
+    lastError = null;
+    return { text, model };
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    // fetch reports network failures as "fetch failed" with the reason in cause
+    lastError = e.message === 'fetch failed' ? `LLM server not reachable at ${LLM_URL}` : e.message;
+    unavailableUntil = Date.now() + RETRY_AFTER;
+    throw new Error(lastError);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
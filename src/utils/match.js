@@ -0,0 +1,262 @@
+// Tiered matching of an edit's old_string against file content:
+// exact -> line-ending-normalized -> indentation-insensitive -> similarity
+
+// Default minimum similarity for the last tier (0-1)
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.85;
+
+// Below this similarity the closest region is unrelated text, not worth showing after a failed match
+export const MIN_CLOSEST_SIMILARITY = 0.6;
+
+// Skip the similarity tier when it would compare more line pairs than this
+const MAX_SIMILARITY_WORK = 2_000_000;
+
+const leadingWhitespace = (line) => line.match(/^[ \t]*/)[0];
+
+// Dice coefficient over character bigrams
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bg = a.slice(i, i + 2);
+    bigrams.set(bg, (bigrams.get(bg) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bg = b.slice(i, i + 2);
+    const n = bigrams.get(bg);
+    if (n > 0) {
+      overlap++;
+      bigrams.set(bg, n - 1);
+    }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+// Similarity of a block of lines, weighted by line length, ignoring indentation
+function blockSimilarity(fileLines, start, searchLines) {
+  let score = 0;
+  let weight = 0;
+  for (let k = 0; k < searchLines.length; k++) {
+    const a = fileLines[start + k].trim();
+    const b = searchLines[k].trim();
+    const w = Math.max(a.length, b.length, 1);
+    score += similarity(a, b) * w;
+    weight += w;
+  }
+  return weight ? score / weight : 0;
+}
+
+// Split keeping track of where each line starts, so line matches map back to offsets
+function indexLines(content) {
+  const lines = content.split('\n');
+  const starts = [];
+  let offset = 0;
+  for (const line of lines) {
+    starts.push(offset);
+    offset += line.length + 1;
+  }
+  return { lines, starts };
+}
+
+// Drop the trailing empty line of a block that ends with a newline
+function blockLines(text) {
+  const lines = text.split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * One level of indentation in a block: a tab, or the most common increase in
+ * spaces from one line to the next. Comment continuations (" * ") are skipped.
+ * @param {string[]} lines
+ * @returns {string|null} - null when no line is indented deeper than the one before
+ */
+function indentUnit(lines) {
+  const indents = lines.filter((l) => l.trim() !== '' && !l.trim().startsWith('*')).map(leadingWhitespace);
+  if (indents.some((w) => w.includes('\t'))) return '\t';
+  const steps = new Map();
+  for (let i = 1; i < indents.length; i++) {
+    const step = indents[i].length - indents[i - 1].length;
+    if (step > 0) steps.set(step, (steps.get(step) || 0) + 1);
+  }
+  let unit = 0;
+  for (const [step, count] of steps) {
+    if (!unit || count > steps.get(unit) || (count === steps.get(unit) && step < unit)) unit = step;
+  }
+  return unit ? ' '.repeat(unit) : null;
+}
+
+/**
+ * Re-indent replacement lines from the search text's indentation to the file's.
+ * Each line keeps its depth relative to the first line, counted in the search
+ * text's indent unit and written in the file's, so a 2-space old_string
+ * lands as 4-space lines in a 4-space file.
+ * @param {string} newString
+ * @param {{indent: string, unit: string|null}} from - First-line indentation and unit of old_string/new_string
+ * @param {{indent: string, unit: string|null}} to - The same for the matched lines in the file
+ */
+function reindent(newString, from, to) {
+  const sameUnit = !from.unit || !to.unit || from.unit === to.unit;
+  if (from.indent === to.indent && sameUnit) return newString;
+  return newString
+    .split('\n')
+    .map((line) => {
+      if (line.trim() === '') return line;
+      if (!line.startsWith(from.indent)) return line;
+      const rest = line.slice(from.indent.length);
+      if (sameUnit) return to.indent + rest;
+
+      const extra = leadingWhitespace(rest);
+      const columns = extra.replace(/\t/g, from.unit).length;
+      const unitWidth = from.unit.length;
+      const depth = Math.floor(columns / unitWidth);
+      return to.indent + to.unit.repeat(depth) + ' '.repeat(columns % unitWidth) + rest.slice(extra.length);
+    })
+    .join('\n');
+}
+
+function firstIndent(lines) {
+  const line = lines.find((l) => l.trim() !== '');
+  return line === undefined ? '' : leadingWhitespace(line.replace(/\r$/, ''));
+}
+
+/**
+ * Find where old_string applies in content, trying progressively looser tiers.
+ * @param {string} content - File content
+ * @param {string} oldString - Text the caller wants to replace
+ * @param {string} newString - Replacement text
+ * @param {object} options
+ * @param {number} options.threshold - Minimum similarity for the similarity tier
+ * @returns {{tier: string, ranges: Array<{start: number, end: number, replacement: string, startLine: number, endLine: number}>, score?: number}
+ *   | {tier: null, closest?: {startLine: number, endLine: number, text: string, score: number}}}
+ */
+export function findMatches(content, oldString, newString, { threshold = DEFAULT_SIMILARITY_THRESHOLD } = {}) {
+  const { lines, starts } = indexLines(content);
+  const lineOf = (offset) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+
+  const literal = (tier, search, replacement) => {
+    const ranges = [];
+    let from = 0;
+    for (let at = content.indexOf(search, from); at !== -1; at = content.indexOf(search, from)) {
+      ranges.push({
+        start: at,
+        end: at + search.length,
+        replacement,
+        startLine: lineOf(at),
+        endLine: lineOf(at + Math.max(search.length - 1, 0)),
+      });
+      from = at + search.length;
+    }
+    return ranges.length ? { tier, ranges } : null;
+  };
+
+  // 1. Exact
+  const exact = literal('exact', oldString, newString);
+  if (exact) return exact;
+
+  // 2. Line endings: rewrite old/new to the file's line endings
+  const crlf = content.includes('\r\n');
+  const toFileEol = (s) => (crlf ? s.replace(/\r?\n/g, '\r\n') : s.replace(/\r\n/g, '\n'));
+  const eolMatch = literal('line-endings', toFileEol(oldString), toFileEol(newString));
+  if (eolMatch && toFileEol(oldString) !== oldString) return eolMatch;
+
+  // Line-based tiers compare without \r and map back to whole lines
+  const fileLines = lines.map((l) => l.replace(/\r$/, ''));
+  const searchLines = blockLines(oldString.replace(/\r\n/g, '\n'));
+  if (searchLines.every((l) => l.trim() === '')) {
+    return { tier: null };
+  }
+  const span = searchLines.length;
+  const normalizedNew = newString.replace(/\r\n/g, '\n');
+  const from = { indent: firstIndent(searchLines), unit: indentUnit([...searchLines, ...normalizedNew.split('\n')]) };
+  // The file's unit, for matches whose lines all share one indentation
+  let fileUnit;
+  const endsWithNewline = /\n$/.test(oldString);
+
+  const lineRange = (tier, start) => {
+    const last = start + span - 1;
+    const block = fileLines.slice(start, start + span);
+    let unit = indentUnit(block);
+    if (!unit) {
+      if (fileUnit === undefined) fileUnit = indentUnit(fileLines);
+      unit = fileUnit;
+    }
+    const replacement = toFileEol(reindent(normalizedNew, from, { indent: firstIndent(block), unit }));
+    // A trailing newline in old_string covers the matched lines' line break too
+    let end = starts[last] + lines[last].length;
+    if (endsWithNewline && last + 1 < starts.length) {
+      end = starts[last + 1];
+    }
+    return { start: starts[start], end, replacement, startLine: start + 1, endLine: last + 1 };
+  };
+
+  // 3. Indentation-insensitive: every line equal after trimming
+  const trimmedSearch = searchLines.map((l) => l.trim());
+  const indentRanges = [];
+  for (let i = 0; i + span <= fileLines.length; i++) {
+    let ok = true;
+    for (let k = 0; k < span && ok; k++) {
+      ok = fileLines[i + k].trim() === trimmedSearch[k];
+    }
+    if (ok) {
+      indentRanges.push(lineRange('indentation', i));
+      i += span - 1;
+    }
+  }
+  if (indentRanges.length) return { tier: 'indentation', ranges: indentRanges };
+
+  // 4. Best similarity over same-sized line windows
+  if (fileLines.length * span > MAX_SIMILARITY_WORK || fileLines.length < span) {
+    return { tier: null };
+  }
+  const scores = [];
+  for (let i = 0; i + span <= fileLines.length; i++) {
+    scores.push(blockSimilarity(fileLines, i, searchLines));
+  }
+  let bestStart = 0;
+  scores.forEach((score, i) => {
+    if (score > scores[bestStart]) bestStart = i;
+  });
+  const best = { score: scores[bestStart], start: bestStart };
+  // Overlapping windows are the same region, not a competing match
+  const runnerUp = scores.reduce((max, score, i) => (Math.abs(i - bestStart) >= span && score > max ? score : max), -1);
+
+  const closest = {
+    startLine: best.start + 1,
+    endLine: best.start + span,
+    text: fileLines.slice(best.start, best.start + span).join('\n'),
+    score: best.score,
+  };
+
+  // Require a clear winner so an ambiguous fuzzy edit is never applied
+  if (best.score >= threshold && best.score - runnerUp >= 0.02) {
+    return { tier: 'similarity', score: best.score, ranges: [lineRange('similarity', best.start)], closest };
+  }
+  return { tier: null, closest };
+}
+
+/**
+ * Replace matched ranges in content (ranges must not overlap)
+ * @param {string} content
+ * @param {Array<{start: number, end: number, replacement: string}>} ranges
+ * @returns {string}
+ */
+export function replaceRanges(content, ranges) {
+  let result = '';
+  let last = 0;
+  for (const r of [...ranges].sort((a, b) => a.start - b.start)) {
+    result += content.slice(last, r.start) + r.replacement;
+    last = r.end;
+  }
+  return result + content.slice(last);
+}
@@ -0,0 +1,373 @@
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+import { getWorkingDir } from './paths.js';
+import { createStore } from './storage.js';
+import { tokenize } from './semantic-index.js';
+import { embedTexts, embeddingsEnabled, embeddingsError, cosine } from './embeddings.js';
+
+// Memories for memory_store / memory_recall. All namespaces share one file,
+// ~/.lmstudio-mcp-memory/notes.json: "global", "workspace:<root>", and
+// "skill:<name>". The first notes.json was a flat {key: note} map with no
+// namespaces; it is read as the global namespace.
+
+const MEMORY_DIR = path.join(os.homedir(), '.lmstudio-mcp-memory');
+const NOTES_FILE = path.join(MEMORY_DIR, 'notes.json');
+
+// Version of memory_export JSON documents (1 was the flat notes.json map)
+const EXPORT_VERSION = 2;
+
+export const SCOPES = ['global', 'workspace', 'skill'];
+
+// Token-set overlap at which a new memory is merged into an existing one
+const DUPLICATE_SIMILARITY = 0.9;
+
+// Pinned memories rank this much higher on equal relevance
+const PINNED_BOOST = 1.25;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Reciprocal rank fusion constant for combining vector and keyword rankings
+const RRF_K = 60;
+
+// Embeddings of memory texts for this process, keyed by text hash
+const vectorCache = new Map();
+
+/**
+ * Namespace for a scope
+ * @param {"global"|"workspace"|"skill"} scope
+ * @param {string} skill - Skill name, for the skill scope
+ * @returns {string}
+ * @throws When the skill scope has no skill name
+ */
+export function namespaceFor(scope, skill) {
+  if (scope === 'global') return 'global';
+  if (scope === 'skill') {
+    if (!skill) throw new Error('scope "skill" needs a skill name');
+    return `skill:${skill}`;
+  }
+  return `workspace:${getWorkingDir()}`;
+}
+
+/**
+ * Namespaces searched when no scope is given: the current workspace, the
+ * skill's when one is named, then global
+ * @returns {string[]}
+ */
+export function defaultNamespaces(skill) {
+  return [namespaceFor('workspace'), ...(skill ? [namespaceFor('skill', skill)] : []), 'global'];
+}
+
+/**
+ * Milliseconds in a TTL: seconds as a number, or "90s", "30m", "12h", "7d", "2w"
+ * @returns {number}
+ * @throws On an unrecognized TTL
+ */
+export function parseTtl(ttl) {
+  if (typeof ttl === 'number' && ttl > 0) return ttl * 1000;
+  const match = String(ttl).trim().match(/^(\d+(?:\.\d+)?)\s*(s|sec|m|min|h|hr|d|day|w|week)s?$/i);
+  if (!match) throw new Error(`Invalid ttl "${ttl}" (use e.g. 3600, "30m", "12h", "7d")`);
+  const unit = { s: 1, sec: 1, m: 60, min: 60, h: 3600, hr: 3600, d: 86400, day: 86400, w: 604800, week: 604800 }[match[2].toLowerCase()];
+  return Number(match[1]) * unit * 1000;
+}
+
+export function isExpired(memory, now = Date.now()) {
+  return !memory.pinned && Boolean(memory.expires) && Date.parse(memory.expires) <= now;
+}
+
+function normalizeMemory(m, namespace = 'global') {
+  const now = new Date().toISOString();
+  return {
+    namespace: m.namespace || namespace,
+    key: String(m.key),
+    value: String(m.value ?? ''),
+    tags: Array.isArray(m.tags) ? m.tags.map(String) : [],
+    pinned: Boolean(m.pinned),
+    expires: m.expires || null,
+    created: m.created || now,
+    updated: m.updated || m.created || now,
+  };
+}
+
+// Schema 1: {memories: [...]}
+const notesStore = createStore({
+  file: NOTES_FILE,
+  version: 1,
+  defaults: () => ({ memories: [] }),
+  migrations: {
+    // {version: 2, memories} before the file had an envelope, or the flat map: {key: {value, tags, created, updated}}
+    0: (raw) => {
+      if (Array.isArray(raw?.memories)) return { memories: raw.memories.map((m) => normalizeMemory(m)) };
+      return { memories: Object.entries(raw || {}).map(([key, note]) => normalizeMemory({ key, ...note }, 'global')) };
+    },
+  },
+});
+
+/**
+ * Load every memory, including expired ones
+ * @returns {Promise<object[]>}
+ */
+export async function loadMemories() {
+  const { memories } = await notesStore.read();
+  return memories.map((m) => normalizeMemory(m));
+}
+
+/**
+ * Change memories in place under the file lock, then save them without the
+ * expired ones
+ * @template T
+ * @param {(memories: object[]) => T|Promise<T>} fn
+ * @returns {Promise<T>} - What fn returned
+ */
+export async function updateMemories(fn) {
+  let result;
+  await notesStore.update(async (data) => {
+    const memories = data.memories.map((m) => normalizeMemory(m));
+    result = await fn(memories);
+    return { memories: memories.filter((m) => !isExpired(m)) };
+  });
+  return result;
+}
+
+function termSet(text) {
+  return new Set(tokenize(text));
+}
+
+/**
+ * Overlap of two texts' search terms (Jaccard), 0 to 1; identical
+ * whitespace- and case-normalized texts score 1
+ */
+export function similarity(a, b) {
+  const norm = (s) => s.toLowerCase().replace(/\s+/g, ' ').trim();
+  if (norm(a) === norm(b)) return 1;
+  const ta = termSet(a);
+  const tb = termSet(b);
+  if (ta.size === 0 || tb.size === 0) return 0;
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+/**
+ * A live memory in the namespace, under another key, whose value is nearly the same
+ * @returns {{memory: object, similarity: number}|null}
+ */
+export function findDuplicate(memories, namespace, key, value) {
+  let best = null;
+  for (const m of memories) {
+    if (m.namespace !== namespace || m.key === key || isExpired(m)) continue;
+    const s = similarity(m.value, value);
+    if (s >= DUPLICATE_SIMILARITY && (!best || s > best.similarity)) best = { memory: m, similarity: s };
+  }
+  return best;
+}
+
+function memoryText(m) {
+  return `${m.key} ${m.tags.join(' ')} ${m.value}`;
+}
+
+function bm25Scores(memories, query) {
+  const docs = memories.map((m) => {
+    const terms = {};
+    for (const t of tokenize(memoryText(m))) terms[t] = (terms[t] || 0) + 1;
+    return { terms, length: Object.values(terms).reduce((a, b) => a + b, 0) };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of Object.keys(d.terms)) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1);
+  const queryTerms = [...new Set(tokenize(query))];
+
+  return docs.map((d) => {
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = d.terms[term];
+      if (!tf) continue;
+      const n = df.get(term);
+      const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+      score += (idf * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * d.length) / avgLength));
+    }
+    return score;
+  });
+}
+
+async function similarities(memories, query, signal) {
+  const hash = (text) => crypto.createHash('sha1').update(text).digest('hex');
+  const texts = memories.map(memoryText);
+  const missing = [...new Set(texts.filter((t) => !vectorCache.has(hash(t))))];
+  if (missing.length > 0) {
+    const vectors = await embedTexts(missing, { signal });
+    missing.forEach((t, i) => vectorCache.set(hash(t), vectors[i]));
+  }
+  const [queryVector] = await embedTexts([query], { signal });
+  return texts.map((t) => cosine(queryVector, vectorCache.get(hash(t))));
+}
+
+/**
+ * Rank memories against a query
+ * @param {object[]} memories - Live memories to rank
+ * @param {string} query
+ * @param {object} options
+ * @param {"hybrid"|"bm25"} options.ranking - hybrid adds embedding similarity when an embeddings server is reachable
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<{results: Array<{memory: object, score: number, bm25: number, similarity?: number}>, backend: string, fallback_reason?: string}>}
+ */
+export async function rankMemories(memories, query, { ranking = 'hybrid', signal } = {}) {
+  const keyword = bm25Scores(memories, query);
+  const needle = query.trim().toLowerCase();
+
+  let vector = null;
+  let fallbackReason = null;
+  if (ranking === 'hybrid' && memories.length > 0) {
+    if (embeddingsEnabled()) {
+      try {
+        vector = await similarities(memories, query, signal);
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        fallbackReason = e.message;
+      }
+    } else {
+      fallbackReason = embeddingsError() || 'Embeddings disabled';
+    }
+  }
+
+  // Exact key or phrase matches count even when the query has no indexable terms
+  const exact = memories.map((m) => (needle && (m.key.toLowerCase() === needle || m.value.toLowerCase().includes(needle)) ? 1 : 0));
+
+  let scored;
+  if (vector) {
+    const rankOf = (scores) => {
+      const order = scores.map((s, i) => [s, i]).filter(([s]) => s > 0).sort((a, b) => b[0] - a[0]);
+      const ranks = new Map(order.map(([, i], r) => [i, r + 1]));
+      return (i) => (ranks.has(i) ? 1 / (RRF_K + ranks.get(i)) : 0);
+    };
+    const byKeyword = rankOf(keyword.map((s, i) => s + exact[i]));
+    const byVector = rankOf(vector);
+    scored = memories.map((memory, i) => ({
+      memory,
+      score: (byKeyword(i) + byVector(i)) * 100,
+      bm25: keyword[i],
+      similarity: vector[i],
+    }));
+    // Only keep vector-only matches that are reasonably close
+    scored = scored.filter((r, i) => keyword[i] + exact[i] > 0 || r.similarity >= 0.5);
+  } else {
+    scored = memories
+      .map((memory, i) => ({ memory, score: keyword[i] + exact[i], bm25: keyword[i] }))
+      .filter((r) => r.score > 0);
+  }
+
+  for (const r of scored) if (r.memory.pinned) r.score *= PINNED_BOOST;
+  scored.sort((a, b) => b.score - a.score || b.memory.updated.localeCompare(a.memory.updated));
+
+  return {
+    results: scored.map((r) => ({
+      ...r,
+      score: Number(r.score.toFixed(3)),
+      bm25: Number(r.bm25.toFixed(3)),
+      ...(r.similarity !== undefined && { similarity: Number(r.similarity.toFixed(3)) }),
+    })),
+    backend: vector ? 'hybrid' : 'bm25',
+    ...(fallbackReason && { fallback_reason: fallbackReason }),
+  };
+}
+
+/**
+ * Memories as an export document
+ * @param {object[]} memories
+ * @param {"json"|"markdown"} format
+ * @returns {string}
+ */
+export function exportMemories(memories, format) {
+  if (format === 'json') {
+    return JSON.stringify({ version: EXPORT_VERSION, exported: new Date().toISOString(), memories }, null, 2);
+  }
+
+  const lines = ['# Memories', ''];
+  const namespaces = [...new Set(memories.map((m) => m.namespace))].sort();
+  for (const namespace of namespaces) {
+    lines.push(`## ${namespace}`, '');
+    for (const m of memories.filter((x) => x.namespace === namespace).sort((a, b) => a.key.localeCompare(b.key))) {
+      const meta = [
+        m.tags.length > 0 && `Tags: ${m.tags.join(', ')}`,
+        m.pinned && 'Pinned',
+        m.expires && `Expires: ${m.expires}`,
+        `Updated: ${m.updated}`,
+      ].filter(Boolean);
+      // Headings inside a value would be read back as new memories
+      const value = m.value.replace(/^(#)/gm, '\\$1');
+      lines.push(`### ${m.key}`, meta.join(' · '), '', value, '');
+    }
+  }
+  return lines.join('\n');
+}
+
+function parseMarkdown(text) {
+  const memories = [];
+  let namespace = 'global';
+  let current = null;
+  const finish = () => {
+    if (!current) return;
+    current.value = current.body.join('\n').trim().replace(/^\\#/gm, '#');
+    delete current.body;
+    memories.push(normalizeMemory(current));
+    current = null;
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    const ns = line.match(/^##\s+(.+?)\s*$/);
+    const key = line.match(/^###\s+(.+?)\s*$/);
+    if (ns) {
+      finish();
+      namespace = ns[1];
+    } else if (key) {
+      finish();
+      current = { namespace, key: key[1], body: [], tags: [] };
+    } else if (current && current.body.length === 0 && /^(Tags:|Pinned|Expires:|Updated:)/.test(line)) {
+      for (const part of line.split(' · ')) {
+        const [label, ...rest] = part.split(':');
+        const value = rest.join(':').trim();
+        if (label === 'Tags') current.tags = value.split(',').map((t) => t.trim()).filter(Boolean);
+        else if (label === 'Pinned') current.pinned = true;
+        else if (label === 'Expires') current.expires = value;
+        else if (label === 'Updated') current.updated = value;
+      }
+    } else if (current) {
+      current.body.push(line);
+    }
+  }
+  finish();
+  return memories;
+}
+
+/**
+ * Read memories from an export document
+ * @param {string} text
+ * @param {"auto"|"json"|"markdown"} format - auto picks JSON when the text parses as JSON
+ * @returns {object[]}
+ * @throws When JSON is requested but the text isn't a memory export
+ */
+export function parseMemories(text, format = 'auto') {
+  if (format !== 'markdown') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      if (format === 'json') throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    if (data !== undefined) {
+      if (Array.isArray(data?.memories)) return data.memories.filter((m) => m?.key).map((m) => normalizeMemory(m));
+      if (Array.isArray(data)) return data.filter((m) => m?.key).map((m) => normalizeMemory(m));
+      // A version 1 notes.json
+      if (data && typeof data === 'object') {
+        return Object.entries(data)
+          .filter(([, note]) => note && typeof note === 'object' && 'value' in note)
+          .map(([key, note]) => normalizeMemory({ key, ...note }, 'global'));
+      }
+      throw new Error('JSON is not a memory export');
+    }
+  }
+  return parseMarkdown(text);
+}
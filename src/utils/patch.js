@@ -0,0 +1,241 @@
+// Parse and apply unified / git-style diffs
+
+/**
+ * Parse a unified or git-style diff into per-file operations.
+ * Hunk line counts are not trusted (models often get them wrong); a hunk
+ * runs until the next hunk or file header.
+ * @param {string} text - Patch text
+ * @returns {Array<{type: "modify"|"create"|"delete"|"rename", oldPath: string|null, newPath: string|null, hunks: object[]}>}
+ */
+export function parsePatch(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let gitStyle = false;
+
+  const startFile = () => {
+    file = { oldPath: null, newPath: null, hunks: [], created: false, deleted: false, renamed: false, binary: false };
+    files.push(file);
+    hunk = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const git = line.match(/^diff --git (\S+) (\S+)$/);
+    if (git) {
+      gitStyle = true;
+      startFile();
+      file.oldPath = git[1];
+      file.newPath = git[2];
+      continue;
+    }
+
+    // "--- old" followed by "+++ new" starts a file (or its headers, after diff --git)
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      if (!file || file.hunks.length > 0 || hunk) startFile();
+      file.oldPath = headerPath(line.slice(4));
+      file.newPath = headerPath(lines[i + 1].slice(4));
+      i++;
+      continue;
+    }
+
+    if (file && !hunk) {
+      if (line.startsWith('new file mode')) { file.created = true; continue; }
+      if (line.startsWith('deleted file mode')) { file.deleted = true; continue; }
+      if (line.startsWith('rename from ')) { file.renamed = true; file.oldPath = line.slice(12).trim(); continue; }
+      if (line.startsWith('rename to ')) { file.renamed = true; file.newPath = line.slice(10).trim(); continue; }
+      if (line.startsWith('Binary files ') || line === 'GIT binary patch') { file.binary = true; continue; }
+    }
+
+    const header = line.match(/^@@ -?(\d+)?(?:,(\d+))? ?\+?(\d+)?(?:,(\d+))? ?@@/) || (line.startsWith('@@') ? [] : null);
+    if (header) {
+      if (!file) startFile();
+      hunk = {
+        header: line,
+        oldStart: header[1] !== undefined ? parseInt(header[1], 10) : null,
+        newStart: header[3] !== undefined ? parseInt(header[3], 10) : null,
+        lines: [],
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    if (hunk) {
+      if (line.startsWith('\\')) {
+        // "\ No newline at end of file" applies to the preceding line
+        const prev = hunk.lines[hunk.lines.length - 1];
+        if (prev) prev.noNewline = true;
+      } else if (line.startsWith('+') || line.startsWith('-') || line.startsWith(' ')) {
+        hunk.lines.push({ op: line[0], text: line.slice(1) });
+      } else if (line === '' && i < lines.length - 1) {
+        // Editors and models often strip the space from blank context lines
+        hunk.lines.push({ op: ' ', text: '', implicit: true });
+      } else {
+        hunk = null;
+      }
+    }
+  }
+
+  // Blank lines after a hunk are separators, not context
+  for (const f of files) {
+    for (const h of f.hunks) {
+      while (h.lines.length > 0 && h.lines[h.lines.length - 1].implicit) h.lines.pop();
+    }
+  }
+
+  return files
+    .filter((f) => f.oldPath || f.newPath)
+    .map((f) => {
+      // A created or deleted file has only one real side, so that side's prefix is stripped on its own
+      const strip = gitStyle || (f.oldPath?.startsWith('a/') && f.newPath?.startsWith('b/'));
+      const oldPath = f.oldPath === '/dev/null' ? null : stripPrefix(f.oldPath, 'a/', strip || f.newPath === '/dev/null');
+      const newPath = f.newPath === '/dev/null' ? null : stripPrefix(f.newPath, 'b/', strip || f.oldPath === '/dev/null');
+
+      let type = 'modify';
+      if (f.created || !oldPath) type = 'create';
+      else if (f.deleted || !newPath) type = 'delete';
+      else if (f.renamed || oldPath !== newPath) type = 'rename';
+
+      return { type, oldPath, newPath, hunks: f.hunks, binary: f.binary };
+    });
+}
+
+// "a/src/x.js\t2024-01-01 10:00" -> "a/src/x.js"
+function headerPath(raw) {
+  let p = raw.split('\t')[0].trim();
+  if (p.startsWith('"') && p.endsWith('"')) p = p.slice(1, -1);
+  return p;
+}
+
+function stripPrefix(p, prefix, strip) {
+  if (!p) return p;
+  return strip && p.startsWith(prefix) ? p.slice(prefix.length) : p;
+}
+
+const collapse = (s) => s.trim().replace(/\s+/g, ' ');
+
+// Does `block` match `lines` at `pos`? exact, or ignoring whitespace differences
+function matchesAt(lines, pos, block, loose) {
+  if (pos < 0 || pos + block.length > lines.length) return false;
+  for (let k = 0; k < block.length; k++) {
+    const a = lines[pos + k];
+    const b = block[k];
+    if (loose ? collapse(a) !== collapse(b) : a !== b) return false;
+  }
+  return true;
+}
+
+// Search outward from the expected position, never before `minPos`
+function findBlock(lines, block, expected, minPos, loose) {
+  const maxPos = lines.length - block.length;
+  const start = Math.min(Math.max(expected, minPos), Math.max(maxPos, minPos));
+  for (let d = 0; start - d >= minPos || start + d <= maxPos; d++) {
+    if (matchesAt(lines, start + d, block, loose)) return start + d;
+    if (d > 0 && matchesAt(lines, start - d, block, loose)) return start - d;
+  }
+  return -1;
+}
+
+/**
+ * Apply hunks to file content
+ * @param {string} content - Current file content
+ * @param {object[]} hunks - Parsed hunks
+ * @param {number} fuzz - How many context lines may be ignored at each end of a hunk
+ * @returns {{content: string, results: Array<{hunk: number, header: string, status: "applied"|"rejected", line?: number, offset?: number, fuzz?: number, whitespace?: boolean, reason?: string}>}}
+ */
+export function applyHunks(content, hunks, fuzz = 2) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  let lines = content === '' ? [] : content.split(/\r?\n/);
+  let trailingNewline = content === '' || /\n$/.test(content);
+  if (lines.length > 0 && lines[lines.length - 1] === '' && trailingNewline) lines.pop();
+
+  const results = [];
+  let delta = 0;
+  let minPos = 0;
+
+  hunks.forEach((hunk, idx) => {
+    const report = { hunk: idx + 1, header: hunk.header };
+    const body = hunk.lines;
+
+    // Leading/trailing context lines that fuzz is allowed to drop
+    let lead = 0;
+    while (lead < body.length && body[lead].op === ' ') lead++;
+    let trail = 0;
+    while (trail < body.length - lead && body[body.length - 1 - trail].op === ' ') trail++;
+
+    const expected = hunk.oldStart !== null ? Math.max(0, hunk.oldStart - 1 + delta) : minPos;
+    let placed = null;
+
+    for (let f = 0; f <= fuzz && !placed; f++) {
+      const dropLead = Math.min(f, lead);
+      const dropTrail = Math.min(f, trail);
+      if (f > 0 && dropLead === 0 && dropTrail === 0) break;
+      const slice = body.slice(dropLead, body.length - dropTrail);
+      const oldBlock = slice.filter((l) => l.op !== '+').map((l) => l.text);
+
+      if (oldBlock.length === 0) {
+        // Pure insertion: "@@ -k,0" inserts after line k
+        const at = hunk.oldStart !== null ? Math.min(lines.length, hunk.oldStart + delta) : lines.length;
+        placed = { pos: Math.max(at, minPos), slice, fuzz: f, whitespace: false, expected: Math.max(at, minPos) };
+        break;
+      }
+
+      for (const loose of [false, true]) {
+        const pos = findBlock(lines, oldBlock, expected + dropLead, minPos, loose);
+        if (pos !== -1) {
+          placed = { pos, slice, fuzz: f, whitespace: loose, expected: expected + dropLead };
+          break;
+        }
+      }
+    }
+
+    if (!placed) {
+      const firstOld = body.find((l) => l.op !== '+');
+      results.push({
+        ...report,
+        status: 'rejected',
+        reason: firstOld
+          ? `context not found${hunk.oldStart !== null ? ` near line ${hunk.oldStart}` : ''} (first expected line: ${JSON.stringify(firstOld.text)})`
+          : 'empty hunk',
+      });
+      return;
+    }
+
+    // Build the replacement, keeping the file's own version of context lines
+    const replacement = [];
+    let cursor = placed.pos;
+    for (const l of placed.slice) {
+      if (l.op === ' ') replacement.push(lines[cursor++]);
+      else if (l.op === '-') cursor++;
+      else replacement.push(l.text);
+    }
+    const removed = cursor - placed.pos;
+    lines.splice(placed.pos, removed, ...replacement);
+
+    // "\ No newline at end of file" markers decide the trailing newline when the hunk reaches the end
+    if (placed.pos + replacement.length === lines.length) {
+      const newSide = placed.slice.filter((l) => l.op !== '-');
+      const oldSide = placed.slice.filter((l) => l.op !== '+');
+      if (newSide[newSide.length - 1]?.noNewline) trailingNewline = false;
+      else if (oldSide[oldSide.length - 1]?.noNewline) trailingNewline = true;
+    }
+
+    results.push({
+      ...report,
+      status: 'applied',
+      line: placed.pos + 1,
+      offset: hunk.oldStart !== null ? placed.pos - placed.expected : 0,
+      fuzz: placed.fuzz,
+      whitespace: placed.whitespace,
+    });
+
+    delta += replacement.length - removed;
+    minPos = placed.pos + replacement.length;
+  });
+
+  let result = lines.join(eol);
+  if (trailingNewline && lines.length > 0) result += eol;
+  return { content: result, results };
+}
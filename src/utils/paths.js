@@ -1,8 +1,46 @@
 import path from "path";
 import fs from "fs";
+import { Minimatch } from "minimatch";
 
-// Get the allowed working directory from environment
-const WORKING_DIR = process.env.WORKING_DIR || process.cwd();
+// Get the allowed working directory from environment (can be changed at runtime)
+let WORKING_DIR = process.env.WORKING_DIR || process.cwd();
+
+// Paths that are never readable or writable, even inside an allowed root
+const DEFAULT_DENY_GLOBS = [
+  '**/.ssh', '**/.ssh/**',
+  '**/.gnupg', '**/.gnupg/**',
+  '**/.aws/**',
+  '**/.env', '**/.env.*',
+  '**/.git/config',
+  '**/.git-credentials',
+  '**/.npmrc',
+  '**/*.pem',
+  '**/id_rsa*', '**/id_ed25519*',
+];
+
+// Paths that are readable but never writable by tools. The workspace command
+// policy (POLICY_FILE in command-policy.js) is one: a tool that could rewrite
+// it could allow every command.
+const WRITE_DENY_GLOBS = [
+  '**/.qwen3-mcp.json',
+];
+
+// Split a path-delimiter separated environment variable into a list
+function envList(name) {
+  return (process.env[name] || '').split(path.delimiter).map((s) => s.trim()).filter(Boolean);
+}
+
+// Sandbox policy. Roots come from ALLOWED_ROOTS / READONLY_ROOTS and extra deny
+// globs from DENY_PATHS (all separated by the platform path delimiter).
+const sandbox = {
+  allowedRoots: envList('ALLOWED_ROOTS'),
+  readOnlyRoots: envList('READONLY_ROOTS'),
+  denyGlobs: [...DEFAULT_DENY_GLOBS, ...envList('DENY_PATHS')],
+  writeDenyGlobs: [...WRITE_DENY_GLOBS],
+};
+if (sandbox.allowedRoots.length === 0) {
+  sandbox.allowedRoots = [WORKING_DIR];
+}
 
 /**
  * Normalize a path string that may have various formatting issues from LLMs.
@@ -28,12 +66,14 @@ export function normalizePath(inputPath) {
  * Resolve a path. If it's absolute, use it directly. If relative, resolve from working dir.
  * Always returns forward slashes for consistency.
  * Handles malformed paths from LLMs (double backslashes, mixed slashes, etc.)
+ * The result is checked against the sandbox policy (see checkSandbox).
  * @param {string} inputPath - The path to resolve
  * @param {boolean} mustExist - Whether the path must exist
+ * @param {"read"|"write"} access - The kind of access the caller needs
  * @returns {string} - The resolved absolute path with forward slashes
- * @throws {Error} - If mustExist is true and path doesn't exist
+ * @throws {Error} - If mustExist is true and path doesn't exist, or the sandbox denies access
  */
-export function resolvePath(inputPath, mustExist = false) {
+export function resolvePath(inputPath, mustExist = false, access = 'read') {
   // First normalize the input to handle LLM formatting issues
   const normalizedInput = normalizePath(inputPath);
 
@@ -45,6 +85,8 @@ export function resolvePath(inputPath, mustExist = false) {
   // Convert backslashes to forward slashes for consistency
   resolved = resolved.replace(/\\/g, '/');
 
+  checkSandbox(resolved, access);
+
   // Check existence if required
   if (mustExist && !fs.existsSync(resolved)) {
     throw new Error(`Path does not exist: ${resolved}`);
@@ -53,6 +95,127 @@ export function resolvePath(inputPath, mustExist = false) {
   return resolved;
 }
 
+/**
+ * Resolve a path that the caller is going to create, modify, or delete
+ * @param {string} inputPath - The path to resolve
+ * @param {boolean} mustExist - Whether the path must exist
+ * @returns {string} - The resolved absolute path with forward slashes
+ * @throws {Error} - If the sandbox does not allow writing to the path
+ */
+export function resolveWritablePath(inputPath, mustExist = false) {
+  return resolvePath(inputPath, mustExist, 'write');
+}
+
+// Forward-slash form used for all policy comparisons
+function toPosix(p) {
+  return p.replace(/\\/g, '/');
+}
+
+function isInside(root, target) {
+  const rel = path.relative(root, target);
+  // Names like "..foo" are inside; only a ".." segment leaves the root
+  return !(rel === '..' || rel.startsWith('..' + path.sep) || path.isAbsolute(rel));
+}
+
+/**
+ * Resolve symlinks in a path that may not exist yet, by resolving the
+ * deepest existing ancestor and re-appending the missing segments
+ * @param {string} p - Absolute path
+ * @returns {string}
+ */
+function realPath(p) {
+  let existing = p;
+  const missing = [];
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) return p;
+    missing.unshift(path.basename(existing));
+    existing = parent;
+  }
+  try {
+    return path.join(fs.realpathSync.native(existing), ...missing);
+  } catch {
+    return p;
+  }
+}
+
+// Compiled deny globs, keyed by pattern
+const denyMatchers = new Map();
+
+function matchesGlob(target, glob) {
+  let matcher = denyMatchers.get(glob);
+  if (!matcher) {
+    matcher = new Minimatch(glob, { dot: true, nocase: process.platform === 'win32' });
+    denyMatchers.set(glob, matcher);
+  }
+  return matcher.match(target);
+}
+
+function sandboxError(target, reason, rule) {
+  return new Error(`Access denied: ${target} ${reason} [sandbox rule: ${rule}]`);
+}
+
+/**
+ * Enforce the sandbox policy for a resolved absolute path.
+ * Reads must fall inside an allowed or read-only root, writes inside an
+ * allowed root that is not also read-only, and neither may match a deny
+ * glob. Writes also may not match a write-deny glob. Symlinks are resolved first so links cannot escape the roots.
+ * @param {string} resolved - Absolute path
+ * @param {"read"|"write"} access
+ * @throws {Error} - Naming the rule that blocked the access
+ */
+export function checkSandbox(resolved, access = 'read') {
+  const real = toPosix(realPath(resolved));
+  const roots = sandbox.allowedRoots.map((r) => toPosix(realPath(path.resolve(r))));
+  const readOnly = sandbox.readOnlyRoots.map((r) => toPosix(realPath(path.resolve(r))));
+
+  for (const candidate of new Set([toPosix(resolved), real])) {
+    const glob = sandbox.denyGlobs.find((g) => matchesGlob(candidate, g));
+    if (glob) {
+      throw sandboxError(resolved, 'matches a denied path pattern', `deny "${glob}"`);
+    }
+    const writeGlob = access === 'write' && sandbox.writeDenyGlobs.find((g) => matchesGlob(candidate, g));
+    if (writeGlob) {
+      throw sandboxError(resolved, 'is protected from writes', `write_deny "${writeGlob}"`);
+    }
+  }
+
+  const inAllowed = roots.some((r) => isInside(r, real));
+  const readOnlyRoot = readOnly.find((r) => isInside(r, real));
+
+  if (!inAllowed && !readOnlyRoot) {
+    const viaLink = real !== toPosix(resolved) ? ` (symlink resolves to ${real})` : '';
+    throw sandboxError(resolved, `is outside the allowed roots${viaLink}`, `allowed_roots ${sandbox.allowedRoots.map(toPosix).join(', ')}`);
+  }
+
+  if (access === 'write' && (readOnlyRoot || !inAllowed)) {
+    throw sandboxError(resolved, 'is in a read-only root', `read_only_roots ${readOnlyRoot}`);
+  }
+}
+
+/**
+ * Get the current sandbox policy
+ * @returns {{allowedRoots: string[], readOnlyRoots: string[], denyGlobs: string[], writeDenyGlobs: string[]}}
+ */
+export function getSandboxPolicy() {
+  return {
+    allowedRoots: sandbox.allowedRoots.map(toPosix),
+    readOnlyRoots: sandbox.readOnlyRoots.map(toPosix),
+    denyGlobs: [...sandbox.denyGlobs],
+    writeDenyGlobs: [...sandbox.writeDenyGlobs],
+  };
+}
+
+/**
+ * Replace parts of the sandbox policy at runtime
+ * @param {{allowedRoots?: string[], readOnlyRoots?: string[], denyGlobs?: string[]}} policy
+ */
+export function configureSandbox(policy) {
+  if (policy.allowedRoots) sandbox.allowedRoots = [...policy.allowedRoots];
+  if (policy.readOnlyRoots) sandbox.readOnlyRoots = [...policy.readOnlyRoots];
+  if (policy.denyGlobs) sandbox.denyGlobs = [...policy.denyGlobs];
+}
+
 /**
  * Get the working directory with forward slashes
  * @returns {string}
@@ -62,13 +225,24 @@ export function getWorkingDir() {
 }
 
 /**
- * Check if a path is allowed (without throwing)
+ * Change the working directory used to resolve relative paths
+ * @param {string} dir - New working directory (absolute or relative to the current one)
+ * @returns {string} - The new working directory with forward slashes
+ */
+export function setWorkingDir(dir) {
+  WORKING_DIR = resolvePath(dir);
+  return getWorkingDir();
+}
+
+/**
+ * Check if a path is allowed by the sandbox (without throwing)
  * @param {string} inputPath
+ * @param {"read"|"write"} access
  * @returns {boolean}
  */
-export function isPathAllowed(inputPath) {
+export function isPathAllowed(inputPath, access = 'read') {
   try {
-    resolvePath(inputPath);
+    resolvePath(inputPath, false, access);
     return true;
   } catch {
     return false;
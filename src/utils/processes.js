@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import net from 'net';
+import { execFile, spawn, spawnSync } from 'child_process';
+import { platform } from 'os';
+
+// Process trees, listening ports, and readiness probes for background sessions
+
+function run(file, args, timeout = 5000) {
+  return new Promise((resolve) => {
+    execFile(file, args, { timeout, windowsHide: true, maxBuffer: 4 * 1024 * 1024 }, (err, stdout) => {
+      // lsof exits 1 when nothing matches; treat any failure as "no output"
+      resolve(err && !stdout ? '' : stdout.toString());
+    });
+  });
+}
+
+// [pid, parentPid] pairs for every process on the machine
+async function processTable() {
+  if (platform() === 'linux') {
+    const pairs = [];
+    for (const entry of await fs.readdir('/proc').catch(() => [])) {
+      if (!/^\d+$/.test(entry)) continue;
+      try {
+        const stat = await fs.readFile(`/proc/${entry}/stat`, 'utf8');
+        // Fields after the parenthesized command name: state ppid ...
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        pairs.push([parseInt(entry, 10), parseInt(fields[1], 10)]);
+      } catch {
+        // Process exited while scanning
+      }
+    }
+    return pairs;
+  }
+
+  if (platform() === 'win32') {
+    const out = await run('powershell.exe', [
+      '-NoProfile',
+      '-Command',
+      'Get-CimInstance Win32_Process | ForEach-Object { "$($_.ProcessId) $($_.ParentProcessId)" }',
+    ]);
+    return out.split(/\r?\n/).filter(Boolean).map((line) => line.trim().split(/\s+/).map(Number));
+  }
+
+  const out = await run('ps', ['-A', '-o', 'pid=,ppid=']);
+  return out.split('\n').filter(Boolean).map((line) => line.trim().split(/\s+/).map(Number));
+}
+
+/**
+ * A process and all of its descendants
+ * @param {number} rootPid
+ * @returns {Promise<number[]>}
+ */
+export async function processTree(rootPid) {
+  const children = new Map();
+  for (const [pid, ppid] of await processTable()) {
+    if (!children.has(ppid)) children.set(ppid, []);
+    children.get(ppid).push(pid);
+  }
+  const tree = [];
+  const queue = [rootPid];
+  while (queue.length > 0) {
+    const pid = queue.shift();
+    if (tree.includes(pid)) continue;
+    tree.push(pid);
+    queue.push(...(children.get(pid) || []));
+  }
+  return tree;
+}
+
+// Linux: socket inodes in LISTEN state -> port
+async function linuxListeningSockets() {
+  const sockets = new Map();
+  for (const file of ['/proc/net/tcp', '/proc/net/tcp6']) {
+    const text = await fs.readFile(file, 'utf8').catch(() => '');
+    for (const line of text.split('\n').slice(1)) {
+      const cols = line.trim().split(/\s+/);
+      // cols: sl local_address rem_address st ... inode (index 9); 0A = LISTEN
+      if (cols.length < 10 || cols[3] !== '0A') continue;
+      sockets.set(cols[9], parseInt(cols[1].split(':').pop(), 16));
+    }
+  }
+  return sockets;
+}
+
+/**
+ * TCP ports that any of the given processes is listening on
+ * @param {number[]} pids
+ * @returns {Promise<number[]>} - Sorted, unique
+ */
+export async function listeningPorts(pids) {
+  if (pids.length === 0) return [];
+  const ports = new Set();
+
+  if (platform() === 'linux') {
+    const sockets = await linuxListeningSockets();
+    for (const pid of pids) {
+      const fds = await fs.readdir(`/proc/${pid}/fd`).catch(() => []);
+      for (const fd of fds) {
+        const link = await fs.readlink(`/proc/${pid}/fd/${fd}`).catch(() => '');
+        const inode = link.match(/^socket:\[(\d+)\]$/)?.[1];
+        if (inode && sockets.has(inode)) ports.add(sockets.get(inode));
+      }
+    }
+  } else if (platform() === 'win32') {
+    const wanted = new Set(pids.map(String));
+    const out = await run('netstat', ['-ano', '-p', 'TCP']);
+    for (const line of out.split(/\r?\n/)) {
+      const cols = line.trim().split(/\s+/);
+      if (cols[3] === 'LISTENING' && wanted.has(cols[4])) {
+        ports.add(parseInt(cols[1].split(':').pop(), 10));
+      }
+    }
+  } else {
+    const out = await run('lsof', ['-nP', '-a', '-iTCP', '-sTCP:LISTEN', '-p', pids.join(','), '-Fn']);
+    for (const line of out.split('\n')) {
+      const port = line.startsWith('n') && line.match(/:(\d+)$/);
+      if (port) ports.add(parseInt(port[1], 10));
+    }
+  }
+
+  return [...ports].sort((a, b) => a - b);
+}
+
+/**
+ * Ports announced in log output ("listening on http://localhost:5173", "port 8000")
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function portsFromOutput(text) {
+  const ports = new Set();
+  const patterns = [
+    /(?:localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1?\]|[\w.-]+\.local):(\d{2,5})\b/g,
+    /\bport[:\s]+(\d{2,5})\b/gi,
+  ];
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      const port = parseInt(match[1], 10);
+      if (port > 0 && port < 65536) ports.add(port);
+    }
+  }
+  return [...ports].sort((a, b) => a - b);
+}
+
+/**
+ * Whether something accepts TCP connections on a local port
+ * @param {number} port
+ * @param {string} host - Tried as given; "localhost" also tries IPv6
+ * @returns {Promise<boolean>}
+ */
+export async function isPortOpen(port, host = 'localhost', timeout = 1000) {
+  const hosts = host === 'localhost' ? ['127.0.0.1', '::1'] : [host];
+  for (const h of hosts) {
+    const open = await new Promise((resolve) => {
+      const socket = net.connect({ port, host: h });
+      const done = (result) => {
+        socket.destroy();
+        resolve(result);
+      };
+      socket.setTimeout(timeout, () => done(false));
+      socket.once('connect', () => done(true));
+      socket.once('error', () => done(false));
+    });
+    if (open) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a URL answers with a non-5xx HTTP response
+ * @param {string} url
+ * @returns {Promise<{ok: boolean, status?: number}>}
+ */
+export async function probeUrl(url, timeout = 2000) {
+  try {
+    const res = await fetch(url, { signal: AbortSignal.timeout(timeout), redirect: 'manual' });
+    return { ok: res.status < 500, status: res.status };
+  } catch {
+    return { ok: false };
+  }
+}
+
+/**
+ * Kill a process and all of its descendants
+ * @param {number} pid - Root process (a process group leader on POSIX when spawned detached)
+ * @param {object} options
+ * @param {boolean} options.sync - Block until done (for use in process "exit" handlers)
+ */
+export function killTree(pid, { sync = false } = {}) {
+  if (platform() === 'win32') {
+    const args = ['/pid', String(pid), '/f', '/t'];
+    if (sync) spawnSync('taskkill', args, { windowsHide: true });
+    // A missing or failing taskkill must not crash the server; the process is left as it is
+    else spawn('taskkill', args, { windowsHide: true }).on('error', () => {});
+    return;
+  }
+  try {
+    process.kill(-pid, 'SIGTERM');
+  } catch {
+    // Not a group leader, or already gone
+    try {
+      process.kill(pid, 'SIGTERM');
+    } catch {}
+  }
+}
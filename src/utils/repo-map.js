@@ -0,0 +1,443 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { walkFiles } from './grep.js';
+import { languageOf } from './symbols.js';
+import { getSymbolIndex } from './symbol-index.js';
+
+// Token-budgeted overview of a workspace for repo_map: tree with sizes,
+// languages, frameworks, entry points, and exported symbols per file.
+// Rendered maps are cached on disk and reused until a file is added,
+// removed, or modified; exports come from the incremental symbol index.
+
+const CACHE_DIR = path.join(os.homedir(), '.lmstudio-mcp-memory', 'repo-map');
+const CACHE_VERSION = 1;
+
+// Rough token estimate used for the budget
+const CHARS_PER_TOKEN = 4;
+
+// Per-directory and per-file caps so one huge folder can't crowd out the rest
+const MAX_FILES_PER_DIR = 25;
+const MAX_EXPORTS_PER_FILE = 8;
+
+const LANGUAGE_NAMES = {
+  '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+  '.ts': 'TypeScript', '.tsx': 'TypeScript', '.mts': 'TypeScript', '.cts': 'TypeScript',
+  '.py': 'Python', '.pyi': 'Python', '.ipynb': 'Jupyter Notebook',
+  '.go': 'Go', '.rs': 'Rust', '.java': 'Java', '.kt': 'Kotlin', '.scala': 'Scala', '.cs': 'C#',
+  '.c': 'C', '.h': 'C/C++ Header', '.cpp': 'C++', '.cc': 'C++', '.cxx': 'C++', '.hpp': 'C++', '.hh': 'C++', '.hxx': 'C++',
+  '.rb': 'Ruby', '.php': 'PHP', '.swift': 'Swift', '.lua': 'Lua', '.dart': 'Dart', '.r': 'R', '.jl': 'Julia',
+  '.sh': 'Shell', '.bash': 'Shell', '.ps1': 'PowerShell', '.bat': 'Batch',
+  '.html': 'HTML', '.css': 'CSS', '.scss': 'SCSS', '.vue': 'Vue', '.svelte': 'Svelte',
+  '.md': 'Markdown', '.mdx': 'Markdown', '.rst': 'reStructuredText',
+  '.json': 'JSON', '.yaml': 'YAML', '.yml': 'YAML', '.toml': 'TOML', '.xml': 'XML', '.sql': 'SQL',
+};
+
+// Dependency name -> framework or notable library
+const FRAMEWORKS = {
+  npm: {
+    react: 'React', 'react-native': 'React Native', next: 'Next.js', vue: 'Vue', nuxt: 'Nuxt', svelte: 'Svelte',
+    '@sveltejs/kit': 'SvelteKit', '@angular/core': 'Angular', express: 'Express', fastify: 'Fastify', koa: 'Koa',
+    '@nestjs/core': 'NestJS', electron: 'Electron', vite: 'Vite', webpack: 'webpack', jest: 'Jest', vitest: 'Vitest',
+    mocha: 'Mocha', typescript: 'TypeScript', tailwindcss: 'Tailwind CSS', prisma: 'Prisma',
+    '@modelcontextprotocol/sdk': 'MCP SDK',
+  },
+  python: {
+    django: 'Django', flask: 'Flask', fastapi: 'FastAPI', pytest: 'pytest', torch: 'PyTorch', tensorflow: 'TensorFlow',
+    numpy: 'NumPy', pandas: 'pandas', streamlit: 'Streamlit', langchain: 'LangChain', pydantic: 'Pydantic',
+  },
+  go: {
+    'github.com/gin-gonic/gin': 'Gin', 'github.com/labstack/echo': 'Echo', 'github.com/gofiber/fiber': 'Fiber',
+    'github.com/spf13/cobra': 'Cobra',
+  },
+  rust: { tokio: 'Tokio', 'actix-web': 'Actix Web', axum: 'Axum', rocket: 'Rocket', serde: 'Serde', clap: 'clap' },
+};
+
+// Conventional entry files, used when no manifest names one
+const CONVENTIONAL_ENTRIES = [
+  'main.py', 'app.py', 'manage.py', '__main__.py', 'main.go', 'src/main.rs', 'src/lib.rs',
+  'index.js', 'src/index.js', 'src/index.ts', 'src/main.ts', 'server.js', 'Program.cs',
+];
+
+const memoryCache = new Map();
+
+function cacheFile(root) {
+  const hash = crypto.createHash('sha1').update(root).digest('hex').slice(0, 16);
+  return path.join(CACHE_DIR, `${hash}.json`);
+}
+
+/**
+ * Human-readable byte size
+ * @param {number} bytes
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function readText(file) {
+  return fs.readFile(file, 'utf8').catch(() => null);
+}
+
+// Minimal TOML reading: the key = value lines of one [section]
+function tomlSection(text, name) {
+  const out = {};
+  let inSection = false;
+  for (const line of text.split('\n')) {
+    const header = line.match(/^\s*\[\[?([^\]]+)\]\]?\s*$/);
+    if (header) {
+      inSection = header[1].trim() === name;
+      continue;
+    }
+    const kv = inSection && line.match(/^\s*([\w.-]+|"[^"]+")\s*=\s*(.+?)\s*$/);
+    if (kv) out[kv[1].replace(/"/g, '')] = kv[2].replace(/^["']|["']$/g, '');
+  }
+  return out;
+}
+
+// Dependency names from a TOML array like dependencies = ["fastapi>=0.1", ...]
+function tomlArrayNames(text, key) {
+  const match = text.match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`, 'm'));
+  if (!match) return [];
+  return [...match[1].matchAll(/["']([A-Za-z0-9_.-]+)/g)].map((m) => m[1].toLowerCase());
+}
+
+/**
+ * Frameworks and entry points declared by manifests at the root and one level down
+ */
+async function readManifests(root, relFiles) {
+  const frameworks = new Set();
+  const entryPoints = [];
+  const manifests = relFiles.filter((f) => f.split(path.sep).length <= 2);
+  const found = (name) => manifests.filter((f) => path.basename(f) === name);
+  const addFrameworks = (table, names) => {
+    for (const n of names) {
+      const key = Object.keys(table).find((k) => n === k || n.startsWith(`${k}/`));
+      if (key) frameworks.add(table[key]);
+    }
+  };
+
+  for (const rel of found('package.json')) {
+    let pkg;
+    try {
+      pkg = JSON.parse(await readText(path.join(root, rel)));
+    } catch {
+      continue;
+    }
+    const dir = path.dirname(rel);
+    const at = (p) => path.join(dir, p).replace(/^\.\//, '');
+    addFrameworks(FRAMEWORKS.npm, Object.keys({ ...pkg.dependencies, ...pkg.devDependencies, ...pkg.peerDependencies }));
+    if (pkg.main) entryPoints.push({ source: rel, kind: 'main', target: at(pkg.main) });
+    if (pkg.module) entryPoints.push({ source: rel, kind: 'module', target: at(pkg.module) });
+    const bins = typeof pkg.bin === 'string' ? { [pkg.name]: pkg.bin } : pkg.bin || {};
+    for (const [name, target] of Object.entries(bins)) entryPoints.push({ source: rel, kind: 'bin', name, target: at(target) });
+    const dot = typeof pkg.exports === 'string' ? pkg.exports : pkg.exports?.['.'];
+    const exportTarget = typeof dot === 'string' ? dot : dot?.import || dot?.default || dot?.require;
+    if (exportTarget) entryPoints.push({ source: rel, kind: 'exports', target: at(exportTarget) });
+    for (const name of Object.keys(pkg.scripts || {})) {
+      entryPoints.push({ source: rel, kind: 'script', name, target: pkg.scripts[name] });
+    }
+  }
+
+  for (const rel of found('pyproject.toml')) {
+    const text = (await readText(path.join(root, rel))) || '';
+    addFrameworks(FRAMEWORKS.python, [
+      ...tomlArrayNames(text, 'dependencies'),
+      ...Object.keys(tomlSection(text, 'tool.poetry.dependencies')).map((n) => n.toLowerCase()),
+    ]);
+    const scripts = { ...tomlSection(text, 'project.scripts'), ...tomlSection(text, 'tool.poetry.scripts') };
+    for (const [name, target] of Object.entries(scripts)) entryPoints.push({ source: rel, kind: 'script', name, target });
+  }
+  for (const rel of found('requirements.txt')) {
+    const text = (await readText(path.join(root, rel))) || '';
+    addFrameworks(FRAMEWORKS.python, text.split('\n').map((l) => l.trim().split(/[<>=!~;\[\s]/)[0].toLowerCase()).filter(Boolean));
+  }
+  for (const rel of found('go.mod')) {
+    const text = (await readText(path.join(root, rel))) || '';
+    addFrameworks(FRAMEWORKS.go, [...text.matchAll(/^\s*(?:require\s+)?([\w.-]+\.[\w.-]+\/[\w./-]+)\s+v/gm)].map((m) => m[1]));
+  }
+  for (const rel of found('Cargo.toml')) {
+    const text = (await readText(path.join(root, rel))) || '';
+    addFrameworks(FRAMEWORKS.rust, Object.keys(tomlSection(text, 'dependencies')));
+    const bin = tomlSection(text, 'bin');
+    if (bin.path) entryPoints.push({ source: rel, kind: 'bin', name: bin.name, target: path.join(path.dirname(rel), bin.path) });
+  }
+  for (const rel of [...found('pom.xml'), ...found('build.gradle'), ...found('build.gradle.kts')]) {
+    const text = (await readText(path.join(root, rel))) || '';
+    if (/spring-boot/.test(text)) frameworks.add('Spring Boot');
+    if (/com\.android\./.test(text)) frameworks.add('Android');
+  }
+  if (relFiles.includes('tsconfig.json')) frameworks.add('TypeScript');
+  if (relFiles.some((f) => path.basename(f) === 'Dockerfile')) frameworks.add('Docker');
+
+  const named = new Set(entryPoints.map((e) => e.target));
+  for (const rel of CONVENTIONAL_ENTRIES) {
+    const native = rel.split('/').join(path.sep);
+    if (relFiles.includes(native) && !named.has(native)) entryPoints.push({ source: 'convention', kind: 'file', target: native });
+  }
+
+  return { frameworks: [...frameworks].sort(), entryPoints };
+}
+
+// Whether a top-level symbol is part of its file's public surface
+function isExported(symbol, language, fileUsesExport) {
+  if (symbol.container) return false;
+  const sig = symbol.signature;
+  switch (language) {
+    case 'javascript':
+    case 'typescript':
+      return fileUsesExport ? /^\s*export\b/.test(sig) : ['function', 'class'].includes(symbol.kind);
+    case 'python':
+      return !symbol.name.startsWith('_') && symbol.kind !== 'variable';
+    case 'go':
+      return /^[A-Z]/.test(symbol.name);
+    case 'rust':
+      return /^\s*pub\b/.test(sig);
+    case 'java':
+    case 'csharp':
+      return !/\bprivate\b/.test(sig);
+    default:
+      return !/^\s*static\b/.test(sig);
+  }
+}
+
+function exportsOf(entry) {
+  if (!entry) return [];
+  const usesExport = entry.symbols.some((s) => /^\s*export\b/.test(s.signature));
+  // Types and functions before constants and variables
+  const rank = (s) => (['variable', 'constant', 'property', 'field'].includes(s.kind) ? 1 : 0);
+  return entry.symbols
+    .filter((s) => isExported(s, entry.language, usesExport))
+    .sort((a, b) => rank(a) - rank(b) || a.line - b.line)
+    .map((s) => (['function', 'method'].includes(s.kind) ? `${s.name}()` : s.name));
+}
+
+function buildTree(files) {
+  const newNode = (name, depth) => ({ name, depth, dirs: new Map(), files: [], size: 0, count: 0, code: 0 });
+  const root = newNode('', -1);
+  for (const f of files) {
+    const parts = f.path.split(path.sep);
+    const isCode = Boolean(languageOf(f.path));
+    let node = root;
+    for (const [i, part] of parts.slice(0, -1).entries()) {
+      node.size += f.size;
+      node.count++;
+      if (isCode) node.code++;
+      if (!node.dirs.has(part)) node.dirs.set(part, newNode(part, i));
+      node = node.dirs.get(part);
+    }
+    node.size += f.size;
+    node.count++;
+    if (isCode) node.code++;
+    node.files.push({ ...f, name: parts[parts.length - 1], depth: parts.length - 1 });
+  }
+  return root;
+}
+
+function dirLine(d) {
+  return `${'  '.repeat(d.depth)}${d.name}/  (${d.count} file${d.count === 1 ? '' : 's'}, ${formatSize(d.size)})`;
+}
+
+function fileLine(f) {
+  return `${'  '.repeat(f.depth)}${f.name}  ${formatSize(f.size)}`;
+}
+
+function exportsSuffix(f) {
+  const names = f.exports.slice(0, MAX_EXPORTS_PER_FILE);
+  const more = f.exports.length - names.length;
+  return `  → ${names.join(', ')}${more > 0 ? `, +${more}` : ''}`;
+}
+
+// Lines a directory adds when expanded: its subdirectories (collapsed) and files
+function childLines(node) {
+  const lines = [...node.dirs.values()].map(dirLine);
+  for (const f of node.files.slice(0, MAX_FILES_PER_DIR)) lines.push(fileLine(f));
+  if (node.files.length > MAX_FILES_PER_DIR) {
+    lines.push(`${'  '.repeat(node.depth + 1)}... ${node.files.length - MAX_FILES_PER_DIR} more files`);
+  }
+  return lines;
+}
+
+/**
+ * Choose what to show within a character budget. Directories and file
+ * exports are added greedily by priority: shallow before deep, and
+ * directories containing source code before docs and assets.
+ */
+function planTree(tree, maxChars, withExports) {
+  const expanded = new Set([tree]);
+  const withShownExports = new Set();
+  let used = childLines(tree).reduce((n, l) => n + l.length + 1, 0);
+
+  const queue = [];
+  const enqueue = (node) => {
+    for (const d of node.dirs.values()) {
+      queue.push({ priority: (d.code > 0 ? 100 : 10) - d.depth * 10, cost: childLines(d).reduce((n, l) => n + l.length + 1, 0), dir: d });
+    }
+    if (!withExports) return;
+    for (const f of node.files.slice(0, MAX_FILES_PER_DIR)) {
+      if (f.exports.length > 0) queue.push({ priority: 95 - f.depth * 10, cost: exportsSuffix(f).length, file: f });
+    }
+  };
+  enqueue(tree);
+
+  while (queue.length > 0) {
+    queue.sort((a, b) => b.priority - a.priority || a.cost - b.cost);
+    const item = queue.shift();
+    if (used + item.cost > maxChars) continue;
+    used += item.cost;
+    if (item.dir) {
+      expanded.add(item.dir);
+      enqueue(item.dir);
+    } else {
+      withShownExports.add(item.file);
+    }
+  }
+  return { expanded, withShownExports };
+}
+
+function renderTree(node, plan, lines = []) {
+  for (const d of node.dirs.values()) {
+    lines.push(dirLine(d));
+    if (plan.expanded.has(d)) renderTree(d, plan, lines);
+  }
+  for (const f of node.files.slice(0, MAX_FILES_PER_DIR)) {
+    lines.push(fileLine(f) + (plan.withShownExports.has(f) ? exportsSuffix(f) : ''));
+  }
+  if (node.files.length > MAX_FILES_PER_DIR) {
+    lines.push(`${'  '.repeat(node.depth + 1)}... ${node.files.length - MAX_FILES_PER_DIR} more files`);
+  }
+  return lines;
+}
+
+function countTree(node) {
+  let dirs = 0;
+  let exportFiles = 0;
+  for (const d of node.dirs.values()) {
+    const sub = countTree(d);
+    dirs += 1 + sub.dirs;
+    exportFiles += sub.exportFiles;
+  }
+  exportFiles += node.files.slice(0, MAX_FILES_PER_DIR).filter((f) => f.exports.length > 0).length;
+  return { dirs, exportFiles };
+}
+
+function renderHeader(map) {
+  const lines = [`Repository map: ${path.basename(map.root) || map.root} (${map.files} files, ${formatSize(map.bytes)})`];
+  if (map.languages.length > 0) {
+    const langs = map.languages.slice(0, 8).map((l) => `${l.language} ${l.percent}% (${l.files})`);
+    lines.push(`Languages: ${langs.join(', ')}`);
+  }
+  if (map.frameworks.length > 0) lines.push(`Frameworks: ${map.frameworks.join(', ')}`);
+  if (map.entryPoints.length > 0) {
+    lines.push('Entry points:');
+    const scripts = map.entryPoints.filter((e) => e.kind === 'script');
+    for (const e of map.entryPoints.filter((e) => e.kind !== 'script')) {
+      lines.push(`  ${e.kind}${e.name ? ` ${e.name}` : ''}: ${e.target}  (${e.source})`);
+    }
+    const bySource = new Map();
+    for (const e of scripts) bySource.set(e.source, [...(bySource.get(e.source) || []), e]);
+    for (const [source, list] of bySource) {
+      const shown = list.slice(0, 12).map((e) => (source.endsWith('package.json') ? e.name : `${e.name} = ${e.target}`));
+      lines.push(`  scripts (${source}): ${shown.join(', ')}${list.length > 12 ? `, +${list.length - 12}` : ''}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Build (or reuse) the map of a workspace and render it within a token budget
+ * @param {string} root - Absolute directory
+ * @param {object} options
+ * @param {number} options.maxTokens - Approximate size limit of the rendered map
+ * @param {boolean} options.exports - List exported symbols per file
+ * @param {boolean} options.refresh - Ignore the cache
+ * @returns {Promise<{text: string, map: object, detail: {dirs: number, dirsExpanded: number, exportFiles: number, exportFilesShown: number, truncated: boolean}, cached: boolean}>}
+ */
+export async function getRepoMap(root, { maxTokens = 2000, exports = true, refresh = false } = {}) {
+  const files = [];
+  for await (const file of walkFiles(root)) {
+    const stat = await fs.stat(file).catch(() => null);
+    if (stat) files.push({ path: path.relative(root, file), size: stat.size, mtimeMs: stat.mtimeMs });
+  }
+  const fingerprint = crypto
+    .createHash('sha1')
+    .update(files.map((f) => `${f.path}\0${f.size}\0${f.mtimeMs}`).join('\n'))
+    .digest('hex');
+  const key = `${maxTokens}:${exports}`;
+
+  // Unchanged workspace: reuse the rendered map
+  let cache = memoryCache.get(root);
+  if (!cache) {
+    try {
+      cache = JSON.parse(await fs.readFile(cacheFile(root), 'utf8'));
+      if (cache.version !== CACHE_VERSION || cache.root !== root) cache = null;
+    } catch {
+      cache = null;
+    }
+  }
+  if (!refresh && cache?.fingerprint === fingerprint && cache.renders?.[key]) {
+    memoryCache.set(root, cache);
+    return { ...cache.renders[key], map: cache.map, cached: true };
+  }
+
+  const symbolIndex = exports ? await getSymbolIndex(root, { force: refresh }) : null;
+  for (const f of files) {
+    f.exports = symbolIndex && languageOf(f.path) ? exportsOf(symbolIndex.files[f.path]) : [];
+  }
+
+  const languages = new Map();
+  let bytes = 0;
+  for (const f of files) {
+    bytes += f.size;
+    const language = LANGUAGE_NAMES[path.extname(f.path).toLowerCase()];
+    if (!language) continue;
+    const l = languages.get(language) || { language, files: 0, bytes: 0 };
+    l.files++;
+    l.bytes += f.size;
+    languages.set(language, l);
+  }
+  const languageBytes = [...languages.values()].reduce((n, l) => n + l.bytes, 0) || 1;
+  const { frameworks, entryPoints } = await readManifests(root, files.map((f) => f.path));
+
+  const map = {
+    root,
+    files: files.length,
+    bytes,
+    languages: [...languages.values()]
+      .sort((a, b) => b.bytes - a.bytes)
+      .map((l) => ({ ...l, percent: Math.round((l.bytes / languageBytes) * 100) })),
+    frameworks,
+    entryPoints,
+  };
+
+  const header = [...renderHeader(map), '', 'Tree:'];
+  const tree = buildTree(files);
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const headerChars = header.reduce((n, l) => n + l.length + 1, 0);
+  const plan = planTree(tree, maxChars - headerChars, exports);
+  let text = [...header, ...renderTree(tree, plan)].join('\n');
+
+  const totals = countTree(tree);
+  const detail = {
+    dirs: totals.dirs,
+    dirsExpanded: plan.expanded.size - 1,
+    exportFiles: totals.exportFiles,
+    exportFilesShown: plan.withShownExports.size,
+    truncated: text.length > maxChars,
+  };
+  // Even the top level does not fit
+  if (detail.truncated) {
+    text = `${text.slice(0, maxChars).replace(/\n[^\n]*$/, '')}\n... (map truncated to fit ${maxTokens} tokens)`;
+  }
+
+  const renders = cache?.fingerprint === fingerprint ? { ...cache.renders } : {};
+  renders[key] = { text, detail };
+  cache = { version: CACHE_VERSION, root, fingerprint, map, renders };
+  memoryCache.set(root, cache);
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  await fs.writeFile(cacheFile(root), JSON.stringify(cache));
+
+  return { text, map, detail, cached: false };
+}
@@ -0,0 +1,247 @@
+import { parsePatch } from './patch.js';
+import { categorize } from './commit-check.js';
+
+// Shaping diffs into reviewable hunks, turning skill markdown into a
+// checklist, and exporting finished reviews as markdown or SARIF
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+const STATUS = { modify: 'modified', create: 'added', delete: 'deleted', rename: 'renamed' };
+
+/**
+ * Split a git diff into files and hunks with line numbers on every line
+ * @param {string} diff - Output of git diff
+ * @returns {{path: string, old_path?: string, status: string, binary: boolean, additions: number, deletions: number,
+ *   hunks: {index: number, header: string, old_start: number, new_start: number, new_end: number,
+ *   lines: {op: string, text: string, old_line?: number, new_line?: number}[]}[]}[]}
+ */
+export function reviewFiles(diff) {
+  return parsePatch(diff).map((file) => {
+    let additions = 0;
+    let deletions = 0;
+    const hunks = file.hunks.map((hunk, i) => {
+      let oldLine = hunk.oldStart || 0;
+      let newLine = hunk.newStart || 0;
+      // "@@ -0,0 +1,3 @@" counts from line 1 once content starts
+      if (hunk.oldStart === 0) oldLine = 1;
+      if (hunk.newStart === 0) newLine = 1;
+      const lines = hunk.lines.map(({ op, text }) => {
+        if (op === '+') {
+          additions++;
+          return { op, text, new_line: newLine++ };
+        }
+        if (op === '-') {
+          deletions++;
+          return { op, text, old_line: oldLine++ };
+        }
+        return { op, text, old_line: oldLine++, new_line: newLine++ };
+      });
+      return {
+        index: i + 1,
+        header: hunk.header,
+        old_start: hunk.oldStart,
+        new_start: hunk.newStart,
+        new_end: Math.max(hunk.newStart, newLine - 1),
+        lines,
+      };
+    });
+    return {
+      path: file.newPath || file.oldPath,
+      ...(file.type === 'rename' && { old_path: file.oldPath }),
+      status: STATUS[file.type],
+      binary: file.binary,
+      additions,
+      deletions,
+      hunks,
+    };
+  });
+}
+
+// Triggers from the differential-review skill's risk levels
+const HIGH_RISK = /auth|login|session|passw|token|secret|credential|crypt|cipher|hash|signature|verify|permission|privilege|role|acl|sanitiz|escape|exec|spawn|eval|sql|query|payment|transfer|balance|wallet/i;
+const VALIDATION = /\b(if|assert|require|validate|check|throw|raise|guard)\b/;
+const COMMENT = /^\s*(\/\/|#|\*|\/\*|\*\/|<!--|--)|^\s*$/;
+
+/**
+ * Rough risk level of a changed file, so review effort goes where it matters
+ * @param {object} file - From reviewFiles
+ * @returns {{risk: 'high'|'medium'|'low', reasons: string[]}}
+ */
+export function fileRisk(file) {
+  const changed = file.hunks.flatMap((h) => h.lines.filter((l) => l.op !== ' '));
+  const reasons = [];
+  const keyword = file.path.match(HIGH_RISK) || changed.map((l) => l.text.match(HIGH_RISK)).find(Boolean);
+  if (keyword) reasons.push(`touches "${keyword[0].toLowerCase()}"`);
+  const removedChecks = changed.filter((l) => l.op === '-' && VALIDATION.test(l.text)).length;
+  const addedChecks = changed.filter((l) => l.op === '+' && VALIDATION.test(l.text)).length;
+  if (removedChecks > addedChecks) reasons.push(`removes ${removedChecks - addedChecks} check(s)`);
+  if (reasons.length > 0) return { risk: 'high', reasons };
+
+  const category = categorize(file.path);
+  if (['test', 'docs', 'assets'].includes(category)) return { risk: 'low', reasons: [`${category} file`] };
+  if (changed.every((l) => COMMENT.test(l.text))) return { risk: 'low', reasons: ['comments and whitespace only'] };
+  return { risk: 'medium', reasons: [file.status === 'added' ? 'new file' : 'logic change'] };
+}
+
+// Sections that describe how to use a skill rather than what to check
+const SKIP_SECTIONS = /example|usage|output format|integration|install|setup|workflow overview|decision tree|reference|rationalization|when (not )?to use|tips|supporting|see also|resources|license/i;
+
+/**
+ * Checklist items from a skill's markdown: bullet, numbered, and checkbox
+ * items grouped under their nearest heading. Code blocks, tables, and
+ * sections about usage or output format are skipped.
+ * @param {string} markdown
+ * @returns {{category: string, items: string[]}[]}
+ */
+export function extractChecklist(markdown) {
+  const groups = [];
+  let group = null;
+  let skipping = false;
+  let fenced = false;
+
+  for (const raw of String(markdown).replace(/^---\n[\s\S]*?\n---\n/, '').split('\n')) {
+    if (/^\s*(```|~~~)/.test(raw)) {
+      fenced = !fenced;
+      continue;
+    }
+    if (fenced) continue;
+
+    const heading = raw.match(/^#{2,4}\s+(.+?)\s*#*$/);
+    if (heading) {
+      const category = heading[1].replace(/^\d+[.)]\s*/, '').replace(/[*_`]/g, '').trim();
+      skipping = SKIP_SECTIONS.test(category);
+      group = skipping ? null : { category, items: [] };
+      if (group) groups.push(group);
+      continue;
+    }
+    if (skipping || !group) continue;
+
+    const item = raw.match(/^\s{0,3}(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.+)$/);
+    if (item) {
+      const text = item[1].replace(/\*\*(.+?)\*\*/g, '$1').replace(/`/g, '').trim();
+      if (text) group.items.push(text);
+    }
+  }
+  return groups.filter((g) => g.items.length > 0);
+}
+
+/**
+ * Check findings against the review they belong to
+ * @param {object[]} findings - {file, line, end_line, severity, category, title, message, suggestion}
+ * @param {object|null} review - The stored review skeleton
+ * @returns {{findings: object[], notes: string[]}}
+ */
+export function normalizeFindings(findings, review) {
+  const notes = [];
+  const normalized = (findings || []).map((f, i) => {
+    const severity = SEVERITIES.includes(String(f.severity).toLowerCase()) ? String(f.severity).toLowerCase() : 'medium';
+    if (f.severity && severity !== String(f.severity).toLowerCase()) {
+      notes.push(`Finding ${i + 1}: unknown severity "${f.severity}", using medium`);
+    }
+    const file = review?.files.find((r) => r.path === f.file);
+    if (review && f.file && !file) notes.push(`Finding ${i + 1}: ${f.file} is not part of the reviewed changes`);
+    if (file && f.line && !file.hunks.some((h) => f.line >= h.new_start - 3 && f.line <= h.new_end + 3)) {
+      notes.push(`Finding ${i + 1}: ${f.file}:${f.line} is outside the changed lines`);
+    }
+    return {
+      file: f.file || null,
+      line: Number(f.line) || null,
+      end_line: Number(f.end_line) || null,
+      severity,
+      category: f.category || 'general',
+      title: f.title || null,
+      message: f.message || f.title || '',
+      suggestion: f.suggestion || null,
+    };
+  });
+  return { findings: normalized.filter((f) => f.message), notes };
+}
+
+const HEADINGS = {
+  critical: 'Critical Issues 🔴',
+  high: 'High 🔴',
+  medium: 'Warnings 🟡',
+  low: 'Suggestions 🟢',
+  info: 'Notes',
+};
+
+const location = (f) => (f.file ? `${f.file}${f.line ? `:${f.line}${f.end_line && f.end_line !== f.line ? `-${f.end_line}` : ''}` : ''}` : 'general');
+
+/**
+ * Render a finished review as markdown, in the code-review skill's layout
+ * @param {object} review - {title, range, skill, summary, verdict, findings, files, praise}
+ * @returns {string}
+ */
+export function reviewToMarkdown(review) {
+  const lines = [`# ${review.title || 'Code Review'}`, ''];
+  const meta = [review.range && `**Changes:** ${review.range}`, review.skill && `**Checklist:** ${review.skill}`, review.verdict && `**Verdict:** ${review.verdict.replace(/_/g, ' ')}`].filter(Boolean);
+  if (meta.length) lines.push(meta.join('  \n'), '');
+  lines.push('## Summary', '', review.summary || '_No summary provided._', '');
+
+  for (const severity of SEVERITIES) {
+    const group = review.findings.filter((f) => f.severity === severity);
+    if (group.length === 0) continue;
+    lines.push(`## ${HEADINGS[severity]}`, '');
+    for (const f of group) {
+      lines.push(`- **${f.title || f.category}** (\`${location(f)}\`, ${f.category}): ${f.message}`);
+      if (f.suggestion) lines.push(`  - Suggestion: ${f.suggestion}`);
+    }
+    lines.push('');
+  }
+  if (review.findings.length === 0) lines.push('_No issues found._', '');
+  if (review.praise?.length) lines.push('## Good Practices ✅', '', ...review.praise.map((p) => `- ${p}`), '');
+
+  if (review.files?.length) {
+    lines.push('## Files Reviewed', '', '| File | Status | Changes | Risk |', '|------|--------|---------|------|');
+    for (const f of review.files) lines.push(`| \`${f.path}\` | ${f.status} | +${f.additions} -${f.deletions} | ${f.risk} |`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+
+const ruleId = (category) => String(category).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'general';
+
+/**
+ * Render a finished review as a SARIF 2.1.0 log
+ * @param {object} review - As for reviewToMarkdown
+ * @param {{name: string, version: string}} tool - Producing tool for the SARIF driver
+ * @returns {object}
+ */
+export function reviewToSarif(review, tool) {
+  const rules = new Map();
+  for (const f of review.findings) {
+    const id = ruleId(f.category);
+    if (!rules.has(id)) rules.set(id, { id, name: f.category, shortDescription: { text: f.category } });
+  }
+  const results = review.findings.map((f) => ({
+    ruleId: ruleId(f.category),
+    level: SARIF_LEVELS[f.severity],
+    message: { text: [f.title, f.message, f.suggestion && `Suggestion: ${f.suggestion}`].filter(Boolean).join(' - ') },
+    ...(f.file && {
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: f.file, uriBaseId: '%SRCROOT%' },
+          ...(f.line && { region: { startLine: f.line, ...(f.end_line && f.end_line >= f.line && { endLine: f.end_line }) } }),
+        },
+      }],
+    }),
+    properties: { severity: f.severity, category: f.category },
+  }));
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: tool.name, version: tool.version, rules: [...rules.values()] } },
+      results,
+      properties: {
+        ...(review.range && { range: review.range }),
+        ...(review.skill && { checklist: review.skill }),
+        ...(review.verdict && { verdict: review.verdict }),
+        ...(review.summary && { summary: review.summary }),
+      },
+    }],
+  };
+}
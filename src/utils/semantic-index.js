@@ -0,0 +1,381 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { minimatch } from 'minimatch';
+import { walkFiles } from './grep.js';
+import { languageOf, extractSymbols, SUPPORTED_EXTENSIONS } from './symbols.js';
+import { embeddingsEnabled, embeddingsError, embeddingModel, embedTexts, cosine } from './embeddings.js';
+
+// On-disk chunk index for semantic_search. Each chunk keeps BM25 term counts
+// and, when an embeddings backend is reachable, a unit vector. Changed files
+// are re-chunked; vectors of chunks whose text did not change are reused.
+
+const INDEX_DIR = path.join(os.homedir(), '.lmstudio-mcp-memory', 'semantic');
+const INDEX_VERSION = 1;
+
+const TEXT_EXTENSIONS = new Set([
+  ...SUPPORTED_EXTENSIONS,
+  '.md', '.mdx', '.txt', '.rst', '.adoc',
+  '.html', '.vue', '.svelte', '.css', '.scss',
+  '.sh', '.bash', '.rb', '.php', '.swift', '.lua', '.sql',
+  '.yaml', '.yml', '.toml',
+]);
+
+const MAX_FILE_BYTES = 512 * 1024;
+
+// Chunks end at a definition or heading once they reach MIN_CHUNK_LINES,
+// at a blank line after CHUNK_LINES, and unconditionally at MAX_CHUNK_LINES
+const MIN_CHUNK_LINES = 8;
+const CHUNK_LINES = 40;
+const MAX_CHUNK_LINES = 80;
+
+// Text sent to the embeddings model per chunk
+const MAX_EMBED_CHARS = 4000;
+
+// First-time indexing of a large workspace is spread over several calls
+const EMBED_PER_CALL = 2000;
+
+const REFRESH_INTERVAL = 2000;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Reciprocal rank fusion constant for combining vector and keyword rankings
+const RRF_K = 60;
+
+const STOP_WORDS = new Set(
+  'the and for with that this from are was were but not you your all any can has have how what when where which who why into its our out use using get set new let var const return function def class import export'.split(' ')
+);
+
+const indexes = new Map();
+
+function indexFile(root) {
+  const hash = crypto.createHash('sha1').update(root).digest('hex').slice(0, 16);
+  return path.join(INDEX_DIR, `${hash}.json`);
+}
+
+async function loadIndex(root) {
+  try {
+    const data = JSON.parse(await fs.readFile(indexFile(root), 'utf8'));
+    if (data.version === INDEX_VERSION && data.root === root) {
+      return { root, model: data.model, files: data.files, refreshedAt: 0 };
+    }
+  } catch {
+    // Missing or unreadable: start fresh
+  }
+  return { root, model: null, files: {}, refreshedAt: 0 };
+}
+
+async function saveIndex(index) {
+  await fs.mkdir(INDEX_DIR, { recursive: true });
+  const data = { version: INDEX_VERSION, root: index.root, model: index.model, updated: new Date().toISOString(), files: index.files };
+  await fs.writeFile(indexFile(index.root), JSON.stringify(data));
+}
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Search terms in text: lowercased identifiers plus their camelCase and
+ * snake_case parts, without stop words
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const [word] of text.matchAll(/[A-Za-z_][A-Za-z0-9_]*/g)) {
+    const parts = word.split(/_+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean);
+    const candidates = parts.length > 1 ? [word, ...parts] : [word];
+    for (const c of candidates) {
+      const t = c.toLowerCase();
+      if (t.length >= 2 && !STOP_WORDS.has(t)) terms.push(stem(t));
+    }
+  }
+  return terms;
+}
+
+// Lines where a new chunk may start: top-level definitions (with the doc
+// comments and decorators above them) and markdown headings
+function boundaries(lines, rel) {
+  const starts = new Set();
+  const language = languageOf(rel);
+  if (language) {
+    for (const s of extractSymbols(lines.join('\n'), language)) {
+      if (s.container) continue;
+      let i = s.line - 1;
+      while (i > 0 && /^\s*(\/\/|\/\*|\*|#(?!include)|@|"""|''')/.test(lines[i - 1])) i--;
+      starts.add(i);
+    }
+  } else if (/\.(md|mdx|rst|adoc)$/i.test(rel)) {
+    lines.forEach((l, i) => {
+      if (/^#{1,6}\s/.test(l) || /^=+\s*\S/.test(l)) starts.add(i);
+    });
+  }
+  return starts;
+}
+
+/**
+ * Split a file into chunks of roughly CHUNK_LINES lines along natural breaks
+ * @returns {Array<{start: number, end: number, text: string}>} - 1-based inclusive line ranges
+ */
+export function chunkFile(content, rel) {
+  const lines = content.split('\n').map((l) => l.replace(/\r$/, ''));
+  if (lines[lines.length - 1] === '') lines.pop();
+  const starts = boundaries(lines, rel);
+
+  const chunks = [];
+  let start = 0;
+  const cut = (end) => {
+    const text = lines.slice(start, end).join('\n');
+    if (text.trim()) chunks.push({ start: start + 1, end, text });
+    start = end;
+  };
+  for (let i = 1; i < lines.length; i++) {
+    const length = i - start;
+    if ((starts.has(i) && length >= MIN_CHUNK_LINES) ||
+        (length >= CHUNK_LINES && lines[i].trim() === '') ||
+        length >= MAX_CHUNK_LINES) {
+      cut(i);
+    }
+  }
+  if (start < lines.length) cut(lines.length);
+  return chunks;
+}
+
+function termCounts(terms) {
+  const counts = {};
+  for (const t of terms) counts[t] = (counts[t] || 0) + 1;
+  return counts;
+}
+
+function encodeVector(v) {
+  return Buffer.from(v.buffer, v.byteOffset, v.byteLength).toString('base64');
+}
+
+function decodeVector(s) {
+  const buf = Buffer.from(s, 'base64');
+  return new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4);
+}
+
+async function indexSourceFile(absPath, rel, stat, previous) {
+  const buffer = await fs.readFile(absPath);
+  if (buffer.subarray(0, 8192).includes(0)) return null;
+  // Unchanged chunk text keeps its vector even when line numbers shift
+  const oldVectors = new Map((previous?.chunks || []).filter((c) => c.vector).map((c) => [c.hash, c.vector]));
+  const chunks = chunkFile(buffer.toString('utf8'), rel).map((c) => {
+    const hash = crypto.createHash('sha1').update(c.text).digest('hex').slice(0, 16);
+    const terms = tokenize(`${rel} ${c.text}`);
+    return { start: c.start, end: c.end, hash, length: terms.length, terms: termCounts(terms), vector: oldVectors.get(hash) };
+  });
+  return { mtimeMs: stat.mtimeMs, size: stat.size, chunks };
+}
+
+// Embed chunks that have no vector yet, up to EMBED_PER_CALL of them
+async function embedMissing(index, { signal, onProgress }) {
+  const pending = [];
+  for (const [rel, entry] of Object.entries(index.files)) {
+    for (const chunk of entry.chunks) {
+      if (!chunk.vector) pending.push({ rel, chunk });
+    }
+  }
+  if (pending.length === 0) return { embedded: 0, pending: 0 };
+
+  const batch = pending.slice(0, EMBED_PER_CALL);
+  const texts = [];
+  const fileLines = new Map();
+  for (const { rel, chunk } of batch) {
+    if (!fileLines.has(rel)) {
+      const content = await fs.readFile(path.join(index.root, rel), 'utf8');
+      fileLines.set(rel, content.split('\n').map((l) => l.replace(/\r$/, '')));
+    }
+    const text = fileLines.get(rel).slice(chunk.start - 1, chunk.end).join('\n');
+    texts.push(`${rel}\n${text}`.slice(0, MAX_EMBED_CHARS));
+  }
+  const vectors = await embedTexts(texts, {
+    signal,
+    onBatch: (done, total) => onProgress?.(`Embedded ${done}/${total} chunks\n`),
+  });
+  batch.forEach(({ chunk }, i) => {
+    chunk.vector = encodeVector(vectors[i]);
+  });
+  return { embedded: batch.length, pending: pending.length - batch.length };
+}
+
+/**
+ * Bring the semantic index for a workspace up to date
+ * @param {string} root - Absolute directory
+ * @param {object} options
+ * @param {boolean} options.embed - Compute missing vectors (skipped for keyword-only searches)
+ * @param {boolean} options.force - Rebuild from scratch
+ * @param {AbortSignal} options.signal
+ * @param {(text: string) => void} options.onProgress
+ * @returns {Promise<{index: object, stats: {files: number, chunks: number, parsed: number, removed: number, embedded: number, pending: number}, embeddingError: string|null}>}
+ */
+export async function updateSemanticIndex(root, { embed = true, force = false, signal, onProgress } = {}) {
+  let index = indexes.get(root);
+  if (!index || force) {
+    index = force ? { root, model: null, files: {}, refreshedAt: 0 } : await loadIndex(root);
+    indexes.set(root, index);
+  }
+
+  let changed = false;
+  let scan = { parsed: 0, removed: 0 };
+  if (Date.now() - index.refreshedAt >= REFRESH_INTERVAL) {
+    const seen = new Set();
+    let parsed = 0;
+    for await (const file of walkFiles(root)) {
+      if (!TEXT_EXTENSIONS.has(path.extname(file).toLowerCase())) continue;
+      const rel = path.relative(root, file);
+      const stat = await fs.stat(file).catch(() => null);
+      if (!stat || stat.size > MAX_FILE_BYTES) continue;
+      seen.add(rel);
+
+      const entry = index.files[rel];
+      if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) continue;
+      signal?.throwIfAborted();
+      const fresh = await indexSourceFile(file, rel, stat, entry).catch(() => null);
+      if (fresh) index.files[rel] = fresh;
+      else delete index.files[rel];
+      parsed++;
+    }
+
+    let removed = 0;
+    for (const rel of Object.keys(index.files)) {
+      if (!seen.has(rel)) {
+        delete index.files[rel];
+        removed++;
+      }
+    }
+    index.refreshedAt = Date.now();
+    index.documentFrequency = null;
+    scan = { parsed, removed };
+    changed = parsed > 0 || removed > 0;
+  }
+
+  let embedded = 0;
+  let pending = 0;
+  let embeddingError = null;
+  if (embed && embeddingsEnabled()) {
+    try {
+      // Vectors from another model are not comparable
+      const model = await embeddingModel();
+      if (index.model !== model) {
+        for (const entry of Object.values(index.files)) {
+          for (const chunk of entry.chunks) delete chunk.vector;
+        }
+        index.model = model;
+        changed = true;
+      }
+      ({ embedded, pending } = await embedMissing(index, { signal, onProgress }));
+      if (embedded > 0) changed = true;
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      embeddingError = e.message;
+    }
+  } else if (embed) {
+    embeddingError = embeddingsError() || 'Embeddings disabled (EMBEDDINGS_URL=off)';
+  }
+
+  if (changed) await saveIndex(index);
+  const chunks = Object.values(index.files).reduce((n, f) => n + f.chunks.length, 0);
+  return { index, stats: { files: Object.keys(index.files).length, ...scan, chunks, embedded, pending }, embeddingError };
+}
+
+function documentFrequency(index) {
+  if (!index.documentFrequency) {
+    const df = new Map();
+    let chunks = 0;
+    let totalLength = 0;
+    for (const entry of Object.values(index.files)) {
+      for (const chunk of entry.chunks) {
+        chunks++;
+        totalLength += chunk.length;
+        for (const term of Object.keys(chunk.terms)) df.set(term, (df.get(term) || 0) + 1);
+      }
+    }
+    index.documentFrequency = { df, chunks, avgLength: totalLength / (chunks || 1) };
+  }
+  return index.documentFrequency;
+}
+
+function bm25(index, chunk, queryTerms) {
+  const { df, chunks, avgLength } = documentFrequency(index);
+  let score = 0;
+  for (const term of queryTerms) {
+    const tf = chunk.terms[term];
+    if (!tf) continue;
+    const n = df.get(term) || 0;
+    const idf = Math.log(1 + (chunks - n + 0.5) / (n + 0.5));
+    score += (idf * tf * (K1 + 1)) / (tf + K1 * (1 - B + (B * chunk.length) / avgLength));
+  }
+  return score;
+}
+
+/**
+ * Rank indexed chunks against a query
+ * @param {object} index - From updateSemanticIndex
+ * @param {string} query
+ * @param {object} options
+ * @param {"hybrid"|"embeddings"|"bm25"} options.backend
+ * @param {string} options.filePattern - Glob on the relative path (or file name)
+ * @param {number} options.limit
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<Array<{file: string, start_line: number, end_line: number, score: number, similarity?: number, bm25?: number}>>}
+ */
+export async function rankChunks(index, query, { backend = 'hybrid', filePattern, limit = 10, signal } = {}) {
+  const candidates = [];
+  for (const [rel, entry] of Object.entries(index.files)) {
+    if (filePattern && !minimatch(rel.split(path.sep).join('/'), filePattern, { matchBase: true, dot: true })) continue;
+    for (const chunk of entry.chunks) candidates.push({ file: rel, chunk });
+  }
+
+  const queryTerms = [...new Set(tokenize(query))];
+  const byKeyword = [];
+  if (backend !== 'embeddings') {
+    for (const c of candidates) {
+      c.bm25 = bm25(index, c.chunk, queryTerms);
+      if (c.bm25 > 0) byKeyword.push(c);
+    }
+    byKeyword.sort((a, b) => b.bm25 - a.bm25);
+  }
+
+  const byVector = [];
+  if (backend !== 'bm25') {
+    const [queryVector] = await embedTexts([query], { signal });
+    for (const c of candidates) {
+      if (!c.chunk.vector) continue;
+      c.similarity = cosine(queryVector, decodeVector(c.chunk.vector));
+      byVector.push(c);
+    }
+    byVector.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  let ranked;
+  if (backend === 'bm25') {
+    ranked = byKeyword.map((c) => ({ c, score: c.bm25 }));
+  } else if (backend === 'embeddings') {
+    ranked = byVector.map((c) => ({ c, score: c.similarity }));
+  } else {
+    const fused = new Map();
+    for (const list of [byVector, byKeyword]) {
+      list.forEach((c, rank) => fused.set(c, (fused.get(c) || 0) + 1 / (RRF_K + rank + 1)));
+    }
+    // Scaled so a chunk ranked first by both lists scores 1
+    ranked = [...fused].map(([c, s]) => ({ c, score: (s * (RRF_K + 1)) / 2 }));
+  }
+  ranked.sort((a, b) => b.score - a.score);
+
+  return ranked.slice(0, limit).map(({ c, score }) => ({
+    file: c.file,
+    start_line: c.chunk.start,
+    end_line: c.chunk.end,
+    score: Number(score.toFixed(4)),
+    ...(c.similarity !== undefined && { similarity: Number(c.similarity.toFixed(4)) }),
+    ...(c.bm25 !== undefined && { bm25: Number(c.bm25.toFixed(3)) }),
+  }));
+}
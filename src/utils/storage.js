@@ -0,0 +1,306 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Shared storage for state files (tasks, plans, memory, summaries,
+// scratchpads). The MCP server and frontend/server.js may run at the same
+// time and write the same files, so:
+//  - writes go to a temp file that is fsynced and renamed over the target,
+//    so a crash leaves either the old or the new contents, never half of each
+//  - read-modify-write cycles hold <file>.lock, created exclusively; locks
+//    whose owner has exited or that are older than LOCK_STALE_MS are taken over
+//  - JSON stores are saved as {version, updated, data}, and migrations bring
+//    older files (including ones written before this module) up to date
+//  - the previous good copy of a JSON store is kept in <file>.bak and used
+//    when the file can't be parsed
+
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 25;
+
+// Files whose lock the current async call chain holds, so nested calls don't wait on themselves
+const heldLocks = new AsyncLocalStorage();
+
+// Lock holders in this process, queued per file
+const localQueues = new Map();
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+async function lockIsStale(lockFile) {
+  try {
+    const [content, stat] = await Promise.all([fs.readFile(lockFile, 'utf8'), fs.stat(lockFile)]);
+    const pid = Number(content.split(/\s/)[0]);
+    if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) return true;
+    return Number.isInteger(pid) && pid > 0 && pid !== process.pid && !pidAlive(pid);
+  } catch {
+    // Released while we looked, or written but not yet filled in: try again
+    return false;
+  }
+}
+
+async function acquire(lockFile, timeout) {
+  const deadline = Date.now() + timeout;
+  await fs.mkdir(path.dirname(lockFile), { recursive: true });
+  for (;;) {
+    try {
+      const handle = await fs.open(lockFile, 'wx');
+      await handle.writeFile(`${process.pid} ${new Date().toISOString()}\n`);
+      await handle.close();
+      return;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    if (await lockIsStale(lockFile)) {
+      await fs.rm(lockFile, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${lockFile} (remove it if no other server is running)`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS + Math.random() * LOCK_RETRY_MS));
+  }
+}
+
+/**
+ * Run fn while holding the lock for file, across processes. Reentrant:
+ * calls made inside fn for the same file run without waiting.
+ * @template T
+ * @param {string} file
+ * @param {() => Promise<T>} fn
+ * @param {{timeout?: number}} options
+ * @returns {Promise<T>}
+ * @throws When the lock isn't released within the timeout
+ */
+export async function withFileLock(file, fn, { timeout = LOCK_TIMEOUT_MS } = {}) {
+  const held = heldLocks.getStore();
+  if (held?.has(file)) return fn();
+
+  // One holder per process at a time; the lock file handles other processes
+  const previous = localQueues.get(file) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => (release = resolve));
+  const queued = previous.then(() => current);
+  localQueues.set(file, queued);
+
+  await previous;
+  const lockFile = `${file}.lock`;
+  try {
+    await acquire(lockFile, timeout);
+    try {
+      return await heldLocks.run(new Set([...(held || []), file]), fn);
+    } finally {
+      await fs.rm(lockFile, { force: true });
+    }
+  } finally {
+    release();
+    if (localQueues.get(file) === queued) localQueues.delete(file);
+  }
+}
+
+/**
+ * Replace a file's contents atomically: write a temp file next to it, flush
+ * it to disk, and rename it over the original
+ * @param {string} file
+ * @param {string|Buffer} content
+ */
+export async function writeFileAtomic(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const handle = await fs.open(temp, 'w');
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.rename(temp, file);
+  } catch (e) {
+    await fs.rm(temp, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * Replace a text file atomically under its lock
+ * @param {string} file
+ * @param {string} text
+ */
+export async function writeTextFile(file, text) {
+  await withFileLock(file, () => writeFileAtomic(file, text));
+}
+
+/**
+ * Read a text file
+ * @returns {Promise<string|null>} - null when it doesn't exist
+ */
+export async function readTextFile(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+/**
+ * Append to a text file atomically (read, append, and replace under the lock)
+ */
+export async function appendTextFile(file, text) {
+  await withFileLock(file, async () => {
+    const existing = await readTextFile(file);
+    await writeTextFile(file, (existing ?? '') + text);
+  });
+}
+
+// Copy the current file to <file>.bak if it is still good
+async function backup(file, isValid) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch {
+    return;
+  }
+  if (isValid(content)) await writeFileAtomic(`${file}.bak`, content);
+}
+
+function parseJson(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (e) {
+    return { ok: false, error: e };
+  }
+}
+
+function isEnvelope(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && Number.isInteger(value.version) && 'data' in value;
+}
+
+/**
+ * A versioned JSON state file
+ * @param {object} options
+ * @param {string} options.file - Absolute path
+ * @param {number} options.version - Current schema version (1 or higher)
+ * @param {() => any} options.defaults - Data for a new or unrecoverable file
+ * @param {Object<number, (data: any) => any>} options.migrations - Upgrades
+ *   keyed by the version they upgrade from. 0 is a file written before it
+ *   had a version: it receives the raw JSON.
+ * @returns {{file: string, read: () => Promise<any>, write: (data: any) => Promise<void>, update: (fn: (data: any) => any) => Promise<any>}}
+ */
+export function createStore({ file, version, defaults, migrations = {} }) {
+  const label = path.basename(file);
+
+  function migrate(raw) {
+    let current = isEnvelope(raw) ? raw.version : 0;
+    let data = isEnvelope(raw) ? raw.data : raw;
+    if (current > version) {
+      throw new Error(`${label} was written by a newer version (schema ${current}, this server supports ${version})`);
+    }
+    while (current < version) {
+      const step = migrations[current];
+      if (!step) throw new Error(`${label}: no migration from schema ${current}`);
+      data = step(data);
+      current++;
+    }
+    return { data, migrated: !isEnvelope(raw) || raw.version !== version };
+  }
+
+  function valid(text) {
+    const parsed = parseJson(text);
+    if (!parsed.ok) return false;
+    try {
+      migrate(parsed.value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async function load() {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      text = null;
+    }
+
+    // A missing file is new (or was deleted on purpose), not damaged
+    if (text === null) return { data: defaults(), migrated: false };
+
+    const parsed = parseJson(text);
+    if (parsed.ok) return migrate(parsed.value);
+
+    // Unparseable, e.g. truncated by a crash before writes were atomic: use the backup
+    const backupText = await fs.readFile(`${file}.bak`, 'utf8').catch(() => null);
+    const fromBackup = backupText !== null && valid(backupText) ? migrate(JSON.parse(backupText)).data : null;
+    return { data: fromBackup ?? defaults(), migrated: true, damaged: fromBackup ? 'restored from backup' : 'started empty (no usable backup)' };
+  }
+
+  // Write data loaded by load(), under the lock
+  async function save(data, { damaged } = {}) {
+    if (damaged) {
+      // Keep the damaged file for inspection instead of overwriting it
+      const aside = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+      await fs.rename(file, aside).catch(() => {});
+      console.error(`${label} could not be parsed; moved to ${path.basename(aside)} and ${damaged}`);
+    }
+    await backup(file, valid);
+    const envelope = { version, updated: new Date().toISOString(), data };
+    await writeFileAtomic(file, JSON.stringify(envelope, null, 2));
+  }
+
+  return {
+    file,
+
+    /**
+     * Current data, migrated to the current schema. Files that needed a
+     * migration or recovery are rewritten.
+     */
+    async read() {
+      const { data, migrated } = await load();
+      if (!migrated) return data;
+      return withFileLock(file, async () => {
+        // Another process may have rewritten it meanwhile
+        const latest = await load();
+        if (latest.migrated) await save(latest.data, latest);
+        return latest.data;
+      });
+    },
+
+    /**
+     * Replace the data
+     */
+    async write(data) {
+      await withFileLock(file, async () => {
+        // Set a damaged file aside rather than silently replacing it
+        const { damaged } = await load();
+        await save(data, { damaged });
+      });
+    },
+
+    /**
+     * Read, change, and write under the lock. fn may change data in place
+     * or return new data.
+     * @returns {Promise<any>} - The data written
+     */
+    async update(fn) {
+      return withFileLock(file, async () => {
+        const loaded = await load();
+        const result = await fn(loaded.data);
+        const next = result === undefined ? loaded.data : result;
+        await save(next, loaded);
+        return next;
+      });
+    },
+  };
+}
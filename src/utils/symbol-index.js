@@ -0,0 +1,138 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { walkFiles } from './grep.js';
+import { languageOf, extractSymbols } from './symbols.js';
+
+// Persistent per-workspace symbol index. Files are re-parsed only when their
+// size or mtime changes; the index is saved under ~/.lmstudio-mcp-memory/symbols.
+
+const INDEX_DIR = path.join(os.homedir(), '.lmstudio-mcp-memory', 'symbols');
+// Bumped when extraction changes, so unchanged files are re-parsed too
+const INDEX_VERSION = 2;
+
+// Larger files (bundles, generated code) are not indexed
+const MAX_SOURCE_BYTES = 1024 * 1024;
+
+// Consecutive tool calls within this window reuse the last refresh
+const REFRESH_INTERVAL = 2000;
+
+const indexes = new Map();
+
+function indexFile(root) {
+  const hash = crypto.createHash('sha1').update(root).digest('hex').slice(0, 16);
+  return path.join(INDEX_DIR, `${hash}.json`);
+}
+
+async function loadIndex(root) {
+  try {
+    const data = JSON.parse(await fs.readFile(indexFile(root), 'utf8'));
+    if (data.version === INDEX_VERSION && data.root === root) {
+      return { root, files: data.files, refreshedAt: 0 };
+    }
+  } catch {
+    // Missing or unreadable: start fresh
+  }
+  return { root, files: {}, refreshedAt: 0 };
+}
+
+async function saveIndex(index) {
+  await fs.mkdir(INDEX_DIR, { recursive: true });
+  const data = { version: INDEX_VERSION, root: index.root, updated: new Date().toISOString(), files: index.files };
+  await fs.writeFile(indexFile(index.root), JSON.stringify(data));
+}
+
+async function parseFile(absPath, stat) {
+  const language = languageOf(absPath);
+  const content = await fs.readFile(absPath, 'utf8');
+  return { mtimeMs: stat.mtimeMs, size: stat.size, language, symbols: extractSymbols(content, language) };
+}
+
+/**
+ * Load (or build) the symbol index for a workspace root and bring it up to date
+ * @param {string} root - Absolute directory
+ * @param {object} options
+ * @param {boolean} options.force - Refresh even if refreshed moments ago
+ * @returns {Promise<{root: string, files: object, stats: {files: number, parsed: number, removed: number}}>}
+ */
+export async function getSymbolIndex(root, { force = false } = {}) {
+  let index = indexes.get(root);
+  if (!index) {
+    index = await loadIndex(root);
+    indexes.set(root, index);
+  }
+  if (!force && Date.now() - index.refreshedAt < REFRESH_INTERVAL) {
+    return index;
+  }
+
+  const seen = new Set();
+  let parsed = 0;
+  for await (const file of walkFiles(root)) {
+    if (!languageOf(file)) continue;
+    const rel = path.relative(root, file);
+    let stat;
+    try {
+      stat = await fs.stat(file);
+    } catch {
+      continue;
+    }
+    if (stat.size > MAX_SOURCE_BYTES) continue;
+    seen.add(rel);
+
+    const entry = index.files[rel];
+    if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) continue;
+    try {
+      index.files[rel] = await parseFile(file, stat);
+      parsed++;
+    } catch {
+      delete index.files[rel];
+    }
+  }
+
+  let removed = 0;
+  for (const rel of Object.keys(index.files)) {
+    if (!seen.has(rel)) {
+      delete index.files[rel];
+      removed++;
+    }
+  }
+
+  index.refreshedAt = Date.now();
+  index.stats = { files: seen.size, parsed, removed };
+  if (parsed > 0 || removed > 0) {
+    await saveIndex(index);
+  }
+  return index;
+}
+
+/**
+ * Symbols of one file, parsed now if the index entry is stale or missing
+ * @param {string} absPath
+ * @param {string} root - Workspace root the file's index entry belongs to
+ */
+export async function getFileSymbols(absPath, root) {
+  if (!languageOf(absPath)) return [];
+  const stat = await fs.stat(absPath);
+  const index = indexes.get(root);
+  const rel = path.relative(root, absPath);
+  const entry = index?.files[rel];
+  if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) {
+    return entry.symbols;
+  }
+  const fresh = await parseFile(absPath, stat);
+  if (index && !rel.startsWith('..')) index.files[rel] = fresh;
+  return fresh.symbols;
+}
+
+/**
+ * Flatten an index into symbols tagged with their file
+ * @returns {Array<{file: string, name: string, kind: string, line: number, column: number, container: string|null, signature: string}>}
+ */
+export function allSymbols(index) {
+  const out = [];
+  for (const [file, entry] of Object.entries(index.files)) {
+    for (const symbol of entry.symbols) out.push({ file, ...symbol });
+  }
+  return out;
+}
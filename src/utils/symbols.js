@@ -0,0 +1,322 @@
+import path from 'path';
+
+// Lightweight, regex-based symbol extraction (no parsers to install).
+// Brace languages track scopes by counting braces outside strings and
+// comments; Python tracks them by indentation.
+
+const LANGUAGES = {
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript', '.mts': 'typescript', '.cts': 'typescript',
+  '.py': 'python', '.pyi': 'python',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java', '.kt': 'java', '.scala': 'java',
+  '.cs': 'csharp',
+  '.c': 'c', '.h': 'c',
+  '.cpp': 'cpp', '.cc': 'cpp', '.cxx': 'cpp', '.hpp': 'cpp', '.hh': 'cpp', '.hxx': 'cpp',
+};
+
+// Kinds that other symbols are "inside" (methods, fields, nested types)
+const CONTAINER_KINDS = new Set(['class', 'interface', 'struct', 'enum', 'trait', 'impl', 'namespace', 'module', 'union', 'record']);
+const FUNCTION_KINDS = new Set(['function', 'method', 'constructor']);
+
+// Words that look like calls/definitions in C-like syntax but are not
+const CONTROL_WORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'else', 'do', 'try', 'new', 'typeof',
+  'sizeof', 'delete', 'throw', 'await', 'yield', 'case', 'using', 'lock', 'foreach', 'synchronized', 'super', 'this',
+]);
+
+/**
+ * Language of a file from its extension
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+export function languageOf(filePath) {
+  return LANGUAGES[path.extname(filePath).toLowerCase()] || null;
+}
+
+export const SUPPORTED_EXTENSIONS = Object.keys(LANGUAGES);
+
+// Parameter list that either continues onto the next line or is followed by a body
+const PARAMS_JAVA = '\\((?:[^;]*$|[^)]*\\)\\s*(?:throws\\s+[\\w.,\\s]+)?\\{)';
+
+// Rules: first match on a line wins. `in` limits where a rule applies:
+// "top" (not inside a function), "container" (directly inside a class-like scope)
+const JS_RULES = [
+  { re: /^\s*(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/, kind: 'class' },
+  { re: /^\s*(?:export\s+)?(?:declare\s+)?interface\s+([A-Za-z_$][\w$]*)/, kind: 'interface' },
+  { re: /^\s*(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([A-Za-z_$][\w$]*)/, kind: 'enum' },
+  { re: /^\s*(?:export\s+)?(?:declare\s+)?(?:namespace|module)\s+([A-Za-z_$][\w$.]*)\s*\{/, kind: 'namespace' },
+  { re: /^\s*(?:export\s+)?(?:declare\s+)?type\s+([A-Za-z_$][\w$]*)\s*(?:<[^=]*>)?\s*=/, kind: 'type', in: 'top' },
+  { re: /^\s*(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)\s*[(<]/, kind: 'function' },
+  { re: /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/, kind: 'function' },
+  { re: /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)/, kind: 'variable', in: 'top' },
+  { re: /^\s*constructor\s*\(/, kind: 'constructor', in: 'container', name: 'constructor' },
+  {
+    re: /^\s*(?:(?:public|private|protected|static|readonly|abstract|override|async|get|set|declare)\s+)*\*?\s*(#?[A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*\([^)]*\)?\s*(?::\s*[^={]+)?\s*\{?\s*$/,
+    kind: 'method',
+    in: 'container',
+  },
+  // Body on the same line: foo() { return 1; }
+  {
+    re: /^\s*(?:(?:public|private|protected|static|readonly|abstract|override|async|get|set|declare)\s+)*\*?\s*(#?[A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*\([^)]*\)\s*(?::\s*[^={]+)?\s*\{.*\}\s*;?\s*$/,
+    kind: 'method',
+    in: 'container',
+  },
+  { re: /^\s*(?:(?:public|private|protected|static|readonly|declare)\s+)*(#?[A-Za-z_$][\w$]*)\s*[?!]?\s*(?::[^=;(]+)?(?:=|;)/, kind: 'property', in: 'container' },
+];
+
+const GO_RULES = [
+  { re: /^func\s+\(\s*\w*\s*\*?\s*([A-Za-z_]\w*)(?:\[[^\]]*\])?\s*\)\s*([A-Za-z_]\w*)\s*[[(]/, kind: 'method', name: 2, receiver: 1 },
+  { re: /^func\s+([A-Za-z_]\w*)\s*[[(]/, kind: 'function' },
+  { re: /^type\s+([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+struct\b/, kind: 'struct' },
+  { re: /^type\s+([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+interface\b/, kind: 'interface' },
+  { re: /^type\s+([A-Za-z_]\w*)/, kind: 'type' },
+  { re: /^(?:var|const)\s+([A-Za-z_]\w*)/, kind: 'variable' },
+  { re: /^\s+([A-Za-z_]\w*)\s+[\w*.[\]]+.*$/, kind: 'field', in: 'container' },
+];
+
+const RUST_RULES = [
+  { re: /^\s*impl(?:<.*?>)?\s+(?:[\w:<>, ]+?\s+for\s+)?([A-Za-z_]\w*)/, kind: 'impl' },
+  { re: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?(?:extern\s+"[^"]*"\s+)?fn\s+([A-Za-z_]\w*)/, kind: 'function' },
+  { re: /^\s*(?:pub(?:\([^)]*\))?\s+)?struct\s+([A-Za-z_]\w*)/, kind: 'struct' },
+  { re: /^\s*(?:pub(?:\([^)]*\))?\s+)?enum\s+([A-Za-z_]\w*)/, kind: 'enum' },
+  { re: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:unsafe\s+)?trait\s+([A-Za-z_]\w*)/, kind: 'trait' },
+  { re: /^\s*(?:pub(?:\([^)]*\))?\s+)?mod\s+([A-Za-z_]\w*)/, kind: 'module' },
+  { re: /^\s*(?:pub(?:\([^)]*\))?\s+)?type\s+([A-Za-z_]\w*)/, kind: 'type' },
+  { re: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:const|static)\s+(?:mut\s+)?([A-Za-z_]\w*)\s*:/, kind: 'constant' },
+  { re: /^\s*macro_rules!\s*([A-Za-z_]\w*)/, kind: 'macro' },
+  { re: /^\s*(?:pub(?:\([^)]*\))?\s+)?([a-z_]\w*)\s*:\s*[^,]+,?\s*$/, kind: 'field', in: 'struct' },
+];
+
+const JAVA_MODIFIERS = '(?:(?:public|private|protected|internal|static|final|abstract|sealed|partial|virtual|override|async|extern|unsafe|readonly|synchronized|native|default|open|data|inline|suspend|new)\\s+)*';
+const JAVA_RULES = [
+  { re: new RegExp(`^\\s*(?:@\\w+(?:\\([^)]*\\))?\\s+)*${JAVA_MODIFIERS}(?:class|object)\\s+([A-Za-z_]\\w*)`), kind: 'class' },
+  { re: new RegExp(`^\\s*${JAVA_MODIFIERS}(?:@)?interface\\s+([A-Za-z_]\\w*)`), kind: 'interface' },
+  { re: new RegExp(`^\\s*${JAVA_MODIFIERS}enum(?:\\s+class)?\\s+([A-Za-z_]\\w*)`), kind: 'enum' },
+  { re: new RegExp(`^\\s*${JAVA_MODIFIERS}record\\s+([A-Za-z_]\\w*)`), kind: 'record' },
+  { re: new RegExp(`^\\s*${JAVA_MODIFIERS}struct\\s+([A-Za-z_]\\w*)`), kind: 'struct' },
+  { re: /^\s*namespace\s+([\w.]+)/, kind: 'namespace' },
+  { re: new RegExp(`^\\s*${JAVA_MODIFIERS}fun\\s+(?:<[^>]*>\\s*)?(?:[\\w.]+\\.)?([A-Za-z_]\\w*)\\s*\\(`), kind: 'function' },
+  {
+    re: new RegExp(`^\\s*(?:@\\w+(?:\\([^)]*\\))?\\s+)*${JAVA_MODIFIERS}(?:<[^>]*>\\s*)?[\\w<>\\[\\],.?\\s]+?\\s+([A-Za-z_]\\w*)\\s*${PARAMS_JAVA}`),
+    kind: 'method',
+    in: 'container',
+  },
+  { re: new RegExp(`^\\s*${JAVA_MODIFIERS}([A-Z]\\w*)\\s*${PARAMS_JAVA}`), kind: 'constructor', in: 'container' },
+  { re: new RegExp(`^\\s*${JAVA_MODIFIERS}(?:val|var|const\\s+val)\\s+([A-Za-z_]\\w*)`), kind: 'property' },
+  { re: new RegExp(`^\\s*${JAVA_MODIFIERS}[\\w<>\\[\\],.?]+\\s+([A-Za-z_]\\w*)\\s*(?:=[^=]|;|\\{\\s*get)`), kind: 'field', in: 'container' },
+];
+
+const C_RULES = [
+  { re: /^\s*#\s*define\s+([A-Za-z_]\w*)/, kind: 'macro' },
+  { re: /^\s*namespace\s+([A-Za-z_][\w:]*)/, kind: 'namespace' },
+  { re: /^\s*(?:template\s*<.*>\s*)?(?:typedef\s+)?(class|struct|union|enum(?:\s+class)?)\s+(?:\w+\s+)?([A-Za-z_]\w*)\s*(?:final\s*)?(?::[^;{]*)?\{?\s*$/, kind: 1, name: 2 },
+  { re: /^\s*typedef\s+.*?\b([A-Za-z_]\w*)\s*;/, kind: 'type' },
+  { re: /^\s*using\s+([A-Za-z_]\w*)\s*=/, kind: 'type' },
+  {
+    re: /^\s*(?:template\s*<.*>\s*)?(?:(?:static|inline|extern|virtual|explicit|constexpr|friend|const|unsigned|signed|struct)\s+)*[\w:<>,*&\s]*?[\s*&]([A-Za-z_~][\w:~]*)\s*\((?:[^;]*$|[^)]*\)\s*(?:const\s*)?(?:noexcept\s*)?\{)/,
+    kind: 'function',
+  },
+  { re: /^\s*(?:(?:static|const|mutable|unsigned|signed)\s+)*[\w:<>*&]+[\s*&]+([A-Za-z_]\w*)\s*(?:\[[^\]]*\])?\s*(?:=[^=]|;)/, kind: 'field', in: 'container' },
+];
+
+const BRACE_RULES = {
+  javascript: JS_RULES,
+  typescript: JS_RULES,
+  go: GO_RULES,
+  rust: RUST_RULES,
+  java: JAVA_RULES,
+  csharp: JAVA_RULES,
+  c: C_RULES,
+  cpp: C_RULES,
+};
+
+/**
+ * Remove string contents and comments from a line so braces and keywords
+ * inside them are not counted. Carries block-comment state between lines.
+ */
+function sanitize(line, state) {
+  let out = '';
+  let i = 0;
+  while (i < line.length) {
+    if (state.blockComment) {
+      const end = line.indexOf('*/', i);
+      if (end === -1) return out;
+      state.blockComment = false;
+      i = end + 2;
+      continue;
+    }
+    const ch = line[i];
+    const next = line[i + 1];
+    if (ch === '/' && next === '/') break;
+    if (ch === '/' && next === '*') {
+      state.blockComment = true;
+      i += 2;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || ch === '`') {
+      // Rust lifetimes ('a) and char literals are short; skip to the closing quote on this line
+      let j = i + 1;
+      while (j < line.length && line[j] !== ch) j += line[j] === '\\' ? 2 : 1;
+      if (ch === "'" && j >= line.length) {
+        out += ch;
+        i++;
+        continue;
+      }
+      out += ch + ch;
+      i = j + 1;
+      continue;
+    }
+    out += ch;
+    i++;
+  }
+  return out;
+}
+
+function signatureOf(line) {
+  let sig = line.trim().replace(/\s*\{\s*$/, '').replace(/\s+/g, ' ');
+  if (sig.length > 200) sig = `${sig.slice(0, 197)}...`;
+  return sig;
+}
+
+function extractBraceSymbols(lines, language) {
+  const rules = BRACE_RULES[language];
+  const symbols = [];
+  // Open scopes: { symbol, depth } where depth is the brace depth outside the scope
+  const stack = [];
+  const state = { blockComment: false };
+  let depth = 0;
+  let pendingScope = null;
+
+  lines.forEach((raw, index) => {
+    const line = sanitize(raw, state);
+    const top = stack[stack.length - 1];
+    const inFunction = stack.some((s) => FUNCTION_KINDS.has(s.symbol.kind));
+    const directContainer = top && depth === top.depth + 1 && CONTAINER_KINDS.has(top.symbol.kind) ? top.symbol : null;
+
+    let symbol = null;
+    if (line.trim() && !(inFunction && !directContainer)) {
+      for (const rule of rules) {
+        if (rule.in === 'top' && (inFunction || directContainer)) continue;
+        if (rule.in === 'container' && !directContainer) continue;
+        if (rule.in === 'struct' && directContainer?.kind !== 'struct') continue;
+        const m = line.match(rule.re);
+        if (!m) continue;
+        const name = typeof rule.name === 'string' ? rule.name : m[rule.name || 1];
+        if (!name || CONTROL_WORDS.has(name)) continue;
+
+        let kind = typeof rule.kind === 'number' ? m[rule.kind].replace(/\s+class$/, '') : rule.kind;
+        let container = rule.receiver ? m[rule.receiver] : directContainer?.name || stack.filter((s) => CONTAINER_KINDS.has(s.symbol.kind)).pop()?.symbol.name || null;
+        if (kind === 'function' && directContainer) kind = 'method';
+        if (kind === 'method' && container && name === container) kind = 'constructor';
+
+        symbol = {
+          name,
+          kind,
+          line: index + 1,
+          column: raw.indexOf(name) + 1,
+          container,
+          signature: signatureOf(raw),
+        };
+        symbols.push(symbol);
+        break;
+      }
+    }
+
+    // A block-opening declaration may put its "{" on a later line
+    const opensBlock = symbol && symbol.kind !== 'variable' && symbol.kind !== 'property' && symbol.kind !== 'field' && symbol.kind !== 'macro';
+    if (opensBlock) pendingScope = { symbol, until: index + 3 };
+
+    for (const ch of line) {
+      if (ch === '{') {
+        if (pendingScope) {
+          stack.push({ symbol: pendingScope.symbol, depth });
+          pendingScope = null;
+        }
+        depth++;
+      } else if (ch === '}') {
+        depth = Math.max(0, depth - 1);
+        while (stack.length && stack[stack.length - 1].depth >= depth) {
+          stack.pop().symbol.endLine = index + 1;
+        }
+      } else if (ch === ';' && pendingScope && pendingScope.symbol !== symbol) {
+        pendingScope = null;
+      }
+    }
+    // Declarations ending in ";" (prototypes, abstract methods) never open a scope
+    if (pendingScope && (line.trim().endsWith(';') || index >= pendingScope.until)) {
+      if (!pendingScope.symbol.endLine) pendingScope.symbol.endLine = pendingScope.symbol.line;
+      pendingScope = null;
+    }
+  });
+
+  return symbols;
+}
+
+function extractPythonSymbols(lines) {
+  const symbols = [];
+  const stack = []; // { symbol, indent }
+  let inString = null;
+
+  lines.forEach((raw, index) => {
+    // Skip the bodies of triple-quoted strings
+    if (inString) {
+      if (raw.includes(inString)) inString = null;
+      return;
+    }
+    const triple = raw.match(/("""|''')/);
+    if (triple && raw.split(triple[1]).length === 2) {
+      inString = triple[1];
+    }
+
+    if (!raw.trim() || raw.trim().startsWith('#')) return;
+    const indent = raw.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    while (stack.length && stack[stack.length - 1].indent >= indent) {
+      stack.pop().symbol.endLine = index;
+    }
+    const parent = stack[stack.length - 1]?.symbol || null;
+
+    let m;
+    let symbol = null;
+    if ((m = raw.match(/^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)\s*\(/))) {
+      const kind = parent?.kind === 'class' ? (m[1] === '__init__' ? 'constructor' : 'method') : 'function';
+      symbol = { name: m[1], kind };
+    } else if ((m = raw.match(/^\s*class\s+([A-Za-z_]\w*)/))) {
+      symbol = { name: m[1], kind: 'class' };
+    } else if (!parent && (m = raw.match(/^([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/))) {
+      symbol = { name: m[1], kind: /^[A-Z][A-Z0-9_]*$/.test(m[1]) ? 'constant' : 'variable' };
+    } else if (parent?.kind === 'class' && (m = raw.match(/^\s+([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/)) && indent > 0) {
+      symbol = { name: m[1], kind: 'property' };
+    }
+
+    if (symbol) {
+      Object.assign(symbol, {
+        line: index + 1,
+        column: raw.indexOf(symbol.name) + 1,
+        container: parent && parent.kind === 'class' ? parent.name : parent?.name || null,
+        signature: signatureOf(raw.replace(/:\s*$/, '')),
+      });
+      symbols.push(symbol);
+      if (symbol.kind === 'class' || FUNCTION_KINDS.has(symbol.kind)) {
+        stack.push({ symbol, indent });
+      }
+    }
+  });
+
+  while (stack.length) stack.pop().symbol.endLine = lines.length;
+  return symbols;
+}
+
+/**
+ * Extract symbol definitions from source text
+ * @param {string} content - File content
+ * @param {string} language - From languageOf
+ * @returns {Array<{name: string, kind: string, line: number, column: number, endLine?: number, container: string|null, signature: string}>}
+ */
+export function extractSymbols(content, language) {
+  const lines = content.split('\n').map((l) => l.replace(/\r$/, ''));
+  if (language === 'python') return extractPythonSymbols(lines);
+  if (BRACE_RULES[language]) return extractBraceSymbols(lines, language);
+  return [];
+}
@@ -0,0 +1,246 @@
+import fs from 'fs/promises';
+import { detectEncoding, decode, encode, normalizeEncoding } from './encoding.js';
+
+// Read and write text files without changing their format: encoding, BOM,
+// line endings, trailing newline, and indentation style are detected on read
+// and kept on write. Content is handled with its original line endings, so
+// lines an edit does not touch are written back byte for byte.
+
+/**
+ * Line-ending, trailing-newline, and indentation style of text
+ * @param {string} content
+ * @returns {{eol: string, mixedEol: boolean, finalNewline: boolean, indent: {type: 'tab'|'space'|null, size: number}}}
+ */
+export function detectTextStyle(content) {
+  const crlf = (content.match(/\r\n/g) || []).length;
+  const lf = (content.match(/\n/g) || []).length - crlf;
+  const cr = (content.match(/\r(?!\n)/g) || []).length;
+  let eol = '\n';
+  if (crlf > lf && crlf >= cr) eol = '\r\n';
+  else if (cr > lf && cr > crlf) eol = '\r';
+  const kinds = [crlf, lf, cr].filter((n) => n > 0).length;
+
+  return {
+    eol,
+    mixedEol: kinds > 1,
+    finalNewline: /[\r\n]$/.test(content),
+    indent: detectIndent(content.split(/\r?\n|\r/)),
+  };
+}
+
+function detectIndent(lines) {
+  let tabs = 0;
+  let spaces = 0;
+  const deltas = new Map();
+  let previous = 0;
+  for (const line of lines) {
+    if (line.trim() === '') continue;
+    if (line.startsWith('\t')) {
+      tabs++;
+      continue;
+    }
+    const width = line.match(/^ */)[0].length;
+    // " * " continues a block comment; it says nothing about indentation
+    if (width > 0 && !/^ +\*/.test(line)) spaces++;
+    const delta = Math.abs(width - previous);
+    if (delta > 1 && delta <= 8) deltas.set(delta, (deltas.get(delta) || 0) + 1);
+    previous = width;
+  }
+  if (tabs === 0 && spaces === 0) return { type: null, size: 0 };
+  if (tabs > spaces) return { type: 'tab', size: 1 };
+  const size = [...deltas].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0]?.[0] || 4;
+  return { type: 'space', size };
+}
+
+// Width of one indentation level in text that is indented with spaces
+function spaceUnit(lines) {
+  const widths = lines.filter((l) => /^ +\S/.test(l)).map((l) => l.match(/^ */)[0].length);
+  if (widths.length === 0) return 0;
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  return Math.max(2, widths.reduce(gcd));
+}
+
+/**
+ * Convert leading indentation between tabs and spaces
+ * @param {string[]} lines
+ * @param {{type: 'tab'|'space', size: number}} indent - Target style
+ * @param {number} tabWidth - Spaces per tab when converting from spaces
+ */
+function reindentLines(lines, indent, tabWidth) {
+  if (indent.type === 'tab') {
+    return lines.map((l) => {
+      const lead = l.match(/^ */)[0];
+      if (lead.length < tabWidth || /^ +\*/.test(l)) return l;
+      return '\t'.repeat(Math.floor(lead.length / tabWidth)) + ' '.repeat(lead.length % tabWidth) + l.slice(lead.length);
+    });
+  }
+  return lines.map((l) => {
+    const lead = l.match(/^\t*/)[0];
+    return lead ? ' '.repeat(lead.length * indent.size) + l.slice(lead.length) : l;
+  });
+}
+
+/**
+ * Make text written by a tool match a file's style: its line endings, and
+ * its indentation when the text is indented the other way (tabs vs spaces)
+ * @param {string} text - New text from the model
+ * @param {object} format - From readTextFile
+ * @returns {string}
+ */
+export function adaptText(text, format) {
+  let lines = String(text).split(/\r?\n|\r/);
+  const indent = format.indent;
+  if (indent?.type === 'tab' && !lines.some((l) => l.startsWith('\t'))) {
+    const unit = spaceUnit(lines);
+    if (unit) lines = reindentLines(lines, indent, unit);
+  } else if (indent?.type === 'space' && !lines.some((l) => /^ +\S/.test(l))) {
+    lines = reindentLines(lines, indent);
+  }
+  return lines.join(format.eol);
+}
+
+/**
+ * Split content into lines that remember their own line ending, so a line
+ * tool can splice lines in without rewriting the endings of the others
+ * @param {string} content
+ * @returns {{text: string, eol: string}[]} - The last line's eol is ''
+ */
+export function splitLines(content) {
+  const parts = content.split(/(\r\n|\n|\r)/);
+  const lines = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    lines.push({ text: parts[i], eol: parts[i + 1] || '' });
+  }
+  return lines;
+}
+
+/**
+ * Join lines from splitLines; lines without an ending (inserted ones, or a
+ * former last line) get the file's dominant one
+ * @param {{text: string, eol?: string}[]} lines
+ * @param {object} format
+ * @returns {string}
+ */
+export function joinLines(lines, format) {
+  return lines.map((l, i) => l.text + (i < lines.length - 1 ? l.eol || format.eol : '')).join('');
+}
+
+/**
+ * Read a text file along with the format it should be written back in
+ * @param {string} filePath
+ * @returns {Promise<{content: string, format: {encoding: string, bom: boolean, eol: string, mixedEol: boolean, finalNewline: boolean, indent: object}}>}
+ * @throws When the file is binary
+ */
+export async function readTextFile(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const detected = detectEncoding(buffer);
+  if (detected.binary) {
+    throw new Error(`${filePath} is a binary file${detected.type ? ` (${detected.type})` : ''}; edit tools only change text files`);
+  }
+  const content = decode(buffer, detected.encoding);
+  return { content, format: { encoding: detected.encoding, bom: detected.bom, ...detectTextStyle(content) } };
+}
+
+/**
+ * Format for a file that does not exist yet
+ */
+export function defaultFormat() {
+  return { encoding: 'utf-8', bom: false, eol: '\n', mixedEol: false, finalNewline: true, indent: { type: null, size: 0 } };
+}
+
+/**
+ * Apply requested normalizations to the whole content
+ * @param {string} content
+ * @param {object} format - Current format
+ * @param {object} normalize - {line_endings: 'lf'|'crlf', encoding, bom, final_newline, indent: 'tabs'|'spaces', indent_size}
+ * @returns {{content: string, format: object, changes: string[]}}
+ */
+export function normalizeText(content, format, normalize = {}) {
+  const target = { ...format, indent: { ...format.indent } };
+  const changes = [];
+  const eolName = (eol) => ({ '\r\n': 'CRLF', '\n': 'LF', '\r': 'CR' })[eol];
+
+  if (normalize.encoding) {
+    target.encoding = normalizeEncoding(normalize.encoding);
+    if (target.encoding !== format.encoding) changes.push(`encoding ${format.encoding} → ${target.encoding}`);
+  }
+  if (normalize.bom !== undefined && Boolean(normalize.bom) !== format.bom) {
+    target.bom = Boolean(normalize.bom);
+    changes.push(target.bom ? 'BOM added' : 'BOM removed');
+  }
+
+  let lines = content.split(/\r?\n|\r/);
+  if (normalize.indent) {
+    const type = /^tab/i.test(normalize.indent) ? 'tab' : 'space';
+    const size = normalize.indent_size || (format.indent.type === 'space' ? format.indent.size : 4);
+    if (type !== format.indent.type || (type === 'space' && size !== format.indent.size && format.indent.type === 'space')) {
+      const from = format.indent.type === 'space' ? format.indent.size : size;
+      if (type === 'tab') {
+        lines = reindentLines(lines, { type: 'tab', size: 1 }, from);
+      } else if (format.indent.type === 'tab') {
+        lines = reindentLines(lines, { type: 'space', size });
+      } else {
+        // Spaces at one width to another: scale each line's leading spaces
+        lines = lines.map((l) => {
+          const lead = l.match(/^ */)[0].length;
+          return ' '.repeat(Math.round((lead / from) * size)) + l.slice(lead);
+        });
+      }
+      target.indent = { type, size: type === 'tab' ? 1 : size };
+      changes.push(`indentation → ${type === 'tab' ? 'tabs' : `${size} spaces`}`);
+    }
+  }
+
+  if (normalize.line_endings) {
+    const eol = /^crlf$/i.test(normalize.line_endings) ? '\r\n' : '\n';
+    if (eol !== format.eol || format.mixedEol) changes.push(`line endings ${format.mixedEol ? 'mixed' : eolName(format.eol)} → ${eolName(eol)}`);
+    target.eol = eol;
+    target.mixedEol = false;
+  }
+  if (normalize.final_newline !== undefined && Boolean(normalize.final_newline) !== format.finalNewline) {
+    target.finalNewline = Boolean(normalize.final_newline);
+    changes.push(target.finalNewline ? 'final newline added' : 'final newline removed');
+  }
+
+  // Re-join only when something line-based changed, so untouched files keep mixed endings
+  const relined = normalize.line_endings || normalize.indent;
+  return { content: relined ? lines.join(target.eol) : content, format: target, changes };
+}
+
+/**
+ * Content as it will be written: the file's trailing-newline state restored
+ * @param {string} content
+ * @param {object} format
+ * @returns {string}
+ */
+export function finishText(content, format) {
+  if (format.finalNewline) {
+    if (content === '' || /\n$/.test(content) || (format.eol === '\r' && content.endsWith('\r'))) return content;
+    // A dangling \r from a CRLF line split on \n only needs its \n
+    return content.endsWith('\r') && format.eol === '\r\n' ? `${content}\n` : content + format.eol;
+  }
+  return content.replace(/(\r\n|\n|\r)+$/, '');
+}
+
+/**
+ * Write text in a given format
+ * @param {string} filePath
+ * @param {string} content - Final content (see finishText)
+ * @param {object} format
+ */
+export async function writeTextFile(filePath, content, format) {
+  await fs.writeFile(filePath, encode(content, format.encoding, format.bom));
+}
+
+/**
+ * Short description of a format for tool output, e.g. "CRLF, utf-16le with BOM, tabs"
+ * @param {object} format
+ * @returns {string}
+ */
+export function describeFormat(format) {
+  const parts = [format.mixedEol ? 'mixed line endings' : { '\r\n': 'CRLF', '\n': 'LF', '\r': 'CR' }[format.eol]];
+  parts.push(`${format.encoding}${format.bom ? ' with BOM' : ''}`);
+  if (format.indent.type) parts.push(format.indent.type === 'tab' ? 'tabs' : `${format.indent.size} spaces`);
+  if (!format.finalNewline) parts.push('no final newline');
+  return parts.join(', ');
+}